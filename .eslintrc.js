@@ -0,0 +1,33 @@
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true,
+    jest: true,
+    'react-native/react-native': true,
+  },
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true },
+  },
+  settings: {
+    react: { version: 'detect' },
+  },
+  plugins: ['react', 'react-hooks', 'react-native'],
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+    // Formatting is left to prettier (npm run format)
+    'prettier',
+  ],
+  rules: {
+    'react/prop-types': 'off',
+    // Text is rendered by React Native, not parsed as HTML
+    'react/no-unescaped-entities': 'off',
+    // Destructuring a field away to drop it leaves a name that is never read
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+  },
+  ignorePatterns: ['node_modules/', 'assets/'],
+};
@@ -6,17 +6,18 @@ import {
   deletePlayer, 
   setPlayers 
 } from '../store/playerSlice';
+import { selectAllPlayers } from '../store/selectors';
 import { savePlayers, loadPlayers } from './storage';
 
 export const PlayerAPI = {
   // Get all players
   getAll: () => {
-    return store.getState().players.players;
+    return selectAllPlayers(store.getState());
   },
   
   // Get a player by ID
   getById: (id) => {
-    const players = store.getState().players.players;
+    const players = selectAllPlayers(store.getState());
     return players.find(player => player.id === id);
   },
   
@@ -24,7 +25,7 @@ export const PlayerAPI = {
   add: (playerData) => {
     store.dispatch(addPlayer(playerData));
     // Persist changes to storage
-    const updatedPlayers = store.getState().players.players;
+    const updatedPlayers = selectAllPlayers(store.getState());
     savePlayers(updatedPlayers);
     return playerData;
   },
@@ -33,7 +34,7 @@ export const PlayerAPI = {
   update: (id, playerData) => {
     store.dispatch(updatePlayer({ id, ...playerData }));
     // Persist changes to storage
-    const updatedPlayers = store.getState().players.players;
+    const updatedPlayers = selectAllPlayers(store.getState());
     savePlayers(updatedPlayers);
     return { id, ...playerData };
   },
@@ -42,7 +43,7 @@ export const PlayerAPI = {
   delete: (id) => {
     store.dispatch(deletePlayer(id));
     // Persist changes to storage
-    const updatedPlayers = store.getState().players.players;
+    const updatedPlayers = selectAllPlayers(store.getState());
     savePlayers(updatedPlayers);
     return id;
   },
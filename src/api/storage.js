@@ -1,4 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { migrateHistoryToMinorUnits, rekeyStoredData } from '../store/migrations';
 
 /**
  * Storage API for Poker Settlement App
@@ -19,7 +21,7 @@ export const STORAGE_KEYS = {
 };
 
 // Current app version for data migration
-const CURRENT_APP_VERSION = '1.0.0';
+const CURRENT_APP_VERSION = '1.2.0';
 
 /**
  * Initialize storage with default values if needed
@@ -61,7 +63,7 @@ export const initializeStorage = async () => {
 const getDefaultSettings = () => {
   return {
     theme: 'light',
-    currency: 'USD',
+    currency: DEFAULT_CURRENCY,
     showTutorial: true,
     notificationsEnabled: true,
     autoBackupEnabled: false,
@@ -79,12 +81,30 @@ const migrateData = async (fromVersion, toVersion) => {
   // Handle migrations between specific versions here
   console.log(`Migrating data from ${fromVersion} to ${toVersion}`);
   
-  // Example migration:
-  // if (fromVersion === '0.9.0' && toVersion === '1.0.0') {
-  //   // Migrate data from 0.9.0 to 1.0.0
-  // }
+  // 1.1.0: amounts are stored as integer minor units instead of float dollars
+  if (fromVersion === '1.0.0') {
+    const historyData = await AsyncStorage.getItem(STORAGE_KEYS.HISTORY);
+    if (historyData) {
+      const history = migrateHistoryToMinorUnits(JSON.parse(historyData));
+      await AsyncStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
+    }
+  }
   
-  // For now, no migrations are needed
+  // 1.2.0: IDs that can't collide, the same ones the persisted store was re-keyed to
+  if (fromVersion === '1.0.0' || fromVersion === '1.1.0') {
+    const [playersData, historyData] = await Promise.all([
+      AsyncStorage.getItem(STORAGE_KEYS.PLAYERS),
+      AsyncStorage.getItem(STORAGE_KEYS.HISTORY),
+    ]);
+    const { players, history } = rekeyStoredData({
+      players: playersData ? JSON.parse(playersData) : [],
+      history: historyData ? JSON.parse(historyData) : [],
+    });
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.PLAYERS, JSON.stringify(players)],
+      [STORAGE_KEYS.HISTORY, JSON.stringify(history)],
+    ]);
+  }
 };
 
 /**
@@ -110,7 +130,8 @@ export const savePlayers = async (players) => {
 export const loadPlayers = async () => {
   try {
     const playersData = await AsyncStorage.getItem(STORAGE_KEYS.PLAYERS);
-    return playersData ? JSON.parse(playersData) : [];
+    // Players saved with old IDs get the ones the persisted store was re-keyed to
+    return playersData ? rekeyStoredData({ players: JSON.parse(playersData) }).players : [];
   } catch (error) {
     console.error('Error loading players:', error);
     return [];
@@ -170,7 +191,11 @@ export const saveHistory = async (history) => {
 export const loadHistory = async () => {
   try {
     const historyData = await AsyncStorage.getItem(STORAGE_KEYS.HISTORY);
-    return historyData ? JSON.parse(historyData) : [];
+    // Sessions saved before amounts moved to minor units or before IDs were
+    // re-keyed are converted on the way in
+    return historyData
+      ? rekeyStoredData({ history: migrateHistoryToMinorUnits(JSON.parse(historyData)) }).history
+      : [];
   } catch (error) {
     console.error('Error loading history:', error);
     return [];
@@ -277,7 +302,14 @@ export const importAllData = async (importData) => {
       };
     }
     
-    const { data } = importData;
+    // Exports from before IDs were re-keyed get the IDs the store uses
+    const data = {
+      ...importData.data,
+      ...rekeyStoredData({
+        players: importData.data.players,
+        history: importData.data.history && migrateHistoryToMinorUnits(importData.data.history),
+      }),
+    };
     
     // Import each data type if present
     if (data.players) {
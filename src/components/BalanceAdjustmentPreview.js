@@ -0,0 +1,369 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import {
+  ADJUSTMENT_STRATEGIES,
+  ADJUSTMENT_STRATEGY_LABELS,
+  UNACCOUNTED_NAME,
+  describeAdjustmentProblem,
+  isUnaccounted,
+  planBalanceAdjustment,
+} from '../utils/balanceAdjustments';
+
+/**
+ * BalanceAdjustmentPreview Component
+ *
+ * Modal shown when balances don't sum to zero. Previews what every
+ * adjustment strategy would change, player by player, and applies the one
+ * the user picks.
+ *
+ * @param {boolean} visible - Whether the preview is shown
+ * @param {Array} players - Array of player objects in the session
+ * @param {Object} balances - { playerId: amount } that don't sum to zero
+ * @param {Array<string>} entryOrder - Player IDs in the order their balances were entered
+ * @param {string} currency - ISO currency code of the session
+ * @param {Function} onApply - Called with the chosen plan and the options it was made with
+ * @param {Function} onClose - Called when the preview is dismissed without applying
+ */
+const BalanceAdjustmentPreview = ({
+  visible,
+  players = [],
+  balances = {},
+  entryOrder = [],
+  currency = DEFAULT_CURRENCY,
+  onApply,
+  onClose,
+}) => {
+  const [strategy, setStrategy] = useState(ADJUSTMENT_STRATEGIES.PROPORTIONAL);
+  const [hostId, setHostId] = useState(null);
+  const [lastEnteredCount, setLastEnteredCount] = useState(1);
+
+  useEffect(() => {
+    if (visible) {
+      setStrategy(ADJUSTMENT_STRATEGIES.PROPORTIONAL);
+      setLastEnteredCount(1);
+    }
+  }, [visible]);
+
+  const getName = (id) => {
+    if (isUnaccounted(id)) return UNACCOUNTED_NAME;
+    const player = players.find(p => p.id === id);
+    return player ? player.name : 'Unknown Player';
+  };
+
+  const options = { hostId, entryOrder, lastEnteredCount };
+  const plans = Object.values(ADJUSTMENT_STRATEGIES).map(option =>
+    planBalanceAdjustment(balances, { ...options, strategy: option })
+  );
+  const selectedPlan = plans.find(plan => plan.strategy === strategy);
+  const imbalance = selectedPlan ? selectedPlan.imbalance : 0;
+
+  const handleApply = () => {
+    onApply(selectedPlan, { ...options, strategy });
+  };
+
+  const renderStrategyOptions = (option) => {
+    if (option === ADJUSTMENT_STRATEGIES.HOST) {
+      return (
+        <View style={styles.chipRow}>
+          {players.map(player => (
+            <TouchableOpacity
+              key={player.id}
+              style={[styles.chip, hostId === player.id && styles.chipSelected]}
+              onPress={() => {
+                setHostId(player.id);
+                setStrategy(option);
+              }}
+            >
+              <Text style={[styles.chipText, hostId === player.id && styles.chipTextSelected]}>
+                {player.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    if (option === ADJUSTMENT_STRATEGIES.LAST_ENTERED) {
+      return (
+        <View style={styles.stepper}>
+          <Text style={styles.stepperLabel}>Players sharing it</Text>
+          <TouchableOpacity
+            onPress={() => setLastEnteredCount(Math.max(1, lastEnteredCount - 1))}
+            accessibilityLabel="Fewer players"
+          >
+            <MaterialIcons name="remove-circle-outline" size={22} color={colors.primary} />
+          </TouchableOpacity>
+          <Text style={styles.stepperValue}>{lastEnteredCount}</Text>
+          <TouchableOpacity
+            onPress={() => setLastEnteredCount(Math.min(players.length || 1, lastEnteredCount + 1))}
+            accessibilityLabel="More players"
+          >
+            <MaterialIcons name="add-circle-outline" size={22} color={colors.primary} />
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Balance the Books</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close balance adjustment">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.helpText}>
+              The balances are {formatMoney(imbalance, currency, { absolute: true })}
+              {imbalance > 0 ? ' over' : ' under'} zero. Choose who absorbs the difference.
+            </Text>
+
+            {plans.map(plan => {
+              const isSelected = plan.strategy === strategy;
+              const changes = Object.entries(plan.adjustments);
+
+              return (
+                <TouchableOpacity
+                  key={plan.strategy}
+                  style={[styles.card, isSelected && styles.cardSelected]}
+                  onPress={() => setStrategy(plan.strategy)}
+                >
+                  <View style={styles.cardHeader}>
+                    <MaterialIcons
+                      name={isSelected ? 'radio-button-checked' : 'radio-button-unchecked'}
+                      size={20}
+                      color={isSelected ? colors.primary : colors.textSecondary}
+                    />
+                    <Text style={styles.cardTitle}>{ADJUSTMENT_STRATEGY_LABELS[plan.strategy]}</Text>
+                  </View>
+
+                  {renderStrategyOptions(plan.strategy)}
+
+                  {plan.feasible ? (
+                    changes.map(([id, change]) => (
+                      <View key={id} style={styles.diffRow}>
+                        <Text style={styles.diffName} numberOfLines={1}>{getName(id)}</Text>
+                        <Text style={styles.diffValues}>
+                          {formatMoney(Math.round(Number(balances[id])) || 0, currency)} → {formatMoney(plan.balances[id], currency)}
+                        </Text>
+                        <Text style={[styles.diffChange, change < 0 ? styles.negative : styles.positive]}>
+                          {formatMoney(change, currency, { showSign: true })}
+                        </Text>
+                      </View>
+                    ))
+                  ) : (
+                    <Text style={styles.problemText}>{describeAdjustmentProblem(plan.reason)}</Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, !(selectedPlan && selectedPlan.feasible) && styles.saveButtonDisabled]}
+                onPress={handleApply}
+                disabled={!(selectedPlan && selectedPlan.feasible)}
+              >
+                <Text style={styles.saveButtonText}>Apply</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    padding: layout.spacing.s,
+    marginBottom: layout.spacing.s,
+  },
+  cardSelected: {
+    borderColor: colors.primary,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  cardTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginLeft: layout.spacing.xs,
+  },
+  diffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 2,
+  },
+  diffName: {
+    flex: 1,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+  },
+  diffValues: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginHorizontal: layout.spacing.s,
+  },
+  diffChange: {
+    width: 80,
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    textAlign: 'right',
+  },
+  positive: {
+    color: colors.positive,
+  },
+  negative: {
+    color: colors.negative,
+  },
+  problemText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: layout.spacing.xs,
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  stepperLabel: {
+    flex: 1,
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+  },
+  stepperValue: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginHorizontal: layout.spacing.s,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default BalanceAdjustmentPreview;
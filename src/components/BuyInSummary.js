@@ -4,15 +4,17 @@ import {
   View,
   Text,
   StyleSheet,
-  TouchableOpacity,
-  Modal
+  TouchableOpacity
 } from 'react-native';
 import { useSelector } from 'react-redux';
+import { selectGameLog } from '../store/selectors';
 import { MaterialIcons } from '@expo/vector-icons';
+import { formatMoney, sumMoney } from '../utils/money';
+import { getTransactionValue } from '../utils/exchangeRates';
 
 const BuyInSummary = ({ navigation }) => {
-  const { players } = useSelector(state => state.players);
-  const { sessionId, gameLog } = useSelector(state => state.settlements);
+  const { currency } = useSelector(state => state.settlements);
+  const gameLog = useSelector(selectGameLog);
   
   // Calculate buy-in statistics
   const getBuyInStats = () => {
@@ -28,7 +30,8 @@ const BuyInSummary = ({ navigation }) => {
       };
     }
     
-    const totalAmount = buyIns.reduce((sum, transaction) => sum + transaction.amount, 0);
+    // Totalled in the settlement currency, whatever each buy-in was paid in
+    const totalAmount = sumMoney(buyIns.map(getTransactionValue));
     const uniquePlayers = new Set(buyIns.map(transaction => transaction.playerId));
     
     return {
@@ -61,7 +64,7 @@ const BuyInSummary = ({ navigation }) => {
         </View>
         
         <View style={styles.statItem}>
-          <Text style={styles.statValue}>${stats.totalAmount.toFixed(0)}</Text>
+          <Text style={styles.statValue}>{formatMoney(stats.totalAmount, currency, { wholeUnits: true })}</Text>
           <Text style={styles.statLabel}>Total Amount</Text>
         </View>
         
@@ -71,7 +74,7 @@ const BuyInSummary = ({ navigation }) => {
         </View>
         
         <View style={styles.statItem}>
-          <Text style={styles.statValue}>${stats.averageAmount.toFixed(0)}</Text>
+          <Text style={styles.statValue}>{formatMoney(stats.averageAmount, currency, { wholeUnits: true })}</Text>
           <Text style={styles.statLabel}>Avg. Buy-in</Text>
         </View>
       </View>
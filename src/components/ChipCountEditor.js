@@ -0,0 +1,422 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import {
+  DEFAULT_CHIP_SET,
+  DISCREPANCY_RESOLUTIONS,
+  moneyToChips,
+  resolveChipCounts,
+} from '../utils/chips';
+
+const RESOLUTION_LABELS = {
+  [DISCREPANCY_RESOLUTIONS.PROPORTIONAL]: 'Split proportionally',
+  [DISCREPANCY_RESOLUTIONS.HOST]: 'Charge the host',
+};
+
+/**
+ * ChipCountEditor Component
+ *
+ * Modal for entering each player's final chip count by denomination at the
+ * end of a game. Shows the cash-out each count is worth, flags a count that
+ * doesn't match the chips issued and lets the user pick how to resolve it.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Array} players - Array of player objects in the game
+ * @param {Object} chipSet - Chip set the game plays with
+ * @param {number} inPlay - Money on the table that the chips represent
+ * @param {string} currency - ISO currency code of the game
+ * @param {Function} onSave - Called with { counts, resolution, hostId }
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const ChipCountEditor = ({
+  visible,
+  players = [],
+  chipSet = DEFAULT_CHIP_SET,
+  inPlay = 0,
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [counts, setCounts] = useState({});
+  const [resolution, setResolution] = useState(DISCREPANCY_RESOLUTIONS.PROPORTIONAL);
+  const [hostId, setHostId] = useState(null);
+
+  // Start from an empty count every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      const emptyCounts = {};
+      players.forEach(player => {
+        emptyCounts[player.id] = {};
+      });
+      setCounts(emptyCounts);
+      setResolution(DISCREPANCY_RESOLUTIONS.PROPORTIONAL);
+      setHostId(players.length > 0 ? players[0].id : null);
+    }
+  }, [visible, players]);
+
+  const result = resolveChipCounts({ counts, chipSet, inPlay, resolution, hostId, currency });
+  const hasDiscrepancy = result.discrepancy !== 0;
+  const canSave = result.totalCounted > 0 || inPlay === 0;
+
+  const handleCountChange = (playerId, denominationId, value) => {
+    if (value === '' || /^\d*$/.test(value)) {
+      setCounts({
+        ...counts,
+        [playerId]: { ...counts[playerId], [denominationId]: value },
+      });
+    }
+  };
+
+  const handleSave = () => {
+    onSave({ counts, resolution, hostId });
+  };
+
+  const issuedChips = moneyToChips(inPlay, chipSet, currency);
+  const countedChips = Object.values(result.chips).reduce((total, chips) => total + chips, 0);
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Count Chips</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close chip count">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.helpText}>
+              Enter how many chips of each color every player has left.
+            </Text>
+
+            {players.map(player => (
+              <View key={player.id} style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <Text style={styles.playerName}>{player.name}</Text>
+                  <Text style={styles.cashOut}>
+                    {result.chips[player.id] || 0} chips · {formatMoney(result.cashOuts[player.id] || 0, currency)}
+                  </Text>
+                </View>
+                <View style={styles.denominations}>
+                  {chipSet.denominations.map(denomination => (
+                    <View key={denomination.id} style={styles.denomination}>
+                      <View style={styles.denominationLabel}>
+                        <View style={[styles.chipSwatch, { backgroundColor: denomination.color }]} />
+                        <Text style={styles.denominationText}>{denomination.value}</Text>
+                      </View>
+                      <TextInput
+                        style={styles.countInput}
+                        keyboardType="number-pad"
+                        value={(counts[player.id] && counts[player.id][denomination.id]) || ''}
+                        onChangeText={value => handleCountChange(player.id, denomination.id, value)}
+                        placeholder="0"
+                        accessibilityLabel={`${player.name} ${denomination.label || denomination.value} chips`}
+                      />
+                    </View>
+                  ))}
+                </View>
+              </View>
+            ))}
+
+            <View style={styles.totals}>
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>Chips issued</Text>
+                <Text style={styles.totalValue}>{issuedChips} · {formatMoney(inPlay, currency)}</Text>
+              </View>
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>Chips counted</Text>
+                <Text style={styles.totalValue}>{countedChips} · {formatMoney(result.totalCounted, currency)}</Text>
+              </View>
+            </View>
+
+            {hasDiscrepancy && (
+              <View style={styles.warning}>
+                <View style={styles.warningHeader}>
+                  <MaterialIcons name="warning" size={18} color={colors.warning} />
+                  <Text style={styles.warningText}>
+                    The count is {formatMoney(result.discrepancy, currency, { absolute: true })}
+                    {result.discrepancy > 0 ? ' over' : ' short of'} what was bought in.
+                  </Text>
+                </View>
+
+                <View style={styles.chipRow}>
+                  {Object.values(DISCREPANCY_RESOLUTIONS).map(option => (
+                    <TouchableOpacity
+                      key={option}
+                      style={[styles.chip, resolution === option && styles.chipSelected]}
+                      onPress={() => setResolution(option)}
+                    >
+                      <Text style={[styles.chipText, resolution === option && styles.chipTextSelected]}>
+                        {RESOLUTION_LABELS[option]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {resolution === DISCREPANCY_RESOLUTIONS.HOST && (
+                  <>
+                    <Text style={styles.pickerLabel}>Host</Text>
+                    <View style={styles.chipRow}>
+                      {players.map(player => (
+                        <TouchableOpacity
+                          key={player.id}
+                          style={[styles.chip, hostId === player.id && styles.chipSelected]}
+                          onPress={() => setHostId(player.id)}
+                        >
+                          <Text style={[styles.chipText, hostId === player.id && styles.chipTextSelected]}>
+                            {player.name}
+                          </Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
+                  </>
+                )}
+
+                <Text style={styles.helpText}>
+                  {resolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL
+                    ? 'Every cash-out is scaled so they add up to what was bought in.'
+                    : `Cash-outs follow the count and the host ${result.discrepancy > 0 ? 'pays' : 'keeps'} the difference.`}
+                </Text>
+              </View>
+            )}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={!canSave}
+              >
+                <Text style={styles.saveButtonText}>Cash Out & End Game</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    padding: layout.spacing.s,
+    marginBottom: layout.spacing.s,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  playerName: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  cashOut: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.primary,
+  },
+  denominations: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  denomination: {
+    alignItems: 'center',
+    marginRight: layout.spacing.s,
+    marginBottom: layout.spacing.xs,
+  },
+  denominationLabel: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  chipSwatch: {
+    width: 14,
+    height: 14,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+  },
+  denominationText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+  },
+  countInput: {
+    width: 56,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  totals: {
+    marginTop: layout.spacing.s,
+    paddingTop: layout.spacing.s,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: layout.spacing.xs,
+  },
+  totalLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  totalValue: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  warning: {
+    marginTop: layout.spacing.s,
+    padding: layout.spacing.s,
+    borderRadius: layout.borderRadius.s,
+    backgroundColor: colors.highlightBackground,
+    borderWidth: 1,
+    borderColor: colors.highlightBorder,
+  },
+  warningHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.s,
+  },
+  warningText: {
+    flex: 1,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    marginLeft: layout.spacing.xs,
+  },
+  pickerLabel: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: colors.card,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default ChipCountEditor;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, toMinorUnits } from '../utils/money';
+import { DEFAULT_CHIP_SET, chipsToMoney } from '../utils/chips';
+
+// Colors offered for new denominations
+const CHIP_COLORS = ['#ECF0F1', '#E74C3C', '#3498DB', '#2ECC71', '#2C3E50', '#9B59B6', '#F39C12'];
+
+// Chip set -> editable text fields
+const toDraft = (chipSet) => ({
+  chipsPerUnit: String(chipSet.chipsPerUnit),
+  denominations: chipSet.denominations.map(denomination => ({
+    ...denomination,
+    value: String(denomination.value),
+  })),
+});
+
+// Editable text fields -> chip set, dropping denominations without a value
+const fromDraft = (draft) => ({
+  chipsPerUnit: parseFloat(draft.chipsPerUnit) || 1,
+  denominations: draft.denominations
+    .map(denomination => ({ ...denomination, value: parseInt(denomination.value, 10) || 0 }))
+    .filter(denomination => denomination.value > 0)
+    .sort((a, b) => a.value - b.value),
+});
+
+/**
+ * ChipSetEditor Component
+ *
+ * Modal for setting up the chip denominations a game plays with and how many
+ * chips one unit of currency buys.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Object} chipSet - Current chip set { chipsPerUnit, denominations }
+ * @param {string} currency - ISO currency code of the game
+ * @param {Function} onSave - Called with the edited chip set
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const ChipSetEditor = ({
+  visible,
+  chipSet = DEFAULT_CHIP_SET,
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState(toDraft(chipSet));
+
+  // Start from the saved chip set every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      setDraft(toDraft(chipSet));
+    }
+  }, [visible, chipSet]);
+
+  const preview = fromDraft(draft);
+
+  const updateDenomination = (id, changes) => {
+    setDraft({
+      ...draft,
+      denominations: draft.denominations.map(denomination =>
+        denomination.id === id ? { ...denomination, ...changes } : denomination
+      ),
+    });
+  };
+
+  const handleNumberChange = (value, apply, allowDecimal) => {
+    const pattern = allowDecimal ? /^\d*\.?\d*$/ : /^\d*$/;
+    if (value === '' || pattern.test(value)) {
+      apply(value);
+    }
+  };
+
+  const handleAdd = () => {
+    setDraft({
+      ...draft,
+      denominations: [
+        ...draft.denominations,
+        {
+          id: `${Date.now()}-${draft.denominations.length}`,
+          label: '',
+          value: '',
+          color: CHIP_COLORS[draft.denominations.length % CHIP_COLORS.length],
+        },
+      ],
+    });
+  };
+
+  const handleRemove = (id) => {
+    setDraft({
+      ...draft,
+      denominations: draft.denominations.filter(denomination => denomination.id !== id),
+    });
+  };
+
+  const handleSave = () => {
+    onSave(preview.denominations.length > 0 ? preview : DEFAULT_CHIP_SET);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Chip Set</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close chip set">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <View style={styles.fieldRow}>
+              <Text style={styles.fieldLabel}>Chips per {formatMoney(toMinorUnits(1, currency), currency)}</Text>
+              <TextInput
+                style={styles.fieldInput}
+                keyboardType="decimal-pad"
+                value={draft.chipsPerUnit}
+                onChangeText={value => handleNumberChange(value, chipsPerUnit => setDraft({ ...draft, chipsPerUnit }), true)}
+                placeholder="1"
+              />
+            </View>
+
+            <Text style={styles.sectionTitle}>Denominations</Text>
+            {draft.denominations.map(denomination => (
+              <View key={denomination.id} style={styles.denominationRow}>
+                <View style={[styles.chipSwatch, { backgroundColor: denomination.color }]} />
+                <TextInput
+                  style={styles.labelInput}
+                  value={denomination.label}
+                  onChangeText={label => updateDenomination(denomination.id, { label })}
+                  placeholder="Label"
+                />
+                <TextInput
+                  style={styles.fieldInput}
+                  keyboardType="number-pad"
+                  value={denomination.value}
+                  onChangeText={value => handleNumberChange(value, text => updateDenomination(denomination.id, { value: text }), false)}
+                  placeholder="Chips"
+                />
+                <Text style={styles.worth}>
+                  {formatMoney(chipsToMoney(parseInt(denomination.value, 10) || 0, preview, currency), currency)}
+                </Text>
+                <TouchableOpacity onPress={() => handleRemove(denomination.id)} accessibilityLabel="Remove denomination">
+                  <MaterialIcons name="remove-circle-outline" size={22} color={colors.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <TouchableOpacity style={styles.addButton} onPress={handleAdd}>
+              <MaterialIcons name="add" size={18} color={colors.primary} />
+              <Text style={styles.addButtonText}>Add Denomination</Text>
+            </TouchableOpacity>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.clearButton} onPress={() => setDraft(toDraft(DEFAULT_CHIP_SET))}>
+              <Text style={styles.clearButtonText}>Use Default</Text>
+            </TouchableOpacity>
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.footerButton, styles.saveButton]} onPress={handleSave}>
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  fieldInput: {
+    width: 80,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'right',
+  },
+  denominationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  chipSwatch: {
+    width: 20,
+    height: 20,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.s,
+  },
+  labelInput: {
+    flex: 1,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    paddingVertical: layout.spacing.xs,
+    marginRight: layout.spacing.s,
+  },
+  worth: {
+    width: 70,
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    textAlign: 'right',
+    marginHorizontal: layout.spacing.s,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.s,
+  },
+  addButtonText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.primary,
+    fontWeight: layout.fontWeights.medium,
+    marginLeft: layout.spacing.xs,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  clearButton: {
+    paddingVertical: layout.spacing.s,
+  },
+  clearButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default ChipSetEditor;
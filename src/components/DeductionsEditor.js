@@ -0,0 +1,390 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, formatMoneyInput, parseMoney } from '../utils/money';
+import {
+  DEDUCTION_LABELS,
+  DEDUCTION_TYPES,
+  HOUSE_ID,
+  HOUSE_NAME,
+  applyDeductions,
+} from '../utils/deductions';
+
+// Inputs each deduction type needs, in the order they are shown
+const TYPE_FIELDS = {
+  [DEDUCTION_TYPES.POT_PERCENT]: [
+    { key: 'percent', label: 'Percent of pot', money: false },
+    { key: 'cap', label: 'Cap (blank for none)', money: true },
+  ],
+  [DEDUCTION_TYPES.PER_PLAYER]: [
+    { key: 'amount', label: 'Amount per player', money: true },
+  ],
+  [DEDUCTION_TYPES.HOURLY]: [
+    { key: 'rate', label: 'Rate per hour', money: true },
+    { key: 'hours', label: 'Hours played', money: false },
+  ],
+  [DEDUCTION_TYPES.WINNER_TIP]: [
+    { key: 'amount', label: 'Tip pool', money: true },
+  ],
+};
+
+// Deduction config -> editable text fields
+const toDraft = (deduction, currency) => {
+  const draft = { ...deduction, inputs: {} };
+  TYPE_FIELDS[deduction.type].forEach(field => {
+    const value = deduction[field.key];
+    draft.inputs[field.key] = value
+      ? (field.money ? formatMoneyInput(value, currency) : String(value))
+      : '';
+  });
+  return draft;
+};
+
+// Editable text fields -> deduction config
+const fromDraft = (draft, currency) => {
+  const { inputs, ...deduction } = draft;
+  TYPE_FIELDS[draft.type].forEach(field => {
+    const text = inputs[field.key];
+    deduction[field.key] = field.money
+      ? parseMoney(text, currency) || 0
+      : parseFloat(text) || 0;
+  });
+  return deduction;
+};
+
+/**
+ * DeductionsEditor Component
+ *
+ * Modal for setting up the rake, fees and tips taken off the table before a
+ * game is settled, with a preview of what each one collects.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Array} players - Array of player objects in the game
+ * @param {Object} balances - { playerId: amount } used for the preview
+ * @param {Array} deductions - Current deductions
+ * @param {string} currency - ISO currency code amounts are stored in
+ * @param {Function} onSave - Called with the edited deductions
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const DeductionsEditor = ({
+  visible,
+  players = [],
+  balances = {},
+  deductions = [],
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [drafts, setDrafts] = useState([]);
+
+  // Start from the saved deductions every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      setDrafts(deductions.map(deduction => toDraft(deduction, currency)));
+    }
+  }, [visible, deductions, currency]);
+
+  const preview = applyDeductions(balances, drafts.map(draft => fromDraft(draft, currency)));
+
+  const updateDraft = (id, changes) => {
+    setDrafts(drafts.map(draft => (draft.id === id ? { ...draft, ...changes } : draft)));
+  };
+
+  const handleInputChange = (draft, field, value) => {
+    if (value === '' || /^\d*\.?\d*$/.test(value)) {
+      updateDraft(draft.id, { inputs: { ...draft.inputs, [field.key]: value } });
+    }
+  };
+
+  const handleAdd = (type) => {
+    setDrafts([
+      ...drafts,
+      toDraft({
+        id: `${Date.now()}-${drafts.length}`,
+        type,
+        label: DEDUCTION_LABELS[type],
+        payee: HOUSE_ID,
+      }, currency),
+    ]);
+  };
+
+  const handleRemove = (id) => {
+    setDrafts(drafts.filter(draft => draft.id !== id));
+  };
+
+  const handleSave = () => {
+    onSave(drafts.map(draft => fromDraft(draft, currency)));
+  };
+
+  const payees = [{ id: HOUSE_ID, name: HOUSE_NAME }, ...players];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Rake, Fees & Tips</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close deductions">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {drafts.length === 0 && (
+              <Text style={styles.helpText}>
+                Nothing is taken off the table. Add a deduction below.
+              </Text>
+            )}
+
+            {drafts.map(draft => (
+              <View key={draft.id} style={styles.card}>
+                <View style={styles.cardHeader}>
+                  <TextInput
+                    style={styles.labelInput}
+                    value={draft.label}
+                    onChangeText={label => updateDraft(draft.id, { label })}
+                    placeholder={DEDUCTION_LABELS[draft.type]}
+                  />
+                  <Text style={styles.collected}>
+                    {formatMoney(preview.totals[draft.id] || 0, currency)}
+                  </Text>
+                  <TouchableOpacity onPress={() => handleRemove(draft.id)} accessibilityLabel="Remove deduction">
+                    <MaterialIcons name="remove-circle-outline" size={22} color={colors.error} />
+                  </TouchableOpacity>
+                </View>
+
+                {TYPE_FIELDS[draft.type].map(field => (
+                  <View key={field.key} style={styles.fieldRow}>
+                    <Text style={styles.fieldLabel}>{field.label}</Text>
+                    <TextInput
+                      style={styles.fieldInput}
+                      keyboardType="decimal-pad"
+                      value={draft.inputs[field.key]}
+                      onChangeText={value => handleInputChange(draft, field, value)}
+                      placeholder="0"
+                    />
+                  </View>
+                ))}
+
+                <Text style={styles.pickerLabel}>Paid to</Text>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+                  {payees.map(payee => (
+                    <TouchableOpacity
+                      key={payee.id}
+                      style={[styles.chip, draft.payee === payee.id && styles.chipSelected]}
+                      onPress={() => updateDraft(draft.id, { payee: payee.id })}
+                    >
+                      <Text style={[styles.chipText, draft.payee === payee.id && styles.chipTextSelected]}>
+                        {payee.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+              </View>
+            ))}
+
+            <Text style={styles.sectionTitle}>Add Deduction</Text>
+            <View style={styles.typeChips}>
+              {Object.values(DEDUCTION_TYPES).map(type => (
+                <TouchableOpacity key={type} style={styles.chip} onPress={() => handleAdd(type)}>
+                  <Text style={styles.chipText}>+ {DEDUCTION_LABELS[type]}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.clearButton} onPress={() => setDrafts([])}>
+              <Text style={styles.clearButtonText}>Clear All</Text>
+            </TouchableOpacity>
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.footerButton, styles.saveButton]} onPress={handleSave}>
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    padding: layout.spacing.s,
+    marginBottom: layout.spacing.s,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  labelInput: {
+    flex: 1,
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    paddingVertical: layout.spacing.xs,
+  },
+  collected: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.primary,
+    marginHorizontal: layout.spacing.s,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  fieldInput: {
+    width: 100,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'right',
+  },
+  pickerLabel: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.s,
+    marginBottom: layout.spacing.xs,
+  },
+  chipRow: {
+    flexGrow: 0,
+  },
+  typeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  clearButton: {
+    paddingVertical: layout.spacing.s,
+  },
+  clearButtonText: {
+    color: colors.error,
+    fontWeight: layout.fontWeights.medium,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default DeductionsEditor;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/money';
+import { getMissingRates, rebaseExchangeRates } from '../utils/exchangeRates';
+
+// Rate table -> editable text fields
+const toDraft = (rates) => {
+  const draft = {};
+  Object.entries(rates || {}).forEach(([code, rate]) => {
+    draft[code] = String(rate);
+  });
+  return draft;
+};
+
+// Editable text fields -> rate table, dropping blanks and zeroes
+const fromDraft = (draft, currency) => {
+  const rates = {};
+  Object.entries(draft).forEach(([code, value]) => {
+    const rate = parseFloat(value);
+    if (code !== currency && rate > 0) rates[code] = rate;
+  });
+  return rates;
+};
+
+/**
+ * ExchangeRatesEditor Component
+ *
+ * Modal for choosing the currency a session settles in and typing in what
+ * one unit of every other currency is worth in it. Every currency money has
+ * already changed hands in needs a rate before the editor can be saved.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {string} currency - Current settlement currency
+ * @param {Object} rates - Current rate table { code: rate }
+ * @param {Array<string>} currenciesInUse - Currencies used by games and transactions so far
+ * @param {Function} onSave - Called with { currency, rates }
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const ExchangeRatesEditor = ({
+  visible,
+  currency = DEFAULT_CURRENCY,
+  rates = {},
+  currenciesInUse = [],
+  onSave,
+  onClose,
+}) => {
+  const [settlementCurrency, setSettlementCurrency] = useState(currency);
+  const [draft, setDraft] = useState(toDraft(rates));
+
+  // Start from the saved rates every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      setSettlementCurrency(currency);
+      setDraft(toDraft(rates));
+    }
+  }, [visible, currency, rates]);
+
+  const draftRates = fromDraft(draft, settlementCurrency);
+  const missing = getMissingRates(currenciesInUse, settlementCurrency, draftRates);
+
+  const handleCurrencyChange = (code) => {
+    if (code === settlementCurrency) return;
+    // Carry the rates over when the new currency already has one
+    const rebased = rebaseExchangeRates(draftRates, settlementCurrency, code);
+    if (rebased) setDraft(toDraft(rebased));
+    setSettlementCurrency(code);
+  };
+
+  const handleRateChange = (code, value) => {
+    if (value === '' || /^\d*\.?\d*$/.test(value)) {
+      setDraft({ ...draft, [code]: value });
+    }
+  };
+
+  const handleSave = () => {
+    onSave({ currency: settlementCurrency, rates: draftRates });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Currencies</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close currencies">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle}>Settle in</Text>
+            <View style={styles.chipRow}>
+              {Object.keys(CURRENCIES).map(code => (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.chip, settlementCurrency === code && styles.chipSelected]}
+                  onPress={() => handleCurrencyChange(code)}
+                >
+                  <Text style={[styles.chipText, settlementCurrency === code && styles.chipTextSelected]}>
+                    {code}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionTitle}>Exchange rates</Text>
+            <Text style={styles.helpText}>
+              Leave a rate blank if nobody plays in that currency.
+            </Text>
+            {Object.keys(CURRENCIES)
+              .filter(code => code !== settlementCurrency)
+              .map(code => (
+                <View key={code} style={styles.fieldRow}>
+                  <Text style={[styles.fieldLabel, missing.includes(code) && styles.missingLabel]}>
+                    1 {code} =
+                  </Text>
+                  <View style={styles.fieldValue}>
+                    <TextInput
+                      style={styles.fieldInput}
+                      keyboardType="decimal-pad"
+                      value={draft[code] || ''}
+                      onChangeText={value => handleRateChange(code, value)}
+                      placeholder="-"
+                    />
+                    <Text style={styles.fieldUnit}>{settlementCurrency}</Text>
+                  </View>
+                </View>
+              ))}
+
+            {missing.length > 0 && (
+              <Text style={styles.problemText}>
+                Money has changed hands in {missing.join(', ')}. Enter {missing.length === 1 ? 'its rate' : 'their rates'} to settle in {settlementCurrency}.
+              </Text>
+            )}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, missing.length > 0 && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={missing.length > 0}
+              >
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  missingLabel: {
+    color: colors.error,
+    fontWeight: layout.fontWeights.semibold,
+  },
+  fieldValue: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  fieldInput: {
+    width: 100,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'right',
+  },
+  fieldUnit: {
+    width: 40,
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginLeft: layout.spacing.s,
+  },
+  problemText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.error,
+    marginTop: layout.spacing.s,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default ExchangeRatesEditor;
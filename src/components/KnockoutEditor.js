@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import { BOUNTY_TYPES, BOUNTY_TYPE_LABELS, isTournament } from '../utils/tournaments';
+import { calculateKnockout, getBountyOnHead } from '../utils/knockouts';
+
+/**
+ * KnockoutEditor Component
+ *
+ * Modal for recording a knockout as it happens: who went out and who put
+ * them out. In a bounty tournament it shows what's on each head and what
+ * the knockout pays before it's recorded.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Object} game - Game the knockout happened in
+ * @param {Array} players - Players in the game as { id, name }
+ * @param {Array} transactions - Game log transactions
+ * @param {string} currency - ISO currency code of the game
+ * @param {Function} onSave - Called with { eliminatorId, eliminatedId }
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const KnockoutEditor = ({
+  visible,
+  game,
+  players = [],
+  transactions = [],
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [eliminatedId, setEliminatedId] = useState(null);
+  const [eliminatorId, setEliminatorId] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setEliminatedId(null);
+      setEliminatorId(null);
+    }
+  }, [visible]);
+
+  if (!game) return null;
+
+  const format = amount => formatMoney(amount, currency);
+  const tournament = isTournament(game) ? game.tournament : null;
+  const hasBounty = !!tournament && tournament.bounty > 0;
+  const knockout = eliminatedId ? calculateKnockout(game, transactions, eliminatedId) : null;
+  const canSave = !!eliminatedId && !!eliminatorId && eliminatedId !== eliminatorId;
+
+  const renderPlayerChips = (selectedId, onSelect, excludeId) => (
+    <View style={styles.chipRow}>
+      {players.filter(player => player.id !== excludeId).map(player => (
+        <TouchableOpacity
+          key={player.id}
+          style={[styles.chip, selectedId === player.id && styles.chipSelected]}
+          onPress={() => onSelect(player.id)}
+        >
+          <Text style={[styles.chipText, selectedId === player.id && styles.chipTextSelected]}>
+            {player.name}
+            {hasBounty && tournament.bountyType === BOUNTY_TYPES.PROGRESSIVE
+              ? ` · ${format(getBountyOnHead(game, transactions, player.id))}`
+              : ''}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Record Knockout</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close knockout editor">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            {hasBounty && (
+              <Text style={styles.helpText}>
+                {BOUNTY_TYPE_LABELS[tournament.bountyType || BOUNTY_TYPES.FIXED]} bounty of {format(tournament.bounty)}
+                {tournament.bountyType === BOUNTY_TYPES.PROGRESSIVE
+                  ? '; half of each bounty is paid and half goes onto the eliminator\'s head.'
+                  : ' on every player.'}
+              </Text>
+            )}
+
+            <Text style={styles.sectionTitle}>Knocked out</Text>
+            {renderPlayerChips(eliminatedId, setEliminatedId, null)}
+
+            <Text style={styles.sectionTitle}>By</Text>
+            {renderPlayerChips(eliminatorId, setEliminatorId, eliminatedId)}
+
+            {knockout && hasBounty && (
+              <>
+                <View style={styles.fieldRow}>
+                  <Text style={styles.fieldLabel}>Bounty paid</Text>
+                  <Text style={styles.fieldAmount}>{format(knockout.bounty)}</Text>
+                </View>
+                {knockout.headIncrease > 0 && (
+                  <View style={styles.fieldRow}>
+                    <Text style={styles.fieldLabel}>Added to their own bounty</Text>
+                    <Text style={styles.fieldAmount}>{format(knockout.headIncrease)}</Text>
+                  </View>
+                )}
+              </>
+            )}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                onPress={() => onSave({ eliminatorId, eliminatedId })}
+                disabled={!canSave}
+              >
+                <Text style={styles.saveButtonText}>Record</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+    marginTop: layout.spacing.s,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  fieldAmount: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default KnockoutEditor;
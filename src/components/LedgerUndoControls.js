@@ -0,0 +1,63 @@
+import React from 'react';
+import {
+  View,
+  StyleSheet,
+  TouchableOpacity
+} from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import { undoLedgerChange, redoLedgerChange } from '../store/settlementSlice';
+import { canUndo, canRedo, getUndoLabel, getRedoLabel } from '../utils/ledgerHistory';
+
+/**
+ * LedgerUndoControls Component
+ *
+ * Undo and redo buttons for changes to the game ledger - recorded, edited
+ * and deleted transactions, added players, started and ended games. The
+ * history survives restarts, see utils/ledgerHistory.
+ *
+ * @param {string} color - Icon color when the button can be pressed
+ * @param {string} disabledColor - Icon color when there's nothing to undo or redo
+ */
+const LedgerUndoControls = ({ color = 'white', disabledColor = 'rgba(255, 255, 255, 0.35)' }) => {
+  const dispatch = useDispatch();
+  const { ledgerHistory } = useSelector(state => state.settlements);
+
+  const undoable = canUndo(ledgerHistory);
+  const redoable = canRedo(ledgerHistory);
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => dispatch(undoLedgerChange())}
+        disabled={!undoable}
+        accessibilityLabel={undoable ? `Undo ${getUndoLabel(ledgerHistory)}` : 'Nothing to undo'}
+      >
+        <MaterialIcons name="undo" size={22} color={undoable ? color : disabledColor} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => dispatch(redoLedgerChange())}
+        disabled={!redoable}
+        accessibilityLabel={redoable ? `Redo ${getRedoLabel(ledgerHistory)}` : 'Nothing to redo'}
+      >
+        <MaterialIcons name="redo" size={22} color={redoable ? color : disabledColor} />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  button: {
+    padding: 5,
+    marginLeft: 5,
+  },
+});
+
+export default LedgerUndoControls;
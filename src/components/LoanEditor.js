@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Switch,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, formatMoneyInput, parseMoney } from '../utils/money';
+import {
+  ENTRY_TYPES,
+  ENTRY_TYPE_LABELS,
+  getAvailableEntryTypes,
+  getEntryAmount,
+  isTournament
+} from '../utils/tournaments';
+
+/**
+ * LoanEditor Component
+ *
+ * Modal for recording or changing a loan between players: one player pays
+ * for another's buy-in and is owed it back. The loan counts as the
+ * borrower's buy-in; the settlement plan repays it to the lender before
+ * anything else, unless it's carried forward to be paid later.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Object} loan - Loan transaction being edited, or null for a new loan
+ * @param {Object} game - Game the loan is for, or null for one made outside a game
+ * @param {Array} players - Players who can borrow or lend as { id, name }
+ * @param {string} currency - ISO currency code of the game
+ * @param {Function} onSave - Called with { borrowerId, lenderId, amount, entryType, carryForward }
+ * @param {Function} onDelete - Called to delete the loan being edited
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const LoanEditor = ({
+  visible,
+  loan = null,
+  game,
+  players = [],
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onDelete,
+  onClose,
+}) => {
+  const [borrowerId, setBorrowerId] = useState(null);
+  const [lenderId, setLenderId] = useState(null);
+  const [amountInput, setAmountInput] = useState('');
+  const [entryType, setEntryType] = useState(ENTRY_TYPES.REBUY);
+  const [carryForward, setCarryForward] = useState(false);
+
+  const tournament = isTournament(game) ? game.tournament : null;
+  // An existing loan keeps the currency it was made in
+  const loanCurrency = (loan && loan.currency) || currency;
+
+  useEffect(() => {
+    if (!visible) return;
+    setBorrowerId(loan ? loan.playerId : null);
+    setLenderId(loan ? loan.lenderId : null);
+    setAmountInput(loan
+      ? formatMoneyInput(loan.amount, loanCurrency)
+      : game && game.buyIn > 0 ? formatMoneyInput(game.buyIn, currency) : '');
+    setCarryForward(loan ? !!loan.carryForward : false);
+    if (tournament) {
+      const available = getAvailableEntryTypes(tournament);
+      setEntryType(available.includes(ENTRY_TYPES.REBUY) ? ENTRY_TYPES.REBUY : available[0]);
+    }
+  }, [visible, loan]);
+
+  // Tournament entries cost what the structure says, so only cash loans take an amount
+  const fixedAmount = tournament
+    ? (loan ? (loan.entryType ? loan.amount : null) : getEntryAmount(tournament, entryType))
+    : null;
+  const amount = fixedAmount !== null ? fixedAmount : parseMoney(amountInput, loanCurrency);
+  const canSave = !!borrowerId && !!lenderId && borrowerId !== lenderId && amount !== null && amount > 0;
+
+  const renderPlayerChips = (selectedId, onSelect, excludeId) => (
+    <View style={styles.chipRow}>
+      {players.filter(player => player.id !== excludeId).map(player => (
+        <TouchableOpacity
+          key={player.id}
+          style={[styles.chip, selectedId === player.id && styles.chipSelected]}
+          onPress={() => onSelect(player.id)}
+        >
+          <Text style={[styles.chipText, selectedId === player.id && styles.chipTextSelected]}>
+            {player.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const getName = (playerId) => (players.find(player => player.id === playerId) || {}).name || 'Unknown Player';
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{loan ? 'Edit Loan' : 'Record Loan'}</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close loan editor">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.helpText}>
+              The loan counts as the borrower's buy-in and is paid back to the lender before the rest of the settlement.
+            </Text>
+
+            <Text style={styles.sectionTitle}>Borrower</Text>
+            {loan ? (
+              <Text style={styles.fieldValue}>{getName(borrowerId)}</Text>
+            ) : (
+              renderPlayerChips(borrowerId, (id) => {
+                setBorrowerId(id);
+                if (id === lenderId) setLenderId(null);
+              }, null)
+            )}
+
+            <Text style={styles.sectionTitle}>Lent by</Text>
+            {renderPlayerChips(lenderId, setLenderId, borrowerId)}
+
+            <Text style={styles.sectionTitle}>Amount</Text>
+            {tournament && !loan && (
+              <View style={styles.chipRow}>
+                {getAvailableEntryTypes(tournament).map(type => (
+                  <TouchableOpacity
+                    key={type}
+                    style={[styles.chip, entryType === type && styles.chipSelected]}
+                    onPress={() => setEntryType(type)}
+                  >
+                    <Text style={[styles.chipText, entryType === type && styles.chipTextSelected]}>
+                      {ENTRY_TYPE_LABELS[type]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+            {fixedAmount !== null ? (
+              <Text style={styles.fieldValue}>{formatMoney(fixedAmount, loanCurrency)}</Text>
+            ) : (
+              <TextInput
+                style={styles.input}
+                value={amountInput}
+                onChangeText={setAmountInput}
+                keyboardType="decimal-pad"
+                placeholder={`Amount in ${loanCurrency}`}
+                placeholderTextColor={colors.textSecondary}
+              />
+            )}
+
+            <View style={styles.switchRow}>
+              <View style={styles.switchLabel}>
+                <Text style={styles.fieldLabel}>Carry forward</Text>
+                <Text style={styles.helpText}>Leave it owing instead of repaying it tonight</Text>
+              </View>
+              <Switch
+                value={carryForward}
+                onValueChange={setCarryForward}
+                trackColor={{ false: colors.border, true: colors.primary }}
+              />
+            </View>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            {loan && onDelete ? (
+              <TouchableOpacity onPress={onDelete} accessibilityLabel="Delete loan">
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            ) : (
+              <View />
+            )}
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, !canSave && styles.saveButtonDisabled]}
+                onPress={() => onSave({
+                  borrowerId,
+                  lenderId,
+                  amount,
+                  entryType: tournament && !loan ? entryType : null,
+                  carryForward
+                })}
+                disabled={!canSave}
+              >
+                <Text style={styles.saveButtonText}>{loan ? 'Save' : 'Record'}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  fieldValue: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.m,
+    color: colors.text,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.xs,
+    paddingHorizontal: layout.spacing.s,
+    paddingVertical: layout.spacing.xs,
+    fontSize: layout.fontSizes.m,
+    color: colors.text,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: layout.spacing.l,
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: layout.spacing.s,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  deleteText: {
+    color: colors.error,
+    fontWeight: layout.fontWeights.medium,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default LoanEditor;
@@ -4,14 +4,14 @@ import {
   Text,
   StyleSheet,
   TouchableOpacity,
-  Animated,
-  Platform
+  Animated
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
 import { Swipeable } from 'react-native-gesture-handler';
 
 import colors from '../constants/colors';
 import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
 
 /**
  * PlayerItem Component
@@ -26,10 +26,11 @@ import layout from '../constants/layout';
  * @param {Function} onDelete - Function to call when delete action is triggered
  * @param {boolean} isSelected - Whether the item is in selected state
  * @param {boolean} showBalance - Whether to display the player's balance
- * @param {number|string} balance - The player's balance value
+ * @param {number} balance - The player's balance in minor units
  * @param {boolean} showCheckbox - Whether to show selection checkbox
  * @param {boolean} disableSwipe - Whether to disable swipe actions
  * @param {string} variant - Display variant ('default', 'compact', 'detail')
+ * @param {string} currency - ISO currency code the balance is stored in
  */
 const PlayerItem = ({
   player,
@@ -43,6 +44,7 @@ const PlayerItem = ({
   showCheckbox = false,
   disableSwipe = false,
   variant = 'default',
+  currency = DEFAULT_CURRENCY,
 }) => {
   // Create a reference to the swipeable component
   const swipeableRef = React.useRef(null);
@@ -65,12 +67,10 @@ const PlayerItem = ({
 
   // Format balance for display
   const formatBalance = (value) => {
-    const numValue = parseFloat(value) || 0;
-    const isPositive = numValue > 0;
-    const formattedValue = Math.abs(numValue).toFixed(2);
+    const numValue = Math.round(Number(value)) || 0;
     
     return {
-      value: `${isPositive ? '+' : ''}$${formattedValue}`,
+      value: formatMoney(numValue, currency, { showSign: true, absolute: numValue < 0 }),
       color: numValue > 0 
         ? colors.positive 
         : numValue < 0 
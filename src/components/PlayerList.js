@@ -15,6 +15,7 @@ import { MaterialIcons } from '@expo/vector-icons';
 import PlayerItem from './PlayerItem';
 import colors from '../constants/colors';
 import layout from '../constants/layout';
+import { DEFAULT_CURRENCY } from '../utils/money';
 
 /**
  * PlayerList Component
@@ -29,12 +30,13 @@ import layout from '../constants/layout';
  * @param {Function} onPlayerDelete - Function to call when a player delete is requested
  * @param {Function} onSelectionChange - Function to call when selection changes (multiSelect mode)
  * @param {boolean} showBalance - Whether to display player balances
- * @param {Object} balances - Object with player IDs as keys and balance values
+ * @param {Object} balances - Object with player IDs as keys and balance values (minor units)
  * @param {boolean} enableMultiSelect - Whether to enable multi-selection mode
  * @param {boolean} enableSearch - Whether to enable search functionality
  * @param {boolean} enableSorting - Whether to enable sorting functionality
  * @param {string} emptyMessage - Message to display when list is empty
  * @param {string} variant - Display variant for player items ('default', 'compact', 'detail')
+ * @param {string} currency - ISO currency code the balances are stored in
  */
 const PlayerList = ({
   players = [],
@@ -50,6 +52,7 @@ const PlayerList = ({
   enableSorting = true,
   emptyMessage = 'No players found',
   variant = 'default',
+  currency = DEFAULT_CURRENCY,
 }) => {
   // State for filtered and sorted players
   const [filteredPlayers, setFilteredPlayers] = useState(players);
@@ -229,6 +232,7 @@ const PlayerList = ({
           showCheckbox={isMultiSelectActive}
           disableSwipe={isMultiSelectActive}
           variant={variant}
+          currency={currency}
         />
       </Animated.View>
     );
@@ -0,0 +1,166 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert
+} from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import { switchSession, discardSession } from '../store/settlementSlice';
+import { selectOpenSessions } from '../store/selectors';
+
+// e.g. "2 games · 7 players · 1 running"
+const describeContents = (session) => {
+  const parts = [
+    `${session.gameCount} game${session.gameCount === 1 ? '' : 's'}`,
+    `${session.playerCount} player${session.playerCount === 1 ? '' : 's'}`,
+  ];
+  if (session.runningGameCount > 0) parts.push(`${session.runningGameCount} running`);
+  return parts.join(' · ');
+};
+
+/**
+ * SessionSwitcher Component
+ *
+ * The sessions in play - a cash table and a tournament side by side, or last
+ * week's game still waiting to be paid - with the active one highlighted.
+ * Tapping another session makes it the one in play; the current one stays
+ * open. A long press offers to discard a session, after confirming. Nothing
+ * is shown while only one session is open.
+ *
+ * @param {Function} onSwitch - Called with the session id after switching
+ */
+const SessionSwitcher = ({ onSwitch }) => {
+  const dispatch = useDispatch();
+  const sessions = useSelector(selectOpenSessions);
+
+  if (!sessions.some(session => !session.isActive)) return null;
+
+  const handleSwitch = (session) => {
+    if (session.isActive) return;
+    dispatch(switchSession({ sessionId: session.id }));
+    if (onSwitch) onSwitch(session.id);
+  };
+
+  const handleDiscard = (session) => {
+    Alert.alert(
+      'Discard Session',
+      session.isReopened
+        ? `Discard the changes made to "${session.label}" since it was reopened? It stays in history as it was.`
+        : `Discard "${session.label}"? Its ${describeContents(session)} and everything recorded in them will be lost. This can't be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => dispatch(discardSession({ sessionId: session.id }))
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Open Sessions</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        {sessions.map(session => (
+          <TouchableOpacity
+            key={session.id}
+            style={[styles.session, session.isActive && styles.activeSession]}
+            onPress={() => handleSwitch(session)}
+            onLongPress={() => handleDiscard(session)}
+            accessibilityLabel={session.isActive
+              ? `${session.label}, in play`
+              : `Switch to ${session.label}`}
+          >
+            <View style={styles.sessionHeader}>
+              {session.isActive && (
+                <MaterialIcons name="play-circle-filled" size={16} color="white" style={styles.activeIcon} />
+              )}
+              <Text
+                style={[styles.sessionLabel, session.isActive && styles.activeText]}
+                numberOfLines={1}
+              >
+                {session.label}
+              </Text>
+            </View>
+            <Text style={[styles.sessionDetails, session.isActive && styles.activeDetails]}>
+              {describeContents(session)}
+            </Text>
+            {session.isReopened && (
+              <Text style={[styles.sessionDetails, session.isActive && styles.activeDetails]}>
+                Reopened from history
+              </Text>
+            )}
+            {session.startedAt && (
+              <Text style={[styles.sessionDetails, session.isActive && styles.activeDetails]}>
+                Started {new Date(session.startedAt).toLocaleDateString()} · {session.currency}
+              </Text>
+            )}
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+      <Text style={styles.hint}>Tap to switch · hold to discard</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 15,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#7F8C8D',
+    marginBottom: 8,
+  },
+  session: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 12,
+    marginRight: 10,
+    width: 200,
+    borderWidth: 1,
+    borderColor: '#ECF0F1',
+  },
+  activeSession: {
+    backgroundColor: '#3498DB',
+    borderColor: '#3498DB',
+  },
+  sessionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  activeIcon: {
+    marginRight: 5,
+  },
+  sessionLabel: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  activeText: {
+    color: 'white',
+  },
+  sessionDetails: {
+    fontSize: 12,
+    color: '#7F8C8D',
+  },
+  activeDetails: {
+    color: 'rgba(255, 255, 255, 0.85)',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#95A5A6',
+    marginTop: 6,
+  },
+});
+
+export default SessionSwitcher;
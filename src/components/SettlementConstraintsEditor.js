@@ -0,0 +1,460 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import {
+  EMPTY_CONSTRAINTS,
+  PAYMENT_METHODS,
+  normalizeConstraints,
+} from '../utils/settlementConstraints';
+
+// Pair rule types shown as tabs, with the constraint field each one edits
+const PAIR_TYPES = [
+  {
+    key: 'forbiddenPairs',
+    label: 'Never',
+    help: 'These two players never pay each other, in either direction.',
+    ordered: false,
+  },
+  {
+    key: 'preferredPairs',
+    label: 'Prefer',
+    help: 'Pair these players up whenever it doesn\'t add a transfer.',
+    ordered: false,
+  },
+  {
+    key: 'requiredPairs',
+    label: 'Must Pay',
+    help: 'The first player pays the second whenever the first owes and the second is owed.',
+    ordered: true,
+  },
+];
+
+/**
+ * SettlementConstraintsEditor Component
+ *
+ * Modal for editing the rules a settlement plan has to follow: pairs who never
+ * pay each other, preferred and required pairings, the payment methods each
+ * player can use and a cap on transfers per player.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Array} players - Array of player objects the rules apply to
+ * @param {Object} constraints - Current constraint set
+ * @param {Function} onSave - Called with the edited constraint set
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const SettlementConstraintsEditor = ({
+  visible,
+  players = [],
+  constraints,
+  onSave,
+  onClose,
+}) => {
+  const [draft, setDraft] = useState(EMPTY_CONSTRAINTS);
+  const [limitInput, setLimitInput] = useState('');
+  const [pairType, setPairType] = useState(PAIR_TYPES[0].key);
+  const [firstPlayerId, setFirstPlayerId] = useState(null);
+  const [secondPlayerId, setSecondPlayerId] = useState(null);
+
+  // Start from the saved rules every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      const rules = normalizeConstraints(constraints);
+      setDraft(rules);
+      setLimitInput(rules.maxTransfersPerPlayer ? String(rules.maxTransfersPerPlayer) : '');
+      setFirstPlayerId(null);
+      setSecondPlayerId(null);
+    }
+  }, [visible, constraints]);
+
+  const activePairType = PAIR_TYPES.find(type => type.key === pairType);
+
+  const getPlayerName = (playerId) => {
+    const player = players.find(p => p.id === playerId);
+    return player ? player.name : 'Unknown Player';
+  };
+
+  const isSamePair = (pair, a, b, ordered) => {
+    if (pair[0] === a && pair[1] === b) return true;
+    return !ordered && pair[0] === b && pair[1] === a;
+  };
+
+  const handleAddPair = () => {
+    if (!firstPlayerId || !secondPlayerId || firstPlayerId === secondPlayerId) return;
+
+    const pairs = draft[pairType];
+    if (pairs.some(pair => isSamePair(pair, firstPlayerId, secondPlayerId, activePairType.ordered))) {
+      return;
+    }
+
+    setDraft({ ...draft, [pairType]: [...pairs, [firstPlayerId, secondPlayerId]] });
+    setFirstPlayerId(null);
+    setSecondPlayerId(null);
+  };
+
+  const handleRemovePair = (index) => {
+    setDraft({ ...draft, [pairType]: draft[pairType].filter((_, i) => i !== index) });
+  };
+
+  const togglePaymentMethod = (playerId, methodId) => {
+    const current = draft.paymentMethods[playerId] || [];
+    const next = current.includes(methodId)
+      ? current.filter(method => method !== methodId)
+      : [...current, methodId];
+
+    const paymentMethods = { ...draft.paymentMethods };
+    if (next.length > 0) {
+      paymentMethods[playerId] = next;
+    } else {
+      delete paymentMethods[playerId];
+    }
+
+    setDraft({ ...draft, paymentMethods });
+  };
+
+  const handleLimitChange = (value) => {
+    if (value === '' || /^\d+$/.test(value)) {
+      setLimitInput(value);
+    }
+  };
+
+  const handleSave = () => {
+    onSave(normalizeConstraints({
+      ...draft,
+      maxTransfersPerPlayer: limitInput === '' ? null : parseInt(limitInput, 10),
+    }));
+  };
+
+  const handleClearAll = () => {
+    setDraft(EMPTY_CONSTRAINTS);
+    setLimitInput('');
+  };
+
+  const renderPlayerChips = (selectedId, onSelect, excludeId) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+      {players.filter(player => player.id !== excludeId).map(player => (
+        <TouchableOpacity
+          key={player.id}
+          style={[styles.chip, selectedId === player.id && styles.chipSelected]}
+          onPress={() => onSelect(selectedId === player.id ? null : player.id)}
+        >
+          <Text style={[styles.chipText, selectedId === player.id && styles.chipTextSelected]}>
+            {player.name}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Settlement Rules</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close settlement rules">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* Transfer limit */}
+            <Text style={styles.sectionTitle}>Max Transfers Per Player</Text>
+            <TextInput
+              style={styles.limitInput}
+              keyboardType="number-pad"
+              value={limitInput}
+              onChangeText={handleLimitChange}
+              placeholder="No limit"
+            />
+
+            {/* Pair rules */}
+            <Text style={styles.sectionTitle}>Player Pairs</Text>
+            <View style={styles.tabs}>
+              {PAIR_TYPES.map(type => (
+                <TouchableOpacity
+                  key={type.key}
+                  style={[styles.tab, pairType === type.key && styles.activeTab]}
+                  onPress={() => setPairType(type.key)}
+                >
+                  <Text style={[styles.tabText, pairType === type.key && styles.activeTabText]}>
+                    {type.label} ({draft[type.key].length})
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={styles.helpText}>{activePairType.help}</Text>
+
+            {draft[pairType].map((pair, index) => (
+              <View key={`${pair[0]}-${pair[1]}`} style={styles.pairRow}>
+                <Text style={styles.pairText}>
+                  {getPlayerName(pair[0])} {activePairType.ordered ? '→' : '↔'} {getPlayerName(pair[1])}
+                </Text>
+                <TouchableOpacity onPress={() => handleRemovePair(index)} accessibilityLabel="Remove pair">
+                  <MaterialIcons name="remove-circle-outline" size={22} color={colors.error} />
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <Text style={styles.pickerLabel}>{activePairType.ordered ? 'Payer' : 'First player'}</Text>
+            {renderPlayerChips(firstPlayerId, setFirstPlayerId, null)}
+            <Text style={styles.pickerLabel}>{activePairType.ordered ? 'Receiver' : 'Second player'}</Text>
+            {renderPlayerChips(secondPlayerId, setSecondPlayerId, firstPlayerId)}
+
+            <TouchableOpacity
+              style={[styles.addButton, (!firstPlayerId || !secondPlayerId) && styles.disabledButton]}
+              onPress={handleAddPair}
+              disabled={!firstPlayerId || !secondPlayerId}
+            >
+              <MaterialIcons name="add" size={18} color={colors.buttonText} />
+              <Text style={styles.addButtonText}>Add Pair</Text>
+            </TouchableOpacity>
+
+            {/* Payment methods */}
+            <Text style={styles.sectionTitle}>Payment Methods</Text>
+            <Text style={styles.helpText}>
+              Leave a player blank if they can pay or be paid any way.
+            </Text>
+            {players.map(player => (
+              <View key={player.id} style={styles.methodRow}>
+                <Text style={styles.methodPlayer} numberOfLines={1}>{player.name}</Text>
+                <View style={styles.methodChips}>
+                  {Object.values(PAYMENT_METHODS).map(method => {
+                    const selected = (draft.paymentMethods[player.id] || []).includes(method.id);
+                    return (
+                      <TouchableOpacity
+                        key={method.id}
+                        style={[styles.chip, selected && styles.chipSelected]}
+                        onPress={() => togglePaymentMethod(player.id, method.id)}
+                      >
+                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                          {method.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <TouchableOpacity style={styles.clearButton} onPress={handleClearAll}>
+              <Text style={styles.clearButtonText}>Clear All</Text>
+            </TouchableOpacity>
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={[styles.footerButton, styles.saveButton]} onPress={handleSave}>
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  limitInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    fontSize: layout.fontSizes.m,
+    color: colors.text,
+  },
+  tabs: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: layout.borderRadius.s,
+    marginBottom: layout.spacing.s,
+  },
+  tab: {
+    flex: 1,
+    paddingVertical: layout.spacing.s,
+    alignItems: 'center',
+  },
+  activeTab: {
+    borderBottomWidth: 2,
+    borderBottomColor: colors.primary,
+  },
+  tabText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textLight,
+  },
+  activeTabText: {
+    color: colors.primary,
+    fontWeight: layout.fontWeights.semibold,
+  },
+  pairRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.s,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  pairText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+  },
+  pickerLabel: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.s,
+    marginBottom: layout.spacing.xs,
+  },
+  chipRow: {
+    flexGrow: 0,
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: colors.button,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.s,
+    marginTop: layout.spacing.s,
+  },
+  addButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+    marginLeft: layout.spacing.xs,
+  },
+  disabledButton: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  methodRow: {
+    paddingVertical: layout.spacing.s,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.divider,
+  },
+  methodPlayer: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.medium,
+    color: colors.text,
+    marginBottom: layout.spacing.xs,
+  },
+  methodChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  clearButton: {
+    paddingVertical: layout.spacing.s,
+  },
+  clearButtonText: {
+    color: colors.error,
+    fontWeight: layout.fontWeights.medium,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default SettlementConstraintsEditor;
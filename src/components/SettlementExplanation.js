@@ -0,0 +1,294 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import { describeAlgorithm, describeStep, getTotalMoved } from '../utils/settlementExplanation';
+
+/**
+ * SettlementExplanation Component
+ *
+ * Modal that walks through how a settlement plan was worked out: each
+ * player's buy-ins, cash-outs and net, then every transfer in order with
+ * what everyone still owes or is owed after it.
+ *
+ * @param {boolean} visible - Whether the panel is shown
+ * @param {Object} explanation - From buildSettlementExplanation
+ * @param {Function} getName - Maps a player ID to a display name
+ * @param {string} currency - ISO currency code the amounts are in
+ * @param {Function} onShare - Called when the user exports the explanation
+ * @param {Function} onClose - Called when the panel is dismissed
+ */
+const SettlementExplanation = ({
+  visible,
+  explanation,
+  getName,
+  currency = DEFAULT_CURRENCY,
+  onShare,
+  onClose,
+}) => {
+  if (!explanation) return null;
+
+  const format = amount => formatMoney(amount, currency);
+  const { rows, trace } = explanation;
+  const hasTransactions = rows.some(row => row.buyInCount > 0 || row.cashOutCount > 0);
+  const hasFees = rows.some(row => row.fees !== 0);
+
+  const renderSignedAmount = (amount) => (
+    <Text style={[
+      styles.amount,
+      amount > 0 ? styles.positive : amount < 0 ? styles.negative : styles.neutral
+    ]}>
+      {formatMoney(amount, currency, { showSign: true })}
+    </Text>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>How It Was Worked Out</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close explanation">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.helpText}>{describeAlgorithm(explanation.algorithm, trace.constrained)}</Text>
+
+            <Text style={styles.sectionTitle}>1. Where everyone stands</Text>
+            {rows.map(row => (
+              <View key={row.id} style={styles.card}>
+                <View style={styles.rowHeader}>
+                  <Text style={styles.name}>{getName(row.id)}</Text>
+                  {renderSignedAmount(row.net)}
+                </View>
+                {hasTransactions && (
+                  <Text style={styles.detail}>
+                    Bought in {format(row.buyIns)} ({row.buyInCount}) · Cashed out {format(row.cashOuts)} ({row.cashOutCount})
+                  </Text>
+                )}
+                {hasFees && row.fees !== 0 && (
+                  <Text style={styles.detail}>
+                    {row.fees > 0 ? `Fees ${format(row.fees)}` : `Collects ${format(-row.fees)} in fees`}
+                  </Text>
+                )}
+                {row.rounding !== 0 && (
+                  <Text style={styles.detail}>
+                    Rounding {formatMoney(row.rounding, currency, { showSign: true })}
+                  </Text>
+                )}
+                <Text style={styles.detail}>
+                  {row.pays > 0 && `Pays ${format(row.pays)}`}
+                  {row.pays > 0 && row.receives > 0 && ' · '}
+                  {row.receives > 0 && `Receives ${format(row.receives)}`}
+                  {row.pays === 0 && row.receives === 0 && 'Nothing to pay or receive'}
+                </Text>
+              </View>
+            ))}
+
+            <Text style={styles.sectionTitle}>2. Transfers, one at a time</Text>
+            {trace.groups && trace.groups.length > 1 && (
+              <Text style={styles.helpText}>
+                These results split into {trace.groups.length} groups that cancel out on their own:{' '}
+                {trace.groups.map(group => group.map(getName).join(', ')).join(' | ')}.
+              </Text>
+            )}
+            {trace.steps.length === 0 ? (
+              <Text style={styles.helpText}>No transfers needed - everyone is square.</Text>
+            ) : (
+              trace.steps.map((step, index) => (
+                <View key={index} style={styles.step}>
+                  <View style={styles.stepNumber}>
+                    <Text style={styles.stepNumberText}>{index + 1}</Text>
+                  </View>
+                  <View style={styles.stepBody}>
+                    <Text style={styles.stepText}>{describeStep(step, getName, format)}</Text>
+                    <Text style={styles.detail}>
+                      Still open: {Object.entries(step.remaining)
+                        .filter(([, amount]) => amount !== 0)
+                        .map(([id, amount]) => `${getName(id)} ${formatMoney(amount, currency, { showSign: true })}`)
+                        .join(', ') || 'nobody'}
+                    </Text>
+                  </View>
+                </View>
+              ))
+            )}
+
+            <Text style={styles.sectionTitle}>3. Result</Text>
+            <Text style={styles.helpText}>
+              {trace.settled
+                ? `${trace.steps.length} transfer${trace.steps.length === 1 ? '' : 's'} moving ${format(getTotalMoved(explanation))} leave everyone on zero.`
+                : 'These transfers don\'t square everyone up - check that the balances sum to zero.'}
+            </Text>
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Close</Text>
+              </TouchableOpacity>
+              {onShare && (
+                <TouchableOpacity style={[styles.footerButton, styles.saveButton]} onPress={onShare}>
+                  <Text style={styles.saveButtonText}>Share</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  card: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    padding: layout.spacing.s,
+    marginBottom: layout.spacing.s,
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: layout.spacing.xs,
+  },
+  name: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  amount: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+  },
+  positive: {
+    color: colors.positive,
+  },
+  negative: {
+    color: colors.negative,
+  },
+  neutral: {
+    color: colors.neutral,
+  },
+  detail: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+  },
+  step: {
+    flexDirection: 'row',
+    marginBottom: layout.spacing.s,
+  },
+  stepNumber: {
+    width: 24,
+    height: 24,
+    borderRadius: layout.borderRadius.round,
+    backgroundColor: colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: layout.spacing.s,
+  },
+  stepNumberText: {
+    color: colors.textInverse,
+    fontSize: layout.fontSizes.xs,
+    fontWeight: layout.fontWeights.bold,
+  },
+  stepBody: {
+    flex: 1,
+  },
+  stepText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    marginBottom: 2,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default SettlementExplanation;
@@ -4,25 +4,27 @@ import {
   Text,
   StyleSheet,
   TouchableOpacity,
-  Animated,
 } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
 
 import colors from '../constants/colors';
 import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import { getAmountPaid, getRemainingAmount } from '../utils/settlementPayments';
 
 /**
  * SettlementItem Component
  * 
  * A reusable component for displaying settlement transactions between players.
  * 
- * @param {Object} settlement - Settlement transaction object { from, to, amount }
+ * @param {Object} settlement - Settlement transaction object { from, to, amount, payments, statusChangedAt }
  * @param {Object} fromPlayer - Player object who is paying
  * @param {Object} toPlayer - Player object who is receiving
  * @param {Function} onPress - Function to call when item is pressed
  * @param {string} status - Status of the settlement ('pending', 'completed', 'cancelled')
  * @param {number} index - Index of the settlement in the list
  * @param {string} variant - Display variant ('default', 'compact', 'detail')
+ * @param {string} currency - ISO currency code the amount is stored in
  */
 const SettlementItem = ({
   settlement,
@@ -32,6 +34,7 @@ const SettlementItem = ({
   status = 'pending',
   index = 0,
   variant = 'default',
+  currency = DEFAULT_CURRENCY,
 }) => {
   // Helper to get player initials
   const getInitials = (name) => {
@@ -43,9 +46,9 @@ const SettlementItem = ({
       .substring(0, 2);
   };
 
-  // Format amount with 2 decimal places
+  // Format amount (minor units) for display
   const formatAmount = (amount) => {
-    return `$${parseFloat(amount).toFixed(2)}`;
+    return formatMoney(amount, currency);
   };
 
   // Get avatar background color
@@ -112,6 +115,7 @@ const SettlementItem = ({
   };
 
   const avatarSize = getAvatarSize();
+  const amountPaid = getAmountPaid(settlement);
 
   return (
     <TouchableOpacity
@@ -182,14 +186,21 @@ const SettlementItem = ({
           </View>
         </View>
 
+        {/* Partial payments leave a remaining balance */}
+        {status === 'pending' && amountPaid > 0 && (
+          <Text style={styles.remainingText}>
+            {formatAmount(amountPaid)} paid · {formatAmount(getRemainingAmount(settlement))} left
+          </Text>
+        )}
+
         {/* Additional details for detail variant */}
-        {variant === 'detail' && status !== 'pending' && (
+        {variant === 'detail' && status !== 'pending' && settlement.statusChangedAt && (
           <View style={styles.detailsContainer}>
             <Text style={styles.detailsLabel}>
               {status === 'completed' ? 'Completed on:' : 'Cancelled on:'}
             </Text>
             <Text style={styles.detailsText}>
-              {new Date().toLocaleDateString()}
+              {new Date(settlement.statusChangedAt).toLocaleDateString()}
             </Text>
           </View>
         )}
@@ -302,6 +313,11 @@ const styles = StyleSheet.create({
     paddingHorizontal: layout.spacing.s,
     alignItems: 'center',
   },
+  remainingText: {
+    marginTop: layout.spacing.s,
+    fontSize: layout.fontSizes.xs,
+    color: colors.warning,
+  },
   detailsContainer: {
     marginTop: layout.spacing.m,
     paddingTop: layout.spacing.m,
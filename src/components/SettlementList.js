@@ -13,6 +13,7 @@ import { MaterialIcons } from '@expo/vector-icons';
 import SettlementItem from './SettlementItem';
 import colors from '../constants/colors';
 import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, sumMoney } from '../utils/money';
 
 /**
  * SettlementList Component
@@ -29,6 +30,7 @@ import layout from '../constants/layout';
  * @param {string} variant - Display variant for settlement items ('default', 'compact', 'detail')
  * @param {boolean} showTotalAmount - Whether to show total settlement amount
  * @param {string} filter - Filter settlements by status ('all', 'pending', 'completed', 'cancelled')
+ * @param {string} currency - ISO currency code the amounts are stored in
  */
 const SettlementList = ({
   settlements = [],
@@ -40,6 +42,7 @@ const SettlementList = ({
   variant = 'default',
   showTotalAmount = true,
   filter = 'all',
+  currency = DEFAULT_CURRENCY,
 }) => {
   // State for filtered settlements
   const [filteredSettlements, setFilteredSettlements] = useState(settlements);
@@ -73,7 +76,7 @@ const SettlementList = ({
     }
     
     // Calculate total amount
-    const total = result.reduce((sum, item) => sum + parseFloat(item.amount || 0), 0);
+    const total = sumMoney(result.map(item => item.amount));
     setTotalAmount(total);
     
     setFilteredSettlements(result);
@@ -89,13 +92,6 @@ const SettlementList = ({
     return players.find(player => player.id === playerId);
   };
   
-  // Handle settlement status change
-  const handleStatusChange = (settlement, newStatus) => {
-    if (onStatusChange) {
-      onStatusChange(settlement, newStatus);
-    }
-  };
-  
   // Render item in FlatList
   const renderItem = ({ item, index }) => {
     const fromPlayer = findPlayerById(item.from);
@@ -121,6 +117,7 @@ const SettlementList = ({
           status={item.status || 'pending'}
           index={index}
           variant={variant}
+          currency={currency}
         />
       </Animated.View>
     );
@@ -199,51 +196,6 @@ const SettlementList = ({
     </View>
   );
 
-  // Render settlement actions for a specific settlement
-  const renderSettlementActions = (settlement) => (
-    <View style={styles.settlementActions}>
-      {settlement.status === 'pending' && (
-        <>
-          <TouchableOpacity
-            style={[styles.actionButton, styles.completeButton]}
-            onPress={() => handleStatusChange(settlement, 'completed')}
-          >
-            <MaterialIcons name="check" size={16} color="white" />
-            <Text style={styles.actionButtonText}>Complete</Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity
-            style={[styles.actionButton, styles.cancelButton]}
-            onPress={() => handleStatusChange(settlement, 'cancelled')}
-          >
-            <MaterialIcons name="close" size={16} color="white" />
-            <Text style={styles.actionButtonText}>Cancel</Text>
-          </TouchableOpacity>
-        </>
-      )}
-      
-      {settlement.status === 'completed' && (
-        <TouchableOpacity
-          style={[styles.actionButton, styles.resetButton]}
-          onPress={() => handleStatusChange(settlement, 'pending')}
-        >
-          <MaterialIcons name="refresh" size={16} color="white" />
-          <Text style={styles.actionButtonText}>Reset</Text>
-        </TouchableOpacity>
-      )}
-      
-      {settlement.status === 'cancelled' && (
-        <TouchableOpacity
-          style={[styles.actionButton, styles.resetButton]}
-          onPress={() => handleStatusChange(settlement, 'pending')}
-        >
-          <MaterialIcons name="refresh" size={16} color="white" />
-          <Text style={styles.actionButtonText}>Reset</Text>
-        </TouchableOpacity>
-      )}
-    </View>
-  );
-
   // Render summary info
   const renderSummary = () => {
     if (!showTotalAmount || filteredSettlements.length === 0) {
@@ -262,7 +214,7 @@ const SettlementList = ({
         <View style={styles.summaryItem}>
           <Text style={styles.summaryLabel}>Total Amount</Text>
           <Text style={styles.summaryValue}>
-            ${totalAmount.toFixed(2)}
+            {formatMoney(totalAmount, currency)}
           </Text>
         </View>
       </View>
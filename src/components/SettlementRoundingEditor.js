@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, toMinorUnits } from '../utils/money';
+import {
+  ROUNDING_TARGETS,
+  ROUNDING_TARGET_LABELS,
+  ROUNDING_UNIT_OPTIONS,
+} from '../utils/cashRounding';
+
+/**
+ * SettlementRoundingEditor Component
+ *
+ * Modal for rounding every transfer to a cash unit such as $1, $5 or 0.50,
+ * and choosing who takes the leftover cents: a chosen player, the host, or
+ * a carry-over that evens out across sessions.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Array} players - Array of player objects in the session
+ * @param {Object} rounding - Current rounding { unit, remainderTo, targetId }, or null when off
+ * @param {string} currency - ISO currency code of the session
+ * @param {string} hostName - Who counts as the host right now, or null when nobody does
+ * @param {Function} onSave - Called with the new rounding, or null to turn it off
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const SettlementRoundingEditor = ({
+  visible,
+  players = [],
+  rounding = null,
+  currency = DEFAULT_CURRENCY,
+  hostName = null,
+  onSave,
+  onClose,
+}) => {
+  const [unit, setUnit] = useState(null);
+  const [remainderTo, setRemainderTo] = useState(ROUNDING_TARGETS.CARRY_OVER);
+  const [targetId, setTargetId] = useState(null);
+
+  // Start from the saved rounding every time the editor opens
+  useEffect(() => {
+    if (visible) {
+      setUnit(rounding ? rounding.unit : null);
+      setRemainderTo(rounding ? rounding.remainderTo : ROUNDING_TARGETS.CARRY_OVER);
+      setTargetId(rounding ? rounding.targetId : null);
+    }
+  }, [visible, rounding]);
+
+  const needsPlayer = unit !== null && remainderTo === ROUNDING_TARGETS.PLAYER && !targetId;
+
+  const handleSave = () => {
+    if (unit === null) {
+      onSave(null);
+      return;
+    }
+    onSave({
+      unit,
+      remainderTo,
+      targetId: remainderTo === ROUNDING_TARGETS.PLAYER ? targetId : null
+    });
+  };
+
+  const getTargetHelp = () => {
+    if (remainderTo === ROUNDING_TARGETS.HOST) {
+      return hostName
+        ? `${hostName} takes or covers the leftover.`
+        : 'Pick a banker, or send a fee to a player, so there is a host to take the leftover.';
+    }
+    if (remainderTo === ROUNDING_TARGETS.CARRY_OVER) {
+      return 'Everyone rounds to the nearest unit. What they gain or lose is remembered and evened out in later sessions.';
+    }
+    return null;
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Cash Rounding</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close cash rounding">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content}>
+            <Text style={styles.sectionTitle}>Round transfers to</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={[styles.chip, unit === null && styles.chipSelected]}
+                onPress={() => setUnit(null)}
+              >
+                <Text style={[styles.chipText, unit === null && styles.chipTextSelected]}>Off</Text>
+              </TouchableOpacity>
+              {ROUNDING_UNIT_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, unit === option && styles.chipSelected]}
+                  onPress={() => setUnit(option)}
+                >
+                  <Text style={[styles.chipText, unit === option && styles.chipTextSelected]}>
+                    {formatMoney(toMinorUnits(option, currency), currency)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {unit !== null && (
+              <>
+                <Text style={styles.sectionTitle}>Leftover goes to</Text>
+                {Object.values(ROUNDING_TARGETS).map(option => (
+                  <TouchableOpacity
+                    key={option}
+                    style={styles.optionRow}
+                    onPress={() => setRemainderTo(option)}
+                  >
+                    <MaterialIcons
+                      name={remainderTo === option ? 'radio-button-checked' : 'radio-button-unchecked'}
+                      size={20}
+                      color={remainderTo === option ? colors.primary : colors.textSecondary}
+                    />
+                    <Text style={styles.optionLabel}>{ROUNDING_TARGET_LABELS[option]}</Text>
+                  </TouchableOpacity>
+                ))}
+
+                {remainderTo === ROUNDING_TARGETS.PLAYER && (
+                  <View style={styles.chipRow}>
+                    {players.map(player => (
+                      <TouchableOpacity
+                        key={player.id}
+                        style={[styles.chip, targetId === player.id && styles.chipSelected]}
+                        onPress={() => setTargetId(player.id)}
+                      >
+                        <Text style={[styles.chipText, targetId === player.id && styles.chipTextSelected]}>
+                          {player.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+
+                {getTargetHelp() && (
+                  <Text style={styles.helpText}>{getTargetHelp()}</Text>
+                )}
+              </>
+            )}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, needsPlayer && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={needsPlayer}
+              >
+                <Text style={styles.saveButtonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.s,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  optionLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    marginLeft: layout.spacing.s,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default SettlementRoundingEditor;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney, formatMoneyInput, parseMoney } from '../utils/money';
+import { calculateTournamentResults, formatPosition } from '../utils/tournaments';
+import {
+  DEAL_METHODS,
+  DEAL_METHOD_LABELS,
+  MAX_DEAL_PLAYERS,
+  calculateDeal,
+  calculateIcmEquity,
+  getDealPrizes,
+} from '../utils/tournamentDeals';
+
+/**
+ * TournamentDealCalculator Component
+ *
+ * Modal for splitting what's left of a tournament's prize money when the
+ * final table agrees a deal. The user picks who is still in and enters their
+ * stacks; the places they would still be paid for are shared out by ICM,
+ * chip chop, or ICM after saving an amount to play on for. Each split is
+ * shown next to the plain ICM figure so the table can compare.
+ *
+ * @param {boolean} visible - Whether the calculator is shown
+ * @param {Object} game - Tournament game
+ * @param {Array} players - Array of player objects for names
+ * @param {Array} transactions - Game log transactions
+ * @param {string} currency - ISO currency code the tournament is played in
+ * @param {Function} onSave - Called with the deal to record, or null to remove the recorded one
+ * @param {Function} onClose - Called when the calculator is dismissed without saving
+ */
+const TournamentDealCalculator = ({
+  visible,
+  game,
+  players = [],
+  transactions = [],
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [playerIds, setPlayerIds] = useState([]);
+  const [stacks, setStacks] = useState({});
+  const [method, setMethod] = useState(DEAL_METHODS.ICM);
+  const [save, setSave] = useState('');
+  const [winnerId, setWinnerId] = useState(null);
+
+  const tournament = (game && game.tournament) || {};
+
+  // Start from the recorded deal, or everyone without a finishing position
+  useEffect(() => {
+    if (visible && game) {
+      const { deal } = tournament;
+      if (deal) {
+        setPlayerIds(deal.playerIds);
+        setStacks(Object.fromEntries(Object.entries(deal.stacks).map(([id, chips]) => [id, String(chips)])));
+        setMethod(deal.method);
+        setSave(deal.saved > 0 ? formatMoneyInput(deal.saved, currency) : '');
+        setWinnerId(deal.winnerId || null);
+      } else {
+        const { pool } = calculateTournamentResults(game, transactions);
+        const positions = tournament.positions || {};
+        setPlayerIds(pool.entrants.filter(id => !positions[id]).slice(0, MAX_DEAL_PLAYERS));
+        setStacks({});
+        setMethod(DEAL_METHODS.ICM);
+        setSave('');
+        setWinnerId(null);
+      }
+    }
+  }, [visible, game]);
+
+  if (!game) return null;
+
+  const format = amount => formatMoney(amount, currency);
+  const results = calculateTournamentResults({ ...game, tournament: { ...tournament, deal: null } }, transactions);
+  const { pool } = results;
+
+  const chipCounts = {};
+  playerIds.forEach(id => {
+    chipCounts[id] = parseInt(stacks[id], 10) || 0;
+  });
+  const prizes = getDealPrizes(results.payouts, playerIds.length);
+  const deal = calculateDeal({ method, stacks: chipCounts, prizes, save: parseMoney(save, currency) || 0 });
+  const icm = calculateIcmEquity(chipCounts, prizes);
+
+  const problems = [];
+  if (playerIds.length < 2) {
+    problems.push('A deal needs at least two players still in.');
+  }
+  const missing = playerIds.filter(id => chipCounts[id] <= 0);
+  if (missing.length > 0) {
+    problems.push('Enter a stack for everyone in the deal.');
+  }
+  if (deal.saved > 0 && !winnerId) {
+    problems.push('Pick who won the amount saved for first.');
+  }
+
+  const getName = (playerId) => {
+    const player = players.find(p => p.id === playerId);
+    return player ? player.name : 'Unknown Player';
+  };
+
+  const togglePlayer = (playerId) => {
+    if (playerIds.includes(playerId)) {
+      setPlayerIds(playerIds.filter(id => id !== playerId));
+      if (winnerId === playerId) setWinnerId(null);
+    } else if (playerIds.length < MAX_DEAL_PLAYERS) {
+      setPlayerIds([...playerIds, playerId]);
+    }
+  };
+
+  const handleStackChange = (playerId, value) => {
+    if (value === '' || /^\d+$/.test(value)) {
+      setStacks({ ...stacks, [playerId]: value });
+    }
+  };
+
+  const handleSave = () => {
+    onSave({
+      method,
+      playerIds,
+      stacks: chipCounts,
+      amounts: deal.amounts,
+      saved: deal.saved,
+      winnerId: deal.saved > 0 ? winnerId : null
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Final Table Deal</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close deal calculator">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle}>Players still in</Text>
+            <View style={styles.chipRow}>
+              {pool.entrants.map(playerId => (
+                <TouchableOpacity
+                  key={playerId}
+                  style={[styles.chip, playerIds.includes(playerId) && styles.chipSelected]}
+                  onPress={() => togglePlayer(playerId)}
+                >
+                  <Text style={[styles.chipText, playerIds.includes(playerId) && styles.chipTextSelected]}>
+                    {getName(playerId)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {playerIds.length > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Prizes left</Text>
+                {prizes.map((prize, index) => (
+                  <View key={index} style={styles.fieldRow}>
+                    <Text style={styles.fieldLabel}>{formatPosition(index + 1)}</Text>
+                    <Text style={styles.fieldAmount}>{format(prize)}</Text>
+                  </View>
+                ))}
+              </>
+            )}
+
+            <Text style={styles.sectionTitle}>Split by</Text>
+            <View style={styles.chipRow}>
+              {Object.values(DEAL_METHODS).map(option => (
+                <TouchableOpacity
+                  key={option}
+                  style={[styles.chip, method === option && styles.chipSelected]}
+                  onPress={() => setMethod(option)}
+                >
+                  <Text style={[styles.chipText, method === option && styles.chipTextSelected]}>
+                    {DEAL_METHOD_LABELS[option]}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {method === DEAL_METHODS.SAVE_FOR_FIRST && (
+              <>
+                <View style={styles.fieldRow}>
+                  <Text style={styles.fieldLabel}>Played for</Text>
+                  <TextInput
+                    style={styles.amountInput}
+                    keyboardType="decimal-pad"
+                    value={save}
+                    onChangeText={setSave}
+                    placeholder="0.00"
+                  />
+                </View>
+                {deal.saved !== (parseMoney(save, currency) || 0) && (
+                  <Text style={styles.helpText}>
+                    Capped at {format(deal.saved)} so first still pays at least as much as second.
+                  </Text>
+                )}
+              </>
+            )}
+
+            {playerIds.length > 0 && (
+              <>
+                <View style={styles.playerHeader}>
+                  <Text style={[styles.columnLabel, styles.nameColumn]}>Player</Text>
+                  <Text style={styles.columnLabel}>Chips</Text>
+                  <Text style={[styles.columnLabel, styles.amountColumn]}>ICM</Text>
+                  <Text style={[styles.columnLabel, styles.amountColumn]}>Deal</Text>
+                </View>
+                {playerIds.map(playerId => (
+                  <View key={playerId} style={styles.playerRow}>
+                    <Text style={[styles.fieldLabel, styles.nameColumn]} numberOfLines={1}>{getName(playerId)}</Text>
+                    <TextInput
+                      style={styles.numberInput}
+                      keyboardType="number-pad"
+                      value={stacks[playerId] || ''}
+                      onChangeText={value => handleStackChange(playerId, value)}
+                      placeholder="0"
+                    />
+                    <Text style={[styles.fieldLabel, styles.amountColumn]}>
+                      {icm[playerId] !== undefined ? format(icm[playerId]) : '-'}
+                    </Text>
+                    <Text style={[styles.fieldAmount, styles.amountColumn]}>
+                      {deal.amounts[playerId] !== undefined ? format(deal.amounts[playerId]) : '-'}
+                    </Text>
+                  </View>
+                ))}
+              </>
+            )}
+
+            {deal.saved > 0 && (
+              <>
+                <Text style={styles.sectionTitle}>Won the {format(deal.saved)} played for</Text>
+                <View style={styles.chipRow}>
+                  {playerIds.map(playerId => (
+                    <TouchableOpacity
+                      key={playerId}
+                      style={[styles.chip, winnerId === playerId && styles.chipSelected]}
+                      onPress={() => setWinnerId(playerId)}
+                    >
+                      <Text style={[styles.chipText, winnerId === playerId && styles.chipTextSelected]}>
+                        {getName(playerId)}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+
+            <Text style={styles.helpText}>
+              The deal pays places 1 to {Math.max(playerIds.length, 1)}. Players who busted earlier still need their
+              finishing positions in the results.
+            </Text>
+
+            {problems.map(problem => (
+              <Text key={problem} style={styles.problemText}>{problem}</Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            {tournament.deal ? (
+              <TouchableOpacity onPress={() => onSave(null)}>
+                <Text style={styles.removeText}>Remove Deal</Text>
+              </TouchableOpacity>
+            ) : <View />}
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, problems.length > 0 && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={problems.length > 0}
+              >
+                <Text style={styles.saveButtonText}>Record Deal</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginTop: layout.spacing.s,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  fieldAmount: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  amountInput: {
+    width: 100,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'right',
+  },
+  playerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: layout.spacing.m,
+    paddingBottom: layout.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  columnLabel: {
+    width: 72,
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  nameColumn: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  amountColumn: {
+    width: 80,
+    textAlign: 'right',
+  },
+  playerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  numberInput: {
+    width: 72,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  problemText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.error,
+    marginTop: layout.spacing.s,
+  },
+  removeText: {
+    color: colors.error,
+    fontWeight: layout.fontWeights.medium,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default TournamentDealCalculator;
@@ -0,0 +1,452 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { MaterialIcons } from '@expo/vector-icons';
+
+import colors from '../constants/colors';
+import layout from '../constants/layout';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import { DEAL_METHOD_LABELS } from '../utils/tournamentDeals';
+import {
+  BOUNTY_TYPES,
+  calculateTournamentResults,
+  formatPosition,
+  getDefaultPayoutTable,
+  parsePayoutTable,
+  validatePayoutTable,
+} from '../utils/tournaments';
+
+// Whole numbers typed into a field -> { playerId: number }, dropping blanks
+const toCounts = (draft) => {
+  const counts = {};
+  Object.entries(draft).forEach(([playerId, value]) => {
+    const number = parseInt(value, 10);
+    if (number > 0) counts[playerId] = number;
+  });
+  return counts;
+};
+
+// { playerId: number } -> editable text fields
+const toDraft = (counts) => {
+  const draft = {};
+  Object.entries(counts || {}).forEach(([playerId, value]) => {
+    if (value) draft[playerId] = String(value);
+  });
+  return draft;
+};
+
+/**
+ * TournamentResultsEditor Component
+ *
+ * Modal for finishing a tournament: shows the prize pool the entries made,
+ * lets the user pick the built-in payout table or type their own
+ * percentages, and takes each player's finishing position and knockouts.
+ * Players in a recorded final-table deal are paid by the deal instead.
+ * Winnings are previewed as they're entered.
+ *
+ * @param {boolean} visible - Whether the editor is shown
+ * @param {Object} game - Tournament game
+ * @param {Array} players - Array of player objects for names
+ * @param {Array} transactions - Game log transactions
+ * @param {string} currency - ISO currency code the tournament is played in
+ * @param {Function} onSave - Called with { positions, knockouts, payoutTable }
+ * @param {Function} onClose - Called when the editor is dismissed without saving
+ */
+const TournamentResultsEditor = ({
+  visible,
+  game,
+  players = [],
+  transactions = [],
+  currency = DEFAULT_CURRENCY,
+  onSave,
+  onClose,
+}) => {
+  const [positions, setPositions] = useState({});
+  const [knockouts, setKnockouts] = useState({});
+  const [useCustomTable, setUseCustomTable] = useState(false);
+  const [customTable, setCustomTable] = useState('');
+
+  const tournament = (game && game.tournament) || {};
+
+  // Start from the recorded results every time the editor opens
+  useEffect(() => {
+    if (visible && game) {
+      setPositions(toDraft(tournament.positions));
+      setKnockouts(toDraft(tournament.knockouts));
+      setUseCustomTable(!!tournament.payoutTable);
+      setCustomTable(tournament.payoutTable ? tournament.payoutTable.join(', ') : '');
+    }
+  }, [visible, game]);
+
+  if (!game) return null;
+
+  const format = amount => formatMoney(amount, currency);
+  const payoutTable = useCustomTable ? parsePayoutTable(customTable) : null;
+  const tableProblem = useCustomTable ? validatePayoutTable(payoutTable) : null;
+  const draftGame = {
+    ...game,
+    tournament: {
+      ...tournament,
+      positions: toCounts(positions),
+      knockouts: toCounts(knockouts),
+      payoutTable: tableProblem ? null : payoutTable
+    }
+  };
+  const results = calculateTournamentResults(draftGame, transactions);
+  const problems = tableProblem ? [tableProblem] : results.problems;
+  const { pool } = results;
+  const { deal } = tournament;
+  const trackedKnockouts = (game.knockouts || []).length;
+  // Progressive bounties can only be paid as knockouts are tracked in the ledger
+  const showKnockouts = tournament.bounty > 0 && tournament.bountyType !== BOUNTY_TYPES.PROGRESSIVE;
+
+  const getName = (playerId) => {
+    const player = players.find(p => p.id === playerId);
+    return player ? player.name : 'Unknown Player';
+  };
+
+  const handleNumberChange = (setter, draft, playerId, value) => {
+    if (value === '' || /^\d+$/.test(value)) {
+      setter({ ...draft, [playerId]: value });
+    }
+  };
+
+  const handleSave = () => {
+    onSave({
+      positions: draftGame.tournament.positions,
+      knockouts: draftGame.tournament.knockouts,
+      payoutTable: useCustomTable ? payoutTable : null
+    });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Tournament Results</Text>
+            <TouchableOpacity onPress={onClose} accessibilityLabel="Close tournament results">
+              <MaterialIcons name="close" size={24} color={colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle}>Prize pool</Text>
+            <Text style={styles.helpText}>
+              {pool.entrants.length} entrants · {pool.buyIns} buy-ins
+              {pool.rebuys > 0 ? ` · ${pool.rebuys} rebuys` : ''}
+              {pool.addOns > 0 ? ` · ${pool.addOns} add-ons` : ''}
+            </Text>
+            <View style={styles.fieldRow}>
+              <Text style={styles.fieldLabel}>Collected</Text>
+              <Text style={styles.fieldAmount}>{format(pool.collected)}</Text>
+            </View>
+            {pool.bountyPool > 0 && (
+              <View style={styles.fieldRow}>
+                <Text style={styles.fieldLabel}>Bounties ({format(tournament.bounty)} each)</Text>
+                <Text style={styles.fieldAmount}>{format(pool.bountyPool)}</Text>
+              </View>
+            )}
+            <View style={styles.fieldRow}>
+              <Text style={styles.fieldLabel}>Paid by position</Text>
+              <Text style={styles.fieldAmount}>{format(pool.prizePool)}</Text>
+            </View>
+
+            <Text style={styles.sectionTitle}>Payouts</Text>
+            <View style={styles.chipRow}>
+              <TouchableOpacity
+                style={[styles.chip, !useCustomTable && styles.chipSelected]}
+                onPress={() => setUseCustomTable(false)}
+              >
+                <Text style={[styles.chipText, !useCustomTable && styles.chipTextSelected]}>
+                  Standard ({getDefaultPayoutTable(pool.entrants.length).join('/')})
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.chip, useCustomTable && styles.chipSelected]}
+                onPress={() => setUseCustomTable(true)}
+              >
+                <Text style={[styles.chipText, useCustomTable && styles.chipTextSelected]}>Custom</Text>
+              </TouchableOpacity>
+            </View>
+            {useCustomTable && (
+              <TextInput
+                style={styles.tableInput}
+                value={customTable}
+                onChangeText={setCustomTable}
+                placeholder="Percentages by place, e.g. 50, 30, 20"
+                keyboardType="numbers-and-punctuation"
+              />
+            )}
+            {!tableProblem && results.payouts.map((prize, index) => (
+              <View key={index} style={styles.fieldRow}>
+                <Text style={styles.fieldLabel}>
+                  {formatPosition(index + 1)} · {results.payoutTable[index]}%
+                </Text>
+                <Text style={styles.fieldAmount}>{format(prize)}</Text>
+              </View>
+            ))}
+
+            <Text style={styles.sectionTitle}>Finishing positions</Text>
+            {trackedKnockouts > 0 && (
+              <Text style={styles.helpText}>
+                {trackedKnockouts} knockout{trackedKnockouts === 1 ? ' was' : 's were'} tracked in the ledger, with bounties
+                already paid.{showKnockouts ? ' Enter only knockouts that weren\'t tracked.' : ''}
+              </Text>
+            )}
+            {deal && (
+              <Text style={styles.helpText}>
+                Places 1 to {deal.playerIds.length} were settled by a {DEAL_METHOD_LABELS[deal.method]} deal.
+              </Text>
+            )}
+            <View style={styles.playerHeader}>
+              <Text style={[styles.columnLabel, styles.nameColumn]}>Player</Text>
+              <Text style={styles.columnLabel}>Place</Text>
+              {showKnockouts && <Text style={styles.columnLabel}>KOs</Text>}
+              <Text style={[styles.columnLabel, styles.winningsColumn]}>Wins</Text>
+            </View>
+            {pool.entrants.map(playerId => (
+              <View key={playerId} style={styles.playerRow}>
+                <Text style={[styles.fieldLabel, styles.nameColumn]} numberOfLines={1}>{getName(playerId)}</Text>
+                {deal && deal.playerIds.includes(playerId) ? (
+                  <Text style={[styles.columnLabel, styles.dealLabel]}>Deal</Text>
+                ) : (
+                  <TextInput
+                    style={styles.numberInput}
+                    keyboardType="number-pad"
+                    value={positions[playerId] || ''}
+                    onChangeText={value => handleNumberChange(setPositions, positions, playerId, value)}
+                    placeholder="-"
+                  />
+                )}
+                {showKnockouts && (
+                  <TextInput
+                    style={styles.numberInput}
+                    keyboardType="number-pad"
+                    value={knockouts[playerId] || ''}
+                    onChangeText={value => handleNumberChange(setKnockouts, knockouts, playerId, value)}
+                    placeholder="0"
+                  />
+                )}
+                <Text style={[styles.fieldAmount, styles.winningsColumn]}>
+                  {results.winnings[playerId] && results.winnings[playerId].total > 0
+                    ? format(results.winnings[playerId].total)
+                    : '-'}
+                </Text>
+              </View>
+            ))}
+            {pool.entrants.length === 0 && (
+              <Text style={styles.helpText}>Record buy-ins before entering results.</Text>
+            )}
+
+            {problems.map(problem => (
+              <Text key={problem} style={styles.problemText}>{problem}</Text>
+            ))}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View />
+            <View style={styles.footerActions}>
+              <TouchableOpacity style={[styles.footerButton, styles.cancelButton]} onPress={onClose}>
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.footerButton, styles.saveButton, problems.length > 0 && styles.saveButtonDisabled]}
+                onPress={handleSave}
+                disabled={problems.length > 0}
+              >
+                <Text style={styles.saveButtonText}>Save Results</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: colors.palette.overlay,
+    justifyContent: 'flex-end',
+  },
+  container: {
+    backgroundColor: colors.card,
+    borderTopLeftRadius: layout.borderRadius.l,
+    borderTopRightRadius: layout.borderRadius.l,
+    maxHeight: '90%',
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  title: {
+    fontSize: layout.fontSizes.l,
+    fontWeight: layout.fontWeights.bold,
+    color: colors.text,
+  },
+  content: {
+    padding: layout.spacing.m,
+  },
+  sectionTitle: {
+    fontSize: layout.fontSizes.m,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+    marginTop: layout.spacing.m,
+    marginBottom: layout.spacing.s,
+  },
+  helpText: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+    marginBottom: layout.spacing.s,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    borderRadius: layout.borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+    marginRight: layout.spacing.xs,
+    marginBottom: layout.spacing.xs,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.text,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  fieldLabel: {
+    fontSize: layout.fontSizes.s,
+    color: colors.textSecondary,
+  },
+  fieldAmount: {
+    fontSize: layout.fontSizes.s,
+    fontWeight: layout.fontWeights.semibold,
+    color: colors.text,
+  },
+  tableInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    paddingHorizontal: layout.spacing.s,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    marginBottom: layout.spacing.s,
+  },
+  playerHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingBottom: layout.spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  columnLabel: {
+    width: 60,
+    fontSize: layout.fontSizes.xs,
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  nameColumn: {
+    flex: 1,
+    textAlign: 'left',
+  },
+  dealLabel: {
+    width: 52,
+    marginHorizontal: 4,
+    color: colors.primary,
+  },
+  winningsColumn: {
+    width: 90,
+    textAlign: 'right',
+  },
+  playerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: layout.spacing.xs,
+  },
+  numberInput: {
+    width: 52,
+    marginHorizontal: 4,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: layout.borderRadius.s,
+    paddingVertical: layout.spacing.xs,
+    fontSize: layout.fontSizes.s,
+    color: colors.text,
+    textAlign: 'center',
+  },
+  problemText: {
+    fontSize: layout.fontSizes.xs,
+    color: colors.error,
+    marginTop: layout.spacing.s,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: layout.spacing.m,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  footerActions: {
+    flexDirection: 'row',
+  },
+  footerButton: {
+    paddingVertical: layout.spacing.s,
+    paddingHorizontal: layout.spacing.m,
+    borderRadius: layout.borderRadius.xs,
+    marginLeft: layout.spacing.s,
+  },
+  cancelButton: {
+    backgroundColor: colors.background,
+  },
+  cancelButtonText: {
+    color: colors.textSecondary,
+    fontWeight: layout.fontWeights.medium,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+  },
+  saveButtonDisabled: {
+    backgroundColor: colors.buttonDisabled,
+  },
+  saveButtonText: {
+    color: colors.buttonText,
+    fontWeight: layout.fontWeights.semibold,
+  },
+});
+
+export default TournamentResultsEditor;
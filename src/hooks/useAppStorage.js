@@ -3,6 +3,8 @@ import { useDispatch, useSelector } from 'react-redux';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { setPlayers } from '../store/playerSlice';
 import { setHistory } from '../store/settlementSlice';
+import { migrateHistoryToMinorUnits, rekeyStoredData } from '../store/migrations';
+import { selectAllPlayers, selectSessions } from '../store/selectors';
 
 /**
  * Custom hook for handling application storage operations
@@ -12,8 +14,8 @@ import { setHistory } from '../store/settlementSlice';
  */
 const useAppStorage = () => {
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { history } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const history = useSelector(selectSessions);
   
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -37,7 +39,7 @@ const useAppStorage = () => {
     try {
       // Load players data
       const playersJson = await AsyncStorage.getItem(STORAGE_KEYS.PLAYERS);
-      const storedPlayers = playersJson ? JSON.parse(playersJson) : [];
+      const storedPlayers = playersJson ? rekeyStoredData({ players: JSON.parse(playersJson) }).players : [];
       
       if (storedPlayers.length > 0) {
         dispatch(setPlayers(storedPlayers));
@@ -45,7 +47,9 @@ const useAppStorage = () => {
 
       // Load history data
       const historyJson = await AsyncStorage.getItem(STORAGE_KEYS.HISTORY);
-      const storedHistory = historyJson ? JSON.parse(historyJson) : [];
+      const storedHistory = historyJson
+        ? rekeyStoredData({ history: migrateHistoryToMinorUnits(JSON.parse(historyJson)) }).history
+        : [];
       
       if (storedHistory.length > 0) {
         dispatch(setHistory(storedHistory));
@@ -196,13 +200,19 @@ const useAppStorage = () => {
         throw new Error('Invalid import data format');
       }
       
+      // Data exported before IDs were re-keyed gets the IDs the store uses
+      const { players, history } = rekeyStoredData({
+        players: data.players,
+        history: migrateHistoryToMinorUnits(data.history),
+      });
+      
       // Import players
-      dispatch(setPlayers(data.players));
-      await AsyncStorage.setItem(STORAGE_KEYS.PLAYERS, JSON.stringify(data.players));
+      dispatch(setPlayers(players));
+      await AsyncStorage.setItem(STORAGE_KEYS.PLAYERS, JSON.stringify(players));
       
       // Import history
-      dispatch(setHistory(data.history));
-      await AsyncStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(data.history));
+      dispatch(setHistory(history));
+      await AsyncStorage.setItem(STORAGE_KEYS.HISTORY, JSON.stringify(history));
       
       updateSyncTime();
       
@@ -8,6 +8,7 @@ import SessionHistoryScreen from '../screens/SessionHistoryScreen';
 import PlayerAnalyticsScreen from '../screens/PlayerAnalyticsScreen';
 import SessionShareScreen from '../screens/SessionShareScreen';
 import BuyInScreen from '../screens/BuyInScreen';
+import CashOutScreen from '../screens/CashOutScreen';
 import GameLedgerScreen from '../screens/GameLedgerScreen';
 import GameManagementScreen from '../screens/GameManagementScreen';
 import GameSessionsScreen from '../screens/GameSessionsScreen';
@@ -83,6 +84,12 @@ const AppNavigator = () => {
         options={{ headerShown: false }}
       />
       
+      <Stack.Screen 
+        name="CashOutScreen" 
+        component={CashOutScreen} 
+        options={{ headerShown: false }}
+      />
+      
       <Stack.Screen 
         name="GameLedgerScreen" 
         component={GameLedgerScreen} 
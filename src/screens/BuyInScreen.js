@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -13,15 +13,36 @@ import {
   Switch
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { recordTransaction, addPlayerToGame, deleteTransaction, updateTransactionAmount } from '../store/settlementSlice';
-import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
+import {
+  recordTransaction,
+  addPlayerToGame,
+  deleteTransaction,
+  updateTransactionAmount,
+  updateLoan
+} from '../store/settlementSlice';
+import { selectGameLog, selectGames } from '../store/selectors';
+import { MaterialIcons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
+import { CURRENCIES, formatMoney, formatMoneyInput, parseMoney, sumMoney } from '../utils/money';
+import { convertMoney, formatWithConversion, getExchangeRate, getTransactionValue } from '../utils/exchangeRates';
+import {
+  ENTRY_TYPES,
+  ENTRY_TYPE_LABELS,
+  getAvailableEntryTypes,
+  getEntryAmount,
+  isTournament
+} from '../utils/tournaments';
+import { isLoan } from '../utils/loans';
+import LoanEditor from '../components/LoanEditor';
+import LedgerUndoControls from '../components/LedgerUndoControls';
 
 const BuyInScreen = ({ route, navigation }) => {
   const { gameId } = route.params || {};
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId, games, gameLog } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const { currency, exchangeRates = {} } = useSelector(state => state.settlements);
+  const games = useSelector(selectGames);
+  const gameLog = useSelector(selectGameLog);
   
   const [selectedPlayerId, setSelectedPlayerId] = useState(null);
   const [buyInAmount, setBuyInAmount] = useState('');
@@ -30,8 +51,10 @@ const BuyInScreen = ({ route, navigation }) => {
   const [selectedPlayerIds, setSelectedPlayerIds] = useState([]);
   const [batchBuyInAmount, setBatchBuyInAmount] = useState('');
   const [useDefaultBuyIn, setUseDefaultBuyIn] = useState(true);
+  const [buyInCurrency, setBuyInCurrency] = useState(null);
+  const [entryType, setEntryType] = useState(ENTRY_TYPES.BUY_IN);
   
-  // Custom buy-in amounts for specific players
+  // Custom buy-in amounts (minor units) for specific players
   const [customBuyIns, setCustomBuyIns] = useState({});
   const [showCustomizeModal, setShowCustomizeModal] = useState(false);
   const [tempCustomAmount, setTempCustomAmount] = useState('');
@@ -41,30 +64,46 @@ const BuyInScreen = ({ route, navigation }) => {
   const [editAmount, setEditAmount] = useState('');
   const [showEditModal, setShowEditModal] = useState(false);
   
+  // Loans between players; editingLoan is null while recording a new one
+  const [showLoanEditor, setShowLoanEditor] = useState(false);
+  const [editingLoan, setEditingLoan] = useState(null);
+  
   // Get current game if gameId is provided
   const currentGame = gameId ? games.find(game => game.id === gameId) : null;
   
+  // Amounts are entered in the game's currency unless a player pays in another one
+  const gameCurrency = currentGame?.currency || currency;
+  const selectedCurrency = buyInCurrency || gameCurrency;
+  const buyInCurrencies = Object.keys(CURRENCIES).filter(code =>
+    code === gameCurrency || getExchangeRate(code, currency, exchangeRates) !== null
+  );
+  
+  // Tournament entries are fixed prices in the game's currency, so they make up the prize pool exactly
+  const tournament = isTournament(currentGame) ? currentGame.tournament : null;
+  const entryAmount = tournament ? getEntryAmount(tournament, entryType) : 0;
+  const canRecordBuyIn = tournament ? entryAmount > 0 : parseMoney(buyInAmount, selectedCurrency) > 0;
+  
   // Initialize buy-in amount from default when opening the modal
   useEffect(() => {
     if (showBuyInModal && selectedPlayerId) {
       if (useDefaultBuyIn) {
         if (customBuyIns[selectedPlayerId]) {
           // Use custom amount for this player if available
-          setBuyInAmount(customBuyIns[selectedPlayerId].toString());
+          setBuyInAmount(formatMoneyInput(customBuyIns[selectedPlayerId], gameCurrency));
         } else if (currentGame && currentGame.buyIn > 0) {
           // Otherwise use the game default
-          setBuyInAmount(currentGame.buyIn.toString());
+          setBuyInAmount(formatMoneyInput(currentGame.buyIn, gameCurrency));
         }
       }
     }
-  }, [showBuyInModal, selectedPlayerId, useDefaultBuyIn, currentGame, customBuyIns]);
+  }, [showBuyInModal, selectedPlayerId, useDefaultBuyIn, currentGame, customBuyIns, gameCurrency]);
   
   // Initialize batch buy-in amount from default
   useEffect(() => {
     if (showBatchBuyInModal && useDefaultBuyIn && currentGame && currentGame.buyIn > 0) {
-      setBatchBuyInAmount(currentGame.buyIn.toString());
+      setBatchBuyInAmount(formatMoneyInput(currentGame.buyIn, gameCurrency));
     }
-  }, [showBatchBuyInModal, useDefaultBuyIn, currentGame]);
+  }, [showBatchBuyInModal, useDefaultBuyIn, currentGame, gameCurrency]);
   
   // Get buy-in transactions from game log
   const getBuyInTransactions = () => {
@@ -80,12 +119,8 @@ const BuyInScreen = ({ route, navigation }) => {
       transaction => transaction.playerId === playerId
     );
     
-    const total = buyIns.reduce((sum, transaction) => {
-      // Ensure amount is treated as a number
-      const amount = typeof transaction.amount === 'string' ? 
-        parseFloat(transaction.amount) : Number(transaction.amount);
-      return sum + amount;
-    }, 0);
+    // Buy-ins can be in different currencies, so total what they're worth in the settlement currency
+    const total = sumMoney(buyIns.map(getTransactionValue));
     
     return {
       count: buyIns.length,
@@ -101,8 +136,8 @@ const BuyInScreen = ({ route, navigation }) => {
       return;
     }
     
-    const amount = parseFloat(buyInAmount);
-    if (isNaN(amount) || amount <= 0) {
+    const amount = tournament ? entryAmount : parseMoney(buyInAmount, selectedCurrency);
+    if (amount === null || amount <= 0) {
       Alert.alert('Error', 'Please enter a valid amount');
       return;
     }
@@ -111,9 +146,11 @@ const BuyInScreen = ({ route, navigation }) => {
     dispatch(recordTransaction({
       type: 'buy-in',
       playerId: selectedPlayerId,
-      amount: amount, // Ensure numeric value
+      amount,
+      currency: selectedCurrency,
       gameId,
-      description: `Buy-in for $${amount.toFixed(2)}`
+      description: `${tournament ? ENTRY_TYPE_LABELS[entryType] : 'Buy-in'} for ${formatMoney(amount, selectedCurrency)}`,
+      ...(tournament ? { entryType } : {})
     }));
     
     // If this is a game-specific buy-in, add player to game if not already added
@@ -121,12 +158,15 @@ const BuyInScreen = ({ route, navigation }) => {
       dispatch(addPlayerToGame({
         gameId,
         playerId: selectedPlayerId,
-        initialBuyIn: amount // Ensure numeric value
+        // Stacks are tracked in the game's currency
+        initialBuyIn: convertMoney(amount, selectedCurrency, gameCurrency, currency, exchangeRates)
       }));
     }
     
     // Reset form
     setBuyInAmount('');
+    setBuyInCurrency(null);
+    setEntryType(ENTRY_TYPES.BUY_IN);
     setSelectedPlayerId(null);
     setShowBuyInModal(false);
     
@@ -141,8 +181,8 @@ const BuyInScreen = ({ route, navigation }) => {
       return;
     }
     
-    const defaultAmount = parseFloat(batchBuyInAmount);
-    if (isNaN(defaultAmount) || defaultAmount <= 0) {
+    const defaultAmount = tournament ? tournament.buyIn : parseMoney(batchBuyInAmount, gameCurrency);
+    if (defaultAmount === null || defaultAmount <= 0) {
       Alert.alert('Error', 'Please enter a valid amount');
       return;
     }
@@ -150,15 +190,16 @@ const BuyInScreen = ({ route, navigation }) => {
     // Record buy-ins for all selected players
     selectedPlayerIds.forEach(playerId => {
       // Use custom amount if available, otherwise use the default batch amount
-      const buyInAmount = customBuyIns[playerId] || defaultAmount;
+      const buyInAmount = (!tournament && customBuyIns[playerId]) || defaultAmount;
       
       // Record the transaction
       dispatch(recordTransaction({
         type: 'buy-in',
         playerId,
-        amount: parseFloat(buyInAmount), // Ensure numeric value
+        amount: buyInAmount,
         gameId,
-        description: `Buy-in for $${parseFloat(buyInAmount).toFixed(2)}`
+        description: `Buy-in for ${formatMoney(buyInAmount, gameCurrency)}`,
+        ...(tournament ? { entryType: ENTRY_TYPES.BUY_IN } : {})
       }));
       
       // Add player to game if game-specific
@@ -166,7 +207,7 @@ const BuyInScreen = ({ route, navigation }) => {
         dispatch(addPlayerToGame({
           gameId,
           playerId,
-          initialBuyIn: parseFloat(buyInAmount) // Ensure numeric value
+          initialBuyIn: buyInAmount
         }));
       }
     });
@@ -184,7 +225,7 @@ const BuyInScreen = ({ route, navigation }) => {
   // Handle editing a transaction
   const handleEditTransaction = (transaction) => {
     setEditingTransaction(transaction);
-    setEditAmount(transaction.amount.toString());
+    setEditAmount(formatMoneyInput(transaction.amount, transaction.currency || currency));
     setShowEditModal(true);
   };
   
@@ -192,8 +233,8 @@ const BuyInScreen = ({ route, navigation }) => {
   const handleSaveEdit = () => {
     if (!editingTransaction) return;
     
-    const amount = parseFloat(editAmount);
-    if (isNaN(amount) || amount <= 0) {
+    const amount = parseMoney(editAmount, editingTransaction.currency || currency);
+    if (amount === null || amount <= 0) {
       Alert.alert('Error', 'Please enter a valid amount');
       return;
     }
@@ -201,7 +242,7 @@ const BuyInScreen = ({ route, navigation }) => {
     // Dispatch action to update the transaction amount
     dispatch(updateTransactionAmount({
       transactionId: editingTransaction.id,
-      newAmount: amount // Ensure numeric value
+      newAmount: amount
     }));
     
     // Reset state
@@ -213,10 +254,72 @@ const BuyInScreen = ({ route, navigation }) => {
     Alert.alert('Success', 'Buy-in amount updated successfully');
   };
   
+  const getPlayerName = (playerId) => players.find(p => p.id === playerId)?.name || 'Unknown Player';
+  
+  const openLoanEditor = (loan = null) => {
+    setEditingLoan(loan);
+    setShowLoanEditor(true);
+  };
+  
+  const closeLoanEditor = () => {
+    setShowLoanEditor(false);
+    setEditingLoan(null);
+  };
+  
+  // Record a new loan as the borrower's buy-in, or change an existing one
+  const handleSaveLoan = ({ borrowerId, lenderId, amount, entryType: loanEntryType, carryForward }) => {
+    if (editingLoan) {
+      if (amount !== editingLoan.amount) {
+        dispatch(updateTransactionAmount({ transactionId: editingLoan.id, newAmount: amount }));
+      }
+      dispatch(updateLoan({ transactionId: editingLoan.id, lenderId, carryForward }));
+      closeLoanEditor();
+      return;
+    }
+    
+    dispatch(recordTransaction({
+      type: 'buy-in',
+      playerId: borrowerId,
+      amount,
+      currency: gameCurrency,
+      gameId,
+      description: `Loan from ${getPlayerName(lenderId)} for ${formatMoney(amount, gameCurrency)}`,
+      lenderId,
+      carryForward,
+      ...(loanEntryType ? { entryType: loanEntryType } : {})
+    }));
+    
+    if (gameId) {
+      dispatch(addPlayerToGame({ gameId, playerId: borrowerId, initialBuyIn: amount }));
+    }
+    
+    closeLoanEditor();
+  };
+  
+  const handleDeleteLoan = () => {
+    if (!editingLoan) return;
+    
+    Alert.alert(
+      'Delete Loan',
+      'Remove this loan and the buy-in it paid for?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            dispatch(deleteTransaction({ transactionId: editingLoan.id }));
+            closeLoanEditor();
+          }
+        }
+      ]
+    );
+  };
+  
   // Handle customizing an individual player's buy-in amount
   const handleCustomizeAmount = () => {
-    const amount = parseFloat(tempCustomAmount);
-    if (isNaN(amount) || amount <= 0) {
+    const amount = parseMoney(tempCustomAmount, gameCurrency);
+    if (amount === null || amount <= 0) {
       Alert.alert('Error', 'Please enter a valid amount');
       return;
     }
@@ -224,7 +327,7 @@ const BuyInScreen = ({ route, navigation }) => {
     // Update the custom buy-in amount for this player
     setCustomBuyIns({
       ...customBuyIns,
-      [selectedPlayerId]: amount // Store as numeric value
+      [selectedPlayerId]: amount
     });
     
     setTempCustomAmount('');
@@ -263,6 +366,8 @@ const BuyInScreen = ({ route, navigation }) => {
         ]}
         onPress={() => {
           setSelectedPlayerId(item.id);
+          setBuyInCurrency(null);
+          setEntryType(ENTRY_TYPES.BUY_IN);
           setShowBuyInModal(true);
         }}
         onLongPress={() => togglePlayerSelection(item.id)}
@@ -281,11 +386,11 @@ const BuyInScreen = ({ route, navigation }) => {
           <View style={styles.playerDetails}>
             <Text style={styles.playerName}>{item.name}</Text>
             <Text style={styles.buyInCount}>
-              Buy-ins: {playerBuyIns.count} (Total: ${playerBuyIns.total.toFixed(2)})
+              Buy-ins: {playerBuyIns.count} (Total: {formatMoney(playerBuyIns.total, currency)})
             </Text>
             {customBuyIns[item.id] && (
               <Text style={styles.customAmount}>
-                Custom buy-in: ${customBuyIns[item.id].toFixed(2)}
+                Custom buy-in: {formatMoney(customBuyIns[item.id], gameCurrency)}
               </Text>
             )}
           </View>
@@ -323,14 +428,14 @@ const BuyInScreen = ({ route, navigation }) => {
             <Text style={styles.playerName}>{item.name}</Text>
             {hasCustomAmount && (
               <Text style={styles.customAmount}>
-                Custom: ${customBuyIns[item.id].toFixed(2)}
+                Custom: {formatMoney(customBuyIns[item.id], gameCurrency)}
               </Text>
             )}
           </View>
         </View>
         
         <View style={styles.batchItemActions}>
-          {isSelected && (
+          {isSelected && !tournament && (
             <TouchableOpacity
               style={styles.customizeButton}
               onPress={() => {
@@ -339,8 +444,8 @@ const BuyInScreen = ({ route, navigation }) => {
                 // Set the initial value for the custom amount input
                 setTempCustomAmount(
                   customBuyIns[item.id] ? 
-                  customBuyIns[item.id].toString() : 
-                  batchBuyInAmount || (currentGame?.buyIn || '').toString()
+                  formatMoneyInput(customBuyIns[item.id], gameCurrency) : 
+                  batchBuyInAmount || (currentGame?.buyIn ? formatMoneyInput(currentGame.buyIn, gameCurrency) : '')
                 );
                 setShowCustomizeModal(true);
               }}
@@ -375,16 +480,26 @@ const BuyInScreen = ({ route, navigation }) => {
         <View style={styles.historyHeader}>
           <Text style={styles.sectionTitle}>Buy-In History</Text>
           
-          <TouchableOpacity
-            style={styles.batchBuyInButton}
-            onPress={() => {
-              setSelectedPlayerIds([]);
-              setCustomBuyIns({});
-              setShowBatchBuyInModal(true);
-            }}
-          >
-            <Text style={styles.batchBuyInText}>Batch Buy-In</Text>
-          </TouchableOpacity>
+          <View style={styles.historyActions}>
+            <TouchableOpacity
+              style={[styles.batchBuyInButton, styles.loanButton]}
+              onPress={() => openLoanEditor()}
+              disabled={players.length < 2}
+            >
+              <Text style={styles.batchBuyInText}>Loan</Text>
+            </TouchableOpacity>
+            
+            <TouchableOpacity
+              style={styles.batchBuyInButton}
+              onPress={() => {
+                setSelectedPlayerIds([]);
+                setCustomBuyIns({});
+                setShowBatchBuyInModal(true);
+              }}
+            >
+              <Text style={styles.batchBuyInText}>Batch Buy-In</Text>
+            </TouchableOpacity>
+          </View>
         </View>
         
         {buyIns.length > 0 ? (
@@ -393,9 +508,6 @@ const BuyInScreen = ({ route, navigation }) => {
             keyExtractor={item => item.id}
             renderItem={({ item }) => {
               const player = players.find(p => p.id === item.playerId);
-              // Ensure amount is treated as number for display
-              const amount = typeof item.amount === 'string' ? 
-                parseFloat(item.amount) : Number(item.amount);
               
               return (
                 <View style={styles.buyInItem}>
@@ -415,28 +527,52 @@ const BuyInScreen = ({ route, navigation }) => {
                         {player ? player.name : 'Unknown Player'}
                       </Text>
                     </View>
-                    <Text style={styles.buyInAmount}>${amount.toFixed(2)}</Text>
+                    <Text style={styles.buyInAmount}>
+                      {formatWithConversion(item.amount, item.currency, currency, exchangeRates)}
+                    </Text>
                   </View>
                   
+                  {isLoan(item) && (
+                    <Text style={styles.loanText}>
+                      Loan from {getPlayerName(item.lenderId)}
+                      {item.carryForward ? ' · carried forward' : ''}
+                    </Text>
+                  )}
+                  
                   <View style={styles.buyInFooter}>
                     <Text style={styles.buyInTime}>
                       {new Date(item.timestamp).toLocaleString()}
                     </Text>
                     
                     <View style={styles.actionButtons}>
-                      <TouchableOpacity
-                        style={styles.editButton}
-                        onPress={() => handleEditTransaction(item)}
-                      >
-                        <MaterialIcons name="edit" size={20} color="#3498DB" />
-                      </TouchableOpacity>
+                      {/* Loans are edited in full, including who lent them */}
+                      {isLoan(item) && (
+                        <TouchableOpacity
+                          style={styles.editButton}
+                          onPress={() => openLoanEditor(item)}
+                        >
+                          <MaterialIcons name="edit" size={20} color="#3498DB" />
+                        </TouchableOpacity>
+                      )}
+                      
+                      {/* Tournament entries cost what the structure says; delete and re-enter instead */}
+                      {!item.entryType && !isLoan(item) && (
+                        <TouchableOpacity
+                          style={styles.editButton}
+                          onPress={() => handleEditTransaction(item)}
+                        >
+                          <MaterialIcons name="edit" size={20} color="#3498DB" />
+                        </TouchableOpacity>
+                      )}
                       
                       <TouchableOpacity
                         style={styles.deleteButton}
                         onPress={() => {
                           Alert.alert(
-                            'Delete Buy-In',
-                            'Are you sure you want to delete this buy-in record?',
+                            isLoan(item) ? 'Delete Loan' : 'Delete Buy-In',
+                            isLoan(item)
+                              ? 'Remove this loan and the buy-in it paid for?'
+                              : 'Are you sure you want to delete this buy-in record?',
                             [
                               { text: 'Cancel', style: 'cancel' },
                               { 
@@ -490,15 +626,16 @@ const BuyInScreen = ({ route, navigation }) => {
           <Text style={styles.headerTitle}>
             {currentGame ? `Buy-Ins: ${currentGame.name}` : 'Player Buy-Ins'}
           </Text>
-          {currentGame && currentGame.buyIn > 0 && (
-            <View style={styles.defaultBuyInBadge}>
-              <Text style={styles.defaultBuyInText}>
-                Default: ${typeof currentGame.buyIn === 'string' ? 
-                  parseFloat(currentGame.buyIn).toFixed(2) : 
-                  currentGame.buyIn.toFixed(2)}
-              </Text>
-            </View>
-          )}
+          <View style={styles.headerActions}>
+            {currentGame && currentGame.buyIn > 0 && (
+              <View style={styles.defaultBuyInBadge}>
+                <Text style={styles.defaultBuyInText}>
+                  Default: {formatMoney(currentGame.buyIn, gameCurrency)}
+                </Text>
+              </View>
+            )}
+            <LedgerUndoControls />
+          </View>
         </View>
       </LinearGradient>
       
@@ -534,7 +671,26 @@ const BuyInScreen = ({ route, navigation }) => {
               </Text>
             )}
             
-            {currentGame && currentGame.buyIn > 0 && (
+            {tournament && (
+              <>
+                <View style={styles.currencyOptions}>
+                  {getAvailableEntryTypes(tournament).map(type => (
+                    <TouchableOpacity
+                      key={type}
+                      style={[styles.currencyOption, entryType === type && styles.currencyOptionSelected]}
+                      onPress={() => setEntryType(type)}
+                    >
+                      <Text style={[styles.currencyOptionText, entryType === type && styles.currencyOptionTextSelected]}>
+                        {ENTRY_TYPE_LABELS[type]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={styles.selectedPlayerName}>{formatMoney(entryAmount, gameCurrency)}</Text>
+              </>
+            )}
+            
+            {!tournament && currentGame && currentGame.buyIn > 0 && (
               <View style={styles.defaultBuyInOption}>
                 <Text style={styles.defaultBuyInLabel}>
                   Use default buy-in
@@ -548,15 +704,37 @@ const BuyInScreen = ({ route, navigation }) => {
               </View>
             )}
             
-            <TextInput
-              style={styles.amountInput}
-              placeholder="Buy-in amount"
-              keyboardType="decimal-pad"
-              value={buyInAmount}
-              onChangeText={setBuyInAmount}
-              autoFocus={!useDefaultBuyIn}
-              editable={!useDefaultBuyIn || (!currentGame || currentGame.buyIn <= 0)}
-            />
+            {!tournament && (
+              <TextInput
+                style={styles.amountInput}
+                placeholder="Buy-in amount"
+                keyboardType="decimal-pad"
+                value={buyInAmount}
+                onChangeText={setBuyInAmount}
+                autoFocus={!useDefaultBuyIn}
+                editable={!useDefaultBuyIn || (!currentGame || currentGame.buyIn <= 0)}
+              />
+            )}
+            
+            {!tournament && buyInCurrencies.length > 1 && (
+              <View style={styles.currencyOptions}>
+                {buyInCurrencies.map(code => (
+                  <TouchableOpacity
+                    key={code}
+                    style={[styles.currencyOption, selectedCurrency === code && styles.currencyOptionSelected]}
+                    onPress={() => {
+                      setBuyInCurrency(code);
+                      // The game default is in the game's currency
+                      if (code !== gameCurrency) setUseDefaultBuyIn(false);
+                    }}
+                  >
+                    <Text style={[styles.currencyOptionText, selectedCurrency === code && styles.currencyOptionTextSelected]}>
+                      {code}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
             
             <View style={styles.modalButtons}>
               <TouchableOpacity
@@ -570,12 +748,14 @@ const BuyInScreen = ({ route, navigation }) => {
                 style={[
                   styles.modalButton, 
                   styles.saveButton,
-                  (!buyInAmount || parseFloat(buyInAmount) <= 0) && styles.disabledButton
+                  !canRecordBuyIn && styles.disabledButton
                 ]}
                 onPress={handleRecordBuyIn}
-                disabled={!buyInAmount || parseFloat(buyInAmount) <= 0}
+                disabled={!canRecordBuyIn}
               >
-                <Text style={styles.saveButtonText}>Record Buy-In</Text>
+                <Text style={styles.saveButtonText}>
+                  Record {tournament ? ENTRY_TYPE_LABELS[entryType] : 'Buy-In'}
+                </Text>
               </TouchableOpacity>
             </View>
           </View>
@@ -615,9 +795,7 @@ const BuyInScreen = ({ route, navigation }) => {
             {currentGame && currentGame.buyIn > 0 && (
               <View style={styles.defaultBuyInOption}>
                 <Text style={styles.defaultBuyInLabel}>
-                  Use default buy-in (${typeof currentGame.buyIn === 'string' ? 
-                    parseFloat(currentGame.buyIn).toFixed(2) : 
-                    currentGame.buyIn.toFixed(2)})
+                  Use default buy-in ({formatMoney(currentGame.buyIn, gameCurrency)})
                 </Text>
                 <Switch
                   value={useDefaultBuyIn}
@@ -659,10 +837,10 @@ const BuyInScreen = ({ route, navigation }) => {
                 style={[
                   styles.modalButton, 
                   styles.saveButton,
-                  (selectedPlayerIds.length === 0 || !batchBuyInAmount || parseFloat(batchBuyInAmount) <= 0) && styles.disabledButton
+                  (selectedPlayerIds.length === 0 || !(parseMoney(batchBuyInAmount, gameCurrency) > 0)) && styles.disabledButton
                 ]}
                 onPress={handleBatchBuyIn}
-                disabled={selectedPlayerIds.length === 0 || !batchBuyInAmount || parseFloat(batchBuyInAmount) <= 0}
+                disabled={selectedPlayerIds.length === 0 || !(parseMoney(batchBuyInAmount, gameCurrency) > 0)}
               >
                 <Text style={styles.saveButtonText}>Record Buy-Ins</Text>
               </TouchableOpacity>
@@ -715,10 +893,10 @@ const BuyInScreen = ({ route, navigation }) => {
                 style={[
                   styles.modalButton, 
                   styles.saveButton,
-                  (!tempCustomAmount || parseFloat(tempCustomAmount) <= 0) && styles.disabledButton
+                  !(parseMoney(tempCustomAmount, gameCurrency) > 0) && styles.disabledButton
                 ]}
                 onPress={handleCustomizeAmount}
-                disabled={!tempCustomAmount || parseFloat(tempCustomAmount) <= 0}
+                disabled={!(parseMoney(tempCustomAmount, gameCurrency) > 0)}
               >
                 <Text style={styles.saveButtonText}>Set Custom Amount</Text>
               </TouchableOpacity>
@@ -745,9 +923,7 @@ const BuyInScreen = ({ route, navigation }) => {
                 </Text>
                 
                 <Text style={styles.currentAmountText}>
-                  Current amount: ${typeof editingTransaction.amount === 'string' ? 
-                    parseFloat(editingTransaction.amount).toFixed(2) : 
-                    editingTransaction.amount.toFixed(2)}
+                  Current amount: {formatWithConversion(editingTransaction.amount, editingTransaction.currency, currency, exchangeRates)}
                 </Text>
                 
                 <TextInput
@@ -773,10 +949,10 @@ const BuyInScreen = ({ route, navigation }) => {
                 style={[
                   styles.modalButton, 
                   styles.saveButton,
-                  (!editAmount || parseFloat(editAmount) <= 0) && styles.disabledButton
+                  !(parseMoney(editAmount, gameCurrency) > 0) && styles.disabledButton
                 ]}
                 onPress={handleSaveEdit}
-                disabled={!editAmount || parseFloat(editAmount) <= 0}
+                disabled={!(parseMoney(editAmount, gameCurrency) > 0)}
               >
                 <Text style={styles.saveButtonText}>Update Amount</Text>
               </TouchableOpacity>
@@ -784,6 +960,17 @@ const BuyInScreen = ({ route, navigation }) => {
           </View>
         </View>
       </Modal>
+      
+      <LoanEditor
+        visible={showLoanEditor}
+        loan={editingLoan}
+        game={currentGame}
+        players={players}
+        currency={gameCurrency}
+        onSave={handleSaveLoan}
+        onDelete={handleDeleteLoan}
+        onClose={closeLoanEditor}
+      />
     </SafeAreaView>
   );
 };
@@ -811,6 +998,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: 'white',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   defaultBuyInBadge: {
     backgroundColor: 'rgba(255, 255, 255, 0.2)',
     paddingHorizontal: 10,
@@ -911,6 +1102,13 @@ const styles = StyleSheet.create({
     paddingVertical: 6,
     borderRadius: 15,
   },
+  historyActions: {
+    flexDirection: 'row',
+  },
+  loanButton: {
+    backgroundColor: '#3498DB',
+    marginRight: 8,
+  },
   batchBuyInText: {
     color: 'white',
     fontWeight: 'bold',
@@ -961,6 +1159,11 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  loanText: {
+    fontSize: 13,
+    color: '#3498DB',
+    marginTop: 6,
+  },
   buyInTime: {
     fontSize: 12,
     color: '#7F8C8D',
@@ -1048,6 +1251,33 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 20,
   },
+  currencyOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: -10,
+    marginBottom: 15,
+  },
+  currencyOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  currencyOptionSelected: {
+    backgroundColor: '#3498DB',
+    borderColor: '#3498DB',
+  },
+  currencyOptionText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  currencyOptionTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
   helpText: {
     fontSize: 12,
     color: '#7F8C8D',
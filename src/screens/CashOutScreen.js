@@ -0,0 +1,1132 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  SafeAreaView,
+  StatusBar,
+  Modal,
+  ScrollView
+} from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+  recordTransaction,
+  deleteTransaction,
+  updateTransactionAmount,
+  balanceTable,
+  endGame
+} from '../store/settlementSlice';
+import { selectAllPlayers, selectGames } from '../store/selectors';
+import { MaterialIcons } from '@expo/vector-icons';
+import { LinearGradient } from 'expo-linear-gradient';
+import { formatMoney, formatMoneyInput, parseMoney } from '../utils/money';
+import { convertMoney, formatWithConversion } from '../utils/exchangeRates';
+import { DISCREPANCY_RESOLUTIONS, chipsToMoney, getAmountInPlay, getChipSet } from '../utils/chips';
+import { checkCashOuts, getPlayerTableTotals, planTableFixUp } from '../utils/cashOuts';
+import { isTournament } from '../utils/tournaments';
+
+// Cash-outs are typed as money or as the chips in front of the player
+const ENTRY_MODES = {
+  AMOUNT: 'amount',
+  CHIPS: 'chips'
+};
+
+const CashOutScreen = ({ route, navigation }) => {
+  const { gameId, endingGame = false } = route.params || {};
+  const dispatch = useDispatch();
+  const players = useSelector(selectAllPlayers);
+  const { currency, exchangeRates = {} } = useSelector(state => state.settlements);
+  const games = useSelector(selectGames);
+
+  const [selectedPlayerId, setSelectedPlayerId] = useState(null);
+  const [showCashOutModal, setShowCashOutModal] = useState(false);
+  const [cashOutInput, setCashOutInput] = useState('');
+  const [entryMode, setEntryMode] = useState(ENTRY_MODES.AMOUNT);
+
+  // Everyone who hasn't cashed out yet, at once
+  const [showRemainingModal, setShowRemainingModal] = useState(false);
+  const [remainingInputs, setRemainingInputs] = useState({});
+
+  // Edit functionality
+  const [editingTransaction, setEditingTransaction] = useState(null);
+  const [editAmount, setEditAmount] = useState('');
+  const [showEditModal, setShowEditModal] = useState(false);
+
+  // Squaring the table before the game ends
+  const [fixUpResolution, setFixUpResolution] = useState(DISCREPANCY_RESOLUTIONS.PROPORTIONAL);
+  const [fixUpPlayerId, setFixUpPlayerId] = useState(null);
+
+  const currentGame = gameId ? games.find(game => game.id === gameId) : null;
+
+  // Cash-outs are paid in the game's currency; totals elsewhere are in the settlement currency
+  const gameCurrency = currentGame?.currency || currency;
+  const toGameCurrency = transaction =>
+    convertMoney(transaction.amount, transaction.currency, gameCurrency, currency, exchangeRates) || 0;
+  const chipSet = getChipSet(currentGame);
+
+  const gameTransactions = currentGame ? currentGame.transactions : [];
+  const inPlay = getAmountInPlay(gameTransactions, toGameCurrency);
+  const tableTotals = getPlayerTableTotals(gameTransactions, toGameCurrency);
+  const isCompleted = !!currentGame?.endTime;
+
+  const gamePlayers = (currentGame?.players || [])
+    .map(gamePlayer => players.find(player => player.id === gamePlayer.playerId))
+    .filter(Boolean);
+  const remainingPlayers = gamePlayers.filter(player => !(tableTotals[player.id]?.cashOutCount > 0));
+
+  const getPlayerName = (playerId) => players.find(p => p.id === playerId)?.name || 'Unknown Player';
+
+  // Reads what was typed in the current entry mode as money in the game's currency
+  const parseEntry = (text) => {
+    if (entryMode === ENTRY_MODES.CHIPS) {
+      const chips = Number(String(text).trim());
+      if (!String(text).trim() || isNaN(chips) || chips < 0) return null;
+      return chipsToMoney(chips, chipSet, gameCurrency);
+    }
+    return parseMoney(text, gameCurrency);
+  };
+
+  const describeEntry = (text, amount) => {
+    return entryMode === ENTRY_MODES.CHIPS
+      ? `Cash-out of ${Number(text)} chips (${formatMoney(amount, gameCurrency)})`
+      : `Cash-out for ${formatMoney(amount, gameCurrency)}`;
+  };
+
+  useEffect(() => {
+    if (showRemainingModal) setRemainingInputs({});
+  }, [showRemainingModal]);
+
+  // Single cash-out
+  const cashOutAmount = parseEntry(cashOutInput);
+  const cashOutCheck = checkCashOuts(inPlay, [cashOutAmount]);
+  const canRecordCashOut = cashOutAmount !== null && cashOutAmount > 0 && !cashOutCheck.exceeds;
+
+  const handleRecordCashOut = () => {
+    if (!selectedPlayerId || !canRecordCashOut) return;
+
+    dispatch(recordTransaction({
+      type: 'cash-out',
+      playerId: selectedPlayerId,
+      amount: cashOutAmount,
+      currency: gameCurrency,
+      gameId,
+      description: describeEntry(cashOutInput, cashOutAmount)
+    }));
+
+    setCashOutInput('');
+    setSelectedPlayerId(null);
+    setShowCashOutModal(false);
+  };
+
+  // Everyone left at the table; blank entries are players who busted
+  const remainingAmounts = remainingPlayers.map(player => {
+    const text = remainingInputs[player.id];
+    return text && String(text).trim() ? parseEntry(text) : 0;
+  });
+  const remainingCheck = checkCashOuts(inPlay, remainingAmounts);
+  const hasInvalidEntry = remainingAmounts.some(amount => amount === null);
+  const canRecordRemaining = !hasInvalidEntry && remainingCheck.total > 0 && !remainingCheck.exceeds;
+
+  const handleRecordRemaining = () => {
+    if (!canRecordRemaining) return;
+
+    remainingPlayers.forEach((player, index) => {
+      const amount = remainingAmounts[index];
+      if (!amount) return;
+
+      dispatch(recordTransaction({
+        type: 'cash-out',
+        playerId: player.id,
+        amount,
+        currency: gameCurrency,
+        gameId,
+        description: describeEntry(remainingInputs[player.id], amount)
+      }));
+    });
+
+    setShowRemainingModal(false);
+  };
+
+  // Handle editing a cash-out
+  const handleEditTransaction = (transaction) => {
+    setEditingTransaction(transaction);
+    setEditAmount(formatMoneyInput(transaction.amount, transaction.currency || currency));
+    setShowEditModal(true);
+  };
+
+  const editedAmount = editingTransaction ? parseMoney(editAmount, editingTransaction.currency || currency) : null;
+  // The edit may only take what's on the table on top of what the cash-out already took
+  const editCheck = editingTransaction
+    ? checkCashOuts(
+      inPlay + toGameCurrency(editingTransaction),
+      [toGameCurrency({ ...editingTransaction, amount: editedAmount || 0 })]
+    )
+    : null;
+  const canSaveEdit = editedAmount !== null && editedAmount > 0 && !!editCheck && !editCheck.exceeds;
+
+  const handleSaveEdit = () => {
+    if (!canSaveEdit) return;
+
+    dispatch(updateTransactionAmount({
+      transactionId: editingTransaction.id,
+      newAmount: editedAmount
+    }));
+
+    setEditingTransaction(null);
+    setEditAmount('');
+    setShowEditModal(false);
+  };
+
+  const handleDeleteTransaction = (transaction) => {
+    Alert.alert(
+      'Delete Cash-Out',
+      'Are you sure you want to delete this cash-out record?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => dispatch(deleteTransaction({ transactionId: transaction.id }))
+        }
+      ]
+    );
+  };
+
+  // What squaring the table would do, previewed before it's applied
+  const cashedOut = {};
+  Object.entries(tableTotals).forEach(([playerId, total]) => {
+    cashedOut[playerId] = total.cashOuts;
+  });
+  const fixUp = planTableFixUp({
+    inPlay,
+    cashOuts: cashedOut,
+    resolution: fixUpResolution,
+    hostId: fixUpPlayerId
+  });
+  const canApplyFixUp = Object.keys(fixUp).length > 0;
+
+  const handleApplyFixUp = () => {
+    dispatch(balanceTable({ gameId, resolution: fixUpResolution, hostId: fixUpPlayerId }));
+  };
+
+  const handleEndGame = () => {
+    if (inPlay !== 0) return;
+
+    dispatch(endGame({ gameId }));
+    navigation.goBack();
+  };
+
+  const renderEntryModeOptions = () => (
+    <View style={styles.currencyOptions}>
+      {[ENTRY_MODES.AMOUNT, ENTRY_MODES.CHIPS].map(mode => (
+        <TouchableOpacity
+          key={mode}
+          style={[styles.currencyOption, entryMode === mode && styles.currencyOptionSelected]}
+          onPress={() => setEntryMode(mode)}
+        >
+          <Text style={[styles.currencyOptionText, entryMode === mode && styles.currencyOptionTextSelected]}>
+            {mode === ENTRY_MODES.CHIPS ? 'Stack in chips' : `Amount (${gameCurrency})`}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  // Render player item for selection
+  const renderPlayerItem = ({ item }) => {
+    const totals = tableTotals[item.id] || { buyIns: 0, cashOuts: 0, cashOutCount: 0 };
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.playerItem,
+          selectedPlayerId === item.id && styles.selectedPlayerItem
+        ]}
+        onPress={() => {
+          setSelectedPlayerId(item.id);
+          setCashOutInput('');
+          setShowCashOutModal(true);
+        }}
+        disabled={isCompleted}
+      >
+        <View style={styles.playerInfo}>
+          <View
+            style={[
+              styles.avatar,
+              { backgroundColor: item.avatarColor || '#3498DB' }
+            ]}
+          >
+            <Text style={styles.avatarText}>
+              {item.name.split(' ').map(part => part.charAt(0)).join('').toUpperCase().substring(0, 2)}
+            </Text>
+          </View>
+          <View style={styles.playerDetails}>
+            <Text style={styles.playerName}>{item.name}</Text>
+            <Text style={styles.playerTotals}>
+              In: {formatMoney(totals.buyIns, gameCurrency)} · Out: {formatMoney(totals.cashOuts, gameCurrency)}
+            </Text>
+          </View>
+        </View>
+        {!isCompleted && <MaterialIcons name="remove-circle" size={30} color="#E67E22" />}
+      </TouchableOpacity>
+    );
+  };
+
+  // The table's state, and how to square it before ending the game
+  const renderTableStatus = () => {
+    const balanced = inPlay === 0;
+
+    return (
+      <View style={[styles.tableCard, balanced ? styles.tableBalanced : styles.tableUnbalanced]}>
+        <View style={styles.tableRow}>
+          <Text style={styles.tableLabel}>On the table</Text>
+          <Text style={styles.tableAmount}>{formatMoney(inPlay, gameCurrency)}</Text>
+        </View>
+        <Text style={styles.tableStatusText}>
+          {balanced
+            ? 'The table balances.'
+            : inPlay > 0
+              ? `${formatMoney(inPlay, gameCurrency)} still has to be cashed out before the game can end.`
+              : `${formatMoney(-inPlay, gameCurrency)} more was cashed out than was bought in.`}
+        </Text>
+
+        {!balanced && !isCompleted && (endingGame || remainingPlayers.length === 0) && (
+          <View style={styles.fixUp}>
+            <Text style={styles.modalSubtitle}>Fix it up</Text>
+            {inPlay > 0 && remainingPlayers.length > 0 && (
+              <TouchableOpacity
+                style={styles.fixUpOption}
+                onPress={() => setShowRemainingModal(true)}
+              >
+                <MaterialIcons name="groups" size={18} color="#3498DB" />
+                <Text style={styles.fixUpOptionText}>
+                  Cash out the {remainingPlayers.length} player{remainingPlayers.length === 1 ? '' : 's'} still at the table
+                </Text>
+              </TouchableOpacity>
+            )}
+
+            <View style={styles.currencyOptions}>
+              <TouchableOpacity
+                style={[
+                  styles.currencyOption,
+                  fixUpResolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL && styles.currencyOptionSelected
+                ]}
+                onPress={() => setFixUpResolution(DISCREPANCY_RESOLUTIONS.PROPORTIONAL)}
+              >
+                <Text style={[
+                  styles.currencyOptionText,
+                  fixUpResolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL && styles.currencyOptionTextSelected
+                ]}>
+                  Split across cash-outs
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.currencyOption,
+                  fixUpResolution === DISCREPANCY_RESOLUTIONS.HOST && styles.currencyOptionSelected
+                ]}
+                onPress={() => setFixUpResolution(DISCREPANCY_RESOLUTIONS.HOST)}
+              >
+                <Text style={[
+                  styles.currencyOptionText,
+                  fixUpResolution === DISCREPANCY_RESOLUTIONS.HOST && styles.currencyOptionTextSelected
+                ]}>
+                  One player takes it
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {fixUpResolution === DISCREPANCY_RESOLUTIONS.HOST && (
+              <View style={styles.currencyOptions}>
+                {gamePlayers.map(player => (
+                  <TouchableOpacity
+                    key={player.id}
+                    style={[styles.currencyOption, fixUpPlayerId === player.id && styles.currencyOptionSelected]}
+                    onPress={() => setFixUpPlayerId(player.id)}
+                  >
+                    <Text style={[styles.currencyOptionText, fixUpPlayerId === player.id && styles.currencyOptionTextSelected]}>
+                      {player.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
+            {Object.entries(fixUp).map(([playerId, amount]) => (
+              <Text key={playerId} style={styles.fixUpPreview}>
+                {getPlayerName(playerId)} {amount > 0 ? 'cashes out' : 'pays back'} {formatMoney(Math.abs(amount), gameCurrency)}
+              </Text>
+            ))}
+            {fixUpResolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL && !canApplyFixUp && (
+              <Text style={styles.fixUpPreview}>Nobody has cashed out yet to split it across.</Text>
+            )}
+
+            <TouchableOpacity
+              style={[styles.fixUpButton, !canApplyFixUp && styles.disabledButton]}
+              onPress={handleApplyFixUp}
+              disabled={!canApplyFixUp}
+            >
+              <Text style={styles.saveButtonText}>Apply Fix-Up</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!isCompleted && (
+          <TouchableOpacity
+            style={[styles.endGameButton, !balanced && styles.disabledButton]}
+            onPress={handleEndGame}
+            disabled={!balanced}
+          >
+            <MaterialIcons name="flag" size={18} color="white" />
+            <Text style={styles.endGameText}>End Game</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  // Render cash-out history
+  const renderCashOutHistory = () => {
+    const cashOuts = gameTransactions
+      .filter(transaction => transaction.type === 'cash-out')
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return (
+      <View style={styles.historyContainer}>
+        <View style={styles.historyHeader}>
+          <Text style={styles.sectionTitle}>Cash-Out History</Text>
+
+          {!isCompleted && remainingPlayers.length > 0 && (
+            <TouchableOpacity
+              style={styles.batchCashOutButton}
+              onPress={() => setShowRemainingModal(true)}
+            >
+              <Text style={styles.batchCashOutText}>Cash Out Remaining</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {cashOuts.length > 0 ? (
+          cashOuts.map(item => {
+            const player = players.find(p => p.id === item.playerId);
+
+            return (
+              <View key={item.id} style={styles.cashOutItem}>
+                <View style={styles.cashOutHeader}>
+                  <View style={styles.playerInfo}>
+                    <View
+                      style={[
+                        styles.miniAvatar,
+                        { backgroundColor: player ? player.avatarColor || '#3498DB' : '#7F8C8D' }
+                      ]}
+                    >
+                      <Text style={styles.miniAvatarText}>
+                        {player ? player.name.substring(0, 2).toUpperCase() : 'UK'}
+                      </Text>
+                    </View>
+                    <Text style={styles.cashOutPlayerName}>
+                      {player ? player.name : 'Unknown Player'}
+                    </Text>
+                  </View>
+                  <Text style={styles.cashOutAmount}>
+                    {formatWithConversion(item.amount, item.currency, currency, exchangeRates)}
+                  </Text>
+                </View>
+
+                {!!item.description && (
+                  <Text style={styles.cashOutDescription}>{item.description}</Text>
+                )}
+
+                <View style={styles.cashOutFooter}>
+                  <Text style={styles.cashOutTime}>
+                    {new Date(item.timestamp).toLocaleString()}
+                  </Text>
+
+                  {!isCompleted && (
+                    <View style={styles.actionButtons}>
+                      {/* Prizes and bounties come from the tournament; change the results instead */}
+                      {!item.entryType && (
+                        <TouchableOpacity
+                          style={styles.editButton}
+                          onPress={() => handleEditTransaction(item)}
+                        >
+                          <MaterialIcons name="edit" size={20} color="#3498DB" />
+                        </TouchableOpacity>
+                      )}
+
+                      <TouchableOpacity
+                        style={styles.deleteButton}
+                        onPress={() => handleDeleteTransaction(item)}
+                      >
+                        <MaterialIcons name="delete" size={20} color="#E74C3C" />
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              </View>
+            );
+          })
+        ) : (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>No cash-outs recorded yet</Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <StatusBar barStyle="light-content" />
+      <LinearGradient
+        colors={['#2C3E50', '#4CA1AF']}
+        style={styles.headerGradient}
+      >
+        <View style={styles.header}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <MaterialIcons name="arrow-back" size={24} color="white" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>
+            {currentGame ? `Cash-Outs: ${currentGame.name}` : 'Cash-Outs'}
+          </Text>
+          <View style={styles.headerSpacer} />
+        </View>
+      </LinearGradient>
+
+      {!currentGame || isTournament(currentGame) ? (
+        <View style={styles.container}>
+          <View style={styles.emptyContainer}>
+            <Text style={styles.emptyText}>
+              {currentGame
+                ? 'Tournament prizes are paid out from the results.'
+                : 'Cash-outs are recorded per game. Open one from Game Management.'}
+            </Text>
+          </View>
+        </View>
+      ) : (
+        <ScrollView style={styles.container}>
+          <View style={styles.playersContainer}>
+            {renderTableStatus()}
+
+            <Text style={styles.sectionTitle}>Select Player</Text>
+            <FlatList
+              data={gamePlayers}
+              renderItem={renderPlayerItem}
+              keyExtractor={item => item.id}
+              contentContainerStyle={styles.playersList}
+              scrollEnabled={false}
+              ListEmptyComponent={
+                <View style={styles.emptyContainer}>
+                  <Text style={styles.emptyText}>Nobody has bought in yet</Text>
+                </View>
+              }
+            />
+          </View>
+
+          {renderCashOutHistory()}
+        </ScrollView>
+      )}
+
+      {/* Individual Cash-out Modal */}
+      <Modal
+        visible={showCashOutModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowCashOutModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Record Cash-Out</Text>
+
+            {selectedPlayerId && (
+              <Text style={styles.selectedPlayerName}>{getPlayerName(selectedPlayerId)}</Text>
+            )}
+
+            {renderEntryModeOptions()}
+
+            <TextInput
+              style={styles.amountInput}
+              placeholder={entryMode === ENTRY_MODES.CHIPS ? 'Chips in their stack' : 'Cash-out amount'}
+              keyboardType="decimal-pad"
+              value={cashOutInput}
+              onChangeText={setCashOutInput}
+              autoFocus
+            />
+
+            {entryMode === ENTRY_MODES.CHIPS && cashOutAmount !== null && (
+              <Text style={styles.currentAmountText}>Worth {formatMoney(cashOutAmount, gameCurrency)}</Text>
+            )}
+            <Text style={[styles.currentAmountText, cashOutCheck.exceeds && styles.errorText]}>
+              {cashOutCheck.exceeds
+                ? `Only ${formatMoney(inPlay, gameCurrency)} is on the table`
+                : `${formatMoney(cashOutCheck.remaining, gameCurrency)} left on the table after this`}
+            </Text>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowCashOutModal(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[
+                  styles.modalButton,
+                  styles.saveButton,
+                  !canRecordCashOut && styles.disabledButton
+                ]}
+                onPress={handleRecordCashOut}
+                disabled={!canRecordCashOut}
+              >
+                <Text style={styles.saveButtonText}>Record Cash-Out</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Remaining Players Modal */}
+      <Modal
+        visible={showRemainingModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowRemainingModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Cash Out Remaining Players</Text>
+
+            {renderEntryModeOptions()}
+
+            <ScrollView style={styles.remainingList}>
+              {remainingPlayers.map((player, index) => (
+                <View key={player.id} style={styles.remainingRow}>
+                  <Text style={styles.remainingName}>{player.name}</Text>
+                  <TextInput
+                    style={[styles.remainingInput, remainingAmounts[index] === null && styles.inputError]}
+                    placeholder={entryMode === ENTRY_MODES.CHIPS ? 'Chips' : '0'}
+                    keyboardType="decimal-pad"
+                    value={remainingInputs[player.id] || ''}
+                    onChangeText={text => setRemainingInputs({ ...remainingInputs, [player.id]: text })}
+                  />
+                </View>
+              ))}
+            </ScrollView>
+
+            <Text style={styles.helpText}>
+              Leave a player blank if they busted
+            </Text>
+
+            <Text style={[styles.currentAmountText, remainingCheck.exceeds && styles.errorText]}>
+              {formatMoney(remainingCheck.total, gameCurrency)} of {formatMoney(inPlay, gameCurrency)} on the table
+              {remainingCheck.exceeds ? ' - that\'s more than there is' : ''}
+            </Text>
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowRemainingModal(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[
+                  styles.modalButton,
+                  styles.saveButton,
+                  !canRecordRemaining && styles.disabledButton
+                ]}
+                onPress={handleRecordRemaining}
+                disabled={!canRecordRemaining}
+              >
+                <Text style={styles.saveButtonText}>Cash Out All</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Edit Transaction Modal */}
+      <Modal
+        visible={showEditModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowEditModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Edit Cash-Out Amount</Text>
+
+            {editingTransaction && (
+              <>
+                <Text style={styles.selectedPlayerName}>{getPlayerName(editingTransaction.playerId)}</Text>
+
+                <Text style={styles.currentAmountText}>
+                  Current amount: {formatWithConversion(editingTransaction.amount, editingTransaction.currency, currency, exchangeRates)}
+                </Text>
+
+                <TextInput
+                  style={styles.amountInput}
+                  placeholder="New cash-out amount"
+                  keyboardType="decimal-pad"
+                  value={editAmount}
+                  onChangeText={setEditAmount}
+                  autoFocus
+                />
+
+                {editCheck && editCheck.exceeds && (
+                  <Text style={[styles.currentAmountText, styles.errorText]}>
+                    That's more than is on the table
+                  </Text>
+                )}
+              </>
+            )}
+
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowEditModal(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[
+                  styles.modalButton,
+                  styles.saveButton,
+                  !canSaveEdit && styles.disabledButton
+                ]}
+                onPress={handleSaveEdit}
+                disabled={!canSaveEdit}
+              >
+                <Text style={styles.saveButtonText}>Update Amount</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#2C3E50',
+  },
+  headerGradient: {
+    paddingTop: 15,
+    paddingBottom: 15,
+    paddingHorizontal: 20,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  backButton: {
+    padding: 5,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  headerSpacer: {
+    width: 34,
+  },
+  container: {
+    flex: 1,
+    backgroundColor: '#F0F4F8',
+  },
+  playersContainer: {
+    padding: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginBottom: 15,
+  },
+  playersList: {
+    paddingBottom: 10,
+  },
+  playerItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  selectedPlayerItem: {
+    backgroundColor: '#E1F0FF',
+    borderWidth: 1,
+    borderColor: '#3498DB',
+  },
+  playerInfo: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 10,
+  },
+  avatarText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  playerDetails: {
+    flex: 1,
+  },
+  playerName: {
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#2C3E50',
+  },
+  playerTotals: {
+    fontSize: 14,
+    color: '#7F8C8D',
+  },
+  tableCard: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 20,
+    borderLeftWidth: 4,
+  },
+  tableBalanced: {
+    borderLeftColor: '#2ECC71',
+  },
+  tableUnbalanced: {
+    borderLeftColor: '#E67E22',
+  },
+  tableRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  tableLabel: {
+    fontSize: 16,
+    color: '#2C3E50',
+    fontWeight: '500',
+  },
+  tableAmount: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  tableStatusText: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginTop: 5,
+  },
+  fixUp: {
+    marginTop: 15,
+    paddingTop: 15,
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  fixUpOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  fixUpOptionText: {
+    color: '#3498DB',
+    fontSize: 14,
+    fontWeight: '500',
+    marginLeft: 8,
+  },
+  fixUpPreview: {
+    fontSize: 14,
+    color: '#2C3E50',
+    marginBottom: 5,
+  },
+  fixUpButton: {
+    backgroundColor: '#3498DB',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  endGameButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#2ECC71',
+    borderRadius: 8,
+    paddingVertical: 12,
+    marginTop: 15,
+  },
+  endGameText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+    marginLeft: 8,
+  },
+  historyContainer: {
+    padding: 15,
+  },
+  historyHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  batchCashOutButton: {
+    backgroundColor: '#E67E22',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 15,
+  },
+  batchCashOutText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 14,
+  },
+  cashOutItem: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  cashOutHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  miniAvatar: {
+    width: 30,
+    height: 30,
+    borderRadius: 15,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  miniAvatarText: {
+    color: 'white',
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  cashOutPlayerName: {
+    fontSize: 16,
+    color: '#2C3E50',
+    fontWeight: '500',
+  },
+  cashOutAmount: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  cashOutDescription: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    marginBottom: 6,
+  },
+  cashOutFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  cashOutTime: {
+    fontSize: 12,
+    color: '#7F8C8D',
+  },
+  actionButtons: {
+    flexDirection: 'row',
+  },
+  editButton: {
+    padding: 5,
+    marginRight: 5,
+  },
+  deleteButton: {
+    padding: 5,
+  },
+  emptyContainer: {
+    padding: 20,
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 10,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#7F8C8D',
+    textAlign: 'center',
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modalContent: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 20,
+    width: '100%',
+    maxWidth: 400,
+    maxHeight: '80%',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  modalSubtitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#2C3E50',
+    marginBottom: 10,
+  },
+  selectedPlayerName: {
+    fontSize: 16,
+    color: '#3498DB',
+    fontWeight: '500',
+    marginBottom: 15,
+    textAlign: 'center',
+  },
+  currentAmountText: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginBottom: 10,
+    textAlign: 'center',
+  },
+  errorText: {
+    color: '#E74C3C',
+  },
+  amountInput: {
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    borderRadius: 10,
+    padding: 15,
+    fontSize: 16,
+    marginBottom: 20,
+  },
+  currencyOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 15,
+  },
+  currencyOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  currencyOptionSelected: {
+    backgroundColor: '#3498DB',
+    borderColor: '#3498DB',
+  },
+  currencyOptionText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  currencyOptionTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  remainingList: {
+    maxHeight: 240,
+    marginBottom: 15,
+  },
+  remainingRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  remainingName: {
+    fontSize: 16,
+    color: '#2C3E50',
+    flex: 1,
+  },
+  remainingInput: {
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 16,
+    width: 110,
+    textAlign: 'right',
+  },
+  inputError: {
+    borderColor: '#E74C3C',
+  },
+  helpText: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginBottom: 15,
+    fontStyle: 'italic',
+    textAlign: 'center',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  modalButton: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  cancelButton: {
+    backgroundColor: '#F0F4F8',
+    marginRight: 10,
+  },
+  cancelButtonText: {
+    color: '#7F8C8D',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  saveButton: {
+    backgroundColor: '#3498DB',
+    marginLeft: 10,
+  },
+  saveButtonText: {
+    color: 'white',
+    fontWeight: 'bold',
+    fontSize: 16,
+  },
+  disabledButton: {
+    opacity: 0.5,
+  }
+});
+
+export default CashOutScreen;
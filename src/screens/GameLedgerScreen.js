@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -9,211 +9,114 @@ import {
   SafeAreaView,
   StatusBar,
   Modal,
-  ScrollView
+  ScrollView,
+  TextInput
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { deleteTransaction } from '../store/settlementSlice';
+import {
+  deleteTransaction,
+  setGameChipSet,
+  cashOutChipCounts,
+  recordTransaction,
+  deleteKnockout,
+  addPlayerToGame,
+  updateTransactionAmount,
+  updateLoan
+} from '../store/settlementSlice';
+import {
+  selectAllPlayers,
+  selectGameLedger,
+  selectGameLog,
+  selectGamePlayerStats,
+  selectGameSummary,
+  selectSessions
+} from '../store/selectors';
 import { LinearGradient } from 'expo-linear-gradient';
 import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
 import BuyInSummary from '../components/BuyInSummary';
+import ChipSetEditor from '../components/ChipSetEditor';
+import ChipCountEditor from '../components/ChipCountEditor';
+import KnockoutEditor from '../components/KnockoutEditor';
+import LoanEditor from '../components/LoanEditor';
+import LedgerUndoControls from '../components/LedgerUndoControls';
+import SettlementExplanation from '../components/SettlementExplanation';
+import { buildSettlementExplanation } from '../utils/settlementExplanation';
+import { shareExplanation } from '../utils/sharingUtils';
+import { formatMoney, formatMoneyInput, parseMoney, toMinorUnits } from '../utils/money';
+import {
+  convertMoney,
+  describeExchangeRates,
+  formatWithConversion,
+  formatWithPlayerCurrency,
+  getPlayerCurrencies
+} from '../utils/exchangeRates';
+import { DISCREPANCY_RESOLUTIONS, chipsToMoney, getAmountInPlay, getChipSet } from '../utils/chips';
+import { getKnockouts } from '../utils/knockouts';
+import { getLoans } from '../utils/loans';
+import { LEDGER_EVENT_KINDS, getTransactionEvents, getVoidedTransactions, isAmended } from '../utils/ledgerEvents';
+import { isTournament } from '../utils/tournaments';
+import { formatDuration, formatTimeOfDay, getLeaveTime, getTimeAtTable, isSeated } from '../utils/seating';
 
 const GameLedgerScreen = ({ route, navigation }) => {
-  const { gameId, isHistorical = false } = route.params || {};
+  const { gameId, isHistorical = false, countChips = false } = route.params || {};
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId, games, gameLog, history } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const history = useSelector(selectSessions);
+  const gameLog = useSelector(selectGameLog);
   
   const [showTransactionDetails, setShowTransactionDetails] = useState(false);
   const [selectedTransaction, setSelectedTransaction] = useState(null);
+  const [amountInput, setAmountInput] = useState('');
+  const [changeReason, setChangeReason] = useState('');
+  const [showChipSetEditor, setShowChipSetEditor] = useState(false);
+  const [showChipCount, setShowChipCount] = useState(false);
+  const [showExplanation, setShowExplanation] = useState(false);
+  const [showKnockoutEditor, setShowKnockoutEditor] = useState(false);
+  const [showLoanEditor, setShowLoanEditor] = useState(false);
+  const [editingLoan, setEditingLoan] = useState(null);
 
-  // Find the current game
-  let currentGame = gameId ? games.find(game => game.id === gameId) : null;
-  let gameTransactions = [];
-  let isCompleted = false;
-
-  // If the game is historical or we can't find it in current games
-  if (isHistorical || !currentGame) {
-    // Search through history sessions
-    for (const session of history) {
-      if (session.games) {
-        const histGame = session.games.find(game => game.id === gameId);
-        if (histGame) {
-          currentGame = histGame;
-          // Get transactions from the session's gameLog that belong to this game
-          gameTransactions = session.gameLog ? session.gameLog.filter(t => t.gameId === gameId) : [];
-          isCompleted = true;
-          break;
-        }
-      }
-    }
-  }
+  // The game's ledger, from the session in play or from history
+  const {
+    game: currentGame,
+    transactions: filteredTransactions,
+    currency: settlementCurrency,
+    exchangeRates: rates,
+    events,
+    isCompleted
+  } = useSelector(state => selectGameLedger(state, gameId, isHistorical));
+  const playerStats = useSelector(state => selectGamePlayerStats(state, gameId, isHistorical));
+  const summary = useSelector(state => selectGameSummary(state, gameId, isHistorical));
 
-  // If the game is found in current games but has an endTime, mark it as completed
-  if (currentGame && currentGame.endTime) {
-    isCompleted = true;
-  }
-  
-  // Filter transactions by game if gameId is provided, otherwise show all session transactions
-  let filteredTransactions = gameId
-    ? gameLog.filter(transaction => transaction.gameId === gameId)
-    : gameLog.filter(transaction => !transaction.gameId);
-  
-  // If we found the game in history, use gameTransactions instead of the filtered gameLog
-  if (gameTransactions.length > 0) {
-    filteredTransactions = gameTransactions;
-  }
+  // Buy-ins, chips and the default buy-in are in the game's own currency;
+  // totals and settlements are in the session's settlement currency
+  const gameCurrency = currentGame?.currency || settlementCurrency;
+  const toGameCurrency = transaction =>
+    convertMoney(transaction.amount, transaction.currency, gameCurrency, settlementCurrency, rates) || 0;
   
   // Sort transactions by timestamp, newest first
   const sortedTransactions = [...filteredTransactions].sort(
     (a, b) => new Date(b.timestamp) - new Date(a.timestamp)
   );
   
+  // Voided transactions stay in the event stream; they're listed after the rest
+  const voidedTransactions = getVoidedTransactions(events)
+    .filter(transaction => gameId ? transaction.gameId === gameId : !transaction.gameId)
+    .reverse();
+
+  // The selected transaction as it stands now, so the details follow any amendments
+  const detailTransaction = selectedTransaction
+    ? sortedTransactions.find(t => t.id === selectedTransaction.id) || selectedTransaction
+    : null;
+  const detailVoided = !!detailTransaction && !!detailTransaction.voidedAt;
+  // Tournament entries and prizes cost what the structure says, so only other amounts can be amended
+  const canAmend = !!detailTransaction && !isCompleted && !detailVoided && !detailTransaction.entryType;
+  
   // Get player by ID
   const getPlayer = (playerId) => {
     return players.find(player => player.id === playerId);
   };
   
-  // Calculate player statistics from transactions
-  const getPlayerStats = () => {
-    const playerStats = {};
-    
-    // Initialize with players who participated in the game
-    if (currentGame && currentGame.players) {
-      currentGame.players.forEach(player => {
-        playerStats[player.playerId] = {
-          buyIns: 0,
-          buyInCount: 0,
-          cashOuts: 0,
-          cashOutCount: 0,
-          net: 0
-        };
-      });
-    }
-    
-    // If there are transactions, process them
-    if (sortedTransactions.length > 0) {
-      // Process all transactions
-      sortedTransactions.forEach(transaction => {
-        const { playerId, type, amount } = transaction;
-        
-        // Initialize player stats if not already present
-        if (!playerStats[playerId]) {
-          playerStats[playerId] = {
-            buyIns: 0,
-            buyInCount: 0,
-            cashOuts: 0,
-            cashOutCount: 0,
-            net: 0
-          };
-        }
-        
-        // Parse amount to ensure it's a number
-        const numAmount = Number(amount);
-        
-        // Update stats based on transaction type
-        if (type === 'buy-in') {
-          playerStats[playerId].buyIns += numAmount;
-          playerStats[playerId].buyInCount += 1;
-          playerStats[playerId].net -= numAmount; // Buy-ins decrease net (money spent)
-        } else if (type === 'cash-out') {
-          playerStats[playerId].cashOuts += numAmount;
-          playerStats[playerId].cashOutCount += 1;
-          playerStats[playerId].net += numAmount; // Cash-outs increase net (money received)
-        }
-      });
-    }
-    // If no transactions but we have balances from settlement, use those
-    else if (currentGame && currentGame.balances) {
-      Object.entries(currentGame.balances).forEach(([playerId, balance]) => {
-        if (!playerStats[playerId]) {
-          playerStats[playerId] = {
-            buyIns: 0,
-            buyInCount: 0,
-            cashOuts: 0,
-            cashOutCount: 0,
-            net: 0
-          };
-        }
-        
-        // Net value is the final balance
-        playerStats[playerId].net = parseFloat(balance) || 0;
-      });
-    }
-    
-    return playerStats;
-  };
-  
-  const playerStats = getPlayerStats();
-  
-  // Get overall game summary
-  const getGameSummary = () => {
-    // Default values to ensure we always have numbers
-    let totalBuyIns = 0;
-    let totalCashOuts = 0;
-    let uniquePlayers = new Set();
-    let buyInAmounts = new Set();
-    
-    // Calculate from transactions if available
-    if (sortedTransactions.length > 0) {
-      // Calculate buy-ins
-      sortedTransactions
-        .filter(t => t.type === 'buy-in')
-        .forEach(t => {
-          const amount = Number(t.amount);
-          totalBuyIns += amount;
-          buyInAmounts.add(amount);
-        });
-        
-      // Calculate cash-outs
-      sortedTransactions
-        .filter(t => t.type === 'cash-out')
-        .forEach(t => {
-          totalCashOuts += Number(t.amount);
-        });
-        
-      // Get unique player IDs
-      sortedTransactions.forEach(t => uniquePlayers.add(t.playerId));
-    }
-    // For settlement-only games (no transactions), calculate differently
-    else if (currentGame && currentGame.balances) {
-      // For settlement games, players who lost money (negative balance) 
-      // effectively "bought in" that amount
-      const balances = currentGame.balances;
-      
-      Object.entries(balances).forEach(([playerId, balance]) => {
-        const numBalance = parseFloat(balance) || 0;
-        uniquePlayers.add(playerId);
-        
-        if (numBalance < 0) {
-          // Negative balances represent money put in (buy-ins)
-          totalBuyIns += Math.abs(numBalance);
-        } else if (numBalance > 0) {
-          // Positive balances represent money taken out (cash-outs)
-          totalCashOuts += numBalance;
-        }
-      });
-    }
-    
-    // Default buy-in from game settings
-    const defaultBuyIn = currentGame?.buyIn || 0;
-    
-    // If there are no buy-in amounts but there is a default buy-in, add it
-    if (buyInAmounts.size === 0 && defaultBuyIn > 0) {
-      buyInAmounts.add(defaultBuyIn);
-    }
-      
-    return {
-      totalBuyIns,
-      totalCashOuts,
-      moneyInPlay: totalBuyIns - totalCashOuts,
-      transactionCount: sortedTransactions.length,
-      playersWithTransactions: uniquePlayers.size,
-      buyInAmounts: Array.from(buyInAmounts),
-      defaultBuyIn
-    };
-  };
-  
-  const summary = getGameSummary();
+  const playerCurrencies = getPlayerCurrencies(sortedTransactions, settlementCurrency);
   
   // Get settlements from session history if available
   const getSettlements = () => {
@@ -243,6 +146,194 @@ const GameLedgerScreen = ({ route, navigation }) => {
   
   const gameSettlements = getSettlements();
 
+  const chipSet = getChipSet(currentGame);
+  const chipCount = currentGame?.chipCount;
+
+  // Players who can be counted out, memoized so the chip count editor keeps its input
+  const gamePlayers = useMemo(() => {
+    return (currentGame?.players || []).map(gamePlayer => {
+      const player = players.find(p => p.id === gamePlayer.playerId);
+      return { id: gamePlayer.playerId, name: player ? player.name : 'Unknown Player' };
+    });
+  }, [currentGame?.players, players]);
+
+  // Arriving from "End Game" with a chip count requested
+  useEffect(() => {
+    if (countChips && currentGame && !isCompleted) {
+      setShowChipCount(true);
+    }
+  }, [countChips]);
+
+  const handleSaveChipSet = (newChipSet) => {
+    dispatch(setGameChipSet({ gameId, chipSet: newChipSet }));
+    setShowChipSetEditor(false);
+  };
+
+  const handleCashOutChips = ({ counts, resolution, hostId }) => {
+    dispatch(cashOutChipCounts({ gameId, counts, resolution, hostId }));
+    setShowChipCount(false);
+  };
+
+  // Knockouts come through recordTransaction so any bounty lands in the ledger with the buy-ins
+  const handleRecordKnockout = ({ eliminatorId, eliminatedId }) => {
+    dispatch(recordTransaction({
+      type: 'cash-out',
+      playerId: eliminatorId,
+      gameId,
+      knockout: { eliminatedId },
+      description: `Bounty for knocking out ${getPlayer(eliminatedId)?.name || 'Unknown Player'}`
+    }));
+    setShowKnockoutEditor(false);
+  };
+
+  const handleDeleteKnockout = (knockout) => {
+    Alert.alert(
+      'Delete Knockout',
+      'Remove this knockout and any bounty it paid?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => dispatch(deleteKnockout({ gameId, knockoutId: knockout.id }))
+        }
+      ]
+    );
+  };
+
+  const knockouts = [...getKnockouts(currentGame)].reverse();
+
+  const openLoanEditor = (loan = null) => {
+    setEditingLoan(loan);
+    setShowLoanEditor(true);
+  };
+
+  const closeLoanEditor = () => {
+    setShowLoanEditor(false);
+    setEditingLoan(null);
+  };
+
+  // A loan is the borrower's buy-in, paid for by the lender
+  const handleSaveLoan = ({ borrowerId, lenderId, amount, entryType, carryForward }) => {
+    if (editingLoan) {
+      if (amount !== editingLoan.amount) {
+        dispatch(updateTransactionAmount({ transactionId: editingLoan.id, newAmount: amount }));
+      }
+      dispatch(updateLoan({ transactionId: editingLoan.id, lenderId, carryForward }));
+    } else {
+      dispatch(recordTransaction({
+        type: 'buy-in',
+        playerId: borrowerId,
+        amount,
+        currency: gameCurrency,
+        gameId,
+        description: `Loan from ${getPlayer(lenderId)?.name || 'Unknown Player'} for ${formatMoney(amount, gameCurrency)}`,
+        lenderId,
+        carryForward,
+        ...(entryType ? { entryType } : {})
+      }));
+      dispatch(addPlayerToGame({ gameId, playerId: borrowerId, initialBuyIn: amount }));
+    }
+    closeLoanEditor();
+  };
+
+  const handleDeleteLoan = (loan) => {
+    Alert.alert(
+      'Delete Loan',
+      'Remove this loan and the buy-in it paid for?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => {
+            dispatch(deleteTransaction({ transactionId: loan.id }));
+            closeLoanEditor();
+          }
+        }
+      ]
+    );
+  };
+
+  const openTransactionDetails = (transaction) => {
+    setSelectedTransaction(transaction);
+    setAmountInput(formatMoneyInput(transaction.amount, transaction.currency));
+    setChangeReason('');
+    setShowTransactionDetails(true);
+  };
+
+  // Amendments are kept in the transaction's history along with the reason given
+  const handleAmendAmount = () => {
+    const newAmount = parseMoney(amountInput, detailTransaction.currency);
+    if (newAmount === null || newAmount <= 0) {
+      Alert.alert('Invalid Amount', 'Please enter a valid amount.');
+      return;
+    }
+    dispatch(updateTransactionAmount({
+      transactionId: detailTransaction.id,
+      newAmount,
+      reason: changeReason.trim() || null
+    }));
+    setChangeReason('');
+  };
+
+  // One line for each event in a transaction's history
+  const describeLedgerEvent = (event, transaction) => {
+    if (event.kind === LEDGER_EVENT_KINDS.CREATE) return 'Recorded';
+    if (event.kind === LEDGER_EVENT_KINDS.VOID) return 'Voided';
+    if (event.kind === LEDGER_EVENT_KINDS.RESTORE) return 'Restored';
+
+    const { changes, previous } = event;
+    const parts = [];
+    if (changes.amount !== undefined) {
+      parts.push(`Amount ${formatMoney(previous.amount, transaction.currency)} → ${formatMoney(changes.amount, transaction.currency)}`);
+    }
+    if (changes.lenderId !== undefined) {
+      parts.push(`Lent by ${getPlayerName(changes.lenderId)} instead of ${getPlayerName(previous.lenderId)}`);
+    }
+    if (changes.carryForward !== undefined) {
+      parts.push(changes.carryForward ? 'Carried forward' : 'Repaid at settlement');
+    }
+    return parts.join(' · ');
+  };
+
+  const loans = getLoans(sortedTransactions);
+
+  // Walkthrough of how this game's settlements zero everyone out
+  const getExplanation = () => {
+    const balances = {};
+    if (currentGame && currentGame.balances && Object.keys(currentGame.balances).length > 0) {
+      Object.assign(balances, currentGame.balances);
+    } else {
+      Object.entries(playerStats).forEach(([playerId, stats]) => {
+        balances[playerId] = stats.net;
+      });
+    }
+    
+    return buildSettlementExplanation({
+      balances,
+      settlements: gameSettlements,
+      transactions: sortedTransactions
+    });
+  };
+  
+  const explanation = showExplanation ? getExplanation() : null;
+  
+  const getPlayerName = (playerId) => getPlayer(playerId)?.name || 'Unknown Player';
+
+  const describeChipCountResolution = () => {
+    if (!chipCount || !chipCount.discrepancy) return 'Count matched the chips issued';
+    const amount = formatMoney(chipCount.discrepancy, gameCurrency, { absolute: true });
+    const direction = chipCount.discrepancy > 0 ? 'over' : 'short';
+    if (chipCount.resolution === DISCREPANCY_RESOLUTIONS.HOST) {
+      return `${amount} ${direction}, charged to ${getPlayer(chipCount.hostId)?.name || 'the host'}`;
+    }
+    if (chipCount.resolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL) {
+      return `${amount} ${direction}, split proportionally`;
+    }
+    return `${amount} ${direction}, left unresolved`;
+  };
+
   return (
     <SafeAreaView style={styles.safeArea}>
       <StatusBar barStyle="light-content" />
@@ -260,28 +351,31 @@ const GameLedgerScreen = ({ route, navigation }) => {
           <Text style={styles.headerTitle}>
             {currentGame ? currentGame.name : 'Session Ledger'}
           </Text>
-          {isCompleted ? (
-            <TouchableOpacity
-              style={styles.shareButton}
-              onPress={() => navigation.navigate('SessionShare', { 
-                session: { 
-                  id: gameId,
-                  date: currentGame?.startTime || new Date().toISOString(),
-                  balances: currentGame?.balances || {},
-                  settlements: gameSettlements
-                }
-              })}
-            >
-              <MaterialIcons name="share" size={20} color="white" />
-            </TouchableOpacity>
-          ) : (
-            <TouchableOpacity
-              style={styles.actionButton}
-              onPress={() => navigation.navigate('BuyInScreen', { gameId })}
-            >
-              <MaterialIcons name="add" size={24} color="white" />
-            </TouchableOpacity>
-          )}
+          <View style={styles.headerActions}>
+            {!isHistorical && <LedgerUndoControls />}
+            {isCompleted ? (
+              <TouchableOpacity
+                style={styles.shareButton}
+                onPress={() => navigation.navigate('SessionShare', { 
+                  session: { 
+                    id: gameId,
+                    date: currentGame?.startTime || new Date().toISOString(),
+                    balances: currentGame?.balances || {},
+                    settlements: gameSettlements
+                  }
+                })}
+              >
+                <MaterialIcons name="share" size={20} color="white" />
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={styles.actionButton}
+                onPress={() => navigation.navigate('BuyInScreen', { gameId })}
+              >
+                <MaterialIcons name="add" size={24} color="white" />
+              </TouchableOpacity>
+            )}
+          </View>
         </View>
       </LinearGradient>
       
@@ -295,12 +389,12 @@ const GameLedgerScreen = ({ route, navigation }) => {
             <View style={styles.summaryRow}>
               <View style={styles.summaryItem}>
                 <Text style={styles.summaryLabel}>Total Buy-ins</Text>
-                <Text style={styles.summaryValue}>${summary.totalBuyIns.toFixed(2)}</Text>
+                <Text style={styles.summaryValue}>{formatMoney(summary.totalBuyIns, settlementCurrency)}</Text>
               </View>
               
               <View style={styles.summaryItem}>
                 <Text style={styles.summaryLabel}>Total Cash-outs</Text>
-                <Text style={styles.summaryValue}>${summary.totalCashOuts.toFixed(2)}</Text>
+                <Text style={styles.summaryValue}>{formatMoney(summary.totalCashOuts, settlementCurrency)}</Text>
               </View>
             </View>
             
@@ -312,7 +406,7 @@ const GameLedgerScreen = ({ route, navigation }) => {
                   summary.moneyInPlay > 0 ? styles.positiveAmount : 
                   summary.moneyInPlay < 0 ? styles.negativeAmount : null
                 ]}>
-                  ${summary.moneyInPlay.toFixed(2)}
+                  {formatMoney(summary.moneyInPlay, settlementCurrency)}
                 </Text>
               </View>
               
@@ -329,14 +423,14 @@ const GameLedgerScreen = ({ route, navigation }) => {
                 {summary.defaultBuyIn > 0 && (
                   <View style={styles.buyInAmountTag}>
                     <Text style={styles.buyInAmountText}>
-                      Default: ${summary.defaultBuyIn.toFixed(2)}
+                      Default: {formatMoney(summary.defaultBuyIn, gameCurrency)}
                     </Text>
                   </View>
                 )}
-                {summary.buyInAmounts.map((amount, index) => (
+                {summary.buyInAmounts.map((buyIn, index) => (
                   <View key={index} style={styles.buyInAmountTag}>
                     <Text style={styles.buyInAmountText}>
-                      ${amount.toFixed(2)}
+                      {formatWithConversion(buyIn.amount, buyIn.currency, settlementCurrency, rates)}
                     </Text>
                   </View>
                 ))}
@@ -345,9 +439,215 @@ const GameLedgerScreen = ({ route, navigation }) => {
                 )}
               </View>
             </View>
+            
+            {/* Totals above are in the settlement currency when money changed hands in others */}
+            {(gameCurrency !== settlementCurrency || describeExchangeRates(rates, settlementCurrency).length > 0) && (
+              <View style={styles.buyInAmountsSection}>
+                <Text style={styles.buyInAmountsLabel}>
+                  Played in {gameCurrency} · Settled in {settlementCurrency}
+                </Text>
+                <Text style={styles.noBuyInsText}>
+                  {describeExchangeRates(rates, settlementCurrency).join(' · ') || 'No exchange rates entered'}
+                </Text>
+                {summary.awaitingRateCount > 0 && (
+                  <Text style={styles.rateWarningText}>
+                    {summary.awaitingRateCount} transaction{summary.awaitingRateCount === 1 ? '' : 's'} waiting for an exchange rate
+                  </Text>
+                )}
+              </View>
+            )}
           </View>
         </View>
         
+        {/* Chip set and end-of-game count */}
+        {currentGame && (!isCompleted || chipCount) && (
+          <View style={styles.chipsContainer}>
+            <Text style={styles.sectionTitle}>Chips</Text>
+            <View style={styles.summaryCard}>
+              <View style={styles.chipSetHeader}>
+                <Text style={styles.chipRatioText}>
+                  {chipSet.chipsPerUnit} chips = {formatMoney(toMinorUnits(1, gameCurrency), gameCurrency)}
+                </Text>
+                {!isCompleted && (
+                  <TouchableOpacity onPress={() => setShowChipSetEditor(true)}>
+                    <Text style={styles.chipEditText}>Edit</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+
+              <View style={styles.buyInAmountsContainer}>
+                {chipSet.denominations.map(denomination => (
+                  <View key={denomination.id} style={styles.chipTag}>
+                    <View style={[styles.chipSwatch, { backgroundColor: denomination.color }]} />
+                    <Text style={styles.chipTagText}>
+                      {denomination.value} · {formatMoney(chipsToMoney(denomination.value, chipSet, gameCurrency), gameCurrency)}
+                    </Text>
+                  </View>
+                ))}
+              </View>
+
+              {chipCount ? (
+                <View style={styles.buyInAmountsSection}>
+                  <Text style={styles.buyInAmountsLabel}>Final Count</Text>
+                  {Object.entries(chipCount.chips).map(([playerId, chips]) => (
+                    <View key={playerId} style={styles.chipCountRow}>
+                      <Text style={styles.playerSummaryLabel}>{getPlayer(playerId)?.name || 'Unknown Player'}</Text>
+                      <Text style={styles.playerSummaryValue}>{chips} chips</Text>
+                    </View>
+                  ))}
+                  <Text style={[
+                    styles.chipCountNote,
+                    chipCount.discrepancy !== 0 && styles.chipCountMismatch
+                  ]}>
+                    {describeChipCountResolution()}
+                  </Text>
+                </View>
+              ) : (
+                <TouchableOpacity
+                  style={styles.countChipsButton}
+                  onPress={() => setShowChipCount(true)}
+                  disabled={gamePlayers.length === 0}
+                >
+                  <FontAwesome5 name="coins" size={16} color="white" />
+                  <Text style={styles.countChipsText}>Count Chips & Cash Out</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        )}
+
+        {/* Who knocked out whom, newest first */}
+        {currentGame && (!isCompleted || knockouts.length > 0) && (
+          <View style={styles.chipsContainer}>
+            <Text style={styles.sectionTitle}>Knockouts</Text>
+            <View style={styles.summaryCard}>
+              {knockouts.map(knockout => (
+                <View key={knockout.id} style={styles.knockoutRow}>
+                  <View style={styles.knockoutInfo}>
+                    <Text style={styles.playerSummaryValue}>
+                      {getPlayerName(knockout.eliminatorId)} knocked out {getPlayerName(knockout.eliminatedId)}
+                    </Text>
+                    <Text style={styles.playerSummaryLabel}>
+                      {new Date(knockout.timestamp).toLocaleTimeString()}
+                      {knockout.bounty > 0 ? ` · ${formatMoney(knockout.bounty, gameCurrency)} bounty` : ''}
+                      {knockout.headIncrease > 0 ? ` · +${formatMoney(knockout.headIncrease, gameCurrency)} on their head` : ''}
+                    </Text>
+                  </View>
+                  {!isCompleted && (
+                    <TouchableOpacity
+                      onPress={() => handleDeleteKnockout(knockout)}
+                      accessibilityLabel="Delete knockout"
+                    >
+                      <MaterialIcons name="delete" size={18} color="#E74C3C" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+              {knockouts.length === 0 && (
+                <Text style={styles.noBuyInsText}>No knockouts recorded</Text>
+              )}
+              {!isCompleted && (
+                <TouchableOpacity
+                  style={styles.countChipsButton}
+                  onPress={() => setShowKnockoutEditor(true)}
+                  disabled={gamePlayers.length < 2}
+                >
+                  <MaterialIcons name="person-remove" size={16} color="white" />
+                  <Text style={styles.countChipsText}>
+                    Record Knockout
+                    {isTournament(currentGame) && currentGame.tournament.bounty > 0 ? ' & Pay Bounty' : ''}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        )}
+
+        {/* Buy-ins one player paid for another, newest first */}
+        {currentGame && (!isCompleted || loans.length > 0) && (
+          <View style={styles.chipsContainer}>
+            <Text style={styles.sectionTitle}>Loans</Text>
+            <View style={styles.summaryCard}>
+              {loans.map(loan => (
+                <View key={loan.id} style={styles.knockoutRow}>
+                  <View style={styles.knockoutInfo}>
+                    <Text style={styles.playerSummaryValue}>
+                      {getPlayerName(loan.lenderId)} lent {getPlayerName(loan.playerId)} {formatMoney(toGameCurrency(loan), gameCurrency)}
+                    </Text>
+                    <Text style={styles.playerSummaryLabel}>
+                      {new Date(loan.timestamp).toLocaleTimeString()}
+                      {loan.carryForward ? ' · carried forward' : ' · repaid at settlement'}
+                    </Text>
+                  </View>
+                  {!isCompleted && (
+                    <>
+                      <TouchableOpacity
+                        style={styles.loanAction}
+                        onPress={() => openLoanEditor(loan)}
+                        accessibilityLabel="Edit loan"
+                      >
+                        <MaterialIcons name="edit" size={18} color="#3498DB" />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => handleDeleteLoan(loan)}
+                        accessibilityLabel="Delete loan"
+                      >
+                        <MaterialIcons name="delete" size={18} color="#E74C3C" />
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              ))}
+              {loans.length === 0 && (
+                <Text style={styles.noBuyInsText}>No loans recorded</Text>
+              )}
+              {!isCompleted && (
+                <TouchableOpacity
+                  style={styles.countChipsButton}
+                  onPress={() => openLoanEditor()}
+                  disabled={players.length < 2}
+                >
+                  <MaterialIcons name="handshake" size={16} color="white" />
+                  <Text style={styles.countChipsText}>Record Loan</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+        )}
+
+        {/* Every transaction, newest first; tap one for its details and history */}
+        {(sortedTransactions.length > 0 || voidedTransactions.length > 0) && (
+          <View style={styles.chipsContainer}>
+            <Text style={styles.sectionTitle}>Transactions</Text>
+            <View style={styles.summaryCard}>
+              {[...sortedTransactions, ...voidedTransactions].map(transaction => (
+                <TouchableOpacity
+                  key={transaction.voidedAt ? `void-${transaction.id}` : transaction.id}
+                  style={styles.knockoutRow}
+                  onPress={() => openTransactionDetails(transaction)}
+                >
+                  <View style={styles.knockoutInfo}>
+                    <Text style={[styles.playerSummaryValue, transaction.voidedAt && styles.voidedText]}>
+                      {getPlayerName(transaction.playerId)} · {transaction.type === 'buy-in' ? 'Buy-In' : 'Cash-Out'}
+                    </Text>
+                    <Text style={styles.playerSummaryLabel}>
+                      {new Date(transaction.timestamp).toLocaleTimeString()}
+                      {transaction.voidedAt ? ' · voided' : isAmended(events, transaction.id) ? ' · edited' : ''}
+                    </Text>
+                  </View>
+                  <Text style={[
+                    styles.playerSummaryValue,
+                    transaction.voidedAt ? styles.voidedText :
+                    transaction.type === 'cash-out' ? styles.positiveAmount : styles.negativeAmount
+                  ]}>
+                    {formatWithConversion(transaction.amount, transaction.currency, settlementCurrency, rates)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* BuyInSummary only shown for active games */}
         {!isCompleted && <BuyInSummary navigation={navigation} gameId={gameId} isCompleted={isCompleted} />}
         
@@ -359,7 +659,8 @@ const GameLedgerScreen = ({ route, navigation }) => {
             data={Object.keys(playerStats).map(playerId => ({
               id: playerId,
               ...playerStats[playerId],
-              player: getPlayer(playerId)
+              player: getPlayer(playerId),
+              gamePlayer: (currentGame?.players || []).find(p => p.playerId === playerId)
             }))}
             keyExtractor={item => item.id}
             renderItem={({ item }) => {
@@ -383,7 +684,7 @@ const GameLedgerScreen = ({ route, navigation }) => {
                       item.net > 0 ? styles.positiveAmount : 
                       item.net < 0 ? styles.negativeAmount : styles.neutralAmount
                     ]}>
-                      {item.net > 0 ? '+' : ''}${item.net.toFixed(2)}
+                      {formatMoney(item.net, settlementCurrency, { showSign: true })}
                     </Text>
                   </View>
                   
@@ -394,14 +695,14 @@ const GameLedgerScreen = ({ route, navigation }) => {
                         <View style={styles.playerSummaryDetail}>
                           <Text style={styles.playerSummaryLabel}>Buy-ins:</Text>
                           <Text style={styles.playerSummaryValue}>
-                            ${item.buyIns.toFixed(2)} ({item.buyInCount})
+                            {formatMoney(item.buyIns, settlementCurrency)} ({item.buyInCount})
                           </Text>
                         </View>
                         
                         <View style={styles.playerSummaryDetail}>
                           <Text style={styles.playerSummaryLabel}>Cash-outs:</Text>
                           <Text style={styles.playerSummaryValue}>
-                            ${item.cashOuts.toFixed(2)} ({item.cashOutCount})
+                            {formatMoney(item.cashOuts, settlementCurrency)} ({item.cashOutCount})
                           </Text>
                         </View>
                       </>
@@ -415,7 +716,17 @@ const GameLedgerScreen = ({ route, navigation }) => {
                           item.net > 0 ? styles.positiveAmount : 
                           item.net < 0 ? styles.negativeAmount : styles.neutralAmount
                         ]}>
-                          ${Math.abs(item.net).toFixed(2)}
+                          {formatMoney(item.net, settlementCurrency, { absolute: true })}
+                        </Text>
+                      </View>
+                    )}
+                    
+                    {item.gamePlayer && (
+                      <View style={styles.playerSummaryDetail}>
+                        <Text style={styles.playerSummaryLabel}>At the table:</Text>
+                        <Text style={styles.playerSummaryValue}>
+                          {formatDuration(getTimeAtTable(item.gamePlayer, currentGame))}
+                          {!isSeated(item.gamePlayer) ? ` (left ${formatTimeOfDay(getLeaveTime(item.gamePlayer))})` : ''}
                         </Text>
                       </View>
                     )}
@@ -435,7 +746,13 @@ const GameLedgerScreen = ({ route, navigation }) => {
         {/* Settlements section */}
         {(isCompleted || (currentGame && currentGame.balances)) && gameSettlements.length > 0 && (
           <View style={styles.settlementsContainer}>
-            <Text style={styles.sectionTitle}>Final Settlements</Text>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Final Settlements</Text>
+              <TouchableOpacity style={styles.explainButton} onPress={() => setShowExplanation(true)}>
+                <MaterialIcons name="help-outline" size={18} color="#3498DB" />
+                <Text style={styles.explainButtonText}>Explain</Text>
+              </TouchableOpacity>
+            </View>
             
             <FlatList
               data={gameSettlements}
@@ -449,7 +766,9 @@ const GameLedgerScreen = ({ route, navigation }) => {
                       <View style={styles.settlementNumber}>
                         <Text style={styles.settlementNumberText}>{index + 1}</Text>
                       </View>
-                      <Text style={styles.settlementAmount}>${item.amount.toFixed(2)}</Text>
+                      <Text style={styles.settlementAmount}>
+                        {formatWithPlayerCurrency(item.amount, settlementCurrency, playerCurrencies[item.from], rates)}
+                      </Text>
                     </View>
                     
                     <View style={styles.settlementParties}>
@@ -512,6 +831,54 @@ const GameLedgerScreen = ({ route, navigation }) => {
         )}
       </ScrollView>
       
+      <ChipSetEditor
+        visible={showChipSetEditor}
+        chipSet={chipSet}
+        currency={gameCurrency}
+        onSave={handleSaveChipSet}
+        onClose={() => setShowChipSetEditor(false)}
+      />
+
+      <ChipCountEditor
+        visible={showChipCount}
+        players={gamePlayers}
+        chipSet={chipSet}
+        inPlay={getAmountInPlay(currentGame?.transactions, toGameCurrency)}
+        currency={gameCurrency}
+        onSave={handleCashOutChips}
+        onClose={() => setShowChipCount(false)}
+      />
+
+      <KnockoutEditor
+        visible={showKnockoutEditor}
+        game={currentGame}
+        players={gamePlayers}
+        transactions={gameLog}
+        currency={gameCurrency}
+        onSave={handleRecordKnockout}
+        onClose={() => setShowKnockoutEditor(false)}
+      />
+
+      <LoanEditor
+        visible={showLoanEditor}
+        loan={editingLoan}
+        game={currentGame}
+        players={players}
+        currency={gameCurrency}
+        onSave={handleSaveLoan}
+        onDelete={() => handleDeleteLoan(editingLoan)}
+        onClose={closeLoanEditor}
+      />
+
+      <SettlementExplanation
+        visible={showExplanation}
+        explanation={explanation}
+        getName={getPlayerName}
+        currency={settlementCurrency}
+        onShare={() => shareExplanation(explanation, players, settlementCurrency)}
+        onClose={() => setShowExplanation(false)}
+      />
+      
       {/* Transaction details modal */}
       <Modal
         visible={showTransactionDetails}
@@ -523,19 +890,20 @@ const GameLedgerScreen = ({ route, navigation }) => {
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>Transaction Details</Text>
             
-            {selectedTransaction && (
-              <View style={styles.transactionDetails}>
+            {detailTransaction && (
+              <ScrollView style={styles.transactionDetails}>
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Player:</Text>
                   <Text style={styles.detailValue}>
-                    {getPlayer(selectedTransaction.playerId)?.name || 'Unknown Player'}
+                    {getPlayer(detailTransaction.playerId)?.name || 'Unknown Player'}
                   </Text>
                 </View>
                 
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Type:</Text>
                   <Text style={styles.detailValue}>
-                    {selectedTransaction.type === 'buy-in' ? 'Buy-In' : 'Cash-Out'}
+                    {detailTransaction.type === 'buy-in' ? 'Buy-In' : 'Cash-Out'}
+                    {detailVoided ? ' (voided)' : ''}
                   </Text>
                 </View>
                 
@@ -543,50 +911,94 @@ const GameLedgerScreen = ({ route, navigation }) => {
                   <Text style={styles.detailLabel}>Amount:</Text>
                   <Text style={[
                     styles.detailValue,
-                    selectedTransaction.type === 'cash-out' ? styles.positiveAmount : styles.negativeAmount
+                    detailTransaction.type === 'cash-out' ? styles.positiveAmount : styles.negativeAmount
                   ]}>
-                    ${selectedTransaction.amount.toFixed(2)}
+                    {formatWithConversion(detailTransaction.amount, detailTransaction.currency, settlementCurrency, rates)}
                   </Text>
                 </View>
                 
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Date:</Text>
                   <Text style={styles.detailValue}>
-                    {new Date(selectedTransaction.timestamp).toLocaleDateString()}
+                    {new Date(detailTransaction.timestamp).toLocaleDateString()}
                   </Text>
                 </View>
                 
                 <View style={styles.detailRow}>
                   <Text style={styles.detailLabel}>Time:</Text>
                   <Text style={styles.detailValue}>
-                    {new Date(selectedTransaction.timestamp).toLocaleTimeString()}
+                    {new Date(detailTransaction.timestamp).toLocaleTimeString()}
                   </Text>
                 </View>
                 
-                {selectedTransaction.description && (
+                {detailTransaction.description && (
                   <View style={styles.detailRow}>
                     <Text style={styles.detailLabel}>Note:</Text>
-                    <Text style={styles.detailValue}>{selectedTransaction.description}</Text>
+                    <Text style={styles.detailValue}>{detailTransaction.description}</Text>
                   </View>
                 )}
-              </View>
+
+                {canAmend && (
+                  <View style={styles.amendSection}>
+                    <Text style={styles.historyTitle}>Change</Text>
+                    <View style={styles.amendRow}>
+                      <TextInput
+                        style={[styles.amendInput, styles.amendAmountInput]}
+                        value={amountInput}
+                        onChangeText={setAmountInput}
+                        keyboardType="decimal-pad"
+                        placeholder={`Amount in ${detailTransaction.currency}`}
+                      />
+                      <TouchableOpacity
+                        style={styles.amendButton}
+                        onPress={handleAmendAmount}
+                        disabled={parseMoney(amountInput, detailTransaction.currency) === detailTransaction.amount}
+                      >
+                        <Text style={styles.closeButtonText}>Save</Text>
+                      </TouchableOpacity>
+                    </View>
+                    <TextInput
+                      style={styles.amendInput}
+                      value={changeReason}
+                      onChangeText={setChangeReason}
+                      placeholder="Reason (optional)"
+                    />
+                  </View>
+                )}
+
+                <Text style={styles.historyTitle}>History</Text>
+                {getTransactionEvents(events, detailTransaction.id).map(event => (
+                  <View key={event.id} style={styles.historyRow}>
+                    <Text style={styles.detailValue}>{describeLedgerEvent(event, detailTransaction)}</Text>
+                    <Text style={styles.playerSummaryLabel}>
+                      {new Date(event.timestamp).toLocaleDateString()} {new Date(event.timestamp).toLocaleTimeString()}
+                    </Text>
+                    {event.reason && (
+                      <Text style={styles.playerSummaryLabel}>Reason: {event.reason}</Text>
+                    )}
+                  </View>
+                ))}
+              </ScrollView>
             )}
             
             <View style={styles.modalActions}>
-              {!isCompleted && (
+              {canAmend ? (
                 <TouchableOpacity
                   style={styles.deleteTransactionButton}
                   onPress={() => {
                     Alert.alert(
                       'Delete Transaction',
-                      'Are you sure you want to delete this transaction?',
+                      'The transaction is voided and stays in the ledger history. Are you sure?',
                       [
                         { text: 'Cancel', style: 'cancel' },
                         { 
                           text: 'Delete', 
                           style: 'destructive',
                           onPress: () => {
-                            dispatch(deleteTransaction({ transactionId: selectedTransaction.id }));
+                            dispatch(deleteTransaction({
+                              transactionId: detailTransaction.id,
+                              reason: changeReason.trim() || null
+                            }));
                             setShowTransactionDetails(false);
                           }
                         }
@@ -597,6 +1009,8 @@ const GameLedgerScreen = ({ route, navigation }) => {
                   <MaterialIcons name="delete" size={20} color="#E74C3C" />
                   <Text style={styles.deleteTransactionText}>Delete</Text>
                 </TouchableOpacity>
+              ) : (
+                <View />
               )}
               
               <TouchableOpacity
@@ -656,6 +1070,10 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: 'white',
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   actionButton: {
     padding: 5,
   },
@@ -747,16 +1165,122 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     fontSize: 14,
   },
+  rateWarningText: {
+    fontSize: 14,
+    color: '#E67E22',
+    marginTop: 5,
+  },
   noBuyInsText: {
     color: '#7F8C8D',
     fontStyle: 'italic',
   },
+  // Chip styles
+  chipsContainer: {
+    padding: 15,
+    paddingTop: 0,
+    marginBottom: 20,
+  },
+  chipSetHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  chipRatioText: {
+    fontSize: 14,
+    color: '#7F8C8D',
+  },
+  chipEditText: {
+    color: '#3498DB',
+    fontWeight: '600',
+    fontSize: 14,
+  },
+  chipTag: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 15,
+    marginRight: 8,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#EAEAEA',
+  },
+  chipSwatch: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    marginRight: 6,
+  },
+  chipTagText: {
+    color: '#2C3E50',
+    fontSize: 13,
+  },
+  chipCountRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 5,
+  },
+  chipCountNote: {
+    fontSize: 13,
+    color: '#7F8C8D',
+    fontStyle: 'italic',
+    marginTop: 5,
+  },
+  chipCountMismatch: {
+    color: '#F39C12',
+  },
+  knockoutRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECF0F1',
+  },
+  knockoutInfo: {
+    flex: 1,
+  },
+  loanAction: {
+    marginRight: 12,
+  },
+  countChipsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#3498DB',
+    borderRadius: 5,
+    paddingVertical: 10,
+    marginTop: 5,
+  },
+  countChipsText: {
+    color: 'white',
+    fontWeight: 'bold',
+    marginLeft: 8,
+  },
   // Settlements section styles
   settlementsContainer: {
     padding: 15,
     paddingTop: 0,
     marginBottom: 20,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  explainButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  explainButtonText: {
+    color: '#3498DB',
+    fontWeight: '600',
+    fontSize: 14,
+    marginLeft: 4,
+  },
   settlementItem: {
     backgroundColor: 'white',
     borderRadius: 10,
@@ -854,7 +1378,9 @@ const styles = StyleSheet.create({
     color: '#2C3E50',
     marginBottom: 15,
   },
-  transactionDetails: {},
+  transactionDetails: {
+    maxHeight: 420,
+  },
   detailRow: {
     flexDirection: 'row',
     marginBottom: 10,
@@ -875,6 +1401,49 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     marginTop: 20,
   },
+  amendSection: {
+    marginTop: 10,
+  },
+  amendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  amendInput: {
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    borderRadius: 5,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#2C3E50',
+  },
+  amendAmountInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  amendButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    borderRadius: 5,
+    backgroundColor: '#3498DB',
+  },
+  historyTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  historyRow: {
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#ECF0F1',
+  },
+  voidedText: {
+    color: '#95A5A6',
+    textDecorationLine: 'line-through',
+  },
   deleteTransactionButton: {
     flexDirection: 'row',
     alignItems: 'center',
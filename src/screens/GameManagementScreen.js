@@ -14,26 +14,71 @@ import {
 import { useSelector, useDispatch } from 'react-redux';
 import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
-import { startNewGame, endGame } from '../store/settlementSlice';
+import {
+  startNewGame,
+  endGame,
+  setExchangeRates,
+  recordTournamentResults,
+  recordTournamentDeal
+} from '../store/settlementSlice';
+import { selectAllPlayers, selectBalances, selectGameLog, selectGames } from '../store/selectors';
+import { CURRENCIES, formatMoney, parseMoney, sumMoney } from '../utils/money';
+import { convertMoney, describeExchangeRates, getSessionCurrencies } from '../utils/exchangeRates';
+import { getAmountInPlay } from '../utils/chips';
+import { loadSettings, saveSettings } from '../api/storage';
+import {
+  BOUNTY_TYPES,
+  BOUNTY_TYPE_LABELS,
+  GAME_TYPES,
+  calculatePrizePool,
+  isTournament
+} from '../utils/tournaments';
+import ExchangeRatesEditor from '../components/ExchangeRatesEditor';
+import TournamentResultsEditor from '../components/TournamentResultsEditor';
+import TournamentDealCalculator from '../components/TournamentDealCalculator';
+import SessionSwitcher from '../components/SessionSwitcher';
 
 const GameManagementScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId, games } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const { sessionId, currency, exchangeRates = {} } = useSelector(state => state.settlements);
+  const games = useSelector(selectGames);
+  const gameLog = useSelector(selectGameLog);
+  const balances = useSelector(selectBalances);
   
   const [showNewGameModal, setShowNewGameModal] = useState(false);
   const [gameName, setGameName] = useState('');
   const [defaultBuyIn, setDefaultBuyIn] = useState('');
+  const [gameCurrency, setGameCurrency] = useState(currency);
+  const [showRatesEditor, setShowRatesEditor] = useState(false);
+  const [gameType, setGameType] = useState(GAME_TYPES.CASH);
+  const [rebuyAmount, setRebuyAmount] = useState('');
+  const [addOnAmount, setAddOnAmount] = useState('');
+  const [bountyAmount, setBountyAmount] = useState('');
+  const [bountyType, setBountyType] = useState(BOUNTY_TYPES.FIXED);
+  const [resultsGameId, setResultsGameId] = useState(null);
+  const [dealGameId, setDealGameId] = useState(null);
+  
+  const resultsGame = resultsGameId ? games.find(game => game.id === resultsGameId) : null;
+  const dealGame = dealGameId ? games.find(game => game.id === dealGameId) : null;
+  
+  // The settlement currency only needs a rate once money has been recorded in it
+  const currenciesInUse = getSessionCurrencies({ currency, games, gameLog })
+    .filter(code => code !== currency || Object.keys(balances).length > 0);
+  const rateDescriptions = describeExchangeRates(exchangeRates, currency);
   
   // Calculate stats for a game
   const getGameStats = (game) => {
     const activePlayerCount = game.players ? game.players.length : 0;
-    const buyInTotal = game.players ? game.players.reduce((sum, player) => sum + (player.initialBuyIn || 0), 0) : 0;
+    const buyInTotal = game.players ? sumMoney(game.players.map(player => player.initialBuyIn || 0)) : 0;
     const isActive = !game.endTime;
+    // Tournaments show what their entries have put in the prize pool instead
+    const prizePool = isTournament(game) ? calculatePrizePool(game, gameLog).collected : null;
     
     return {
       activePlayerCount,
       buyInTotal,
+      prizePool,
       isActive
     };
   };
@@ -45,23 +90,102 @@ const GameManagementScreen = ({ navigation }) => {
       return;
     }
     
-    // Convert defaultBuyIn to a number, defaulting to 0 if invalid
-    const buyIn = defaultBuyIn ? parseFloat(defaultBuyIn) : 0;
-    const numericBuyIn = isNaN(buyIn) ? 0 : buyIn;
+    // Convert defaultBuyIn to minor units, defaulting to 0 if invalid
+    const numericBuyIn = parseMoney(defaultBuyIn, gameCurrency) || 0;
+    
+    if (gameType === GAME_TYPES.TOURNAMENT && numericBuyIn <= 0) {
+      Alert.alert('Error', 'Please enter the tournament buy-in');
+      return;
+    }
     
     dispatch(startNewGame({
       gameName: gameName.trim(),
-      buyIn: numericBuyIn
+      buyIn: numericBuyIn,
+      currency: gameCurrency,
+      type: gameType,
+      ...(gameType === GAME_TYPES.TOURNAMENT ? {
+        tournament: {
+          rebuy: parseMoney(rebuyAmount, gameCurrency) || 0,
+          addOn: parseMoney(addOnAmount, gameCurrency) || 0,
+          bounty: parseMoney(bountyAmount, gameCurrency) || 0,
+          bountyType
+        }
+      } : {})
     }));
     
-    // Reset form state
+    resetNewGameForm();
+  };
+  
+  const resetNewGameForm = () => {
     setGameName('');
     setDefaultBuyIn('');
+    setGameCurrency(currency);
+    setGameType(GAME_TYPES.CASH);
+    setRebuyAmount('');
+    setAddOnAmount('');
+    setBountyAmount('');
+    setBountyType(BOUNTY_TYPES.FIXED);
     setShowNewGameModal(false);
   };
   
+  const handleSaveResults = (results) => {
+    dispatch(recordTournamentResults({ gameId: resultsGameId, ...results }));
+    setResultsGameId(null);
+  };
+  
+  // A recorded deal goes straight on to the results, where earlier bust-outs get their places
+  const handleSaveDeal = (deal) => {
+    dispatch(recordTournamentDeal({ gameId: dealGameId, deal }));
+    setDealGameId(null);
+    if (deal) setResultsGameId(dealGameId);
+  };
+  
+  // Saves the settlement currency and rates; the currency also becomes the default for new sessions
+  const handleSaveRates = async ({ currency: settlementCurrency, rates }) => {
+    dispatch(setExchangeRates({ currency: settlementCurrency, rates }));
+    setGameCurrency(settlementCurrency);
+    setShowRatesEditor(false);
+    
+    const settings = await loadSettings();
+    if (settings.currency !== settlementCurrency) {
+      await saveSettings({ ...settings, currency: settlementCurrency });
+    }
+  };
+  
   // Handle ending a game
   const handleEndGame = (gameId) => {
+    const game = games.find(g => g.id === gameId);
+    
+    // A tournament ends when its results are in
+    if (isTournament(game)) {
+      setResultsGameId(gameId);
+      return;
+    }
+    
+    // Everything bought in has to be cashed out before a cash game can end
+    const inPlay = getAmountInPlay(game.transactions, transaction =>
+      convertMoney(transaction.amount, transaction.currency, game.currency || currency, currency, exchangeRates) || 0);
+    if (inPlay !== 0) {
+      Alert.alert(
+        'Table Doesn\'t Balance',
+        inPlay > 0
+          ? `${formatMoney(inPlay, game.currency || currency)} is still on the table. Cash everyone out or count chips before ending the game.`
+          : `${formatMoney(-inPlay, game.currency || currency)} more was cashed out than was bought in. Fix the cash-outs before ending the game.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Count Chips',
+            onPress: () => navigation.navigate('GameLedgerScreen', { gameId, countChips: true })
+          },
+          {
+            text: 'Cash Out',
+            onPress: () => navigation.navigate('CashOutScreen', { gameId, endingGame: true })
+          }
+        ]
+      );
+      return;
+    }
+    
     Alert.alert(
       'End Game',
       'Are you sure you want to end this game? This will mark it as completed.',
@@ -123,7 +247,6 @@ const GameManagementScreen = ({ navigation }) => {
   <Text style={styles.gameActionText}>Players</Text>
 </TouchableOpacity>
 
-// Make sure it's inside the View with gameActions style:
 <View style={styles.gameActions}>
   <TouchableOpacity
     style={styles.gameAction}
@@ -171,12 +294,14 @@ const GameManagementScreen = ({ navigation }) => {
           
           <View style={styles.statItem}>
             <Text style={styles.statLabel}>Buy-in</Text>
-            <Text style={styles.statValue}>${(item.buyIn || 0).toFixed(2)}</Text>
+            <Text style={styles.statValue}>{formatMoney(item.buyIn, item.currency || currency)}</Text>
           </View>
           
           <View style={styles.statItem}>
-            <Text style={styles.statLabel}>Total Buy-ins</Text>
-            <Text style={styles.statValue}>${stats.buyInTotal.toFixed(2)}</Text>
+            <Text style={styles.statLabel}>{stats.prizePool !== null ? 'Prize Pool' : 'Total Buy-ins'}</Text>
+            <Text style={styles.statValue}>
+              {formatMoney(stats.prizePool !== null ? stats.prizePool : stats.buyInTotal, item.currency || currency)}
+            </Text>
           </View>
         </View>
         
@@ -197,6 +322,36 @@ const GameManagementScreen = ({ navigation }) => {
             <Text style={styles.gameActionText}>Ledger</Text>
           </TouchableOpacity>
           
+          {!isTournament(item) && (
+            <TouchableOpacity
+              style={styles.gameAction}
+              onPress={() => navigation.navigate('CashOutScreen', { gameId: item.id })}
+            >
+              <MaterialIcons name="money-off" size={18} color="#3498DB" />
+              <Text style={styles.gameActionText}>Cash-Out</Text>
+            </TouchableOpacity>
+          )}
+          
+          {isTournament(item) && (
+            <TouchableOpacity
+              style={styles.gameAction}
+              onPress={() => setDealGameId(item.id)}
+            >
+              <MaterialIcons name="handshake" size={18} color="#3498DB" />
+              <Text style={styles.gameActionText}>Deal</Text>
+            </TouchableOpacity>
+          )}
+          
+          {isTournament(item) && !stats.isActive && (
+            <TouchableOpacity
+              style={styles.gameAction}
+              onPress={() => setResultsGameId(item.id)}
+            >
+              <MaterialIcons name="emoji-events" size={18} color="#3498DB" />
+              <Text style={styles.gameActionText}>Results</Text>
+            </TouchableOpacity>
+          )}
+          
           {stats.isActive && (
             <TouchableOpacity
               style={styles.gameAction}
@@ -236,9 +391,23 @@ const GameManagementScreen = ({ navigation }) => {
       </LinearGradient>
       
       <View style={styles.container}>
+        <SessionSwitcher />
+        
         <View style={styles.sessionInfo}>
           <Text style={styles.sessionTitle}>Current Session</Text>
           <Text style={styles.sessionId}>ID: {sessionId}</Text>
+          <TouchableOpacity
+            style={styles.currencyRow}
+            onPress={() => setShowRatesEditor(true)}
+          >
+            <View style={styles.currencyInfo}>
+              <Text style={styles.currencyText}>Settles in {currency}</Text>
+              {rateDescriptions.length > 0 && (
+                <Text style={styles.sessionId}>{rateDescriptions.join(' · ')}</Text>
+              )}
+            </View>
+            <MaterialIcons name="currency-exchange" size={20} color="#3498DB" />
+          </TouchableOpacity>
         </View>
         
         {games && games.length > 0 ? (
@@ -289,22 +458,93 @@ const GameManagementScreen = ({ navigation }) => {
               autoFocus
             />
             
+            <View style={styles.currencyOptions}>
+              {[[GAME_TYPES.CASH, 'Cash game'], [GAME_TYPES.TOURNAMENT, 'Tournament']].map(([type, label]) => (
+                <TouchableOpacity
+                  key={type}
+                  style={[styles.currencyOption, gameType === type && styles.currencyOptionSelected]}
+                  onPress={() => setGameType(type)}
+                >
+                  <Text style={[styles.currencyOptionText, gameType === type && styles.currencyOptionTextSelected]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            
             <TextInput
               style={styles.modalInput}
-              placeholder="Default buy-in amount (optional)"
+              placeholder={gameType === GAME_TYPES.TOURNAMENT ? 'Buy-in amount' : 'Default buy-in amount (optional)'}
               keyboardType="decimal-pad"
               value={defaultBuyIn}
               onChangeText={setDefaultBuyIn}
             />
             
+            {gameType === GAME_TYPES.TOURNAMENT && (
+              <>
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="Rebuy amount (optional)"
+                  keyboardType="decimal-pad"
+                  value={rebuyAmount}
+                  onChangeText={setRebuyAmount}
+                />
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="Add-on amount (optional)"
+                  keyboardType="decimal-pad"
+                  value={addOnAmount}
+                  onChangeText={setAddOnAmount}
+                />
+                <TextInput
+                  style={styles.modalInput}
+                  placeholder="Bounty per buy-in (optional, part of the buy-in)"
+                  keyboardType="decimal-pad"
+                  value={bountyAmount}
+                  onChangeText={setBountyAmount}
+                />
+                {parseMoney(bountyAmount, gameCurrency) > 0 && (
+                  <View style={styles.currencyOptions}>
+                    {Object.values(BOUNTY_TYPES).map(type => (
+                      <TouchableOpacity
+                        key={type}
+                        style={[styles.currencyOption, bountyType === type && styles.currencyOptionSelected]}
+                        onPress={() => setBountyType(type)}
+                      >
+                        <Text style={[styles.currencyOptionText, bountyType === type && styles.currencyOptionTextSelected]}>
+                          {BOUNTY_TYPE_LABELS[type]}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+              </>
+            )}
+            
+            <Text style={styles.modalLabel}>Played in</Text>
+            <View style={styles.currencyOptions}>
+              {Object.keys(CURRENCIES).map(code => (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.currencyOption, gameCurrency === code && styles.currencyOptionSelected]}
+                  onPress={() => setGameCurrency(code)}
+                >
+                  <Text style={[styles.currencyOptionText, gameCurrency === code && styles.currencyOptionTextSelected]}>
+                    {code}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            {gameCurrency !== currency && !exchangeRates[gameCurrency] && (
+              <Text style={styles.currencyWarning}>
+                Add a {gameCurrency} rate under Currencies before settling.
+              </Text>
+            )}
+            
             <View style={styles.modalButtons}>
               <TouchableOpacity
                 style={styles.cancelButton}
-                onPress={() => {
-                  setGameName('');
-                  setDefaultBuyIn('');
-                  setShowNewGameModal(false);
-                }}
+                onPress={resetNewGameForm}
               >
                 <Text style={styles.cancelButtonText}>Cancel</Text>
               </TouchableOpacity>
@@ -323,6 +563,35 @@ const GameManagementScreen = ({ navigation }) => {
           </View>
         </View>
       </Modal>
+      
+      <ExchangeRatesEditor
+        visible={showRatesEditor}
+        currency={currency}
+        rates={exchangeRates}
+        currenciesInUse={currenciesInUse}
+        onSave={handleSaveRates}
+        onClose={() => setShowRatesEditor(false)}
+      />
+      
+      <TournamentResultsEditor
+        visible={!!resultsGame}
+        game={resultsGame}
+        players={players}
+        transactions={gameLog}
+        currency={resultsGame ? resultsGame.currency || currency : currency}
+        onSave={handleSaveResults}
+        onClose={() => setResultsGameId(null)}
+      />
+      
+      <TournamentDealCalculator
+        visible={!!dealGame}
+        game={dealGame}
+        players={players}
+        transactions={gameLog}
+        currency={dealGame ? dealGame.currency || currency : currency}
+        onSave={handleSaveDeal}
+        onClose={() => setDealGameId(null)}
+      />
     </SafeAreaView>
   );
 };
@@ -379,6 +648,22 @@ const styles = StyleSheet.create({
     color: '#7F8C8D',
     marginTop: 5,
   },
+  currencyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#ECF0F1',
+  },
+  currencyInfo: {
+    flex: 1,
+  },
+  currencyText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
   gamesList: {
     paddingBottom: 20,
   },
@@ -532,6 +817,42 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 15,
   },
+  modalLabel: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginBottom: 8,
+  },
+  currencyOptions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  currencyOption: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 15,
+    borderWidth: 1,
+    borderColor: '#BDC3C7',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  currencyOptionSelected: {
+    backgroundColor: '#3498DB',
+    borderColor: '#3498DB',
+  },
+  currencyOptionText: {
+    fontSize: 14,
+    color: '#2C3E50',
+  },
+  currencyOptionTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  currencyWarning: {
+    fontSize: 12,
+    color: '#E67E22',
+    marginBottom: 15,
+  },
   modalButtons: {
     flexDirection: 'row',
     justifyContent: 'space-between',
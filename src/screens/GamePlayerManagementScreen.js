@@ -13,15 +13,32 @@ import {
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
 import { addPlayer } from '../store/playerSlice';
-import { addPlayerToGame, startNewGame } from '../store/settlementSlice';
+import {
+  addPlayerToGame,
+  startNewGame,
+  removePlayerFromGame,
+  recordPlayerLeaving,
+  reseatPlayer
+} from '../store/settlementSlice';
+import { selectAllPlayers, selectGames } from '../store/selectors';
+import { formatMoneyInput, parseMoney } from '../utils/money';
+import {
+  formatDuration,
+  formatTimeOfDay,
+  getLeaveTime,
+  getSeatings,
+  getTimeAtTable,
+  isSeated,
+  parseTimeOfDay
+} from '../utils/seating';
 import { LinearGradient } from 'expo-linear-gradient';
-import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
+import { MaterialIcons } from '@expo/vector-icons';
 
 const GamePlayerManagementScreen = ({ route, navigation }) => {
   const { gameId, gameName, isNewGame } = route.params;
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { games } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const games = useSelector(selectGames);
   
   // Create a new game if needed
   useEffect(() => {
@@ -45,6 +62,12 @@ const GamePlayerManagementScreen = ({ route, navigation }) => {
   const [showAddPlayerModal, setShowAddPlayerModal] = useState(false);
   const [newPlayerName, setNewPlayerName] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [seatingChange, setSeatingChange] = useState(null); // { type: 'leave' | 'return', playerId }
+  const [timeInput, setTimeInput] = useState('');
+  const [amountInput, setAmountInput] = useState('');
+  
+  const gameCurrency = currentGame?.currency;
+  const canChangeSeating = !!currentGame && !currentGame.endTime;
   
   // Filter players based on search
   const filteredPlayers = players.filter(player => 
@@ -113,6 +136,57 @@ const GamePlayerManagementScreen = ({ route, navigation }) => {
     }
   };
   
+  const getGamePlayer = (playerId) => gamePlayers.find(p => p.playerId === playerId);
+  
+  const getPlayerName = (playerId) => {
+    const player = players.find(p => p.id === playerId);
+    return player ? player.name : 'Unknown Player';
+  };
+  
+  // Opens the form for a player leaving the table or coming back to it
+  const openSeatingChange = (type, playerId) => {
+    setSeatingChange({ type, playerId });
+    setTimeInput(formatTimeOfDay(new Date()));
+    setAmountInput(type === 'return' && currentGame?.buyIn ? formatMoneyInput(currentGame.buyIn, gameCurrency) : '');
+  };
+  
+  const closeSeatingChange = () => {
+    setSeatingChange(null);
+    setTimeInput('');
+    setAmountInput('');
+  };
+  
+  const confirmSeatingChange = () => {
+    const gamePlayer = getGamePlayer(seatingChange.playerId);
+    const seatings = getSeatings(gamePlayer);
+    // Typed times are on the game's day, after the seating they close or follow
+    const reference = seatingChange.type === 'leave'
+      ? seatings[seatings.length - 1].joinTime || currentGame.startTime
+      : getLeaveTime(gamePlayer);
+    const time = parseTimeOfDay(timeInput, reference);
+    if (!time) {
+      Alert.alert('Error', 'Please enter a time as HH:MM, e.g. 21:30');
+      return;
+    }
+    if (new Date(time) > new Date()) {
+      Alert.alert('Error', 'That time hasn\'t happened yet');
+      return;
+    }
+    
+    const amount = amountInput.trim() ? parseMoney(amountInput, gameCurrency) : 0;
+    if (amount === null || amount < 0) {
+      Alert.alert('Error', 'Please enter a valid amount');
+      return;
+    }
+    
+    if (seatingChange.type === 'leave') {
+      dispatch(recordPlayerLeaving({ gameId: currentGame.id, playerId: seatingChange.playerId, leftAt: time, amount }));
+    } else {
+      dispatch(reseatPlayer({ gameId: currentGame.id, playerId: seatingChange.playerId, joinTime: time, buyIn: amount }));
+    }
+    closeSeatingChange();
+  };
+  
   // Save selected players to the game
   const savePlayersToGame = () => {
     if (selectedPlayers.length === 0) {
@@ -128,6 +202,33 @@ const GamePlayerManagementScreen = ({ route, navigation }) => {
       return;
     }
     
+    // Players unticked were seated by mistake; taking them out voids what they did in the game
+    const removedPlayerIds = gamePlayerIds.filter(playerId => !selectedPlayers.includes(playerId));
+    if (removedPlayerIds.length > 0) {
+      Alert.alert(
+        'Remove Players',
+        `Remove ${removedPlayerIds.map(getPlayerName).join(', ')} from this game? Their buy-ins, cash-outs and balances in it will be voided.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          {
+            text: 'Remove',
+            style: 'destructive',
+            onPress: () => {
+              removedPlayerIds.forEach(playerId => {
+                dispatch(removePlayerFromGame({ gameId: actualGameId, playerId }));
+              });
+              finishSaving(actualGameId);
+            }
+          }
+        ]
+      );
+      return;
+    }
+    
+    finishSaving(actualGameId);
+  };
+  
+  const finishSaving = (actualGameId) => {
     // For each selected player, add to game if not already in it
     selectedPlayers.forEach(playerId => {
       if (!gamePlayerIds.includes(playerId)) {
@@ -213,9 +314,36 @@ const GamePlayerManagementScreen = ({ route, navigation }) => {
                     {item.name.substring(0, 2).toUpperCase()}
                   </Text>
                 </View>
-                <Text style={styles.playerName}>{item.name}</Text>
+                <View style={styles.playerDetails}>
+                  <Text style={styles.playerName}>{item.name}</Text>
+                  {getGamePlayer(item.id) && (
+                    <Text style={styles.seatingText}>
+                      {isSeated(getGamePlayer(item.id))
+                        ? `At the table since ${formatTimeOfDay(getSeatings(getGamePlayer(item.id)).slice(-1)[0].joinTime || currentGame.startTime)}`
+                        : `Left at ${formatTimeOfDay(getLeaveTime(getGamePlayer(item.id)))}`}
+                      {' · '}{formatDuration(getTimeAtTable(getGamePlayer(item.id), currentGame))} played
+                    </Text>
+                  )}
+                </View>
               </View>
               
+              {canChangeSeating && getGamePlayer(item.id) && (
+                <TouchableOpacity
+                  style={styles.seatingButton}
+                  onPress={() => openSeatingChange(isSeated(getGamePlayer(item.id)) ? 'leave' : 'return', item.id)}
+                  accessibilityLabel={isSeated(getGamePlayer(item.id)) ? `${item.name} left` : `${item.name} came back`}
+                >
+                  <MaterialIcons
+                    name={isSeated(getGamePlayer(item.id)) ? 'logout' : 'login'}
+                    size={18}
+                    color="#3498DB"
+                  />
+                  <Text style={styles.seatingButtonText}>
+                    {isSeated(getGamePlayer(item.id)) ? 'Left' : 'Back'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+              
               <View style={[
                 styles.checkbox,
                 selectedPlayers.includes(item.id) && styles.checkboxSelected
@@ -254,6 +382,63 @@ const GamePlayerManagementScreen = ({ route, navigation }) => {
         </View>
       </View>
       
+      {/* Leaving / Returning Modal */}
+      <Modal
+        visible={!!seatingChange}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={closeSeatingChange}
+      >
+        <View style={styles.modalOverlay}>
+          {seatingChange && (
+            <View style={styles.modalContent}>
+              <Text style={styles.modalTitle}>
+                {getPlayerName(seatingChange.playerId)} {seatingChange.type === 'leave' ? 'Left' : 'Came Back'}
+              </Text>
+              
+              <Text style={styles.modalLabel}>
+                {seatingChange.type === 'leave' ? 'Left at (HH:MM)' : 'Sat back down at (HH:MM)'}
+              </Text>
+              <TextInput
+                style={styles.modalInput}
+                placeholder="21:30"
+                value={timeInput}
+                onChangeText={setTimeInput}
+                keyboardType="numbers-and-punctuation"
+              />
+              
+              <Text style={styles.modalLabel}>
+                {seatingChange.type === 'leave' ? 'Cashed out' : 'Bought back in for (optional)'}
+                {gameCurrency ? ` in ${gameCurrency}` : ''}
+              </Text>
+              <TextInput
+                style={styles.modalInput}
+                placeholder="0.00"
+                value={amountInput}
+                onChangeText={setAmountInput}
+                keyboardType="decimal-pad"
+              />
+              
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeSeatingChange}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.addModalButton]}
+                  onPress={confirmSeatingChange}
+                >
+                  <Text style={styles.addModalButtonText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+        </View>
+      </Modal>
+      
       {/* Add Player Modal */}
       <Modal
         visible={showAddPlayerModal}
@@ -420,11 +605,33 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  playerDetails: {
+    flex: 1,
+  },
   playerName: {
     fontSize: 16,
     fontWeight: '500',
     color: '#2C3E50',
   },
+  seatingText: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  seatingButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    backgroundColor: '#F0F4F8',
+    marginRight: 10,
+  },
+  seatingButtonText: {
+    color: '#3498DB',
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
   checkbox: {
     width: 24,
     height: 24,
@@ -502,6 +709,11 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textAlign: 'center',
   },
+  modalLabel: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginBottom: 8,
+  },
   modalInput: {
     borderWidth: 1,
     borderColor: '#E0E0E0',
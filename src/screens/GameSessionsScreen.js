@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -10,22 +10,23 @@ import {
   Alert,
   SafeAreaView,
   StatusBar,
-  Share,
-  ActivityIndicator,
-  Platform
+  ActivityIndicator
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
 import { startNewSession, deleteGame, setHistory } from '../store/settlementSlice';
+import { selectAllPlayers, selectGames, selectSessions } from '../store/selectors';
 import { LinearGradient } from 'expo-linear-gradient';
-import { MaterialIcons, Ionicons } from '@expo/vector-icons';
+import { MaterialIcons } from '@expo/vector-icons';
 import * as MailComposer from 'expo-mail-composer';
 import * as FileSystem from 'expo-file-system';
 import * as Sharing from 'expo-sharing';
 
 const GameSessionsScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { history, games } = useSelector(state => state.settlements);
-  const { players } = useSelector(state => state.players);
+  const history = useSelector(selectSessions);
+  const games = useSelector(selectGames);
+  const players = useSelector(selectAllPlayers);
+  const { sessionId } = useSelector(state => state.settlements);
   
   // State
   const [showAddGameModal, setShowAddGameModal] = useState(false);
@@ -94,8 +95,10 @@ const GameSessionsScreen = ({ navigation }) => {
       return;
     }
     
-    // Start a new session if none exists
-    dispatch(startNewSession());
+    // Start a new session if none exists; the game joins the one in play otherwise
+    if (!sessionId) {
+      dispatch(startNewSession());
+    }
     
     // Navigate to player selection for the new game
     navigation.navigate('GamePlayerManagementScreen', {
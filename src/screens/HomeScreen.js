@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   View, 
   Text, 
@@ -12,20 +12,50 @@ import {
   TextInput
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { startNewSession } from '../store/settlementSlice';
+import { startNewSession, repairLedgerIntegrity } from '../store/settlementSlice';
+import { selectLedgerIssues, selectOpenSessions } from '../store/selectors';
+import { parseMoney } from '../utils/money';
+import { loadSettings } from '../api/storage';
 import { LinearGradient } from 'expo-linear-gradient';
-import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
+import { FontAwesome5 } from '@expo/vector-icons';
+import SessionSwitcher from '../components/SessionSwitcher';
 
 const HomeScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId } = useSelector(state => state.settlements);
+  const { currency } = useSelector(state => state.settlements);
+  const ledgerIssues = useSelector(selectLedgerIssues);
+  const openSessions = useSelector(selectOpenSessions);
+  const offeredRepair = useRef(false);
   
   // State for modals
   const [showNewGameModal, setShowNewGameModal] = useState(false);
   const [showPreSettleModal, setShowPreSettleModal] = useState(false);
   const [gameName, setGameName] = useState('');
   const [defaultBuyIn, setDefaultBuyIn] = useState('');
+  const [defaultCurrency, setDefaultCurrency] = useState(currency);
+  
+  // New sessions settle in the currency chosen in settings
+  useEffect(() => {
+    loadSettings().then(settings => {
+      if (settings.currency) setDefaultCurrency(settings.currency);
+    });
+  }, []);
+  
+  // Stored records that have drifted apart are reported once, with an offer to repair them
+  useEffect(() => {
+    if (ledgerIssues.length === 0 || offeredRepair.current) return;
+    offeredRepair.current = true;
+    
+    const messages = [...new Set(ledgerIssues.map(issue => issue.message))];
+    Alert.alert(
+      'Ledger Needs Repair',
+      `Found ${ledgerIssues.length} problem${ledgerIssues.length === 1 ? '' : 's'} in saved games:\n\n${messages.join('\n')}\n\nRepairing rebuilds them from the recorded history.`,
+      [
+        { text: 'Not Now', style: 'cancel' },
+        { text: 'Repair', onPress: () => dispatch(repairLedgerIntegrity()) }
+      ]
+    );
+  }, [ledgerIssues, dispatch]);
   
   // Handle starting a new game
   const handleStartNewGame = () => {
@@ -34,20 +64,42 @@ const HomeScreen = ({ navigation }) => {
       return;
     }
     
-    // Convert defaultBuyIn to a number, defaulting to 0 if invalid
-    const buyIn = defaultBuyIn ? parseFloat(defaultBuyIn) : 0;
+    // Convert defaultBuyIn to minor units, defaulting to 0 if invalid
+    const buyIn = parseMoney(defaultBuyIn, defaultCurrency) || 0;
     
-    dispatch(startNewSession());
+    const beginGame = (inNewSession) => {
+      if (inNewSession) {
+        dispatch(startNewSession({ currency: defaultCurrency }));
+      }
+      
+      // Navigate to Players screen first to set up players for this game
+      navigation.navigate('Players', { 
+        nextScreen: 'GameManagementScreen',
+        gameData: { name: gameName, buyIn: buyIn }
+      });
+      
+      setShowNewGameModal(false);
+      setGameName('');
+      setDefaultBuyIn('');
+    };
     
-    // Navigate to Players screen first to set up players for this game
-    navigation.navigate('Players', { 
-      nextScreen: 'GameManagementScreen',
-      gameData: { name: gameName, buyIn: buyIn }
-    });
+    // A session with games or balances in it is never cleared; the new game
+    // joins it or starts a session of its own alongside it
+    const activeSession = openSessions.find(session => session.isActive);
+    if (activeSession && (activeSession.gameCount > 0 || activeSession.playerCount > 0)) {
+      Alert.alert(
+        'Session In Play',
+        `"${activeSession.label}" is still open. Add this game to it, or start a separate session? A separate session leaves it open to switch back to.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Add to It', onPress: () => beginGame(false) },
+          { text: 'New Session', onPress: () => beginGame(true) }
+        ]
+      );
+      return;
+    }
     
-    setShowNewGameModal(false);
-    setGameName('');
-    setDefaultBuyIn('');
+    beginGame(true);
   };
   
   // Handle pre-settlement flow
@@ -74,6 +126,8 @@ const HomeScreen = ({ navigation }) => {
           style={styles.scrollView} 
           contentContainerStyle={styles.scrollContent}
         >
+          <SessionSwitcher />
+          
           <View style={styles.mainOptionsContainer}>
             {/* MAIN OPTION BUTTONS */}
             <TouchableOpacity 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
@@ -12,9 +12,13 @@ import {
   StatusBar
 } from 'react-native';
 import { useSelector } from 'react-redux';
-import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
+import { selectAllPlayers, selectSessions } from '../store/selectors';
+import { MaterialIcons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 import analyticsUtils from '../utils/analyticsUtils';
+import { calculateKnockoutStats } from '../utils/knockouts';
+import { formatDuration } from '../utils/seating';
+import { formatMoney, getCurrency, toMajorUnits } from '../utils/money';
 
 // Import SVG charting components
 import { LineChart, BarChart } from 'react-native-chart-kit';
@@ -23,14 +27,26 @@ const { width } = Dimensions.get('window');
 
 const PlayerAnalyticsScreen = ({ route, navigation }) => {
   const { player } = route.params;
-  const { players } = useSelector(state => state.players);
-  const { history } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const { currency, roundingCarryOver = {} } = useSelector(state => state.settlements);
+  const history = useSelector(selectSessions);
   
   const [playerStats, setPlayerStats] = useState(null);
+  const [tournamentStats, setTournamentStats] = useState(null);
+  const [timeStats, setTimeStats] = useState(null);
+  const [knockoutStats, setKnockoutStats] = useState(null);
   const [monthlyData, setMonthlyData] = useState([]);
   const [performanceData, setPerformanceData] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
+  const [selectedCurrency, setSelectedCurrency] = useState(null);
+  
+  // Money only adds up within one currency, so stats are shown for one at a
+  // time, starting with the settlement currency when sessions were played in it
+  const currencies = useMemo(() => analyticsUtils.getHistoryCurrencies(history), [history]);
+  const statsCurrency = currencies.includes(selectedCurrency)
+    ? selectedCurrency
+    : currencies.includes(currency) ? currency : currencies[0] || currency;
   
   // Calculate analytics when screen loads or history changes
   useEffect(() => {
@@ -39,15 +55,18 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
       
       try {
         // Calculate player stats
-        const stats = analyticsUtils.calculatePlayerStats(player.id, history);
+        const stats = analyticsUtils.calculatePlayerStats(player.id, history, statsCurrency);
         setPlayerStats(stats);
+        setTournamentStats(analyticsUtils.calculateTournamentStats(player.id, history, statsCurrency));
+        setTimeStats(analyticsUtils.calculateTimeStats(player.id, history, statsCurrency));
+        setKnockoutStats(calculateKnockoutStats(player.id, history));
         
         // Get monthly performance data
-        const monthly = analyticsUtils.getMonthlyPerformance(player.id, history);
+        const monthly = analyticsUtils.getMonthlyPerformance(player.id, history, statsCurrency);
         setMonthlyData(monthly);
         
         // Get performance over time data for charts
-        const performance = analyticsUtils.getPlayerPerformanceData(player.id, history);
+        const performance = analyticsUtils.getPlayerPerformanceData(player.id, history, statsCurrency);
         setPerformanceData(performance);
       } catch (error) {
         console.error('Error calculating analytics:', error);
@@ -57,19 +76,29 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
     };
     
     calculateAnalytics();
-  }, [player.id, history]);
+  }, [player.id, history, statsCurrency]);
+  
+  // Format currency (minor units) with sign
+  const getPlayerName = (playerId) => {
+    const match = players.find(p => p.id === playerId);
+    return match ? match.name : 'Unknown Player';
+  };
   
-  // Format currency with sign
   const formatCurrency = (value, showSign = true) => {
-    if (value === null || value === undefined) return '$0.00';
-    
-    const numValue = parseFloat(value);
-    const isPositive = numValue > 0;
-    const sign = isPositive && showSign ? '+' : '';
-    
-    return `${sign}$${Math.abs(numValue).toFixed(2)}`;
+    const numValue = Number(value) || 0;
+    return formatMoney(numValue, statsCurrency, { showSign, absolute: numValue < 0 });
   };
   
+  // Bounties the player has collected, per currency
+  const bounties = Object.entries((knockoutStats && knockoutStats.bountiesWon) || {})
+    .map(([code, amount]) => ({ code, amount }))
+    .filter(entry => entry.amount > 0);
+  
+  // What cash rounding still owes the player (positive) or they owe back, per currency
+  const carryOver = Object.entries(roundingCarryOver)
+    .map(([code, amounts]) => ({ code, amount: (amounts || {})[player.id] || 0 }))
+    .filter(entry => entry.amount !== 0);
+  
   // Get color based on value
   const getValueColor = (value) => {
     if (value > 0) return '#2ECC71';
@@ -97,7 +126,7 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
           </View>
           
           <View style={styles.statsCard}>
-            <Text style={styles.statsLabel}>Net Winnings</Text>
+            <Text style={styles.statsLabel}>Net After Fees</Text>
             <Text style={[styles.statsValue, { color: getValueColor(playerStats.netWinnings) }]}>
               {formatCurrency(playerStats.netWinnings)}
             </Text>
@@ -123,6 +152,81 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
               {formatCurrency(playerStats.biggestLoss)}
             </Text>
           </View>
+          
+          {tournamentStats && tournamentStats.tournaments > 0 && (
+            <>
+              <View style={styles.statsCard}>
+                <Text style={styles.statsLabel}>ITM Rate</Text>
+                <Text style={[styles.statsValue, { color: '#3498DB' }]}>
+                  {tournamentStats.itmRate.toFixed(0)}%
+                </Text>
+                <Text style={styles.statsLabel}>
+                  {tournamentStats.cashes}/{tournamentStats.tournaments} tournaments
+                </Text>
+              </View>
+              
+              <View style={styles.statsCard}>
+                <Text style={styles.statsLabel}>Tournament ROI</Text>
+                <Text style={[styles.statsValue, { color: getValueColor(tournamentStats.roi) }]}>
+                  {tournamentStats.roi > 0 ? '+' : ''}{tournamentStats.roi.toFixed(0)}%
+                </Text>
+                <Text style={styles.statsLabel}>
+                  {formatCurrency(tournamentStats.profit)}
+                </Text>
+              </View>
+            </>
+          )}
+          
+          {timeStats && timeStats.gamesTimed > 0 && (
+            <>
+              <View style={styles.statsCard}>
+                <Text style={styles.statsLabel}>Time Played</Text>
+                <Text style={styles.statsValue}>{formatDuration(timeStats.timePlayed)}</Text>
+                <Text style={styles.statsLabel}>
+                  {formatDuration(timeStats.averageTime)} a game
+                </Text>
+              </View>
+              
+              <View style={styles.statsCard}>
+                <Text style={styles.statsLabel}>Per Hour</Text>
+                <Text style={[styles.statsValue, { color: getValueColor(timeStats.hourlyRate) }]}>
+                  {formatCurrency(timeStats.hourlyRate)}
+                </Text>
+              </View>
+            </>
+          )}
+          
+          {knockoutStats && (knockoutStats.knockouts > 0 || knockoutStats.eliminations > 0) && (
+            <View style={styles.statsCard}>
+              <Text style={styles.statsLabel}>Knockouts</Text>
+              <Text style={[styles.statsValue, { color: '#3498DB' }]}>
+                {knockoutStats.knockouts}
+              </Text>
+              <Text style={styles.statsLabel}>
+                Busted {knockoutStats.eliminations} {knockoutStats.eliminations === 1 ? 'time' : 'times'}
+              </Text>
+            </View>
+          )}
+          
+          {bounties.map(entry => (
+            <View key={entry.code} style={styles.statsCard}>
+              <Text style={styles.statsLabel}>
+                Bounties Won{bounties.length > 1 ? ` (${entry.code})` : ''}
+              </Text>
+              <Text style={[styles.statsValue, { color: '#2ECC71' }]}>
+                {formatMoney(entry.amount, entry.code, { showSign: true })}
+              </Text>
+            </View>
+          ))}
+          
+          {playerStats.feesPaid > 0 && (
+            <View style={styles.statsCard}>
+              <Text style={styles.statsLabel}>Fees Paid</Text>
+              <Text style={[styles.statsValue, { color: '#E67E22' }]}>
+                {formatCurrency(playerStats.feesPaid)}
+              </Text>
+            </View>
+          )}
         </View>
         
         {playerStats.totalSessions > 0 && (
@@ -171,6 +275,35 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                   {playerStats.lastSessionDate ? playerStats.lastSessionDate.toLocaleDateString() : 'N/A'}
                 </Text>
               </View>
+              
+              {knockoutStats && knockoutStats.favoriteVictim && (
+                <View style={styles.statusRow}>
+                  <Text style={styles.statusLabel}>Busts Most:</Text>
+                  <Text style={styles.statusValue}>
+                    {getPlayerName(knockoutStats.favoriteVictim.playerId)} ({knockoutStats.favoriteVictim.count})
+                  </Text>
+                </View>
+              )}
+              
+              {knockoutStats && knockoutStats.nemesis && (
+                <View style={styles.statusRow}>
+                  <Text style={styles.statusLabel}>Busted Most By:</Text>
+                  <Text style={styles.statusValue}>
+                    {getPlayerName(knockoutStats.nemesis.playerId)} ({knockoutStats.nemesis.count})
+                  </Text>
+                </View>
+              )}
+              
+              {carryOver.map(entry => (
+                <View key={entry.code} style={styles.statusRow}>
+                  <Text style={styles.statusLabel}>
+                    Rounding Carry-over{carryOver.length > 1 ? ` (${entry.code})` : ''}:
+                  </Text>
+                  <Text style={[styles.statusValue, { color: getValueColor(entry.amount) }]}>
+                    {formatMoney(entry.amount, entry.code, { showSign: true })}
+                  </Text>
+                </View>
+              ))}
             </View>
             
             {/* Performance Over Time Chart */}
@@ -187,12 +320,12 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                         new Date(data.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
                       ).filter((_, i, arr) => i === 0 || i === Math.floor(arr.length / 2) || i === arr.length - 1),
                       datasets: [{
-                        data: performanceData.map(data => data.cumulativeBalance)
+                        data: performanceData.map(data => toMajorUnits(data.cumulativeBalance, statsCurrency))
                       }]
                     }}
                     width={width - 40}
                     height={220}
-                    yAxisLabel="$"
+                    yAxisLabel={getCurrency(statsCurrency).symbol}
                     yAxisSuffix=""
                     chartConfig={{
                       backgroundColor: '#ffffff',
@@ -213,7 +346,7 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                     bezier
                     style={styles.chart}
                   />
-                  <Text style={styles.chartCaption}>Net Winnings ($) Over Time</Text>
+                  <Text style={styles.chartCaption}>Net Winnings ({getCurrency(statsCurrency).symbol}) Over Time</Text>
                 </View>
               </>
             )}
@@ -298,12 +431,12 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                 data={{
                   labels: monthlyData.map(data => data.monthName),
                   datasets: [{
-                    data: monthlyData.map(data => data.netWinnings)
+                    data: monthlyData.map(data => toMajorUnits(data.netWinnings, statsCurrency))
                   }]
                 }}
                 width={width - 40}
                 height={220}
-                yAxisLabel="$"
+                yAxisLabel={getCurrency(statsCurrency).symbol}
                 yAxisSuffix=""
                 chartConfig={{
                   backgroundColor: '#ffffff',
@@ -320,7 +453,7 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                 style={styles.chart}
                 fromZero
               />
-              <Text style={styles.chartCaption}>Monthly Net Winnings ($)</Text>
+              <Text style={styles.chartCaption}>Monthly Net Winnings ({getCurrency(statsCurrency).symbol})</Text>
             </View>
           </>
         )}
@@ -331,7 +464,7 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
   // Render rankings tab
   const renderRankingsTab = () => {
     // Get player rankings
-    const rankings = analyticsUtils.getPlayerRankings(players, history);
+    const rankings = analyticsUtils.getPlayerRankings(players, history, statsCurrency);
     
     // Find this player's rank
     const playerRank = rankings.findIndex(p => p.id === player.id) + 1;
@@ -344,7 +477,9 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
         </View>
         
         <View style={styles.sectionHeader}>
-          <Text style={styles.sectionTitle}>Top 5 Players (by Net Winnings)</Text>
+          <Text style={styles.sectionTitle}>
+            Top 5 Players (by Net Winnings{currencies.length > 1 ? ` in ${statsCurrency}` : ''})
+          </Text>
         </View>
         
         {rankings.slice(0, 5).map((rankedPlayer, index) => (
@@ -470,6 +605,12 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
                     </View>
                   </View>
                   
+                  {(h2hStats.player1Knockouts > 0 || h2hStats.player2Knockouts > 0) && (
+                    <Text style={styles.h2hKnockouts}>
+                      Knocked out {otherPlayer.name} {h2hStats.player1Knockouts}× · Knocked out by them {h2hStats.player2Knockouts}×
+                    </Text>
+                  )}
+                  
                   <View style={styles.h2hBar}>
                     <View 
                       style={[
@@ -556,6 +697,22 @@ const PlayerAnalyticsScreen = ({ route, navigation }) => {
         </TouchableOpacity>
       </View>
       
+      {currencies.length > 1 && (
+        <View style={styles.currencyBar}>
+          {currencies.map(code => (
+            <TouchableOpacity
+              key={code}
+              style={[styles.currencyButton, code === statsCurrency && styles.activeCurrencyButton]}
+              onPress={() => setSelectedCurrency(code)}
+            >
+              <Text style={[styles.currencyButtonText, code === statsCurrency && styles.activeCurrencyText]}>
+                {code}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      
       {isLoading ? (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color="#3498DB" />
@@ -628,6 +785,32 @@ const styles = StyleSheet.create({
     color: '#3498DB',
     fontWeight: '600',
   },
+  currencyBar: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EAEAEA',
+  },
+  currencyButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 10,
+    borderRadius: 15,
+    backgroundColor: '#F0F4F8',
+  },
+  activeCurrencyButton: {
+    backgroundColor: '#E1F0FF',
+  },
+  currencyButtonText: {
+    fontSize: 14,
+    color: '#7F8C8D',
+  },
+  activeCurrencyText: {
+    color: '#3498DB',
+    fontWeight: '600',
+  },
   tabContent: {
     padding: 20,
   },
@@ -890,6 +1073,11 @@ const styles = StyleSheet.create({
   h2hStatLabel: {
     fontSize: 12,
   },
+  h2hKnockouts: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginBottom: 10,
+  },
   h2hBar: {
     flexDirection: 'row',
     height: 10,
@@ -10,7 +10,6 @@ import {
   Animated,
   Keyboard,
   Modal,
-  Image,
   ActivityIndicator,
   KeyboardAvoidingView,
   Platform,
@@ -19,15 +18,16 @@ import {
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
 import { addPlayer, updatePlayer, deletePlayer, setPlayers } from '../store/playerSlice';
+import { selectAllPlayers } from '../store/selectors';
 import { loadPlayers, savePlayers } from '../api/storage';
 import { Swipeable } from 'react-native-gesture-handler';
-import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
+import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
-import analyticsUtils from '../utils/analyticsUtils';
 
 const PlayerScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { players, loading } = useSelector(state => state.players);
+  const players = useSelector(selectAllPlayers);
+  const { loading } = useSelector(state => state.players);
   const [newPlayerName, setNewPlayerName] = useState('');
   const [editingId, setEditingId] = useState(null);
   const [editingName, setEditingName] = useState('');
@@ -219,12 +219,9 @@ const PlayerScreen = ({ navigation }) => {
   };
 
   const handlePlayerLongPress = (player) => {
-    if (enableMultiSelect && !isMultiSelectActive) {
+    if (!isMultiSelectActive) {
       setIsMultiSelectActive(true);
       setSelectedPlayerIds([player.id]);
-      if (onSelectionChange) {
-        onSelectionChange([player.id]);
-      }
     } else {
       // Show options when long press
       Alert.alert(
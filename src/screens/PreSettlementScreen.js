@@ -12,27 +12,31 @@ import {
   StatusBar,
   KeyboardAvoidingView,
   Platform,
-  ScrollView,
   Keyboard,
   Dimensions
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { startNewSession, setPlayerBalance, updateGameBalances } from '../store/settlementSlice';
+import { setPlayerBalance, updateGameBalances, setDeductions } from '../store/settlementSlice';
 import { addPlayer, updatePlayer, deletePlayer } from '../store/playerSlice';
+import { selectAllPlayers, selectGames } from '../store/selectors';
 import { LinearGradient } from 'expo-linear-gradient';
-import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
+import { MaterialIcons } from '@expo/vector-icons';
+import { formatMoney, getCurrency, parseMoney, sumMoney } from '../utils/money';
+import { applyDeductions } from '../utils/deductions';
+import DeductionsEditor from '../components/DeductionsEditor';
 
 const { height } = Dimensions.get('window');
 
 const PreSettlementScreen = ({ navigation, route }) => {
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId, balances, games } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const { currency, deductions = [] } = useSelector(state => state.settlements);
+  const games = useSelector(selectGames);
   
   // State for game setup
   const [step, setStep] = useState(1); // 1: Game Title, 2: Players, 3: Balances
   const [gameTitle, setGameTitle] = useState(route.params?.gameName || '');
-  const [gameId, setGameId] = useState(route.params?.gameId || null);
+  const [gameId] = useState(route.params?.gameId || null);
   const [selectedPlayers, setSelectedPlayers] = useState([]);
   const [playerBalances, setPlayerBalances] = useState({});
   const [showAddPlayerModal, setShowAddPlayerModal] = useState(false);
@@ -45,6 +49,7 @@ const PreSettlementScreen = ({ navigation, route }) => {
   const [keyboardHeight, setKeyboardHeight] = useState(0);
   const [showPlayerOptionsModal, setShowPlayerOptionsModal] = useState(false);
   const [keyboardVisible, setKeyboardVisible] = useState(false);
+  const [showDeductionsEditor, setShowDeductionsEditor] = useState(false);
   
   // Refs for scrolling
   const scrollViewRef = useRef(null);
@@ -75,12 +80,9 @@ const PreSettlementScreen = ({ navigation, route }) => {
   
   // Calculate total balance when player balances change
   useEffect(() => {
-    const total = Object.values(playerBalances).reduce((sum, balance) => {
-      const numBalance = balance === '' || balance === '-' ? 0 : parseFloat(balance) || 0;
-      return sum + numBalance;
-    }, 0);
-    setTotalBalance(parseFloat(total.toFixed(2)));
-  }, [playerBalances]);
+    const amounts = Object.values(playerBalances).map(balance => parseMoney(balance, currency) || 0);
+    setTotalBalance(sumMoney(amounts));
+  }, [playerBalances, currency]);
   
   // Keyboard event listeners
   useEffect(() => {
@@ -296,27 +298,32 @@ const PreSettlementScreen = ({ navigation, route }) => {
       }
       setStep(3);
     } else if (step === 3) {
-      if (Math.abs(totalBalance) > 0.01) {
+      if (totalBalance !== 0) {
         Alert.alert(
           'Balances Don\'t Sum to Zero',
-          `The sum of all balances is ${totalBalance.toFixed(2)}. Balances must sum to zero.`,
+          `The sum of all balances is ${formatMoney(totalBalance, currency)}. Balances must sum to zero.`,
           [{ text: 'OK' }]
         );
         return;
       }
       
-      // Update balances in Redux
+      // Update balances in Redux as integer minor units
+      const parsedBalances = {};
       Object.entries(playerBalances).forEach(([playerId, balance]) => {
-        const numBalance = balance === '' || balance === '-' ? 0 : parseFloat(balance) || 0;
-        dispatch(setPlayerBalance({ playerId, amount: numBalance }));
+        parsedBalances[playerId] = parseMoney(balance, currency) || 0;
       });
       
-      // If we're in game mode with a gameId, also store the balances with the game
+      // In game mode the balances are the game's, adding to the session's;
+      // otherwise they are the session's
       if (gameId) {
         dispatch(updateGameBalances({ 
           gameId, 
-          balances: playerBalances 
+          balances: parsedBalances 
         }));
+      } else {
+        Object.entries(parsedBalances).forEach(([playerId, amount]) => {
+          dispatch(setPlayerBalance({ playerId, amount }));
+        });
       }
       
       // Navigate to settlement screen
@@ -324,6 +331,20 @@ const PreSettlementScreen = ({ navigation, route }) => {
     }
   };
   
+  // Balances as entered, in minor units, for the deductions preview
+  const getParsedBalances = () => {
+    const parsed = {};
+    Object.entries(playerBalances).forEach(([playerId, balance]) => {
+      parsed[playerId] = parseMoney(balance, currency) || 0;
+    });
+    return parsed;
+  };
+  
+  const handleSaveDeductions = (updated) => {
+    dispatch(setDeductions({ deductions: updated, gameId }));
+    setShowDeductionsEditor(false);
+  };
+  
   // Go back to previous step or navigate back
   const handleBack = () => {
     if (step > 1) {
@@ -440,10 +461,10 @@ const PreSettlementScreen = ({ navigation, route }) => {
   // Check if a balance is positive or negative for styling
   const getBalanceType = (balance) => {
     if (balance === '' || balance === '0') return 'neutral';
-    if (balance === '-') return 'negative';
+    if (String(balance).startsWith('-')) return 'negative';
     
-    const numBalance = parseFloat(balance);
-    if (isNaN(numBalance)) return 'neutral';
+    const numBalance = parseMoney(balance, currency);
+    if (numBalance === null) return 'neutral';
     if (numBalance > 0) return 'positive';
     if (numBalance < 0) return 'negative';
     return 'neutral';
@@ -469,11 +490,24 @@ const PreSettlementScreen = ({ navigation, route }) => {
             <Text style={styles.balanceSummaryLabel}>Balance Sum</Text>
             <Text style={[
               styles.balanceSummaryValue,
-              Math.abs(totalBalance) < 0.01 ? styles.balanceEven : styles.balanceUneven
+              totalBalance === 0 ? styles.balanceEven : styles.balanceUneven
             ]}>
-              ${totalBalance.toFixed(2)}
+              {formatMoney(totalBalance, currency)}
             </Text>
           </View>
+          
+          <TouchableOpacity
+            style={styles.deductionsButton}
+            onPress={() => setShowDeductionsEditor(true)}
+          >
+            <MaterialIcons name="account-balance" size={18} color="#3498DB" />
+            <Text style={styles.deductionsButtonText}>
+              {deductions.length > 0
+                ? `Rake & fees: ${formatMoney(sumMoney(Object.values(applyDeductions(getParsedBalances(), deductions).fees)), currency)}`
+                : 'Add rake, fees or tips'}
+            </Text>
+            <MaterialIcons name="chevron-right" size={18} color="#3498DB" />
+          </TouchableOpacity>
         </View>
         
         {/* Scrollable Balance List */}
@@ -513,16 +547,12 @@ const PreSettlementScreen = ({ navigation, route }) => {
                       balanceType === 'negative' ? styles.negativeButton : styles.positiveButton
                     ]}
                     onPress={() => {
-                      const currentVal = playerBalances[item.id] || '0';
-                      const numValue = parseFloat(currentVal) || 0;
-                      
-                      if (!isNaN(numValue) && numValue !== 0) {
-                        handleBalanceChange(item.id, -numValue);
-                      } else if (currentVal === '-') {
-                        handleBalanceChange(item.id, '');
-                      } else {
-                        handleBalanceChange(item.id, '-');
-                      }
+                      // Flip the leading sign of the typed text
+                      const currentVal = playerBalances[item.id] || '';
+                      handleBalanceChange(
+                        item.id,
+                        currentVal.startsWith('-') ? currentVal.slice(1) : `-${currentVal === '0' ? '' : currentVal}`
+                      );
                     }}
                   >
                     <Text style={styles.signButtonText}>
@@ -530,7 +560,7 @@ const PreSettlementScreen = ({ navigation, route }) => {
                     </Text>
                   </TouchableOpacity>
                   
-                  <Text style={styles.currencySymbol}>$</Text>
+                  <Text style={styles.currencySymbol}>{getCurrency(currency).symbol}</Text>
                   <TextInput
                     style={[
                       styles.balanceInput,
@@ -539,13 +569,9 @@ const PreSettlementScreen = ({ navigation, route }) => {
                       isEditing && styles.focusedInput
                     ]}
                     keyboardType="decimal-pad"
-                    value={balance === '-' ? '' : String(Math.abs(parseFloat(balance) || 0))}
+                    value={String(balance).replace(/^-/, '')}
                     onChangeText={(value) => {
-                      if (balanceType === 'negative' && value !== '' && value !== '0') {
-                        handleBalanceChange(item.id, -Math.abs(parseFloat(value) || 0));
-                      } else {
-                        handleBalanceChange(item.id, value);
-                      }
+                      handleBalanceChange(item.id, balanceType === 'negative' ? `-${value}` : value);
                     }}
                     onFocus={() => setEditingPlayerId(item.id)}
                     selectTextOnFocus
@@ -633,6 +659,16 @@ const PreSettlementScreen = ({ navigation, route }) => {
         )}
       </KeyboardAvoidingView>
       
+      <DeductionsEditor
+        visible={showDeductionsEditor}
+        players={selectedPlayers}
+        balances={getParsedBalances()}
+        deductions={deductions}
+        currency={currency}
+        onSave={handleSaveDeductions}
+        onClose={() => setShowDeductionsEditor(false)}
+      />
+      
       {/* Modals remain the same */}
       <Modal
         visible={showAddPlayerModal}
@@ -988,6 +1024,22 @@ const styles = StyleSheet.create({
     paddingBottom: 10,
     backgroundColor: '#F0F4F8',
   },
+  deductionsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E1F0FF',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 15,
+    marginTop: 10,
+  },
+  deductionsButtonText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3498DB',
+    marginLeft: 8,
+  },
   balanceSummary: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,4 +1,4 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -6,32 +6,74 @@ import {
   FlatList,
   TouchableOpacity,
   Animated,
-  Share,
   Alert,
   ActivityIndicator,
   SafeAreaView,
   StatusBar,
-  Image,
   Modal,
-  Dimensions,
-  ScrollView // Added ScrollView import
+  ScrollView, // Added ScrollView import
+  TextInput
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { setHistory } from '../store/settlementSlice';
-import { loadHistory } from '../api/storage';
-import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
+import {
+  setHistory,
+  recordDebtPayment,
+  addNetting,
+  recordSettlementPayment,
+  setSettlementStatus,
+  reopenSession
+} from '../store/settlementSlice';
+import { selectAllPlayers, selectSessions } from '../store/selectors';
+import { loadHistory, saveHistory } from '../api/storage';
+import { formatMoney, formatMoneyInput, parseMoney, sumMoney } from '../utils/money';
+import { PAYMENT_METHODS } from '../utils/settlementConstraints';
+import { SETTLEMENT_STATUS, getAmountPaid } from '../utils/settlementPayments';
+import { getSessionVersion } from '../utils/sessionVersions';
+import { HOUSE_NAME, describeDeduction, isHouse } from '../utils/deductions';
+import { getSessionDuration } from '../utils/analyticsUtils';
+import { formatDuration } from '../utils/seating';
+import {
+  ADJUSTMENT_STRATEGY_LABELS,
+  UNACCOUNTED_NAME,
+  describeBalanceAdjustment,
+  isUnaccounted
+} from '../utils/balanceAdjustments';
+import {
+  buildDebtLedger,
+  indexObligations,
+  getObligationStatus,
+  getSessionObligationKey,
+  createNetting,
+  reconcileLedger,
+  getTotalOutstanding
+} from '../utils/debtLedger';
+import { MaterialIcons, FontAwesome5 } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
 
-const { width } = Dimensions.get('window');
 
 const SessionHistoryScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { history } = useSelector(state => state.settlements);
-  const { players } = useSelector(state => state.players);
+  const { debtPayments = [], nettings = [] } = useSelector(state => state.settlements);
+  const history = useSelector(selectSessions);
+  const players = useSelector(selectAllPlayers);
   const [isLoading, setIsLoading] = useState(true);
   const [selectedSession, setSelectedSession] = useState(null);
+  const [viewedVersion, setViewedVersion] = useState(null); // Earlier version of the selected session on show, null for the latest
   const [modalVisible, setModalVisible] = useState(false);
   const [filterType, setFilterType] = useState('all'); // 'all', 'week', 'month', 'year'
+  const [viewMode, setViewMode] = useState('games'); // 'games' or 'netted'
+  const [paymentForm, setPaymentForm] = useState(null); // { key, amount, method, note } while recording a payment
+  
+  // Debts carried across sessions, after payments and nettings
+  const ledger = useMemo(
+    () => buildDebtLedger(history, nettings, debtPayments),
+    [history, nettings, debtPayments]
+  );
+  const obligationsByKey = useMemo(() => indexObligations(ledger), [ledger]);
+  const reconciliation = useMemo(
+    () => reconcileLedger(ledger),
+    [ledger]
+  );
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -69,6 +111,23 @@ const SessionHistoryScreen = ({ navigation }) => {
     
     fetchHistory();
   }, [dispatch, fadeAnim, slideAnim]);
+  
+  // Keep the stored copy in step with payments, status changes and deletions
+  useEffect(() => {
+    if (!isLoading) {
+      saveHistory(history);
+    }
+  }, [history, isLoading]);
+  
+  // Keep the open session detail in step with the store
+  useEffect(() => {
+    if (selectedSession) {
+      const latest = history.find(session => session.id === selectedSession.id);
+      if (latest && latest !== selectedSession) {
+        setSelectedSession(latest);
+      }
+    }
+  }, [history, selectedSession]);
 
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -98,11 +157,15 @@ const SessionHistoryScreen = ({ navigation }) => {
   };
 
   const getPlayerName = (playerId) => {
+    if (isHouse(playerId)) return HOUSE_NAME;
+    if (isUnaccounted(playerId)) return UNACCOUNTED_NAME;
     const player = players.find(p => p.id === playerId);
     return player ? player.name : 'Unknown Player';
   };
   
   const getPlayerAvatar = (playerId) => {
+    if (isHouse(playerId)) return '#7F8C8D';
+    if (isUnaccounted(playerId)) return '#F39C12';
     const player = players.find(p => p.id === playerId);
     if (!player) return '#7F8C8D'; // Default gray for unknown players
     return player.avatarColor || getRandomColor();
@@ -134,12 +197,12 @@ const SessionHistoryScreen = ({ navigation }) => {
   // Convert any balance to a numeric value
   const getNumericBalance = (balance) => {
     if (balance === '' || balance === '-') return 0;
-    return typeof balance === 'string' ? parseFloat(balance) || 0 : balance || 0;
+    return Math.round(Number(balance)) || 0;
   };
   
   const getTotalTransactionAmount = (settlements) => {
     if (!settlements || settlements.length === 0) return 0;
-    return settlements.reduce((sum, settlement) => sum + settlement.amount, 0);
+    return sumMoney(settlements.map(settlement => settlement.amount));
   };
   
   const getSessionStats = (session) => {
@@ -185,10 +248,6 @@ const SessionHistoryScreen = ({ navigation }) => {
     };
   };
 
-  const handleShareSession = async (session) => {
-    navigation.navigate('SessionShare', { session });
-  };
-  
   const handleDeleteSession = (sessionId) => {
     Alert.alert(
       'Delete Session',
@@ -207,9 +266,158 @@ const SessionHistoryScreen = ({ navigation }) => {
     );
   };
   
+  // Brings a session back into play to fix its games; completing it again saves a new version
+  const handleReopenSession = (session) => {
+    Alert.alert(
+      'Reopen Session',
+      'Reopen this session to add or fix games? It opens alongside any session in play. ' +
+      'Completing it again saves a new version - this one stays viewable, and payments already recorded carry over.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Reopen',
+          onPress: () => {
+            dispatch(reopenSession({ sessionId: session.id }));
+            setModalVisible(false);
+            setPaymentForm(null);
+            navigation.navigate('GameManagementScreen');
+          }
+        }
+      ]
+    );
+  };
+  
+  // Where a settlement in history stands once payments and nettings are counted
+  const getSettlementProgress = (session, index) => {
+    if (session.settlements[index].status === SETTLEMENT_STATUS.CANCELLED) {
+      return { status: 'cancelled', obligation: null };
+    }
+    
+    const obligation = obligationsByKey[getSessionObligationKey(session.id, index)];
+    return { status: getObligationStatus(obligation), obligation };
+  };
+  
+  const getSessionOutstanding = (session) => {
+    return sumMoney(session.settlements.map((_, index) => {
+      const { status, obligation } = getSettlementProgress(session, index);
+      return status === 'open' || status === 'partial' ? obligation.outstanding : 0;
+    }));
+  };
+  
+  // Payments on a session settlement are stored with the settlement itself,
+  // payments on a netted transfer go to the debt ledger
+  const recordPayment = (obligation, { amount, method = null, note = '' }) => {
+    if (obligation.source === 'session') {
+      dispatch(recordSettlementPayment({
+        sessionId: obligation.sourceId,
+        settlementId: obligation.settlementId,
+        amount,
+        method,
+        note
+      }));
+    } else {
+      dispatch(recordDebtPayment({
+        from: obligation.from,
+        to: obligation.to,
+        amount,
+        currency: obligation.currency,
+        obligationKey: obligation.key,
+        note
+      }));
+    }
+  };
+  
+  const handleMarkPaid = (obligation) => {
+    const amountText = formatMoney(obligation.outstanding, obligation.currency);
+    
+    Alert.alert(
+      'Mark as Paid',
+      `Record that ${getPlayerName(obligation.from)} paid ${getPlayerName(obligation.to)} ${amountText}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Mark Paid',
+          onPress: () => recordPayment(obligation, { amount: obligation.outstanding })
+        }
+      ]
+    );
+  };
+  
+  const handleSavePayment = (obligation) => {
+    const amount = parseMoney(paymentForm.amount, obligation.currency);
+    
+    if (!(amount > 0)) {
+      Alert.alert('Invalid Amount', 'Enter how much was paid.');
+      return;
+    }
+    
+    if (amount > obligation.outstanding) {
+      Alert.alert(
+        'Amount Too High',
+        `Only ${formatMoney(obligation.outstanding, obligation.currency)} is still owed.`
+      );
+      return;
+    }
+    
+    recordPayment(obligation, {
+      amount,
+      method: paymentForm.method,
+      note: paymentForm.note.trim()
+    });
+    setPaymentForm(null);
+  };
+  
+  const handleStatusChange = (session, settlement, status) => {
+    const apply = () => dispatch(setSettlementStatus({
+      sessionId: session.id,
+      settlementId: settlement.id,
+      status
+    }));
+    
+    if (status !== SETTLEMENT_STATUS.CANCELLED) {
+      apply();
+      return;
+    }
+    
+    Alert.alert(
+      'Cancel Settlement',
+      `${getPlayerName(settlement.from)} will no longer owe ${getPlayerName(settlement.to)} anything for this session.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: 'Cancel Settlement', style: 'destructive', onPress: apply }
+      ]
+    );
+  };
+  
+  const handleSettleEverything = (currency) => {
+    const netting = createNetting(ledger, currency);
+    
+    if (netting.settlements.length === 0) {
+      Alert.alert('Nothing to Settle', 'Everyone is already square.');
+      return;
+    }
+    
+    const transferLines = netting.settlements
+      .map(settlement => `${getPlayerName(settlement.from)} → ${getPlayerName(settlement.to)}: ${formatMoney(settlement.amount, currency)}`)
+      .join('\n');
+    
+    Alert.alert(
+      'Settle Everything',
+      `${netting.obligationKeys.length} open debt${netting.obligationKeys.length !== 1 ? 's' : ''} will be replaced by ${netting.settlements.length} transfer${netting.settlements.length !== 1 ? 's' : ''}:\n\n${transferLines}`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Settle', onPress: () => dispatch(addNetting(netting)) }
+      ]
+    );
+  };
+  
   const filterSessions = () => {
     if (filterType === 'all' || !history.length) return history;
     
+    if (filterType === 'unpaid') {
+      return history.filter(session => getSessionOutstanding(session) > 0);
+    }
+    
     const now = new Date();
     let startDate = new Date();
     
@@ -252,8 +460,306 @@ const SessionHistoryScreen = ({ navigation }) => {
     </TouchableOpacity>
   );
 
+  const renderObligationStatus = (obligation, status = getObligationStatus(obligation)) => {
+    if (status === 'cancelled') {
+      return <Text style={[styles.obligationStatus, styles.cancelledStatus]}>Cancelled</Text>;
+    }
+    if (!obligation || status === 'open') {
+      return <Text style={[styles.obligationStatus, styles.openStatus]}>Outstanding</Text>;
+    }
+    if (status === 'paid') {
+      return <Text style={[styles.obligationStatus, styles.paidStatus]}>Paid</Text>;
+    }
+    if (status === 'netted') {
+      return <Text style={[styles.obligationStatus, styles.nettedStatus]}>Netted</Text>;
+    }
+    return (
+      <Text style={[styles.obligationStatus, styles.partialStatus]}>
+        {formatMoney(obligation.outstanding, obligation.currency)} left
+      </Text>
+    );
+  };
+  
+  const renderSettlementStatus = (session, index) => {
+    const { status, obligation } = getSettlementProgress(session, index);
+    return renderObligationStatus(obligation, status);
+  };
+  
+  const renderPaymentForm = (obligation) => (
+    <View style={styles.paymentForm}>
+      <TextInput
+        style={styles.paymentInput}
+        value={paymentForm.amount}
+        onChangeText={amount => setPaymentForm({ ...paymentForm, amount })}
+        keyboardType="decimal-pad"
+        placeholder="Amount"
+        autoFocus
+      />
+      <View style={styles.methodChips}>
+        {Object.values(PAYMENT_METHODS).map(method => (
+          <TouchableOpacity
+            key={method.id}
+            style={[
+              styles.methodChip,
+              paymentForm.method === method.id && styles.activeMethodChip
+            ]}
+            onPress={() => setPaymentForm({
+              ...paymentForm,
+              method: paymentForm.method === method.id ? null : method.id
+            })}
+          >
+            <Text
+              style={[
+                styles.methodChipText,
+                paymentForm.method === method.id && styles.activeMethodChipText
+              ]}
+            >
+              {method.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TextInput
+        style={styles.paymentInput}
+        value={paymentForm.note}
+        onChangeText={note => setPaymentForm({ ...paymentForm, note })}
+        placeholder="Note (optional)"
+      />
+      <View style={styles.paymentFormButtons}>
+        <TouchableOpacity
+          style={styles.paymentFormCancel}
+          onPress={() => setPaymentForm(null)}
+        >
+          <Text style={styles.paymentFormCancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.paymentFormSave}
+          onPress={() => handleSavePayment(obligation)}
+        >
+          <Text style={styles.paymentFormSaveText}>Save Payment</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+  
+  // Payments made so far, plus the actions that still apply to a settlement
+  const renderSettlementPayments = (session, settlement, index) => {
+    const { status, obligation } = getSettlementProgress(session, index);
+    const isOpen = status === 'open' || status === 'partial';
+    const payments = settlement.payments || [];
+    
+    return (
+      <View>
+        {payments.map(payment => (
+          <View key={payment.id} style={styles.paymentRow}>
+            <Text style={styles.paymentText} numberOfLines={1}>
+              {new Date(payment.date).toLocaleDateString()}
+              {payment.method && PAYMENT_METHODS[payment.method] ? ` · ${PAYMENT_METHODS[payment.method].label}` : ''}
+              {payment.note ? ` · ${payment.note}` : ''}
+            </Text>
+            <Text style={styles.paymentAmount}>
+              {formatMoney(payment.amount, session.currency)}
+            </Text>
+          </View>
+        ))}
+        
+        {isOpen && paymentForm?.key === obligation.key ? (
+          renderPaymentForm(obligation)
+        ) : (
+          <View style={styles.settlementActions}>
+            {isOpen && (
+              <TouchableOpacity
+                style={styles.settlementActionButton}
+                onPress={() => setPaymentForm({
+                  key: obligation.key,
+                  amount: formatMoneyInput(obligation.outstanding, obligation.currency),
+                  method: null,
+                  note: ''
+                })}
+              >
+                <Text style={styles.settlementActionText}>Record Payment</Text>
+              </TouchableOpacity>
+            )}
+            {renderMarkPaidButton(obligation)}
+            {isOpen && (
+              <TouchableOpacity
+                style={styles.settlementActionButton}
+                onPress={() => handleStatusChange(session, settlement, SETTLEMENT_STATUS.CANCELLED)}
+              >
+                <Text style={[styles.settlementActionText, styles.cancelActionText]}>Cancel</Text>
+              </TouchableOpacity>
+            )}
+            {status === 'cancelled' && (
+              <TouchableOpacity
+                style={styles.settlementActionButton}
+                onPress={() => handleStatusChange(session, settlement, SETTLEMENT_STATUS.PENDING)}
+              >
+                <Text style={styles.settlementActionText}>Reopen</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+      </View>
+    );
+  };
+  
+  // The session detail shows the latest version unless an earlier one was picked
+  const previousVersion = selectedSession && viewedVersion
+    ? (selectedSession.previousVersions || []).find(version => getSessionVersion(version) === viewedVersion)
+    : null;
+  const shownSession = previousVersion || selectedSession;
+  const isPreviousVersion = !!previousVersion;
+  
+  const renderViewButton = (mode, label) => (
+    <TouchableOpacity
+      style={[
+        styles.viewButton,
+        viewMode === mode && styles.activeViewButton
+      ]}
+      onPress={() => setViewMode(mode)}
+    >
+      <Text
+        style={[
+          styles.viewButtonText,
+          viewMode === mode && styles.activeViewButtonText
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+  
+  const renderMarkPaidButton = (obligation) => {
+    const status = getObligationStatus(obligation);
+    if (!obligation || (status !== 'open' && status !== 'partial')) return null;
+    
+    return (
+      <TouchableOpacity
+        style={styles.markPaidButton}
+        onPress={() => handleMarkPaid(obligation)}
+      >
+        <Text style={styles.markPaidText}>Mark Paid</Text>
+      </TouchableOpacity>
+    );
+  };
+  
+  const renderOpenObligation = (obligation) => (
+    <View key={obligation.key} style={styles.openDebtRow}>
+      <View style={styles.openDebtInfo}>
+        <Text style={styles.openDebtParties} numberOfLines={1}>
+          {getPlayerName(obligation.from)} → {getPlayerName(obligation.to)}
+        </Text>
+        <Text style={styles.openDebtSource}>
+          {obligation.source === 'netting' ? 'Settle everything' : 'Session'} · {formatDate(obligation.date)}
+        </Text>
+      </View>
+      <View style={styles.openDebtActions}>
+        <Text style={styles.openDebtAmount}>
+          {formatMoney(obligation.outstanding, obligation.currency)}
+        </Text>
+        {renderMarkPaidButton(obligation)}
+      </View>
+    </View>
+  );
+  
+  const renderNettedView = () => {
+    const currencies = Object.keys(ledger.positions);
+    
+    return (
+      <ScrollView contentContainerStyle={styles.listContent}>
+        <View
+          style={[
+            styles.reconcileBanner,
+            !reconciliation.matches && styles.reconcileBannerWarning
+          ]}
+        >
+          <MaterialIcons
+            name={reconciliation.matches ? 'check-circle' : 'warning'}
+            size={20}
+            color={reconciliation.matches ? '#27AE60' : '#E67E22'}
+          />
+          <Text style={styles.reconcileText}>
+            {reconciliation.matches
+              ? 'Netted balances match the game-by-game totals'
+              : 'Netted balances no longer match the game-by-game totals. A session with netted debts may have been deleted.'}
+          </Text>
+        </View>
+        
+        {currencies.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <MaterialIcons name="done-all" size={50} color="#BDC3C7" />
+            <Text style={styles.emptyText}>Nobody owes anything</Text>
+            <Text style={styles.emptySubText}>
+              Debts from completed sessions show up here until they are paid
+            </Text>
+          </View>
+        ) : currencies.map(currency => {
+          const openObligations = ledger.obligations.filter(obligation =>
+            obligation.currency === currency &&
+            !obligation.nettedInto &&
+            obligation.outstanding > 0
+          );
+          
+          return (
+            <View key={currency} style={[styles.sessionCard, styles.nettedCard]}>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Outstanding Balances</Text>
+                <Text style={styles.settlementCount}>
+                  {formatMoney(getTotalOutstanding(ledger, currency), currency)} owed
+                </Text>
+              </View>
+              
+              {Object.entries(ledger.positions[currency])
+                .sort(([_, a], [__, b]) => b - a)
+                .map(([playerId, amount]) => (
+                  <View key={playerId} style={styles.balanceRow}>
+                    <View style={styles.playerRow}>
+                      <View 
+                        style={[
+                          styles.miniAvatar, 
+                          { backgroundColor: getPlayerAvatar(playerId) }
+                        ]}
+                      >
+                        <Text style={styles.miniAvatarText}>
+                          {getInitials(getPlayerName(playerId))}
+                        </Text>
+                      </View>
+                      <Text style={styles.modalPlayerName}>{getPlayerName(playerId)}</Text>
+                    </View>
+                    <Text 
+                      style={[
+                        styles.modalBalance,
+                        amount > 0 ? styles.positiveBalance : styles.negativeBalance
+                      ]}
+                    >
+                      {formatMoney(amount, currency, { showSign: true })}
+                    </Text>
+                  </View>
+                ))
+              }
+              
+              <TouchableOpacity
+                style={styles.settleEverythingButton}
+                onPress={() => handleSettleEverything(currency)}
+              >
+                <MaterialIcons name="merge-type" size={20} color="white" />
+                <Text style={styles.shareButtonText}>Settle Everything</Text>
+              </TouchableOpacity>
+              
+              <Text style={styles.openDebtsTitle}>
+                Open Debts ({openObligations.length})
+              </Text>
+              {openObligations.map(renderOpenObligation)}
+            </View>
+          );
+        })}
+      </ScrollView>
+    );
+  };
+
   const renderSessionItem = ({ item, index }) => {
     const stats = getSessionStats(item);
+    const outstanding = getSessionOutstanding(item);
     const isFirst = index === 0;
     
     return (
@@ -273,6 +779,7 @@ const SessionHistoryScreen = ({ navigation }) => {
           ]}
           onPress={() => {
             setSelectedSession(item);
+            setViewedVersion(null);
             setModalVisible(true);
           }}
           activeOpacity={0.7}
@@ -281,6 +788,19 @@ const SessionHistoryScreen = ({ navigation }) => {
             <View style={styles.dateContainer}>
               <MaterialIcons name="event" size={18} color="#7F8C8D" />
               <Text style={styles.sessionDate}>{formatDate(item.date)}</Text>
+              {getSessionDuration(item) > 0 && (
+                <Text style={styles.sessionDuration}>{formatDuration(getSessionDuration(item))}</Text>
+              )}
+              {getSessionVersion(item) > 1 && (
+                <Text style={styles.sessionDuration}>Amended</Text>
+              )}
+              {outstanding > 0 && (
+                <View style={styles.unpaidBadge}>
+                  <Text style={styles.unpaidBadgeText}>
+                    {formatMoney(outstanding, item.currency)} unpaid
+                  </Text>
+                </View>
+              )}
             </View>
             
             <TouchableOpacity
@@ -295,6 +815,10 @@ const SessionHistoryScreen = ({ navigation }) => {
                       onPress: () => navigation.navigate('SessionShare', { session: item }),
                       style: 'default' 
                     },
+                    {
+                      text: 'Reopen',
+                      onPress: () => handleReopenSession(item)
+                    },
                     { 
                       text: 'Delete', 
                       onPress: () => handleDeleteSession(item.id),
@@ -323,7 +847,7 @@ const SessionHistoryScreen = ({ navigation }) => {
               <Text style={styles.statsLabel}>Losers</Text>
             </View>
             <View style={styles.statsItem}>
-              <Text style={styles.statsNumber}>${getTotalTransactionAmount(item.settlements).toFixed(0)}</Text>
+              <Text style={styles.statsNumber}>{formatMoney(getTotalTransactionAmount(item.settlements), item.currency, { wholeUnits: true })}</Text>
               <Text style={styles.statsLabel}>Settled</Text>
             </View>
           </View>
@@ -345,7 +869,7 @@ const SessionHistoryScreen = ({ navigation }) => {
                   <View style={styles.playerInfo}>
                     <Text style={styles.playerInfoLabel}>Top Winner</Text>
                     <Text style={styles.playerName}>{stats.biggestWinner.name}</Text>
-                    <Text style={styles.winnings}>+${stats.biggestWinner.amount.toFixed(2)}</Text>
+                    <Text style={styles.winnings}>{formatMoney(stats.biggestWinner.amount, item.currency, { showSign: true })}</Text>
                   </View>
                 </View>
               )}
@@ -365,7 +889,7 @@ const SessionHistoryScreen = ({ navigation }) => {
                   <View style={styles.playerInfo}>
                     <Text style={styles.playerInfoLabel}>Biggest Loss</Text>
                     <Text style={styles.playerName}>{stats.biggestLoser.name}</Text>
-                    <Text style={styles.losses}>${stats.biggestLoser.amount.toFixed(2)}</Text>
+                    <Text style={styles.losses}>{formatMoney(stats.biggestLoser.amount, item.currency)}</Text>
                   </View>
                 </View>
               )}
@@ -424,9 +948,12 @@ const SessionHistoryScreen = ({ navigation }) => {
                       </View>
                     </View>
                     
-                    <Text style={styles.transactionAmount}>
-                      ${settlement.amount.toFixed(2)}
-                    </Text>
+                    <View style={styles.amountColumn}>
+                      <Text style={styles.transactionAmount}>
+                        {formatMoney(settlement.amount, item.currency)}
+                      </Text>
+                      {renderSettlementStatus(item, idx)}
+                    </View>
                   </View>
                 ))}
                 
@@ -467,16 +994,25 @@ const SessionHistoryScreen = ({ navigation }) => {
       >
         <View style={styles.header}>
           <Text style={styles.headerTitle}>Session History</Text>
+          {history.length > 0 && (
+            <View style={styles.viewToggle}>
+              {renderViewButton('games', 'By Game')}
+              {renderViewButton('netted', 'Netted')}
+            </View>
+          )}
         </View>
       </LinearGradient>
       
       {/* Filter buttons */}
-      {history.length > 0 && (
+      {history.length > 0 && viewMode === 'games' && (
         <View style={styles.filterContainer}>
-          {renderFilterButton('all', 'All Time')}
-          {renderFilterButton('week', 'Last Week')}
-          {renderFilterButton('month', 'Last Month')}
-          {renderFilterButton('year', 'Last Year')}
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {renderFilterButton('all', 'All Time')}
+            {renderFilterButton('week', 'Last Week')}
+            {renderFilterButton('month', 'Last Month')}
+            {renderFilterButton('year', 'Last Year')}
+            {renderFilterButton('unpaid', 'Unpaid')}
+          </ScrollView>
         </View>
       )}
       
@@ -486,6 +1022,8 @@ const SessionHistoryScreen = ({ navigation }) => {
           <ActivityIndicator size="large" color="#3498DB" />
           <Text style={styles.loadingText}>Loading session history...</Text>
         </View>
+      ) : viewMode === 'netted' && history.length > 0 ? (
+        renderNettedView()
       ) : (
         <FlatList
           data={[...filteredSessions].reverse()} // Show newest first
@@ -520,7 +1058,10 @@ const SessionHistoryScreen = ({ navigation }) => {
         visible={modalVisible}
         transparent={true}
         animationType="slide"
-        onRequestClose={() => setModalVisible(false)}
+        onRequestClose={() => {
+          setModalVisible(false);
+          setPaymentForm(null);
+        }}
       >
         <View style={styles.modalOverlay}>
           <View style={styles.modalContent}>
@@ -528,22 +1069,51 @@ const SessionHistoryScreen = ({ navigation }) => {
               <Text style={styles.modalTitle}>Session Details</Text>
               <TouchableOpacity
                 style={styles.closeButton}
-                onPress={() => setModalVisible(false)}
+                onPress={() => {
+                  setModalVisible(false);
+                  setPaymentForm(null);
+                }}
               >
                 <MaterialIcons name="close" size={24} color="#7F8C8D" />
               </TouchableOpacity>
             </View>
             
-            {selectedSession && (
+            {shownSession && (
               <ScrollView style={styles.modalScrollView}>
                 <Text style={styles.modalDate}>
-                  {formatDate(selectedSession.date)}
+                  {formatDate(shownSession.date)}
                 </Text>
                 
+                {selectedSession.previousVersions?.length > 0 && (
+                  <View style={styles.versionBar}>
+                    {[...selectedSession.previousVersions, selectedSession].map(version => {
+                      const number = getSessionVersion(version);
+                      const isLatest = version === selectedSession;
+                      const isShown = isLatest ? !isPreviousVersion : viewedVersion === number;
+                      return (
+                        <TouchableOpacity
+                          key={number}
+                          style={[styles.methodChip, isShown && styles.activeMethodChip]}
+                          onPress={() => setViewedVersion(isLatest ? null : number)}
+                        >
+                          <Text style={[styles.methodChipText, isShown && styles.activeMethodChipText]}>
+                            Version {number}{isLatest ? ' (current)' : ''}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                )}
+                {isPreviousVersion && (
+                  <Text style={styles.versionNote}>
+                    Replaced {new Date(shownSession.replacedAt).toLocaleDateString()} when the session was amended. Payments are recorded against the current version.
+                  </Text>
+                )}
+                
                 <View style={styles.modalSection}>
                   <Text style={styles.modalSectionTitle}>Player Balances</Text>
                   {/* Changed FlatList to mapping to avoid nested scrolling issues */}
-                  {Object.entries(selectedSession.balances)
+                  {Object.entries(shownSession.balances)
                     .map(([id, balance]) => [id, getNumericBalance(balance)])
                     .sort(([_, a], [__, b]) => b - a) // Sort by balance (highest first)
                     .map(([playerId, balance], index) => (
@@ -567,18 +1137,66 @@ const SessionHistoryScreen = ({ navigation }) => {
                             balance > 0 ? styles.positiveBalance : balance < 0 ? styles.negativeBalance : styles.neutralBalance
                           ]}
                         >
-                          {balance > 0 ? '+' : balance < 0 ? '' : ''}${balance.toFixed(2)}
+                          {formatMoney(balance, shownSession.currency, { showSign: true })}
                         </Text>
                       </View>
                     ))
                   }
                 </View>
                 
+                {shownSession.deductions?.length > 0 && (
+                  <View style={styles.modalSection}>
+                    <Text style={styles.modalSectionTitle}>Rake & Fees</Text>
+                    {shownSession.deductions.map(deduction => (
+                      <View key={deduction.id} style={styles.balanceRow}>
+                        <View style={styles.feeInfo}>
+                          <Text style={styles.modalPlayerName}>{deduction.label}</Text>
+                          <Text style={styles.feeDetail}>
+                            {describeDeduction(deduction, amount => formatMoney(amount, shownSession.currency))} · to {getPlayerName(deduction.payee)}
+                          </Text>
+                        </View>
+                        <Text style={[styles.modalBalance, styles.neutralBalance]}>
+                          {formatMoney(
+                            sumMoney((shownSession.feeCharges || [])
+                              .filter(charge => charge.deductionId === deduction.id)
+                              .map(charge => charge.amount)),
+                            shownSession.currency
+                          )}
+                        </Text>
+                      </View>
+                    ))}
+                    <Text style={styles.feeNote}>Player balances above are after fees.</Text>
+                  </View>
+                )}
+                
+                {shownSession.balanceAdjustments?.length > 0 && (
+                  <View style={styles.modalSection}>
+                    <Text style={styles.modalSectionTitle}>Balance Adjustments</Text>
+                    {shownSession.balanceAdjustments.map((adjustment, index) => (
+                      <View key={index} style={styles.balanceRow}>
+                        <View style={styles.feeInfo}>
+                          <Text style={styles.modalPlayerName}>
+                            {ADJUSTMENT_STRATEGY_LABELS[adjustment.strategy] || 'Adjusted'}
+                          </Text>
+                          <Text style={styles.feeDetail}>
+                            {describeBalanceAdjustment(
+                              adjustment,
+                              getPlayerName,
+                              amount => formatMoney(amount, shownSession.currency)
+                            )}
+                          </Text>
+                        </View>
+                      </View>
+                    ))}
+                    <Text style={styles.feeNote}>Entered balances didn't sum to zero and were changed as shown.</Text>
+                  </View>
+                )}
+                
                 <View style={styles.modalSection}>
                   <Text style={styles.modalSectionTitle}>Settlements</Text>
-                  {selectedSession.settlements.length > 0 ? (
+                  {shownSession.settlements.length > 0 ? (
                     // Changed FlatList to mapping to avoid nested scrolling issues
-                    selectedSession.settlements.map((item, index) => (
+                    shownSession.settlements.map((item, index) => (
                       <View key={index} style={styles.settlementRow}>
                         <View style={styles.settlementNumber}>
                           <Text style={styles.settlementNumberText}>{index + 1}</Text>
@@ -622,9 +1240,20 @@ const SessionHistoryScreen = ({ navigation }) => {
                             </View>
                           </View>
                           
-                          <Text style={styles.modalAmount}>
-                            ${item.amount.toFixed(2)}
-                          </Text>
+                          <View style={styles.modalAmountRow}>
+                            {isPreviousVersion ? (
+                              <Text style={styles.feeDetail}>
+                                {getAmountPaid(item) > 0 ? `${formatMoney(getAmountPaid(item), shownSession.currency)} paid` : ''}
+                              </Text>
+                            ) : renderSettlementStatus(shownSession, index)}
+                            <Text style={styles.modalAmount}>
+                              {formatMoney(item.amount, shownSession.currency)}
+                            </Text>
+                          </View>
+                          {item.amendment && (
+                            <Text style={styles.feeDetail}>Added when the session was amended</Text>
+                          )}
+                          {!isPreviousVersion && renderSettlementPayments(shownSession, item, index)}
                         </View>
                       </View>
                     ))
@@ -641,12 +1270,22 @@ const SessionHistoryScreen = ({ navigation }) => {
                   style={styles.shareButton}
                   onPress={() => {
                     setModalVisible(false);
-                    navigation.navigate('SessionShare', { session: selectedSession });
+                    navigation.navigate('SessionShare', { session: shownSession });
                   }}
                 >
                   <MaterialIcons name="share" size={20} color="white" />
                   <Text style={styles.shareButtonText}>Share Session Details</Text>
                 </TouchableOpacity>
+                
+                {!isPreviousVersion && (
+                  <TouchableOpacity
+                    style={[styles.shareButton, styles.reopenButton]}
+                    onPress={() => handleReopenSession(selectedSession)}
+                  >
+                    <MaterialIcons name="edit" size={20} color="#3498DB" />
+                    <Text style={[styles.shareButtonText, styles.reopenButtonText]}>Reopen Session</Text>
+                  </TouchableOpacity>
+                )}
               </ScrollView>
             )}
           </View>
@@ -740,6 +1379,11 @@ const styles = StyleSheet.create({
     color: '#2C3E50',
     marginLeft: 8,
   },
+  sessionDuration: {
+    fontSize: 14,
+    color: '#7F8C8D',
+    marginLeft: 8,
+  },
   moreButton: {
     padding: 5,
   },
@@ -1083,6 +1727,286 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
     marginLeft: 10,
+  },
+  reopenButton: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#3498DB',
+    marginTop: 0,
+  },
+  reopenButtonText: {
+    color: '#3498DB',
+  },
+  versionBar: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    paddingHorizontal: 20,
+  },
+  versionNote: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    fontStyle: 'italic',
+    textAlign: 'center',
+    paddingHorizontal: 20,
+    marginTop: 4,
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    borderRadius: 15,
+    padding: 2,
+  },
+  viewButton: {
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    borderRadius: 13,
+  },
+  activeViewButton: {
+    backgroundColor: 'white',
+  },
+  viewButtonText: {
+    fontSize: 13,
+    color: 'white',
+  },
+  activeViewButtonText: {
+    color: '#2C3E50',
+    fontWeight: '600',
+  },
+  amountColumn: {
+    alignItems: 'flex-end',
+  },
+  modalAmountRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  obligationStatus: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  openStatus: {
+    color: '#E74C3C',
+  },
+  partialStatus: {
+    color: '#E67E22',
+  },
+  paidStatus: {
+    color: '#27AE60',
+  },
+  nettedStatus: {
+    color: '#3498DB',
+  },
+  cancelledStatus: {
+    color: '#95A5A6',
+  },
+  markPaidButton: {
+    marginTop: 6,
+    marginLeft: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#E8F8F0',
+  },
+  markPaidText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#27AE60',
+  },
+  unpaidBadge: {
+    marginLeft: 8,
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    backgroundColor: '#FDEDEC',
+  },
+  unpaidBadgeText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#E74C3C',
+  },
+  paymentRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  paymentText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginRight: 8,
+  },
+  paymentAmount: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#27AE60',
+  },
+  settlementActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    flexWrap: 'wrap',
+  },
+  settlementActionButton: {
+    marginTop: 6,
+    marginLeft: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#F0F4F8',
+  },
+  settlementActionText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#3498DB',
+  },
+  cancelActionText: {
+    color: '#E74C3C',
+  },
+  paymentForm: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#EAEAEA',
+  },
+  paymentInput: {
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#EAEAEA',
+    borderRadius: 6,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: '#2C3E50',
+    marginBottom: 8,
+  },
+  methodChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  methodChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    marginRight: 6,
+    marginBottom: 6,
+    borderRadius: 12,
+    backgroundColor: '#F0F4F8',
+  },
+  activeMethodChip: {
+    backgroundColor: '#3498DB',
+  },
+  methodChipText: {
+    fontSize: 12,
+    color: '#7F8C8D',
+  },
+  activeMethodChipText: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  paymentFormButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  paymentFormCancel: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  paymentFormCancelText: {
+    fontSize: 14,
+    color: '#7F8C8D',
+  },
+  paymentFormSave: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 6,
+    backgroundColor: '#27AE60',
+  },
+  paymentFormSaveText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  reconcileBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E8F8F0',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 15,
+  },
+  reconcileBannerWarning: {
+    backgroundColor: '#FDF2E9',
+  },
+  reconcileText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#2C3E50',
+    marginLeft: 8,
+  },
+  feeInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  feeDetail: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  feeNote: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    fontStyle: 'italic',
+    marginTop: 8,
+  },
+  nettedCard: {
+    marginBottom: 20,
+  },
+  settleEverythingButton: {
+    flexDirection: 'row',
+    backgroundColor: '#3498DB',
+    marginVertical: 15,
+    padding: 12,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  openDebtsTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginBottom: 10,
+  },
+  openDebtRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F0F0',
+  },
+  openDebtInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  openDebtParties: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  openDebtSource: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  openDebtActions: {
+    alignItems: 'flex-end',
+  },
+  openDebtAmount: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2C3E50',
   }
 });
 
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -7,25 +7,27 @@ import {
   ScrollView,
   TextInput,
   Modal,
-  Image,
   ActivityIndicator,
   Alert,
   SafeAreaView,
   StatusBar,
   KeyboardAvoidingView,
-  Platform,
-  Linking
+  Platform
 } from 'react-native';
 import { useSelector } from 'react-redux';
+import { selectAllPlayers, selectGames } from '../store/selectors';
 import { LinearGradient } from 'expo-linear-gradient';
-import { MaterialIcons, FontAwesome, FontAwesome5 } from '@expo/vector-icons';
+import { MaterialIcons, FontAwesome } from '@expo/vector-icons';
 import * as Clipboard from 'expo-clipboard';
 import sharingUtils from '../utils/sharingUtils';
+import { formatMoney } from '../utils/money';
+import { HOUSE_NAME, isHouse } from '../utils/deductions';
+import { UNACCOUNTED_NAME, isUnaccounted } from '../utils/balanceAdjustments';
 
 const SessionShareScreen = ({ route, navigation }) => {
   const { session } = route.params;
-  const { players } = useSelector(state => state.players);
-  const { games } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const games = useSelector(selectGames);
   
   const [emailAddress, setEmailAddress] = useState('');
   const [shareMethod, setShareMethod] = useState(''); // 'email', 'whatsapp', 'copy', 'pdf'
@@ -53,12 +55,11 @@ const SessionShareScreen = ({ route, navigation }) => {
   const formatBalance = (playerId) => {
     // Look for balance in session balances first
     if (session.balances && session.balances[playerId] !== undefined) {
-      const balance = parseFloat(session.balances[playerId]) || 0;
+      const balance = Math.round(Number(session.balances[playerId])) || 0;
       const isPositive = balance > 0;
-      const prefix = isPositive ? '+' : '';
       
       return {
-        formatted: `${prefix}$${Math.abs(balance).toFixed(2)}`,
+        formatted: formatMoney(balance, session.currency, { showSign: true, absolute: balance < 0 }),
         color: isPositive ? '#2ECC71' : balance < 0 ? '#E74C3C' : '#7F8C8D'
       };
     }
@@ -67,12 +68,11 @@ const SessionShareScreen = ({ route, navigation }) => {
     if (session.games && session.games.length > 0) {
       for (const game of session.games) {
         if (game.balances && game.balances[playerId] !== undefined) {
-          const balance = parseFloat(game.balances[playerId]) || 0;
+          const balance = Math.round(Number(game.balances[playerId])) || 0;
           const isPositive = balance > 0;
-          const prefix = isPositive ? '+' : '';
           
           return {
-            formatted: `${prefix}$${Math.abs(balance).toFixed(2)}`,
+            formatted: formatMoney(balance, session.currency, { showSign: true, absolute: balance < 0 }),
             color: isPositive ? '#2ECC71' : balance < 0 ? '#E74C3C' : '#7F8C8D'
           };
         }
@@ -83,12 +83,11 @@ const SessionShareScreen = ({ route, navigation }) => {
     if (games && games.length > 0) {
       const sessionGame = games.find(g => g.id === session.id);
       if (sessionGame && sessionGame.balances && sessionGame.balances[playerId] !== undefined) {
-        const balance = parseFloat(sessionGame.balances[playerId]) || 0;
+        const balance = Math.round(Number(sessionGame.balances[playerId])) || 0;
         const isPositive = balance > 0;
-        const prefix = isPositive ? '+' : '';
         
         return {
-          formatted: `${prefix}$${Math.abs(balance).toFixed(2)}`,
+          formatted: formatMoney(balance, session.currency, { showSign: true, absolute: balance < 0 }),
           color: isPositive ? '#2ECC71' : balance < 0 ? '#E74C3C' : '#7F8C8D'
         };
       }
@@ -96,13 +95,15 @@ const SessionShareScreen = ({ route, navigation }) => {
     
     // Default if no balance found
     return {
-      formatted: '$0.00',
+      formatted: formatMoney(0, session.currency),
       color: '#7F8C8D'
     };
   };
   
   // Get player name by ID
   const getPlayerName = (playerId) => {
+    if (isHouse(playerId)) return HOUSE_NAME;
+    if (isUnaccounted(playerId)) return UNACCOUNTED_NAME;
     const player = players.find(p => p.id === playerId);
     return player ? player.name : 'Unknown Player';
   };
@@ -293,8 +294,31 @@ const SessionShareScreen = ({ route, navigation }) => {
             </View>
           )}
           
+          {session.deductions?.length > 0 && (
+            <>
+              <View style={styles.sectionTitle}>
+                <Text style={styles.sectionTitleText}>Rake & Fees</Text>
+                <Text style={styles.settlementModeText}>Balances above are after fees</Text>
+              </View>
+              {sharingUtils.describeSessionFees(session, players).map((fee, index) => (
+                <View key={index} style={styles.balanceRow}>
+                  <View style={styles.feeInfo}>
+                    <Text style={styles.playerName}>{fee.label}</Text>
+                    <Text style={styles.settlementModeText}>{fee.detail}</Text>
+                  </View>
+                  <Text style={styles.balanceText}>
+                    {formatMoney(fee.amount, session.currency)}
+                  </Text>
+                </View>
+              ))}
+            </>
+          )}
+          
           <View style={styles.sectionTitle}>
             <Text style={styles.sectionTitleText}>Settlements</Text>
+            <Text style={styles.settlementModeText}>
+              {sharingUtils.describeSettlementMode(session, players)}
+            </Text>
           </View>
           
           {session.settlements && session.settlements.length > 0 ? (
@@ -308,7 +332,7 @@ const SessionShareScreen = ({ route, navigation }) => {
                     {getPlayerName(settlement.from)} pays {getPlayerName(settlement.to)}
                   </Text>
                   <Text style={styles.settlementAmount}>
-                    ${settlement.amount.toFixed(2)}
+                    {formatMoney(settlement.amount, session.currency)}
                   </Text>
                 </View>
               </View>
@@ -522,9 +546,6 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: 'white',
   },
-  backButton: {
-    padding: 8,
-  },
   mainContainer: {
     flex: 1,
     backgroundColor: '#F0F4F8',
@@ -567,6 +588,15 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#2C3E50',
   },
+  feeInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  settlementModeText: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
   balanceRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -21,22 +21,70 @@ import {
 import { useSelector, useDispatch } from 'react-redux';
 import { 
   setPlayerBalance, 
+  applyBalanceAdjustment,
   saveSettlements, 
+  saveSettlementRounding,
+  setSettlementRounding,
+  setSettlementMode,
   completeSession,
   startNewSession,
-  resetSession
+  resetSession,
+  saveConstraintSet,
+  deleteConstraintSet
 } from '../store/settlementSlice';
-import { MaterialIcons, FontAwesome5, Ionicons } from '@expo/vector-icons';
+import { selectAllPlayers, selectBalances, selectGameLog, selectSessions } from '../store/selectors';
+import { MaterialIcons } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
-import { calculateOptimalSettlements, verifyBalances } from '../utils/settlementCalculator';
+import {
+  SETTLEMENT_MODES,
+  calculateSettlementPlan
+} from '../utils/settlementCalculator';
+import {
+  ADJUSTMENT_STRATEGIES,
+  UNACCOUNTED_ID,
+  UNACCOUNTED_NAME,
+  isUnaccounted
+} from '../utils/balanceAdjustments';
+import {
+  PAYMENT_METHODS,
+  describeConstraintConflict,
+  getPlayerGroupKey,
+  hasConstraints
+} from '../utils/settlementConstraints';
+import SettlementConstraintsEditor from '../components/SettlementConstraintsEditor';
+import BalanceAdjustmentPreview from '../components/BalanceAdjustmentPreview';
+import SettlementExplanation from '../components/SettlementExplanation';
+import SettlementRoundingEditor from '../components/SettlementRoundingEditor';
+import { buildSettlementExplanation } from '../utils/settlementExplanation';
+import { getLoanTransfers } from '../utils/loans';
+import { shareExplanation } from '../utils/sharingUtils';
+import { HOUSE_ID, HOUSE_NAME, applyDeductions, describeDeduction, isHouse } from '../utils/deductions';
+import { formatMoney, formatMoneyInput, getCurrency, parseMoney, sumMoney } from '../utils/money';
+import { describeExchangeRates, formatWithPlayerCurrency, getPlayerCurrencies } from '../utils/exchangeRates';
+import { ROUNDING_TARGETS, describeRounding, getRoundingUnit } from '../utils/cashRounding';
 import { saveHistory } from '../api/storage';
 
-const { width, height } = Dimensions.get('window');
+const { width } = Dimensions.get('window');
 
 const SettlementScreen = ({ navigation }) => {
   const dispatch = useDispatch();
-  const { players } = useSelector(state => state.players);
-  const { sessionId, balances, settlements, history } = useSelector(state => state.settlements);
+  const players = useSelector(selectAllPlayers);
+  const {
+    sessionId,
+    settlements,
+    currency,
+    exchangeRates = {},
+    constraintSets,
+    settlementMode,
+    bankerId,
+    deductions = [],
+    settlementRounding = null,
+    rounding: planRounding = null,
+    roundingCarryOver = {}
+  } = useSelector(state => state.settlements);
+  const balances = useSelector(selectBalances);
+  const history = useSelector(selectSessions);
+  const gameLog = useSelector(selectGameLog);
   
   const [showSettlements, setShowSettlements] = useState(false);
   const [isAutoComplete, setIsAutoComplete] = useState(false);
@@ -47,6 +95,93 @@ const SettlementScreen = ({ navigation }) => {
   const [keyboardVisible, setKeyboardVisible] = useState(false);
   const [editingPlayerId, setEditingPlayerId] = useState(null);
   const [confirming, setConfirming] = useState(false);
+  const [settlementAlgorithm, setSettlementAlgorithm] = useState(null);
+  // Raw text typed per player; redux only ever holds parsed minor units
+  const [balanceInputs, setBalanceInputs] = useState({});
+  const [showConstraintsEditor, setShowConstraintsEditor] = useState(false);
+  const [showAdjustmentPreview, setShowAdjustmentPreview] = useState(false);
+  const [showExplanation, setShowExplanation] = useState(false);
+  const [showRoundingEditor, setShowRoundingEditor] = useState(false);
+  // Player IDs in the order their balances were typed, for the "last entered" strategy
+  const [entryOrder, setEntryOrder] = useState([]);
+  
+  // Settlement rules saved for this exact group of players
+  const groupKey = getPlayerGroupKey(players.map(player => player.id));
+  const constraints = (constraintSets || {})[groupKey] || null;
+  const rulesActive = hasConstraints(constraints);
+  
+  const [showBankerPicker, setShowBankerPicker] = useState(false);
+  
+  // Everything here is in the settlement currency; players who bought in with another
+  // currency also see what they pay or receive in it
+  const playerCurrencies = useMemo(() => getPlayerCurrencies(gameLog, currency), [gameLog, currency]);
+  
+  // Loans made during the session, repaid to the lender ahead of everything else
+  const loans = useMemo(() => getLoanTransfers(gameLog), [gameLog]);
+  const rateDescriptions = describeExchangeRates(exchangeRates, currency);
+  
+  // Rake, fees and tips come off before anyone is settled; the house settles like a player
+  const feeSummary = useMemo(() => applyDeductions(balances, deductions), [balances, deductions]);
+  const settledBalances = feeSummary.balances;
+  
+  // The banker only counts while they're still in the player list
+  const activeBankerId = players.some(player => player.id === bankerId) ? bankerId : null;
+  const isBankerMode = settlementMode === SETTLEMENT_MODES.BANKER && activeBankerId !== null;
+  
+  // The host takes rounding leftovers: the banker, or else whoever collects the first fee
+  const feePayeeId = deductions.length > 0 ? deductions[0].payee || HOUSE_ID : null;
+  
+  // Cash rounding for a plan; the unit is kept in major units so it means the same in any currency
+  const getRoundingOptions = (mode, nextBankerId, roundingSettings) => {
+    if (!roundingSettings) return null;
+    
+    const { unit, remainderTo, targetId } = roundingSettings;
+    const hostId = mode === SETTLEMENT_MODES.BANKER && nextBankerId ? nextBankerId : feePayeeId;
+    return {
+      unit: getRoundingUnit(unit, currency),
+      remainderTo,
+      targetId: remainderTo === ROUNDING_TARGETS.HOST
+        ? hostId
+        : players.some(player => player.id === targetId) ? targetId : null,
+      carryOver: roundingCarryOver[currency] || {}
+    };
+  };
+  
+  const getPlanOptions = (mode, nextBankerId, roundingSettings = settlementRounding) => {
+    const rounding = getRoundingOptions(mode, nextBankerId, roundingSettings);
+    return mode === SETTLEMENT_MODES.BANKER && nextBankerId
+      ? { mode, bankerId: nextBankerId, rounding, loans }
+      : { constraints, rounding, loans };
+  };
+  
+  const currentPlanOptions = getPlanOptions(settlementMode, activeBankerId);
+  
+  // Both plans for the current balances, so the modes can be compared side by side
+  const planComparison = useMemo(() => {
+    if (!showSettlements) return null;
+    
+    return {
+      [SETTLEMENT_MODES.MINIMAL]: calculateSettlementPlan(settledBalances, getPlanOptions(SETTLEMENT_MODES.MINIMAL, null)),
+      [SETTLEMENT_MODES.BANKER]: activeBankerId
+        ? calculateSettlementPlan(settledBalances, getPlanOptions(SETTLEMENT_MODES.BANKER, activeBankerId))
+        : null
+    };
+  }, [showSettlements, settledBalances, constraints, activeBankerId, settlementRounding, roundingCarryOver, currency, loans]);
+  
+  // Step-by-step walkthrough of the plan on screen, built when the Explain panel opens
+  const explanation = useMemo(() => {
+    if (!showExplanation) return null;
+    
+    const plan = calculateSettlementPlan(settledBalances, { ...currentPlanOptions, trace: true });
+    return buildSettlementExplanation({
+      balances,
+      settledBalances,
+      settlements: plan.settlements,
+      trace: plan.trace,
+      rounding: plan.rounding,
+      transactions: gameLog
+    });
+  }, [showExplanation, balances, settledBalances, gameLog, settlementMode, activeBankerId, constraints, settlementRounding, roundingCarryOver]);
   
   // Animation values
   const fadeAnim = useRef(new Animated.Value(1)).current;
@@ -79,12 +214,7 @@ const SettlementScreen = ({ navigation }) => {
   
   // Calculate total balance whenever balances change
   useEffect(() => {
-    const total = Object.values(balances).reduce((sum, balance) => {
-      // Convert string balances to numbers, handling empty and '-' cases
-      const numBalance = balance === '' || balance === '-' ? 0 : parseFloat(balance) || 0;
-      return sum + numBalance;
-    }, 0);
-    setTotalBalance(total);
+    setTotalBalance(sumMoney(Object.values(balances)));
   }, [balances]);
   
   // Start a new session if none exists
@@ -178,10 +308,12 @@ const SettlementScreen = ({ navigation }) => {
     }
   }, [isAutoComplete, rotateAnim]);
   
-  const spin = rotateAnim.interpolate({
-    inputRange: [0, 1],
-    outputRange: ['0deg', '360deg']
-  });
+  // Text shown for a player's balance, falling back to the stored amount
+  const getBalanceInput = (playerId) => {
+    if (balanceInputs[playerId] !== undefined) return balanceInputs[playerId];
+    const balance = balances[playerId] || 0;
+    return balance === 0 ? '' : formatMoneyInput(balance, currency);
+  };
 
   const handleBalanceChange = (playerId, value) => {
     // Clear auto-complete when manually editing
@@ -189,20 +321,14 @@ const SettlementScreen = ({ navigation }) => {
       setIsAutoComplete(false);
     }
     
-    // Handle negative sign separately
-    if (value === '-') {
-      dispatch(setPlayerBalance({ playerId, amount: value }));
-      return;
-    }
-    
-    // For all other cases, validate input as a number
+    // Validate input as a number; this regex allows a sign, decimal points and digits
     const valueStr = String(value);
-    // This regex allows decimal points and digits
     const regex = /^-?\d*\.?\d*$/;
     
     if (valueStr === '' || regex.test(valueStr)) {
-      // Update the balance
-      dispatch(setPlayerBalance({ playerId, amount: value }));
+      setBalanceInputs(prev => ({ ...prev, [playerId]: valueStr }));
+      setEntryOrder(prev => [...prev.filter(id => id !== playerId), playerId]);
+      dispatch(setPlayerBalance({ playerId, amount: parseMoney(valueStr, currency) || 0 }));
     }
   };
 
@@ -210,10 +336,10 @@ const SettlementScreen = ({ navigation }) => {
     setIsCalculating(true);
     
     // Verify balances sum to zero
-    if (Math.abs(totalBalance) > 0.01) {
+    if (totalBalance !== 0) {
       Alert.alert(
         'Balances Don\'t Sum to Zero',
-        `The sum of all balances is $${totalBalance.toFixed(2)}. Would you like to automatically adjust them?`,
+        `The sum of all balances is ${formatMoney(totalBalance, currency)}. Would you like to automatically adjust them?`,
         [
           { 
             text: 'Cancel', 
@@ -229,27 +355,107 @@ const SettlementScreen = ({ navigation }) => {
       return;
     }
     
-    // Convert any string balances to numbers
-    const numericBalances = {};
-    Object.entries(balances).forEach(([playerId, balance]) => {
-      numericBalances[playerId] = (balance === '' || balance === '-') ? 0 : parseFloat(balance) || 0;
-    });
+    applySettlementPlan(calculateSettlementPlan(settledBalances, currentPlanOptions));
+    setIsCalculating(false);
+  };
+
+  const getPlayerName = (playerId) => {
+    if (isHouse(playerId)) return HOUSE_NAME;
+    if (isUnaccounted(playerId)) return UNACCOUNTED_NAME;
+    const player = players.find(p => p.id === playerId);
+    return player ? player.name : 'Unknown Player';
+  };
+
+  // Show a calculated plan, or explain why the settlement rules can't be met
+  const applySettlementPlan = (plan) => {
+    if (!plan.feasible) {
+      Alert.alert(
+        'No Valid Settlement Plan',
+        describeConstraintConflict(plan.reason, getPlayerName),
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Edit Rules', onPress: () => setShowConstraintsEditor(true) }
+        ]
+      );
+      return;
+    }
     
-    const calculatedSettlements = calculateOptimalSettlements(numericBalances);
-    dispatch(saveSettlements(calculatedSettlements));
+    dispatch(saveSettlements(plan.settlements));
+    dispatch(saveSettlementRounding(plan.rounding || null));
+    setSettlementAlgorithm(plan.algorithm);
     setShowSettlements(true);
-    setIsCalculating(false);
   };
 
-  const autoAdjustBalances = () => {
-    setIsAutoComplete(true);
+  // Switch between minimal transfers and routing everything via the banker
+  const selectSettlementMode = (mode, nextBankerId = activeBankerId) => {
+    const plan = calculateSettlementPlan(settledBalances, getPlanOptions(mode, nextBankerId));
+    
+    if (plan.feasible) {
+      dispatch(setSettlementMode({ mode, bankerId: nextBankerId }));
+    }
+    applySettlementPlan(plan);
+  };
+
+  const handleModeChange = (mode) => {
+    if (mode === SETTLEMENT_MODES.BANKER && !activeBankerId) {
+      setShowBankerPicker(true);
+      return;
+    }
     
+    selectSettlementMode(mode);
+  };
+
+  const handleBankerSelect = (playerId) => {
+    setShowBankerPicker(false);
+    selectSettlementMode(SETTLEMENT_MODES.BANKER, playerId);
+  };
+
+  // Net amount a player ends up with once every transfer in a plan is made
+  const getNetFromSettlements = (planSettlements, playerId) => {
+    return sumMoney(planSettlements.map(settlement => {
+      if (settlement.to === playerId) return settlement.amount;
+      if (settlement.from === playerId) return -settlement.amount;
+      return 0;
+    }));
+  };
+
+  const handleSaveConstraints = (rules) => {
+    if (hasConstraints(rules)) {
+      dispatch(saveConstraintSet({ groupKey, constraints: rules }));
+    } else {
+      dispatch(deleteConstraintSet({ groupKey }));
+    }
+    setShowConstraintsEditor(false);
+    
+    // Keep the plan on screen in step with the new rules
+    if (showSettlements && !isBankerMode) {
+      const plan = calculateSettlementPlan(settledBalances, {
+        ...getPlanOptions(SETTLEMENT_MODES.MINIMAL, null),
+        constraints: rules
+      });
+      if (!plan.feasible) {
+        setShowSettlements(false);
+      }
+      applySettlementPlan(plan);
+    }
+  };
+
+  const handleSaveRounding = (roundingSettings) => {
+    dispatch(setSettlementRounding(roundingSettings));
+    setShowRoundingEditor(false);
+    
+    if (showSettlements) {
+      applySettlementPlan(calculateSettlementPlan(
+        settledBalances,
+        getPlanOptions(settlementMode, activeBankerId, roundingSettings)
+      ));
+    }
+  };
+
+  const autoAdjustBalances = () => {
     // Get non-zero balances
     const nonZeroBalances = Object.entries(balances)
-      .filter(([_, amount]) => {
-        const numAmount = amount === '' || amount === '-' ? 0 : parseFloat(amount) || 0;
-        return numAmount !== 0;
-      });
+      .filter(([_, amount]) => amount !== 0);
     
     if (nonZeroBalances.length === 0) {
       Alert.alert(
@@ -257,38 +463,47 @@ const SettlementScreen = ({ navigation }) => {
         'Please enter at least one player balance before auto-adjusting.',
         [{ text: 'OK' }]
       );
-      setIsAutoComplete(false);
       setIsCalculating(false);
       return;
     }
     
-    // Calculate correction amount
-    const correction = totalBalance / nonZeroBalances.length;
-    
-    // Create adjusted balances
-    const adjustedBalances = { ...balances };
-    
-    nonZeroBalances.forEach(([playerId, amount]) => {
-      const numAmount = (typeof amount === 'string') ? parseFloat(amount) || 0 : amount || 0;
-      adjustedBalances[playerId] = parseFloat((numAmount - correction).toFixed(2));
-    });
+    // Let the user compare strategies before anything changes
+    setShowAdjustmentPreview(true);
+  };
+
+  const handleCancelAdjustment = () => {
+    setShowAdjustmentPreview(false);
+    setIsCalculating(false);
+  };
+
+  const handleApplyAdjustment = (plan, options) => {
+    setShowAdjustmentPreview(false);
+    setIsAutoComplete(true);
     
     // Set suggested balances for display
-    setSuggestedBalances(adjustedBalances);
+    setSuggestedBalances(plan.balances);
     
     // Apply suggestions after a delay to show animation
     setTimeout(() => {
-      Object.entries(adjustedBalances).forEach(([playerId, amount]) => {
-        dispatch(setPlayerBalance({ playerId, amount }));
-      });
+      dispatch(applyBalanceAdjustment({
+        balances: plan.balances,
+        adjustment: {
+          strategy: plan.strategy,
+          imbalance: plan.imbalance,
+          adjustments: plan.adjustments,
+          ...(plan.strategy === ADJUSTMENT_STRATEGIES.HOST ? { hostId: options.hostId } : {})
+        }
+      }));
+      setBalanceInputs({});
       
       setIsAutoComplete(false);
       setIsCalculating(false);
       
       // Calculate settlements with adjusted balances
-      const calculatedSettlements = calculateOptimalSettlements(adjustedBalances);
-      dispatch(saveSettlements(calculatedSettlements));
-      setShowSettlements(true);
+      applySettlementPlan(calculateSettlementPlan(
+        applyDeductions(plan.balances, deductions).balances,
+        currentPlanOptions
+      ));
     }, 2000);
   };
 
@@ -318,6 +533,11 @@ const SettlementScreen = ({ navigation }) => {
             players.forEach(player => {
               dispatch(setPlayerBalance({ playerId: player.id, amount: 0 }));
             });
+            if (balances[UNACCOUNTED_ID]) {
+              dispatch(setPlayerBalance({ playerId: UNACCOUNTED_ID, amount: 0 }));
+            }
+            setBalanceInputs({});
+            setEntryOrder([]);
           },
           style: 'destructive'
         }
@@ -329,7 +549,7 @@ const SettlementScreen = ({ navigation }) => {
   const handleResetSession = () => {
     Alert.alert(
       'Reset Session',
-      'Are you sure you want to reset the entire session? All balances and settlements will be lost.',
+      'Are you sure you want to reset the entire session? All of its games, buy-ins, balances and settlements will be lost. Other open sessions are kept.',
       [
         { 
           text: 'Cancel', 
@@ -339,6 +559,7 @@ const SettlementScreen = ({ navigation }) => {
           text: 'Reset Session', 
           onPress: () => {
             dispatch(resetSession());
+            setBalanceInputs({});
             setShowSettlements(false);
             navigation.navigate('Home');
           },
@@ -371,28 +592,20 @@ const SettlementScreen = ({ navigation }) => {
     return colors[Math.floor(Math.random() * colors.length)];
   };
   
-  const formatBalance = (balance) => {
-    if (balance === '' || balance === '-') return balance;
-    return typeof balance === 'number' ? balance.toFixed(2) : '0.00';
-  };
-
   // Check if a balance is positive or negative for styling
-  const getBalanceType = (balance) => {
-    if (balance === '' || balance === '0') return 'neutral';
-    if (balance === '-') return 'negative';
+  const getBalanceType = (input) => {
+    if (input.startsWith('-')) return 'negative';
     
-    const numBalance = parseFloat(balance);
-    if (isNaN(numBalance)) return 'neutral';
-    if (numBalance > 0) return 'positive';
-    if (numBalance < 0) return 'negative';
-    return 'neutral';
+    const amount = parseMoney(input, currency);
+    if (!amount) return 'neutral';
+    return amount > 0 ? 'positive' : 'negative';
   };
 
   const renderPlayerBalanceItem = ({ item, index }) => {
-    const balance = balances[item.id] !== undefined ? balances[item.id] : 0;
+    const balanceInput = getBalanceInput(item.id);
     const suggestedBalance = suggestedBalances[item.id];
     const isEditing = editingPlayerId === item.id;
-    const balanceType = getBalanceType(balance);
+    const balanceType = getBalanceType(balanceInput);
     
     return (
       <Animated.View 
@@ -430,19 +643,11 @@ const SettlementScreen = ({ navigation }) => {
       balanceType === 'negative' ? styles.negativeButton : styles.positiveButton
     ]}
     onPress={() => {
-      // Toggle between positive and negative
-      const currentVal = balances[item.id] !== undefined ? balances[item.id] : 0;
-      const numValue = parseFloat(currentVal) || 0;
-      // If the value is already a number, toggle its sign
-      if (!isNaN(numValue) && numValue !== 0) {
-        handleBalanceChange(item.id, -numValue);
-      } else if (currentVal === '-') {
-        // If it's currently a dash (user started typing negative), make it empty (positive)
-        handleBalanceChange(item.id, '');
-      } else {
-        // Otherwise, make it negative
-        handleBalanceChange(item.id, '-');
-      }
+      // Toggle between positive and negative by flipping the leading sign
+      handleBalanceChange(
+        item.id,
+        balanceInput.startsWith('-') ? balanceInput.slice(1) : `-${balanceInput}`
+      );
     }}
     accessibilityLabel={balanceType === 'negative' ? "Make positive" : "Make negative"}
   >
@@ -451,7 +656,7 @@ const SettlementScreen = ({ navigation }) => {
     </Text>
   </TouchableOpacity>
   
-  <Text style={styles.currencySymbol}>$</Text>
+  <Text style={styles.currencySymbol}>{getCurrency(currency).symbol}</Text>
   <TextInput
     style={[
       styles.balanceInput,
@@ -460,14 +665,10 @@ const SettlementScreen = ({ navigation }) => {
       isAutoComplete && styles.autoCompleteInput
     ]}
     keyboardType="decimal-pad"
-    value={String(Math.abs(parseFloat(balance) || 0))}
+    value={balanceInput.replace(/^-/, '')}
     onChangeText={(value) => {
       // Always apply the correct sign when user is typing
-      if (balanceType === 'negative' && value !== '' && value !== '0') {
-        handleBalanceChange(item.id, -Math.abs(parseFloat(value) || 0));
-      } else {
-        handleBalanceChange(item.id, value);
-      }
+      handleBalanceChange(item.id, balanceType === 'negative' ? `-${value}` : value);
     }}
     onFocus={() => setEditingPlayerId(item.id)}
     selectTextOnFocus
@@ -476,7 +677,7 @@ const SettlementScreen = ({ navigation }) => {
   
   {isAutoComplete && suggestedBalance !== undefined && (
     <View style={styles.suggestedBalanceContainer}>
-      <Text style={styles.suggestedBalance}>→ ${formatBalance(suggestedBalance)}</Text>
+      <Text style={styles.suggestedBalance}>→ {formatMoney(suggestedBalance, currency)}</Text>
     </View>
   )}
 </View>
@@ -485,9 +686,88 @@ const SettlementScreen = ({ navigation }) => {
     );
   };
 
+  const renderModeOption = (mode, title) => {
+    const plan = planComparison ? planComparison[mode] : null;
+    const isSelected = mode === SETTLEMENT_MODES.BANKER ? isBankerMode : !isBankerMode;
+    
+    let details = null;
+    if (!plan) {
+      details = <Text style={styles.modeOptionDetail}>Choose a banker</Text>;
+    } else if (!plan.feasible) {
+      details = <Text style={styles.modeOptionDetail}>No valid plan</Text>;
+    } else {
+      details = (
+        <>
+          <Text style={styles.modeOptionValue}>
+            {plan.settlements.length} transfer{plan.settlements.length === 1 ? '' : 's'}
+          </Text>
+          <Text style={styles.modeOptionDetail}>
+            {formatMoney(sumMoney(plan.settlements.map(settlement => settlement.amount)), currency)} moved
+          </Text>
+          {mode === SETTLEMENT_MODES.BANKER && (
+            <Text style={styles.modeOptionDetail}>
+              Banker net {formatMoney(getNetFromSettlements(plan.settlements, activeBankerId), currency, { showSign: true })}
+            </Text>
+          )}
+        </>
+      );
+    }
+    
+    return (
+      <TouchableOpacity
+        style={[styles.modeOption, isSelected && styles.modeOptionSelected]}
+        onPress={() => handleModeChange(mode)}
+      >
+        <Text style={[styles.modeOptionTitle, isSelected && styles.modeOptionTitleSelected]} numberOfLines={1}>
+          {title}
+        </Text>
+        {details}
+        {mode === SETTLEMENT_MODES.BANKER && activeBankerId && (
+          <TouchableOpacity onPress={() => setShowBankerPicker(true)}>
+            <Text style={styles.changeBankerText}>Change banker</Text>
+          </TouchableOpacity>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  // Settlement lines can involve the house as well as players
+  const findParty = (partyId) => {
+    if (isHouse(partyId)) {
+      return { id: HOUSE_ID, name: HOUSE_NAME, avatarColor: '#7F8C8D' };
+    }
+    if (isUnaccounted(partyId)) {
+      return { id: UNACCOUNTED_ID, name: UNACCOUNTED_NAME, avatarColor: '#F39C12' };
+    }
+    return players.find(p => p.id === partyId);
+  };
+  
+  const renderDeductionsSummary = () => {
+    if (deductions.length === 0) return null;
+    
+    return (
+      <View style={styles.deductionsCard}>
+        <Text style={styles.deductionsTitle}>Taken Before Settling</Text>
+        {deductions.map(deduction => (
+          <View key={deduction.id} style={styles.deductionRow}>
+            <View style={styles.deductionInfo}>
+              <Text style={styles.deductionLabel}>{deduction.label}</Text>
+              <Text style={styles.deductionDetail}>
+                {describeDeduction(deduction, amount => formatMoney(amount, currency))} · to {getPlayerName(deduction.payee || HOUSE_ID)}
+              </Text>
+            </View>
+            <Text style={styles.deductionAmount}>
+              {formatMoney(feeSummary.totals[deduction.id] || 0, currency)}
+            </Text>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
   const renderSettlementItem = ({ item, index }) => {
-    const fromPlayer = players.find(p => p.id === item.from);
-    const toPlayer = players.find(p => p.id === item.to);
+    const fromPlayer = findParty(item.from);
+    const toPlayer = findParty(item.to);
     
     if (!fromPlayer || !toPlayer) return null;
     
@@ -506,7 +786,9 @@ const SettlementScreen = ({ navigation }) => {
             <View style={styles.settlementNumber}>
               <Text style={styles.settlementNumberText}>{index + 1}</Text>
             </View>
-            <Text style={styles.settlementAmount}>${item.amount.toFixed(2)}</Text>
+            <Text style={styles.settlementAmount}>
+              {formatWithPlayerCurrency(item.amount, currency, playerCurrencies[item.from], exchangeRates)}
+            </Text>
           </View>
           
           <View style={styles.settlementParties}>
@@ -542,6 +824,15 @@ const SettlementScreen = ({ navigation }) => {
               </View>
             </View>
           </View>
+          
+          {item.method && PAYMENT_METHODS[item.method] && (
+            <Text style={styles.settlementMethod}>via {PAYMENT_METHODS[item.method].label}</Text>
+          )}
+          {item.loan && (
+            <Text style={styles.settlementMethod}>
+              {item.carryForward ? 'Loan repayment · carried forward' : 'Loan repayment'}
+            </Text>
+          )}
         </View>
       </Animated.View>
     );
@@ -559,6 +850,32 @@ const SettlementScreen = ({ navigation }) => {
             {showSettlements ? 'Settlement Plan' : 'Player Balances'}
           </Text>
           <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.resetButton}
+              onPress={() => setShowConstraintsEditor(true)}
+              disabled={players.length < 2}
+            >
+              <MaterialIcons name="rule" size={20} color="white" />
+              <Text style={styles.resetButtonText}>Rules</Text>
+              {rulesActive && <View style={styles.rulesActiveDot} />}
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.resetButton}
+              onPress={() => setShowRoundingEditor(true)}
+            >
+              <MaterialIcons name="toll" size={20} color="white" />
+              <Text style={styles.resetButtonText}>Rounding</Text>
+              {settlementRounding && <View style={styles.rulesActiveDot} />}
+            </TouchableOpacity>
+            {showSettlements && (
+              <TouchableOpacity
+                style={styles.resetButton}
+                onPress={() => setShowExplanation(true)}
+              >
+                <MaterialIcons name="help-outline" size={20} color="white" />
+                <Text style={styles.resetButtonText}>Explain</Text>
+              </TouchableOpacity>
+            )}
             {!showSettlements && (
               <TouchableOpacity
                 style={styles.resetButton}
@@ -597,10 +914,10 @@ const SettlementScreen = ({ navigation }) => {
                 <Text 
                   style={[
                     styles.infoValue,
-                    Math.abs(totalBalance) < 0.01 ? styles.balanceEven : styles.balanceUneven
+                    totalBalance === 0 ? styles.balanceEven : styles.balanceUneven
                   ]}
                 >
-                  ${totalBalance.toFixed(2)}
+                  {formatMoney(totalBalance, currency)}
                 </Text>
               </View>
               <TouchableOpacity
@@ -615,6 +932,15 @@ const SettlementScreen = ({ navigation }) => {
               </TouchableOpacity>
             </View>
             
+            {rateDescriptions.length > 0 && (
+              <View style={styles.ratesBar}>
+                <MaterialIcons name="currency-exchange" size={16} color="#7F8C8D" />
+                <Text style={styles.ratesText}>
+                  Settling in {currency} · {rateDescriptions.join(' · ')}
+                </Text>
+              </View>
+            )}
+            
             {showTips && (
               <View style={styles.tipsContainer}>
                 <Text style={styles.tipsTitle}>Quick Tips:</Text>
@@ -648,6 +974,23 @@ const SettlementScreen = ({ navigation }) => {
                   </View>
                 }
               />
+              
+              {/* Difference left as its own line by the "unaccounted" strategy */}
+              {!!balances[UNACCOUNTED_ID] && (
+                <View style={styles.unaccountedRow}>
+                  <MaterialIcons name="help-outline" size={20} color="#F39C12" />
+                  <Text style={styles.unaccountedName}>{UNACCOUNTED_NAME}</Text>
+                  <Text style={styles.unaccountedAmount}>
+                    {formatMoney(balances[UNACCOUNTED_ID], currency, { showSign: true })}
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => dispatch(setPlayerBalance({ playerId: UNACCOUNTED_ID, amount: 0 }))}
+                    accessibilityLabel="Remove unaccounted line"
+                  >
+                    <MaterialIcons name="close" size={20} color="#7F8C8D" />
+                  </TouchableOpacity>
+                </View>
+              )}
             </ScrollView>
             
             {!keyboardVisible && (
@@ -683,15 +1026,46 @@ const SettlementScreen = ({ navigation }) => {
               <View style={styles.summaryItem}>
                 <Text style={styles.summaryLabel}>Total Amount</Text>
                 <Text style={styles.summaryValue}>
-                  ${settlements.reduce((sum, settlement) => sum + settlement.amount, 0).toFixed(2)}
+                  {formatMoney(sumMoney(settlements.map(settlement => settlement.amount)), currency)}
                 </Text>
               </View>
+              {settlementAlgorithm && settlementAlgorithm !== 'none' && (
+                <>
+                  <View style={styles.infoSeparator} />
+                  <View style={styles.summaryItem}>
+                    <Text style={styles.summaryLabel}>Plan</Text>
+                    <Text style={styles.summaryValue}>
+                      {{ exact: 'Minimal', greedy: 'Greedy', banker: 'Banker' }[settlementAlgorithm]}
+                    </Text>
+                  </View>
+                </>
+              )}
             </View>
             
+            <View style={styles.modeComparison}>
+              {renderModeOption(SETTLEMENT_MODES.MINIMAL, 'Minimal Transfers')}
+              {renderModeOption(
+                SETTLEMENT_MODES.BANKER,
+                activeBankerId ? `Via ${getPlayerName(activeBankerId)}` : 'Via Banker'
+              )}
+            </View>
+            
+            {settlementRounding && planRounding && (planRounding.applied || planRounding.reason) && (
+              <View style={styles.ratesBar}>
+                <MaterialIcons name="toll" size={16} color="#7F8C8D" />
+                <Text style={styles.ratesText}>
+                  {planRounding.applied
+                    ? describeRounding(planRounding, getPlayerName, amount => formatMoney(amount, currency))
+                    : 'Not rounded: nobody is set to take the leftover'}
+                </Text>
+              </View>
+            )}
+            
             <ScrollView 
               style={styles.scrollView}
               contentContainerStyle={styles.scrollContent}
             >
+              {renderDeductionsSummary()}
               {settlements.length > 0 ? (
                 <FlatList
                   data={settlements}
@@ -731,6 +1105,90 @@ const SettlementScreen = ({ navigation }) => {
         )}
       </KeyboardAvoidingView>
       
+      <SettlementExplanation
+        visible={showExplanation}
+        explanation={explanation}
+        getName={getPlayerName}
+        currency={currency}
+        onShare={() => shareExplanation(explanation, players, currency)}
+        onClose={() => setShowExplanation(false)}
+      />
+      
+      <BalanceAdjustmentPreview
+        visible={showAdjustmentPreview}
+        players={players}
+        balances={balances}
+        entryOrder={entryOrder}
+        currency={currency}
+        onApply={handleApplyAdjustment}
+        onClose={handleCancelAdjustment}
+      />
+      
+      <SettlementRoundingEditor
+        visible={showRoundingEditor}
+        players={players}
+        rounding={settlementRounding}
+        currency={currency}
+        hostName={isBankerMode ? getPlayerName(activeBankerId) : feePayeeId && getPlayerName(feePayeeId)}
+        onSave={handleSaveRounding}
+        onClose={() => setShowRoundingEditor(false)}
+      />
+      
+      <SettlementConstraintsEditor
+        visible={showConstraintsEditor}
+        players={players}
+        constraints={constraints}
+        onSave={handleSaveConstraints}
+        onClose={() => setShowConstraintsEditor(false)}
+      />
+      
+      {/* Banker Picker Modal */}
+      <Modal
+        visible={showBankerPicker}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setShowBankerPicker(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>Who Holds the Cash Box?</Text>
+            <Text style={styles.modalText}>
+              Everyone will settle with the banker instead of with each other.
+            </Text>
+            
+            <ScrollView style={styles.bankerList}>
+              {players.map(player => (
+                <TouchableOpacity
+                  key={player.id}
+                  style={[
+                    styles.bankerOption,
+                    player.id === activeBankerId && styles.bankerOptionSelected
+                  ]}
+                  onPress={() => handleBankerSelect(player.id)}
+                >
+                  <View style={[styles.avatar, { backgroundColor: player.avatarColor || '#3498DB' }]}>
+                    <Text style={styles.avatarText}>{getInitials(player.name)}</Text>
+                  </View>
+                  <Text style={styles.bankerOptionName}>{player.name}</Text>
+                  {player.id === activeBankerId && (
+                    <MaterialIcons name="check" size={20} color="#3498DB" />
+                  )}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+            
+            <View style={styles.modalButtons}>
+              <TouchableOpacity
+                style={[styles.modalButton, styles.cancelButton]}
+                onPress={() => setShowBankerPicker(false)}
+              >
+                <Text style={styles.cancelButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+      
       {/* Confirmation Modal */}
       <Modal
         visible={confirming}
@@ -803,6 +1261,13 @@ const styles = StyleSheet.create({
     color: 'white',
     marginLeft: 5,
   },
+  rulesActiveDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#F1C40F',
+    marginLeft: 4,
+  },
   container: {
     flex: 1,
     backgroundColor: '#F0F4F8',
@@ -869,6 +1334,29 @@ const styles = StyleSheet.create({
     padding: 15,
     paddingBottom: 100, // Extra space for bottom buttons
   },
+  unaccountedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFF9E0',
+    borderWidth: 1,
+    borderColor: '#F1E6B2',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 10,
+  },
+  unaccountedName: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '500',
+    color: '#2C3E50',
+    marginLeft: 10,
+  },
+  unaccountedAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#F39C12',
+    marginRight: 10,
+  },
   balanceItemContainer: {
     marginBottom: 15,
   },
@@ -1036,6 +1524,70 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#2C3E50',
   },
+  modeComparison: {
+    flexDirection: 'row',
+    backgroundColor: 'white',
+    paddingHorizontal: 15,
+    paddingBottom: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: '#EAEAEA',
+  },
+  modeOption: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#EAEAEA',
+    borderRadius: 10,
+    padding: 12,
+    marginHorizontal: 5,
+  },
+  modeOptionSelected: {
+    borderColor: '#3498DB',
+    backgroundColor: '#EBF5FB',
+  },
+  modeOptionTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#7F8C8D',
+    marginBottom: 6,
+  },
+  modeOptionTitleSelected: {
+    color: '#3498DB',
+  },
+  modeOptionValue: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+  },
+  modeOptionDetail: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  changeBankerText: {
+    fontSize: 12,
+    color: '#3498DB',
+    marginTop: 6,
+  },
+  bankerList: {
+    maxHeight: 300,
+    marginBottom: 15,
+  },
+  bankerOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 5,
+    borderRadius: 8,
+  },
+  bankerOptionSelected: {
+    backgroundColor: '#EBF5FB',
+  },
+  bankerOptionName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#2C3E50',
+    marginLeft: 10,
+  },
   settlementItemContainer: {
     marginBottom: 20,
   },
@@ -1076,6 +1628,19 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#2C3E50',
   },
+  ratesBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    backgroundColor: '#F8F9FA',
+  },
+  ratesText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginLeft: 6,
+  },
   settlementParties: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1098,6 +1663,56 @@ const styles = StyleSheet.create({
     fontWeight: '500',
     color: '#2C3E50',
   },
+  deductionsCard: {
+    backgroundColor: 'white',
+    borderRadius: 10,
+    padding: 15,
+    marginBottom: 15,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+    elevation: 2,
+  },
+  deductionsTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#2C3E50',
+    marginBottom: 5,
+  },
+  deductionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F0F4F8',
+  },
+  deductionInfo: {
+    flex: 1,
+    marginRight: 10,
+  },
+  deductionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2C3E50',
+  },
+  deductionDetail: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 2,
+  },
+  deductionAmount: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#E67E22',
+  },
+  settlementMethod: {
+    fontSize: 12,
+    color: '#7F8C8D',
+    marginTop: 10,
+    textAlign: 'right',
+  },
   arrowIcon: {
     marginHorizontal: 10,
   },
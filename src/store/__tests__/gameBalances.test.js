@@ -0,0 +1,65 @@
+import settlementReducer, {
+  addPlayerToGame,
+  deleteGame,
+  removePlayerFromGame,
+  startNewGame,
+  startNewSession,
+  updateGameBalances,
+  updatePlayerBalance
+} from '../settlementSlice';
+import { selectBalances } from '../selectors';
+
+const ANN = 'player_ann';
+const BEN = 'player_ben';
+
+const run = (state, ...actions) => actions.reduce(settlementReducer, state);
+
+const getBalances = (state) => selectBalances({ settlements: state });
+
+describe('balances entered for a game', () => {
+  let state;
+  let gameId;
+
+  beforeEach(() => {
+    state = run(undefined, startNewSession({ currency: 'USD' }), startNewGame({ gameName: 'Cash' }));
+    [gameId] = state.games.ids;
+    state = run(
+      state,
+      addPlayerToGame({ gameId, playerId: ANN }),
+      addPlayerToGame({ gameId, playerId: BEN }),
+      // Entered for the session itself, not the game
+      updatePlayerBalance({ playerId: ANN, amount: 300 }),
+      updatePlayerBalance({ playerId: BEN, amount: -300 })
+    );
+  });
+
+  it('add to the session balances, counting a re-entry once', () => {
+    state = run(
+      state,
+      updateGameBalances({ gameId, balances: { [ANN]: 500, [BEN]: -500 } }),
+      updateGameBalances({ gameId, balances: { [ANN]: 700, [BEN]: -700 } })
+    );
+
+    expect(getBalances(state)).toEqual({ [ANN]: 1000, [BEN]: -1000 });
+  });
+
+  it('come off the session balances when the game is deleted', () => {
+    state = run(
+      state,
+      updateGameBalances({ gameId, balances: { [ANN]: 500, [BEN]: -500 } }),
+      deleteGame({ gameId })
+    );
+
+    expect(getBalances(state)).toEqual({ [ANN]: 300, [BEN]: -300 });
+  });
+
+  it('come off with a player removed from the game', () => {
+    state = run(
+      state,
+      updateGameBalances({ gameId, balances: { [ANN]: 500, [BEN]: -500 } }),
+      removePlayerFromGame({ gameId, playerId: BEN })
+    );
+
+    expect(getBalances(state)[BEN]).toBe(-300);
+  });
+});
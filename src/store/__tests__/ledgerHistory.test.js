@@ -0,0 +1,124 @@
+import settlementReducer, {
+  addPlayerToGame,
+  deleteGame,
+  deleteTransaction,
+  recordTransaction,
+  redoLedgerChange,
+  startNewGame,
+  startNewSession,
+  undoLedgerChange,
+  updateTransactionAmount
+} from '../settlementSlice';
+import { selectGameLog } from '../selectors';
+import { LEDGER_EVENT_KINDS, replayLedgerEvents } from '../../utils/ledgerEvents';
+import { checkLedgerIntegrity } from '../../utils/ledgerIntegrity';
+
+const ANN = 'player_ann';
+
+const run = (state, ...actions) => actions.reduce(settlementReducer, state);
+
+const getAmounts = (state) => selectGameLog({ settlements: state }).map(transaction => transaction.amount);
+
+describe('undoing ledger changes', () => {
+  let state;
+  let transactionId;
+
+  beforeEach(() => {
+    state = run(undefined, startNewSession({ currency: 'USD' }), startNewGame({ gameName: 'Cash', buyIn: 1000 }));
+    const [gameId] = state.games.ids;
+    state = run(
+      state,
+      addPlayerToGame({ gameId, playerId: ANN }),
+      recordTransaction({ type: 'buy-in', playerId: ANN, gameId, amount: 1000 })
+    );
+    [transactionId] = state.transactions.ids;
+  });
+
+  it('keeps every recorded event and adds ones reversing the change', () => {
+    state = run(state, updateTransactionAmount({ transactionId, newAmount: 2500 }));
+    const recorded = state.ledgerEvents;
+
+    state = run(state, undoLedgerChange());
+    expect(state.ledgerEvents.slice(0, recorded.length)).toEqual(recorded);
+    expect(state.ledgerEvents[recorded.length]).toMatchObject({
+      kind: LEDGER_EVENT_KINDS.AMEND,
+      changes: { amount: 1000 },
+      reason: 'Undo: Edit amount',
+    });
+    expect(getAmounts(state)).toEqual([1000]);
+
+    state = run(state, redoLedgerChange());
+    expect(state.ledgerEvents).toHaveLength(recorded.length + 2);
+    expect(getAmounts(state)).toEqual([2500]);
+  });
+
+  it('puts back a deleted transaction as it stood', () => {
+    state = run(
+      state,
+      updateTransactionAmount({ transactionId, newAmount: 1500 }),
+      deleteTransaction({ transactionId }),
+      undoLedgerChange()
+    );
+
+    expect(state.ledgerEvents[state.ledgerEvents.length - 1].kind).toBe(LEDGER_EVENT_KINDS.RESTORE);
+    expect(getAmounts(state)).toEqual([1500]);
+    expect(replayLedgerEvents(state.ledgerEvents)).toEqual(Object.values(state.transactions.entities));
+    expect(checkLedgerIntegrity(state)).toEqual([]);
+  });
+
+  it('voids an undone buy-in and brings it back on redo', () => {
+    state = run(state, undoLedgerChange());
+    expect(getAmounts(state)).toEqual([]);
+    expect(state.ledgerEvents.map(event => event.kind)).toEqual([LEDGER_EVENT_KINDS.CREATE, LEDGER_EVENT_KINDS.VOID]);
+
+    state = run(state, redoLedgerChange());
+    expect(getAmounts(state)).toEqual([1000]);
+    expect(checkLedgerIntegrity(state)).toEqual([]);
+  });
+});
+
+describe('ledger history entries', () => {
+  let state;
+  let gameId;
+
+  beforeEach(() => {
+    state = run(undefined, startNewSession({ currency: 'USD' }), startNewGame({ gameName: 'Cash', buyIn: 1000 }));
+    [gameId] = state.games.ids;
+    state = run(state, addPlayerToGame({ gameId, playerId: ANN }));
+  });
+
+  const lastChange = () => state.ledgerHistory.past[state.ledgerHistory.past.length - 1];
+
+  it('keep the events a change added rather than a copy of the ledger', () => {
+    state = run(state, recordTransaction({ type: 'buy-in', playerId: ANN, gameId, amount: 1000 }));
+
+    expect(lastChange().events).toEqual(state.ledgerEvents.slice(-1));
+    expect(lastChange().changes).toEqual({});
+  });
+
+  it('keep only the games a change altered', () => {
+    const [game] = Object.values(state.games.entities);
+    state = run(state, startNewGame({ gameName: 'Second' }));
+    const [, added] = state.games.ids;
+
+    expect(lastChange().changes).toEqual({ games: { entities: { [added]: null }, ids: [game.id] } });
+  });
+
+  it('undo deleting a game along with its transactions', () => {
+    state = run(
+      state,
+      recordTransaction({ type: 'buy-in', playerId: ANN, gameId, amount: 1000 }),
+      deleteGame({ gameId }),
+      undoLedgerChange()
+    );
+
+    expect(state.games.ids).toEqual([gameId]);
+    expect(state.games.entities[gameId].players).toHaveLength(1);
+    expect(getAmounts(state)).toEqual([1000]);
+    expect(checkLedgerIntegrity(state)).toEqual([]);
+
+    state = run(state, redoLedgerChange());
+    expect(state.games.ids).toEqual([]);
+    expect(getAmounts(state)).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createMigrate } from 'redux-persist';
+
+import migrations from '../migrations';
+import playerReducer, { setPlayers } from '../playerSlice';
+import settlementReducer, { setHistory } from '../settlementSlice';
+import { STORAGE_KEYS, initializeStorage, loadHistory, loadPlayers } from '../../api/storage';
+import { isLegacyId } from '../../utils/ids';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const ANN = '1700000000001';
+const BEN = '1700000000002';
+const CAL = '1700000000003'; // Deleted since, still in history
+const SESSION = '1700000000100';
+const GAME = '1700000000200';
+
+// Players and history as saved before IDs were re-keyed, both in the persisted
+// store and in the separate AsyncStorage copies
+const legacyPlayers = [
+  { id: ANN, name: 'Ann' },
+  { id: BEN, name: 'Ben' },
+];
+
+const legacyHistory = [{
+  id: SESSION,
+  date: '2024-01-01T20:00:00.000Z',
+  currency: 'USD',
+  balances: { [ANN]: 1500, [BEN]: -1000, [CAL]: -500 },
+  settlements: [
+    { id: `${SESSION}-0`, from: BEN, to: ANN, amount: 1000, status: 'pending', payments: [] },
+    { id: `${SESSION}-1`, from: CAL, to: ANN, amount: 500, status: 'pending', payments: [] },
+  ],
+  games: [{
+    id: GAME,
+    name: 'Cash',
+    players: [{ playerId: ANN }, { playerId: BEN }, { playerId: CAL }],
+    transactions: [{ id: '1700000000300', type: 'buy-in', playerId: BEN, amount: 1000 }],
+  }],
+  gameLog: [{ id: '1700000000300', type: 'buy-in', playerId: BEN, gameId: GAME, amount: 1000 }],
+}];
+
+const legacyPersistedState = {
+  players: { players: legacyPlayers, loading: false, error: null },
+  settlements: {
+    sessionId: null,
+    currency: 'USD',
+    balances: {},
+    settlements: [],
+    games: [],
+    gameLog: [],
+    ledgerEvents: [],
+    history: legacyHistory,
+    constraintSets: { [`${ANN},${BEN}`]: { pairs: [{ from: BEN, to: ANN }] } },
+    debtPayments: [{
+      id: '1700000000400',
+      from: BEN,
+      to: ANN,
+      amount: 200,
+      obligationKey: `session:${SESSION}:0`,
+      note: SESSION, // Typed in by hand; only reads like an ID
+    }],
+    nettings: [],
+  },
+  _persist: { version: 12, rehydrated: false },
+};
+
+// What the app holds once redux-persist has migrated the store and the
+// screens have loaded the AsyncStorage copies over it
+const loadApp = async () => {
+  const migrated = await createMigrate(migrations, { debug: false })(legacyPersistedState, 17);
+
+  let players = migrated.players;
+  const storedPlayers = await loadPlayers();
+  if (storedPlayers.length > 0) players = playerReducer(players, setPlayers(storedPlayers));
+
+  let settlements = migrated.settlements;
+  const storedHistory = await loadHistory();
+  if (storedHistory.length > 0) settlements = settlementReducer(settlements, setHistory(storedHistory));
+
+  return { migrated, players, settlements };
+};
+
+describe('data saved before IDs were re-keyed', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await AsyncStorage.multiSet([
+      [STORAGE_KEYS.PLAYERS, JSON.stringify(legacyPlayers)],
+      [STORAGE_KEYS.HISTORY, JSON.stringify(legacyHistory)],
+    ]);
+  });
+
+  it('loads the AsyncStorage copies with the IDs the store was re-keyed to', async () => {
+    const { migrated, players, settlements } = await loadApp();
+
+    expect(players.ids).toEqual(migrated.players.ids);
+    expect(settlements.sessions.ids).toEqual(migrated.settlements.sessions.ids);
+    players.ids.forEach(id => expect(isLegacyId(id)).toBe(false));
+
+    const session = settlements.sessions.entities[settlements.sessions.ids[0]];
+    const [ann, ben] = players.ids;
+    expect(Object.keys(session.balances)).toEqual(
+      Object.keys(migrated.settlements.sessions.entities[session.id].balances)
+    );
+    expect(session.settlements[0]).toMatchObject({ from: ben, to: ann, id: `${session.id}-0` });
+    expect(session.games[0].id).toBe(migrated.settlements.sessions.entities[session.id].games[0].id);
+    expect(session.gameLog[0].id).toBe(session.games[0].transactions[0].id);
+  });
+
+  it('keeps debt payments and constraint sets pointing at loaded players and sessions', async () => {
+    const { players, settlements } = await loadApp();
+    const [ann, ben] = players.ids;
+    const [sessionId] = settlements.sessions.ids;
+
+    expect(settlements.debtPayments[0]).toMatchObject({
+      from: ben,
+      to: ann,
+      obligationKey: `session:${sessionId}:0`,
+    });
+    expect(Object.keys(settlements.constraintSets)).toEqual([[ann, ben].sort().join(',')]);
+  });
+
+  it('leaves text that only reads like an ID as it was typed', async () => {
+    const { settlements } = await loadApp();
+
+    expect(settlements.debtPayments[0].note).toBe(SESSION);
+  });
+
+  it('re-keys a player only kept in history the same way in both copies', async () => {
+    const { migrated, settlements } = await loadApp();
+    const [sessionId] = settlements.sessions.ids;
+
+    const loadedIds = Object.keys(settlements.sessions.entities[sessionId].balances).sort();
+    const storeIds = Object.keys(migrated.settlements.sessions.entities[sessionId].balances).sort();
+    expect(loadedIds).toEqual(storeIds);
+    loadedIds.forEach(id => expect(isLegacyId(id)).toBe(false));
+  });
+
+  it('rewrites the AsyncStorage copies when storage is upgraded', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.APP_VERSION, '1.1.0');
+    await initializeStorage();
+
+    const { migrated } = await loadApp();
+    const storedPlayers = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.PLAYERS));
+    const storedHistory = JSON.parse(await AsyncStorage.getItem(STORAGE_KEYS.HISTORY));
+
+    expect(storedPlayers.map(player => player.id)).toEqual(migrated.players.ids);
+    expect(storedHistory.map(session => session.id)).toEqual(migrated.settlements.sessions.ids);
+  });
+});
@@ -0,0 +1,151 @@
+import settlementReducer, {
+  addNetting,
+  completeSession,
+  discardSession,
+  reopenSession,
+  resetSession,
+  saveSettlementRounding,
+  saveSettlements,
+  setPlayerBalance,
+  setSettlementStatus,
+  startNewSession
+} from '../settlementSlice';
+import { selectSessionById, selectSessions } from '../selectors';
+import { ROUNDING_TARGETS, roundBalances } from '../../utils/cashRounding';
+import { buildDebtLedger, createNetting, reconcileLedger } from '../../utils/debtLedger';
+import { SETTLEMENT_STATUS } from '../../utils/settlementPayments';
+
+const ANN = 'player_ann';
+const BEN = 'player_ben';
+
+const run = (state, ...actions) => actions.reduce(settlementReducer, state);
+
+// Ben owes Ann the given amount for the session in play
+const playSession = (state, amount) => run(
+  state,
+  setPlayerBalance({ playerId: ANN, amount }),
+  setPlayerBalance({ playerId: BEN, amount: -amount }),
+  saveSettlements([{ from: BEN, to: ANN, amount }])
+);
+
+const getLedger = (state) => {
+  const history = selectSessions({ settlements: state });
+  return { history, ledger: buildDebtLedger(history, state.nettings, state.debtPayments) };
+};
+
+describe('amending a netted session', () => {
+  let state;
+  let sessionId;
+
+  beforeEach(() => {
+    state = playSession(run(undefined, startNewSession({ currency: 'USD' })), 5000);
+    sessionId = state.sessionId;
+    state = run(state, completeSession());
+
+    const { ledger } = getLedger(state);
+    state = run(state, addNetting(createNetting(ledger, 'USD')));
+
+    // A forgotten 1000 rebuy, found after everything was netted
+    state = playSession(run(state, reopenSession({ sessionId })), 6000);
+    state = run(state, completeSession());
+  });
+
+  it('keeps the netted settlements and owes the difference separately', () => {
+    const session = selectSessionById({ settlements: state }, sessionId);
+
+    expect(session.version).toBe(2);
+    expect(session.settlements).toEqual([
+      expect.objectContaining({ from: BEN, to: ANN, amount: 5000 }),
+      expect.objectContaining({ from: BEN, to: ANN, amount: 1000, amendment: true }),
+    ]);
+  });
+
+  it('still reconciles with the game-by-game debts', () => {
+    const { ledger } = getLedger(state);
+
+    expect(ledger.positions.USD).toEqual({ [ANN]: 6000, [BEN]: -6000 });
+    expect(reconcileLedger(ledger).matches).toBe(true);
+  });
+});
+
+describe('amending a netted session with a cancelled settlement', () => {
+  const CAL = 'player_cal';
+
+  // Ben owes Ann 5000 and Cal owes her 1000
+  const playThreeWay = (from) => run(
+    from,
+    setPlayerBalance({ playerId: ANN, amount: 6000 }),
+    setPlayerBalance({ playerId: BEN, amount: -5000 }),
+    setPlayerBalance({ playerId: CAL, amount: -1000 }),
+    saveSettlements([{ from: BEN, to: ANN, amount: 5000 }, { from: CAL, to: ANN, amount: 1000 }])
+  );
+
+  it('owes again what the cancelled settlement no longer does', () => {
+    let state = playThreeWay(run(undefined, startNewSession({ currency: 'USD' })));
+    const { sessionId } = state;
+    state = run(state, completeSession());
+
+    const cancelled = selectSessionById({ settlements: state }, sessionId).settlements.find(s => s.from === CAL);
+    state = run(state, setSettlementStatus({ sessionId, settlementId: cancelled.id, status: SETTLEMENT_STATUS.CANCELLED }));
+    state = run(state, addNetting(createNetting(getLedger(state).ledger, 'USD')));
+
+    state = playThreeWay(run(state, reopenSession({ sessionId })));
+    state = run(state, completeSession());
+
+    const amendments = selectSessionById({ settlements: state }, sessionId).settlements.filter(s => s.amendment);
+    expect(amendments).toEqual([expect.objectContaining({ from: CAL, to: ANN, amount: 1000 })]);
+  });
+});
+
+describe('amending a session rounded with carry-over', () => {
+  let state;
+  let sessionId;
+
+  // Ann is up 12.34 and the plan rounds to whole dollars, carrying the 34 cents
+  const playRoundedSession = (from) => {
+    const rounding = roundBalances({ [ANN]: 1234, [BEN]: -1234 }, {
+      unit: 100,
+      remainderTo: ROUNDING_TARGETS.CARRY_OVER,
+      carryOver: from.roundingCarryOver.USD || {}
+    });
+    return run(
+      from,
+      setPlayerBalance({ playerId: ANN, amount: 1234 }),
+      setPlayerBalance({ playerId: BEN, amount: -1234 }),
+      saveSettlements([{ from: BEN, to: ANN, amount: rounding.balances[ANN] }]),
+      saveSettlementRounding(rounding)
+    );
+  };
+
+  beforeEach(() => {
+    state = playRoundedSession(run(undefined, startNewSession({ currency: 'USD' })));
+    sessionId = state.sessionId;
+    state = run(state, completeSession());
+  });
+
+  it('takes the carry-over back out while the session is reopened', () => {
+    expect(state.roundingCarryOver.USD).toEqual({ [ANN]: 34, [BEN]: -34 });
+
+    state = run(state, reopenSession({ sessionId }));
+    expect(state.roundingCarryOver.USD).toEqual({});
+  });
+
+  it('counts the carry-over once when the session is completed again', () => {
+    state = playRoundedSession(run(state, reopenSession({ sessionId })));
+    state = run(state, completeSession());
+
+    expect(state.roundingCarryOver.USD).toEqual({ [ANN]: 34, [BEN]: -34 });
+  });
+
+  it('puts the carry-over back when the reopened session is given up on', () => {
+    expect(run(state, reopenSession({ sessionId }), discardSession({ sessionId })).roundingCarryOver.USD)
+      .toEqual({ [ANN]: 34, [BEN]: -34 });
+
+    const parked = run(state, reopenSession({ sessionId }), startNewSession(), setPlayerBalance({ playerId: ANN, amount: 100 }));
+    expect(run(parked, discardSession({ sessionId })).roundingCarryOver.USD)
+      .toEqual({ [ANN]: 34, [BEN]: -34 });
+
+    expect(run(state, reopenSession({ sessionId }), resetSession()).roundingCarryOver.USD)
+      .toEqual({ [ANN]: 34, [BEN]: -34 });
+  });
+});
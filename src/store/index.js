@@ -1,5 +1,5 @@
 import { configureStore } from '@reduxjs/toolkit';
-import { persistStore, persistReducer, FLUSH, REHYDRATE, PAUSE, PERSIST, PURGE, REGISTER } from 'redux-persist';
+import { persistStore, persistReducer, createMigrate, FLUSH, REHYDRATE, PAUSE, PERSIST, PURGE, REGISTER } from 'redux-persist';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { combineReducers } from 'redux';
 import logger from 'redux-logger';
@@ -7,6 +7,7 @@ import logger from 'redux-logger';
 // Import reducers
 import playerReducer from './playerSlice';
 import settlementReducer from './settlementSlice';
+import migrations from './migrations';
 
 // Root reducer configuration
 const rootReducer = combineReducers({
@@ -17,8 +18,9 @@ const rootReducer = combineReducers({
 // Redux Persist configuration
 const persistConfig = {
   key: 'root',
-  version: 1,
+  version: 17,
   storage: AsyncStorage,
+  migrate: createMigrate(migrations, { debug: false }),
   // Blacklist state that shouldn't be persisted
   blacklist: [], 
   // You can also whitelist specific slices instead
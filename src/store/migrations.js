@@ -0,0 +1,546 @@
+import { DEFAULT_CURRENCY, mapToMinorUnits, toMinorUnits } from '../utils/money';
+import { SETTLEMENT_MODES } from '../utils/settlementCalculator';
+import { getSettlementId, normalizeSessionSettlements } from '../utils/settlementPayments';
+import { LEDGER_EVENT_KINDS, eventsFromTransactions, replayLedgerEvents } from '../utils/ledgerEvents';
+import { getStackAdjustment, getTransactionBalances, getTransactionStacks, valueTransactions } from '../utils/ledgerViews';
+import { ID_PREFIXES, fromLegacyId, isLegacyId } from '../utils/ids';
+import { getSessionObligationKey } from '../utils/debtLedger';
+import { getPlayerGroupKey } from '../utils/settlementConstraints';
+
+/**
+ * Persisted State Migrations
+ *
+ * redux-persist runs these in order when the stored state version is older
+ * than the version in the persist config. Each migration receives the whole
+ * persisted root state and returns the upgraded state.
+ */
+
+// Converts a list of { amount } records from major-unit floats to minor units
+const convertAmounts = (records, currency) => {
+  return (records || []).map(record => ({
+    ...record,
+    amount: toMinorUnits(record.amount, currency),
+  }));
+};
+
+// Converts a single game from major-unit floats to minor units
+const convertGame = (game, currency) => ({
+  ...game,
+  buyIn: toMinorUnits(game.buyIn, currency),
+  balances: mapToMinorUnits(game.balances, currency),
+  transactions: convertAmounts(game.transactions, currency),
+  ...(game.settlements ? { settlements: convertAmounts(game.settlements, currency) } : {}),
+  players: (game.players || []).map(player => ({
+    ...player,
+    initialBuyIn: toMinorUnits(player.initialBuyIn, currency),
+    currentStack: toMinorUnits(player.currentStack, currency),
+  })),
+});
+
+/**
+ * Converts a completed session from major-unit floats to integer minor units.
+ * Sessions already carrying a currency were written in minor units and are
+ * returned unchanged, so this is safe to apply more than once.
+ *
+ * @param {Object} session - History session object
+ * @returns {Object} - Session with every amount in minor units
+ */
+export const migrateSessionToMinorUnits = (session) => {
+  if (!session || session.currency) return session;
+
+  const currency = DEFAULT_CURRENCY;
+
+  return {
+    ...session,
+    currency,
+    balances: mapToMinorUnits(session.balances, currency),
+    settlements: convertAmounts(session.settlements, currency),
+    games: (session.games || []).map(game => convertGame(game, currency)),
+    gameLog: convertAmounts(session.gameLog, currency),
+  };
+};
+
+/**
+ * Converts a whole history array, see migrateSessionToMinorUnits
+ *
+ * @param {Array} history - Array of history session objects
+ * @returns {Array} - Migrated history
+ */
+export const migrateHistoryToMinorUnits = (history) => {
+  return (history || []).map(migrateSessionToMinorUnits);
+};
+
+// New IDs for a session's transactions. Transactions recorded in the same
+// millisecond shared an ID, so every one recorded gets its own: the nth with
+// an old ID takes the nth new ID made for it, and amend and void events go to
+// the last one recorded with it, as they did when they were made.
+const rekeyLedger = ({ gameLog = [], games = [], ledgerEvents }) => {
+  const newId = (oldId, occurrence) =>
+    isLegacyId(oldId) ? fromLegacyId(ID_PREFIXES.TRANSACTION, oldId, occurrence) : oldId;
+  const created = {}; // { oldId: [new IDs in the order they were recorded] }
+  const latest = {};
+
+  const events = ledgerEvents && ledgerEvents.map(event => {
+    const oldId = event.transactionId;
+    if (event.kind === LEDGER_EVENT_KINDS.CREATE) {
+      const id = newId(oldId, (created[oldId] || []).length);
+      created[oldId] = [...(created[oldId] || []), id];
+      latest[oldId] = id;
+      return { ...event, transactionId: id, transaction: { ...event.transaction, id } };
+    }
+    return { ...event, transactionId: latest[oldId] || oldId };
+  });
+
+  const seen = {};
+  const inGame = {}; // { 'gameId oldId': [new IDs in log order] }
+  const last = { ...latest };
+  const log = gameLog.map(transaction => {
+    const oldId = transaction.id;
+    const index = seen[oldId] || 0;
+    seen[oldId] = index + 1;
+    const id = (created[oldId] || [])[index] || newId(oldId, index);
+    const key = `${transaction.gameId} ${oldId}`;
+    inGame[key] = [...(inGame[key] || []), id];
+    last[oldId] = id;
+    return { ...transaction, id };
+  });
+
+  const rekeyedGames = games.map(game => {
+    const used = {};
+    return {
+      ...game,
+      transactions: (game.transactions || []).map(transaction => {
+        const key = `${game.id} ${transaction.id}`;
+        const index = used[key] || 0;
+        used[key] = index + 1;
+        return { ...transaction, id: (inGame[key] || [])[index] || last[transaction.id] || transaction.id };
+      }),
+      ...(game.knockouts ? {
+        knockouts: game.knockouts.map(knockout => ({
+          ...knockout,
+          transactionId: knockout.transactionId ? last[knockout.transactionId] || knockout.transactionId : null,
+        })),
+      } : {}),
+    };
+  });
+
+  return { gameLog: log, games: rekeyedGames, ...(events ? { ledgerEvents: events } : {}) };
+};
+
+// An ID, or one of the keys built from IDs, with the new IDs swapped in
+const replaceIdString = (value, ids) => {
+  if (ids.has(value)) return ids.get(value);
+
+  const settlementId = value.match(/^(\d+)-(\d+)$/);
+  if (settlementId && ids.has(settlementId[1])) {
+    return getSettlementId(ids.get(settlementId[1]), settlementId[2]);
+  }
+  const obligationKey = value.match(/^session:(\d+):(\d+)$/);
+  if (obligationKey && ids.has(obligationKey[1])) {
+    return getSessionObligationKey(ids.get(obligationKey[1]), obligationKey[2]);
+  }
+  const playerIds = value.split(',');
+  if (playerIds.length > 1 && playerIds.every(id => ids.has(id))) {
+    return getPlayerGroupKey(playerIds.map(id => ids.get(id)));
+  }
+  return value;
+};
+
+// Fields holding an ID, or a key built from IDs, and fields holding a list of them.
+// Anything else - notes, labels, names - is left as it was typed
+const ID_FIELDS = new Set([
+  'id', 'playerId', 'from', 'to', 'gameId', 'sessionId', 'bankerId', 'targetId', 'lenderId',
+  'payee', 'hostId', 'winnerId', 'eliminatorId', 'eliminatedId', 'settlementId', 'obligationKey',
+]);
+const ID_LIST_FIELDS = new Set(['ids', 'playerIds', 'obligationKeys']);
+
+// Swaps new IDs in for the old ones in ID fields and lists, and in object keys,
+// which are only ever IDs or keys built from them (balances, entity tables)
+const replaceIds = (value, ids, field = null) => {
+  if (Array.isArray(value)) {
+    return value.map(item => typeof item === 'string'
+      ? (ID_LIST_FIELDS.has(field) ? replaceIdString(item, ids) : item)
+      : replaceIds(item, ids));
+  }
+  if (value && typeof value === 'object') {
+    const replaced = {};
+    Object.entries(value).forEach(([key, item]) => {
+      replaced[replaceIdString(key, ids)] = replaceIds(item, ids, key);
+    });
+    return replaced;
+  }
+  return typeof value === 'string' && ID_FIELDS.has(field) ? replaceIdString(value, ids) : value;
+};
+
+/**
+ * Gives players, sessions, games and transactions IDs that can't collide (see
+ * utils/ids), keeping every reference between them. IDs already in the new
+ * form are left alone, so this is safe to apply more than once. The new IDs
+ * come from the old ones, so copies kept outside the store get the same ones,
+ * see rekeyStoredData.
+ *
+ * @param {Object} state - Whole persisted root state
+ * @returns {Object} - State with new IDs
+ */
+export const rekeyPersistedState = (state) => {
+  const { _persist, ...persisted } = state;
+  const settlements = persisted.settlements;
+
+  // Transactions first: their old IDs can be shared, so they're re-keyed record by record
+  const current = rekeyLedger(settlements);
+  const history = (settlements.history || []).map(session => ({ ...session, ...rekeyLedger(session) }));
+
+  const ids = new Map();
+  const addId = (id, prefix) => {
+    if (isLegacyId(id) && !ids.has(id)) ids.set(id, fromLegacyId(prefix, id));
+  };
+  ((persisted.players && persisted.players.players) || []).forEach(player => addId(player.id, ID_PREFIXES.PLAYER));
+  // Players since deleted are still in the sessions they played
+  history.forEach(session => {
+    Object.keys(session.balances || {}).forEach(playerId => addId(playerId, ID_PREFIXES.PLAYER));
+    (session.settlements || []).forEach(settlement => {
+      addId(settlement.from, ID_PREFIXES.PLAYER);
+      addId(settlement.to, ID_PREFIXES.PLAYER);
+    });
+  });
+  addId(settlements.sessionId, ID_PREFIXES.SESSION);
+  (settlements.games || []).forEach(game => addId(game.id, ID_PREFIXES.GAME));
+  history.forEach(session => {
+    addId(session.id, ID_PREFIXES.SESSION);
+    (session.games || []).forEach(game => addId(game.id, ID_PREFIXES.GAME));
+  });
+
+  return {
+    ...replaceIds({
+      ...persisted,
+      settlements: {
+        ...settlements,
+        ...current,
+        history,
+        // Undo snapshots hold the old IDs
+        ledgerHistory: { past: [], future: [] },
+      },
+    }, ids),
+    ...(_persist ? { _persist } : {}),
+  };
+};
+
+/**
+ * Re-keys data kept outside the persisted store - the player and history
+ * copies in AsyncStorage (see api/storage), imports and backups - the way
+ * rekeyPersistedState re-keys the store, so both keep pointing at the same
+ * players, sessions and games. Safe to apply to data already re-keyed.
+ *
+ * @param {Object} data - { players, history, debtPayments, nettings }, any of them
+ * @returns {Object} - The same data with new IDs
+ */
+export const rekeyStoredData = ({ players, history, debtPayments, nettings }) => {
+  const rekeyed = rekeyPersistedState({
+    players: { players: players || [] },
+    settlements: {
+      history: history || [],
+      debtPayments: debtPayments || [],
+      nettings: nettings || [],
+    },
+  });
+  return {
+    ...(players ? { players: rekeyed.players.players } : {}),
+    ...(history ? { history: rekeyed.settlements.history } : {}),
+    ...(debtPayments ? { debtPayments: rekeyed.settlements.debtPayments } : {}),
+    ...(nettings ? { nettings: rekeyed.settlements.nettings } : {}),
+  };
+};
+
+// Settlement state with the ledger's undo history cleared, in the session in play
+// and in every open one, for when the history's shape changes
+const withoutLedgerHistory = (settlements) => {
+  const openSessions = settlements.openSessions || { ids: [], entities: {} };
+  return {
+    ...settlements,
+    ledgerHistory: { past: [], future: [] },
+    openSessions: {
+      ...openSessions,
+      entities: Object.fromEntries(Object.entries(openSessions.entities).map(([id, session]) =>
+        [id, { ...session, ledgerHistory: { past: [], future: [] } }]
+      )),
+    },
+  };
+};
+
+// Records as an entity table, the shape createEntityAdapter keeps them in
+const toEntityState = (records = []) => ({
+  ids: records.map(record => record.id),
+  entities: Object.fromEntries(records.map(record => [record.id, record])),
+});
+
+/**
+ * Splits the settlement state into games, transactions and sessions tables
+ * (see store/selectors). Balances and stacks are worked out from the tables
+ * from then on, so what was kept of them is turned into the manual balances
+ * and stack adjustments that keep them the same.
+ *
+ * @param {Object} settlements - Persisted settlement state
+ * @returns {Object} - Normalized settlement state
+ */
+export const normalizeSettlementState = (settlements) => {
+  const { gameLog = [], games = [], history = [], balances = {}, ...rest } = settlements;
+  const currency = settlements.currency || DEFAULT_CURRENCY;
+  const exchangeRates = settlements.exchangeRates || {};
+  const gameCurrencies = Object.fromEntries(games.map(game => [game.id, game.currency]));
+
+  // Transactions recorded before they all carried a currency were in their game's
+  const ledgerEvents = (settlements.ledgerEvents || eventsFromTransactions(gameLog)).map(event =>
+    event.kind !== LEDGER_EVENT_KINDS.CREATE || event.transaction.currency ? event : {
+      ...event,
+      transaction: { ...event.transaction, currency: gameCurrencies[event.transaction.gameId] || currency },
+    }
+  );
+  const transactions = replayLedgerEvents(ledgerEvents);
+  const valued = valueTransactions(transactions, currency, exchangeRates);
+
+  const ledgerBalances = getTransactionBalances(valued);
+  const manualBalances = {};
+  Object.keys({ ...balances, ...ledgerBalances }).forEach(playerId => {
+    const manual = (balances[playerId] || 0) - (ledgerBalances[playerId] || 0);
+    if (manual !== 0 || playerId in balances) manualBalances[playerId] = manual;
+  });
+
+  const gameEntities = games.map(({ transactions: gameTransactions, ...game }) => {
+    const stacks = getTransactionStacks(game, valued.filter(t => t.gameId === game.id), currency, exchangeRates);
+    return {
+      ...game,
+      players: (game.players || []).map(({ currentStack, ...player }) => {
+        const stackAdjustment = currentStack === undefined ? 0 : getStackAdjustment(currentStack, player, stacks);
+        return stackAdjustment !== 0 ? { ...player, stackAdjustment } : player;
+      }),
+    };
+  });
+
+  return {
+    ...rest,
+    manualBalances,
+    ledgerEvents,
+    transactions: toEntityState(transactions),
+    games: toEntityState(gameEntities),
+    sessions: toEntityState(history),
+    // Undo snapshots hold the old shape
+    ledgerHistory: { past: [], future: [] },
+  };
+};
+
+export const migrations = {
+  // v2: amounts move from float dollars to integer cents
+  2: (state) => {
+    if (!state || !state.settlements) return state;
+
+    const settlements = state.settlements;
+    const currency = settlements.currency || DEFAULT_CURRENCY;
+
+    return {
+      ...state,
+      settlements: {
+        ...settlements,
+        currency,
+        balances: mapToMinorUnits(settlements.balances, currency),
+        settlements: convertAmounts(settlements.settlements, currency),
+        games: (settlements.games || []).map(game => convertGame(game, currency)),
+        gameLog: convertAmounts(settlements.gameLog, currency),
+        history: migrateHistoryToMinorUnits(settlements.history),
+      },
+    };
+  },
+
+  // v3: settlement rules saved per player group
+  3: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        constraintSets: state.settlements.constraintSets || {},
+      },
+    };
+  },
+
+  // v4: settlements can be routed through a banker
+  4: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        settlementMode: state.settlements.settlementMode || SETTLEMENT_MODES.MINIMAL,
+        bankerId: state.settlements.bankerId || null,
+      },
+    };
+  },
+
+  // v5: payments and nettings against debts carried across sessions
+  5: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        debtPayments: state.settlements.debtPayments || [],
+        nettings: state.settlements.nettings || [],
+      },
+    };
+  },
+
+  // v6: history settlements get IDs, statuses and payments
+  6: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        history: (state.settlements.history || []).map(normalizeSessionSettlements),
+      },
+    };
+  },
+
+  // v7: rake, fees and tips taken before settling
+  7: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        deductions: state.settlements.deductions || [],
+      },
+    };
+  },
+
+  // v8: record of how unbalanced entries were brought to zero
+  8: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        balanceAdjustments: state.settlements.balanceAdjustments || [],
+      },
+    };
+  },
+
+  // v9: manually entered exchange rates into the settlement currency
+  9: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        exchangeRates: state.settlements.exchangeRates || {},
+      },
+    };
+  },
+
+  // v10: cash rounding of settlements and per-player rounding carry-over
+  10: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        settlementRounding: state.settlements.settlementRounding || null,
+        rounding: state.settlements.rounding || null,
+        roundingCarryOver: state.settlements.roundingCarryOver || {},
+      },
+    };
+  },
+
+  // v11: undo/redo history for the game ledger
+  11: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        ledgerHistory: state.settlements.ledgerHistory || { past: [], future: [] },
+      },
+    };
+  },
+
+  // v12: ledger stored as an event stream; undo snapshots from before it can't be restored
+  12: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        ledgerEvents: state.settlements.ledgerEvents || eventsFromTransactions(state.settlements.gameLog),
+        ledgerHistory: { past: [], future: [] },
+      },
+    };
+  },
+
+  // v13: IDs that can't collide, re-keyed without losing references - see utils/ids
+  13: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return rekeyPersistedState(state);
+  },
+
+  // v14: players, games, transactions and sessions kept in entity tables - see store/selectors
+  14: (state) => {
+    if (!state || !state.settlements) return state;
+
+    const players = state.players || {};
+    return {
+      ...state,
+      players: Array.isArray(players.players) ? {
+        ...toEntityState(players.players),
+        loading: false,
+        error: null,
+      } : players,
+      settlements: Array.isArray(state.settlements.games)
+        ? normalizeSettlementState(state.settlements)
+        : state.settlements,
+    };
+  },
+
+  // v15: several sessions can be open at once; the one in play dates from its first game
+  15: (state) => {
+    if (!state || !state.settlements) return state;
+
+    const games = Object.values((state.settlements.games && state.settlements.games.entities) || {});
+    const startTimes = games.map(game => game.startTime).filter(Boolean).sort();
+    return {
+      ...state,
+      settlements: {
+        ...state.settlements,
+        sessionStartedAt: state.settlements.sessionStartedAt ||
+          (state.settlements.sessionId ? startTimes[0] || null : null),
+        openSessions: state.settlements.openSessions || { ids: [], entities: {} },
+      },
+    };
+  },
+
+  // v16: undo adds events reversing a change instead of replacing the event stream;
+  // undo snapshots holding the whole stream can't be restored that way
+  16: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return { ...state, settlements: withoutLedgerHistory(state.settlements) };
+  },
+
+  // v17: undo history keeps only what each change altered rather than a copy of the ledger
+  17: (state) => {
+    if (!state || !state.settlements) return state;
+
+    return { ...state, settlements: withoutLedgerHistory(state.settlements) };
+  },
+};
+
+export default migrations;
@@ -1,47 +1,43 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createEntityAdapter } from '@reduxjs/toolkit';
+import { ID_PREFIXES, createId } from '../utils/ids';
 
-const initialState = {
-  players: [],
+// Players by ID; screens read them through store/selectors
+export const playersAdapter = createEntityAdapter();
+
+const initialState = playersAdapter.getInitialState({
   loading: false,
   error: null,
-};
+});
 
 export const playerSlice = createSlice({
   name: 'players',
-  initialState: {
-    players: [],
-    loading: false,
-    error: null,
-  },
+  initialState,
   reducers: {
     addPlayer: (state, action) => {
-      state.players.push({
-        id: Date.now().toString(),
+      playersAdapter.addOne(state, {
+        id: createId(ID_PREFIXES.PLAYER),
         name: action.payload.name,
         createdAt: new Date().toISOString(),
       });
     },
     updatePlayer: (state, action) => {
       const { id, name } = action.payload;
-      const playerIndex = state.players.findIndex(player => player.id === id);
-      if (playerIndex !== -1) {
-        state.players[playerIndex].name = name;
-      }
+      playersAdapter.updateOne(state, { id, changes: { name } });
     },
     // Add new reducers for buy-in tracking
     recordBuyIn: (state, action) => {
       const { playerId, amount, timestamp, sessionId } = action.payload;
-      const playerIndex = state.players.findIndex(player => player.id === playerId);
+      const player = state.entities[playerId];
       
-      if (playerIndex !== -1) {
+      if (player) {
         // Initialize buyIns array if it doesn't exist
-        if (!state.players[playerIndex].buyIns) {
-          state.players[playerIndex].buyIns = [];
+        if (!player.buyIns) {
+          player.buyIns = [];
         }
         
         // Add the buy-in record
-        state.players[playerIndex].buyIns.push({
-          id: Date.now().toString(),
+        player.buyIns.push({
+          id: createId(ID_PREFIXES.BUY_IN),
           amount,
           timestamp: timestamp || new Date().toISOString(),
           sessionId
@@ -50,19 +46,17 @@ export const playerSlice = createSlice({
     },
     deleteBuyIn: (state, action) => {
       const { playerId, buyInId } = action.payload;
-      const playerIndex = state.players.findIndex(player => player.id === playerId);
+      const player = state.entities[playerId];
       
-      if (playerIndex !== -1 && state.players[playerIndex].buyIns) {
-        state.players[playerIndex].buyIns = state.players[playerIndex].buyIns.filter(
-          buyIn => buyIn.id !== buyInId
-        );
+      if (player && player.buyIns) {
+        player.buyIns = player.buyIns.filter(buyIn => buyIn.id !== buyInId);
       }
     },
     deletePlayer: (state, action) => {
-      state.players = state.players.filter(player => player.id !== action.payload);
+      playersAdapter.removeOne(state, action.payload);
     },
     setPlayers: (state, action) => {
-      state.players = action.payload;
+      playersAdapter.setAll(state, action.payload);
     },
     setLoading: (state, action) => {
       state.loading = action.payload;
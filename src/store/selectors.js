@@ -0,0 +1,172 @@
+import { createSelector } from '@reduxjs/toolkit';
+import { playersAdapter } from './playerSlice';
+import { gamesAdapter, openSessionsAdapter, sessionsAdapter, transactionsAdapter } from './settlementSlice';
+import { buildGameView, combineBalances, getTransactionBalances, valueTransactions } from '../utils/ledgerViews';
+import { getGameSummary, getPlayerStats } from '../utils/gameStats';
+import { checkLedgerIntegrity } from '../utils/ledgerIntegrity';
+
+/**
+ * Store Selectors
+ *
+ * Players, games, transactions and completed sessions are stored once each, in
+ * entity tables. What screens show - valued transactions, balances, stacks,
+ * per-game stats - is worked out from the tables here and memoized, so it's
+ * only recomputed when the tables it comes from change.
+ */
+
+const playerTable = playersAdapter.getSelectors(state => state.players);
+const gameTable = gamesAdapter.getSelectors(state => state.settlements.games);
+const transactionTable = transactionsAdapter.getSelectors(state => state.settlements.transactions);
+const sessionTable = sessionsAdapter.getSelectors(state => state.settlements.sessions);
+const openSessionTable = openSessionsAdapter.getSelectors(state => state.settlements.openSessions);
+const sessionGameTable = gamesAdapter.getSelectors();
+
+const selectCurrency = state => state.settlements.currency;
+const selectExchangeRates = state => state.settlements.exchangeRates;
+const selectManualBalances = state => state.settlements.manualBalances;
+const selectLedgerEvents = state => state.settlements.ledgerEvents;
+
+export const selectAllPlayers = playerTable.selectAll;
+export const selectPlayerById = playerTable.selectById;
+
+// Completed sessions, oldest first
+export const selectSessions = sessionTable.selectAll;
+export const selectSessionById = sessionTable.selectById;
+
+// The session's transactions with what each is worth in the settlement currency
+export const selectGameLog = createSelector(
+  [transactionTable.selectAll, selectCurrency, selectExchangeRates],
+  (transactions, currency, exchangeRates) => valueTransactions(transactions, currency, exchangeRates)
+);
+
+// { playerId: balance }, from manual balances and the transactions
+export const selectBalances = createSelector(
+  [selectManualBalances, selectGameLog],
+  (manualBalances, gameLog) => combineBalances(manualBalances, getTransactionBalances(gameLog))
+);
+
+// The session's games with their transactions and each player's current stack
+export const selectGames = createSelector(
+  [gameTable.selectAll, selectGameLog, selectCurrency, selectExchangeRates],
+  (games, gameLog, currency, exchangeRates) =>
+    games.map(game => buildGameView(game, gameLog, currency, exchangeRates))
+);
+
+export const selectGameById = createSelector(
+  [selectGames, (state, gameId) => gameId],
+  (games, gameId) => games.find(game => game.id === gameId) || null
+);
+
+/**
+ * One game's ledger, from the session in play or, failing that (or when
+ * isHistorical), from a completed session. Without a gameId it's the
+ * session's transactions outside any game.
+ *
+ * @returns {Object} - { game, transactions, currency, exchangeRates, events, isCompleted }
+ */
+export const selectGameLedger = createSelector(
+  [
+    selectGames,
+    selectGameLog,
+    selectSessions,
+    selectCurrency,
+    selectExchangeRates,
+    selectLedgerEvents,
+    (state, gameId) => gameId,
+    (state, gameId, isHistorical) => !!isHistorical,
+  ],
+  (games, gameLog, sessions, currency, exchangeRates, events, gameId, isHistorical) => {
+    const game = gameId && !isHistorical ? games.find(g => g.id === gameId) : null;
+
+    if (gameId && !game) {
+      for (const session of sessions) {
+        const histGame = (session.games || []).find(g => g.id === gameId);
+        if (histGame) {
+          return {
+            game: histGame,
+            transactions: (session.gameLog || []).filter(t => t.gameId === gameId),
+            currency: session.currency || currency,
+            exchangeRates: session.exchangeRates || {},
+            events: session.ledgerEvents || [],
+            isCompleted: true,
+          };
+        }
+      }
+    }
+
+    return {
+      game: game || null,
+      transactions: gameLog.filter(t => gameId ? t.gameId === gameId : !t.gameId),
+      currency,
+      exchangeRates: exchangeRates || {},
+      events: events || [],
+      isCompleted: !!(game && game.endTime),
+    };
+  }
+);
+
+// { playerId: { buyIns, buyInCount, cashOuts, cashOutCount, net } } for a game - see utils/gameStats
+export const selectGamePlayerStats = createSelector(
+  [selectGameLedger],
+  ({ game, transactions }) => getPlayerStats(game, transactions)
+);
+
+// Totals for a game - see utils/gameStats
+export const selectGameSummary = createSelector(
+  [selectGameLedger],
+  ({ game, transactions, currency }) => getGameSummary(game, transactions, currency)
+);
+
+// What a session switcher shows about a session in play
+const summarizeOpenSession = (session, isActive, completedSessions) => {
+  const games = sessionGameTable.selectAll(session.games || gamesAdapter.getInitialState());
+  const playerIds = new Set([
+    ...games.flatMap(game => (game.players || []).map(player => player.playerId)),
+    ...Object.keys(session.manualBalances || {}),
+  ]);
+  const gameNames = games.map(game => game.name);
+  return {
+    id: session.sessionId,
+    label: gameNames.length > 0
+      ? gameNames.join(' + ')
+      : playerIds.size > 0 ? 'Balances entered by hand' : 'New session',
+    isActive,
+    isReopened: !!completedSessions.entities[session.sessionId],
+    startedAt: session.sessionStartedAt || null,
+    currency: session.currency,
+    gameNames,
+    gameCount: games.length,
+    runningGameCount: games.filter(game => !game.endTime).length,
+    playerCount: playerIds.size,
+  };
+};
+
+/**
+ * Every session in play, the active one first, then the ones parked in
+ * openSessions in the order they were parked
+ *
+ * @returns {Array} - [{ id, label, isActive, isReopened, startedAt, currency, gameNames, gameCount, runningGameCount, playerCount }]
+ */
+export const selectOpenSessions = createSelector(
+  [
+    state => state.settlements.sessionId,
+    state => state.settlements.sessionStartedAt,
+    selectCurrency,
+    state => state.settlements.games,
+    selectManualBalances,
+    openSessionTable.selectAll,
+    state => state.settlements.sessions,
+  ],
+  (sessionId, sessionStartedAt, currency, games, manualBalances, parked, completedSessions) => [
+    ...(sessionId
+      ? [summarizeOpenSession({ sessionId, sessionStartedAt, currency, games, manualBalances }, true, completedSessions)]
+      : []),
+    ...parked.map(session => summarizeOpenSession(session, false, completedSessions)),
+  ]
+);
+
+// Anything in the stored ledger that has drifted - see utils/ledgerIntegrity
+export const selectLedgerIssues = createSelector(
+  [state => state.settlements],
+  settlements => checkLedgerIntegrity(settlements)
+);
@@ -1,12 +1,350 @@
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createEntityAdapter, current, isDraft } from '@reduxjs/toolkit';
+import { ID_PREFIXES, createId } from '../utils/ids';
+import { DEFAULT_CURRENCY } from '../utils/money';
+import { convertMoney } from '../utils/exchangeRates';
+import { SETTLEMENT_MODES } from '../utils/settlementCalculator';
+import { HOUSE_ID, applyDeductions } from '../utils/deductions';
+import { adjustCarryOver, getCarryOverContribution } from '../utils/cashRounding';
+import {
+  ENTRY_TYPES,
+  GAME_TYPES,
+  calculateTournamentResults,
+  createTournament,
+  formatPosition,
+  isTournament
+} from '../utils/tournaments';
+import { getAmountInPlay, getChipSet, resolveChipCounts } from '../utils/chips';
+import { calculateKnockout } from '../utils/knockouts';
+import { getPlayerTableTotals, planTableFixUp } from '../utils/cashOuts';
+import {
+  amendTransactionEvent,
+  LEDGER_EVENT_KINDS,
+  createTransactionEvent,
+  invertLedgerEvent,
+  voidTransactionEvent
+} from '../utils/ledgerEvents';
+import {
+  EMPTY_LEDGER_HISTORY,
+  LEDGER_FIELDS,
+  applyLedgerChanges,
+  canRedo,
+  canUndo,
+  diffLedger,
+  pushLedgerChange
+} from '../utils/ledgerHistory';
+import {
+  buildGameView,
+  combineBalances,
+  getManualBalance,
+  getTransactionBalances,
+  getStackAdjustment,
+  getTransactionStacks,
+  valueTransactions
+} from '../utils/ledgerViews';
+import { repairLedgerState } from '../utils/ledgerIntegrity';
+import { getSeatings, isSeated } from '../utils/seating';
+import {
+  amendSession,
+  carryOverPayments,
+  isSettledAgainst,
+  restoreSessionState,
+  settleAmendment
+} from '../utils/sessionVersions';
+import {
+  SETTLEMENT_STATUS,
+  normalizeSettlement,
+  normalizeSessionSettlements,
+  getAmountPaid
+} from '../utils/settlementPayments';
+
+// Entity tables for games, transactions and completed sessions; screens read
+// them through store/selectors
+export const gamesAdapter = createEntityAdapter();
+export const transactionsAdapter = createEntityAdapter();
+export const sessionsAdapter = createEntityAdapter();
+
+// Sessions still in play other than the active one, parked until switched to
+export const openSessionsAdapter = createEntityAdapter();
+
+const gameTable = gamesAdapter.getSelectors();
+const transactionTable = transactionsAdapter.getSelectors();
+
+// All amounts in this slice are integer minor units (cents) - see utils/money
+const asMinorUnits = (amount) => Math.round(Number(amount)) || 0;
+
+// A transaction's amount in its game's currency, for tracking stacks
+const toGameCurrency = (state, game, amount, currency) =>
+  convertMoney(amount, currency, game.currency, state.currency, state.exchangeRates) || 0;
+
+// The session's transactions with what each is worth in the settlement currency
+const getGameLog = (state) =>
+  valueTransactions(transactionTable.selectAll(state.transactions), state.currency, state.exchangeRates);
+
+// One game's transactions, see getGameLog
+const getGameTransactions = (state, gameId) =>
+  getGameLog(state).filter(transaction => transaction.gameId === gameId);
+
+// What the transactions add to each balance
+const getLedgerBalances = (state) => getTransactionBalances(getGameLog(state));
+
+// LEDGER_FIELDS as plain values. Immer hands back what it started from for anything
+// left alone, so this costs nothing before a change and only copies what it touched after
+const getLedgerFields = (state) => Object.fromEntries(LEDGER_FIELDS.map(field =>
+  [field, isDraft(state[field]) ? current(state[field]) : state[field]]
+));
+
+// Wraps a reducer so whatever it changes in the ledger can be undone - see utils/ledgerHistory.
+// `label` names the change, or works it out from the action's payload
+const undoable = (label, reducer) => (state, action) => {
+  const before = getLedgerFields(state);
+  const eventCount = (state.ledgerEvents || []).length;
+  reducer(state, action);
+  const events = (state.ledgerEvents || []).slice(eventCount);
+  const changes = diffLedger(before, getLedgerFields(state));
+  if (events.length === 0 && Object.keys(changes).length === 0) return;
+
+  const description = typeof label === 'function' ? label(action.payload || {}) : label;
+  state.ledgerHistory = pushLedgerChange(state.ledgerHistory, description, events, changes);
+};
+
+// Undo label for recordTransaction
+const describeRecordedTransaction = ({ type, knockout, lenderId }) => {
+  if (knockout) return 'Record knockout';
+  if (lenderId) return 'Record loan';
+  return type === 'cash-out' ? 'Record cash-out' : 'Record buy-in';
+};
+
+// Deduction fields holding money rather than percentages or hours
+const DEDUCTION_MONEY_FIELDS = ['amount', 'rate', 'cap'];
+
+// Appends an event to the ledger and applies it to the transactions table, the way
+// replayLedgerEvents would - see utils/ledgerEvents
+const recordLedgerEvent = (state, event) => {
+  if (!event) return;
+  if (!state.ledgerEvents) {
+    state.ledgerEvents = [];
+  }
+  state.ledgerEvents.push(event);
+
+  const { kind, transactionId } = event;
+  if (kind === LEDGER_EVENT_KINDS.CREATE || kind === LEDGER_EVENT_KINDS.RESTORE) {
+    transactionsAdapter.setOne(state.transactions, { ...event.transaction });
+  } else if (kind === LEDGER_EVENT_KINDS.AMEND && state.transactions.entities[transactionId]) {
+    transactionsAdapter.updateOne(state.transactions, { id: transactionId, changes: event.changes });
+  } else if (kind === LEDGER_EVENT_KINDS.VOID) {
+    transactionsAdapter.removeOne(state.transactions, transactionId);
+  }
+};
+
+// Takes back a change from the ledger history: adds the events reversing its
+// events, newest first, and puts back the rest of what it changed. Returns the
+// change as it would have to be taken back in turn, for the other stack
+const reverseLedgerChange = (state, change, reason) => {
+  const replaced = getLedgerFields(state);
+  const events = [];
+  [...(change.events || [])].reverse().forEach(event => {
+    const inverse = invertLedgerEvent(state.ledgerEvents, event, reason);
+    recordLedgerEvent(state, inverse);
+    if (inverse) events.push(inverse);
+  });
+  const restored = applyLedgerChanges(replaced, change.changes || {});
+  Object.assign(state, restored);
+  return { ...change, events, changes: diffLedger(replaced, { ...replaced, ...restored }) };
+};
+
+// Records a buy-in or cash-out; stacks and balances follow from it
+const addTransaction = (state, { id = createId(ID_PREFIXES.TRANSACTION), type, playerId, gameId, amount, currency, description, entryType, lenderId, carryForward, timestamp }) => {
+  const game = gameId ? state.games.entities[gameId] : null;
+
+  recordLedgerEvent(state, createTransactionEvent({
+    id,
+    type, // 'buy-in' or 'cash-out'
+    playerId,
+    amount, // In the transaction's own currency
+    currency: currency || (game && game.currency) || state.currency,
+    timestamp: timestamp || new Date().toISOString(),
+    gameId,
+    description,
+    ...(entryType ? { entryType } : {}), // Tournament entry or prize - see utils/tournaments
+    ...(lenderId ? { lenderId, carryForward: !!carryForward } : {}), // Buy-in another player paid for - see utils/loans
+  }));
+};
+
+// Changes fields of a transaction (see AMENDABLE_FIELDS), keeping what they were
+const amendTransaction = (state, transactionId, changes, reason) => {
+  const transaction = state.transactions.entities[transactionId];
+  if (!transaction) return;
+
+  recordLedgerEvent(state, amendTransactionEvent(transaction, changes, reason));
+};
+
+// Voids a transaction, taking it out of stacks and balances
+const removeTransaction = (state, transactionId, reason = null) => {
+  const transaction = state.transactions.entities[transactionId];
+  if (!transaction) return;
+
+  // A bounty going means the knockout it paid for goes too
+  const game = transaction.gameId ? state.games.entities[transaction.gameId] : null;
+  if (game && game.knockouts) {
+    game.knockouts = game.knockouts.filter(knockout => knockout.transactionId !== transactionId);
+  }
+
+  recordLedgerEvent(state, voidTransactionEvent(transactionId, reason));
+};
+
+// Takes balances entered by hand for a game (see updateGameBalances) back off the
+// session's, for the given players
+const removeGameBalances = (state, game, playerIds) => {
+  if (!game.balances) return;
+  playerIds.forEach(playerId => {
+    const amount = game.balances[playerId];
+    if (amount === undefined) return;
+    state.manualBalances[playerId] = (state.manualBalances[playerId] || 0) - amount;
+    delete game.balances[playerId];
+  });
+};
+
+// Whether a tournament's results have been paid out, so changes to its bounties must re-pay them
+const isPaidOut = (game) => isTournament(game) && game.tournament.paidPlaces > 0;
+
+// Replaces a tournament's payout cash-outs with what its recorded results pay,
+// and ends it; results that aren't complete yet leave nothing paid out
+const payOutTournament = (state, game) => {
+  getGameTransactions(state, game.id)
+    .filter(transaction => transaction.entryType === ENTRY_TYPES.PAYOUT)
+    .map(transaction => transaction.id)
+    .forEach(transactionId => removeTransaction(state, transactionId));
+
+  const results = calculateTournamentResults(game, getGameLog(state));
+  if (results.problems.length > 0) return;
+
+  Object.entries(results.winnings).forEach(([playerId, winnings]) => {
+    if (winnings.total <= 0) return;
+    const parts = [];
+    if (winnings.deal) parts.push('deal');
+    else if (winnings.prize > 0) parts.push(`${formatPosition(winnings.position)} place`);
+    if (winnings.bounties > 0) parts.push('bounties');
+    addTransaction(state, {
+      type: 'cash-out',
+      playerId,
+      gameId: game.id,
+      amount: winnings.total,
+      currency: game.currency,
+      description: `Tournament ${parts.join(' and ')}`,
+      entryType: ENTRY_TYPES.PAYOUT,
+    });
+  });
+
+  const { deal } = game.tournament;
+  game.tournament.paidPlaces = Math.max(results.payouts.length, deal ? deal.playerIds.length : 0);
+  game.endTime = game.endTime || new Date().toISOString();
+};
+
+// Empties everything belonging to the session in play
+const clearSession = (state) => {
+  state.manualBalances = {};
+  state.settlements = [];
+  state.settlementMode = SETTLEMENT_MODES.MINIMAL;
+  state.bankerId = null;
+  state.rounding = null;
+  state.deductions = [];
+  state.balanceAdjustments = [];
+  state.exchangeRates = {};
+  state.ledgerEvents = [];
+  state.transactions = transactionsAdapter.getInitialState();
+  state.games = gamesAdapter.getInitialState();
+  state.ledgerHistory = EMPTY_LEDGER_HISTORY;
+  state.sessionStartedAt = null;
+};
+
+// What belongs to one session in play. The active session's fields sit at the
+// top of the state; the others are kept whole in openSessions
+const SESSION_FIELDS = [
+  'sessionId',
+  'sessionStartedAt',
+  'currency',
+  'exchangeRates',
+  'manualBalances',
+  'settlements',
+  'settlementMode',
+  'bankerId',
+  'rounding',
+  'deductions',
+  'balanceAdjustments',
+  'ledgerEvents',
+  'transactions',
+  'games',
+  'ledgerHistory'
+];
+
+// Whether clearing the active session would lose anything entered in it
+const hasSessionData = (state) =>
+  state.games.ids.length > 0 ||
+  (state.ledgerEvents || []).length > 0 ||
+  Object.keys(state.manualBalances || {}).length > 0;
+
+// Moves the active session into openSessions, leaving none active. A session
+// with nothing entered in it is simply dropped
+const parkActiveSession = (state) => {
+  if (state.sessionId && hasSessionData(state)) {
+    const parked = JSON.parse(JSON.stringify(
+      Object.fromEntries(SESSION_FIELDS.map(field => [field, state[field]]))
+    ));
+    openSessionsAdapter.setOne(state.openSessions, { id: state.sessionId, ...parked });
+  }
+  state.sessionId = null;
+  clearSession(state);
+};
+
+// Makes the given session fields the session in play
+const loadSession = (state, fields) => {
+  SESSION_FIELDS.forEach(field => {
+    if (field in fields) state[field] = fields[field];
+  });
+};
+
+// Adds what a completed session's rounding carries over to the running totals
+// for its currency, or takes it back out (sign -1) while the session is reopened
+const shiftCarryOver = (state, session, sign) => {
+  const contribution = getCarryOverContribution(session.rounding);
+  if (Object.keys(contribution).length === 0) return;
+
+  const currency = session.currency || DEFAULT_CURRENCY;
+  if (!state.roundingCarryOver) {
+    state.roundingCarryOver = {};
+  }
+  state.roundingCarryOver[currency] = adjustCarryOver(state.roundingCarryOver[currency], contribution, sign);
+};
+
+// A reopened session that is given up on goes back to counting as it did in history
+const abandonReopenedSession = (state, sessionId) => {
+  const session = state.sessions.entities[sessionId];
+  if (session) shiftCarryOver(state, current(session), 1);
+};
 
 const initialState = {
   sessionId: null,
-  balances: {},  // { playerId: amount }
+  sessionStartedAt: null, // When the session in play was started
+  currency: DEFAULT_CURRENCY, // Currency the session settles in
+  exchangeRates: {}, // { currency: value of one unit in the settlement currency } - see utils/exchangeRates
+  manualBalances: {}, // { playerId: amount entered by hand }; balances add the transactions - see utils/ledgerViews
   settlements: [], // [{ from: playerId, to: playerId, amount: number }]
-  history: [],  // Past sessions with their settlements
-  gameLog: [], // New field for transaction log during a game
-  games: [], // Individual games within a session
+  settlementMode: SETTLEMENT_MODES.MINIMAL, // How the current settlements were routed
+  bankerId: null, // Player holding the cash box in banker mode
+  settlementRounding: null, // { unit, remainderTo, targetId } cash rounding for transfers, kept between sessions
+  rounding: null, // How the current settlements were rounded - see utils/cashRounding
+  roundingCarryOver: {}, // { currency: { playerId: amount still owed from rounding } }
+  deductions: [], // Rake, fees and tips taken before settling - see utils/deductions
+  balanceAdjustments: [], // How unbalanced entries were brought to zero - see utils/balanceAdjustments
+  sessions: sessionsAdapter.getInitialState(), // Completed sessions with their settlements, games and log
+  ledgerEvents: [], // Append-only record the transactions are replayed from - see utils/ledgerEvents
+  transactions: transactionsAdapter.getInitialState(), // Buy-ins and cash-outs of the session in play
+  games: gamesAdapter.getInitialState(), // Individual games within a session
+  constraintSets: {}, // { playerGroupKey: settlement constraints } - see utils/settlementConstraints
+  debtPayments: [], // Payments against debts from completed sessions - see utils/debtLedger
+  nettings: [], // "Settle everything" runs that replaced open debts with netted transfers
+  ledgerHistory: EMPTY_LEDGER_HISTORY, // Ledger changes that can be undone and redone - see utils/ledgerHistory
+  openSessions: openSessionsAdapter.getInitialState(), // Other sessions in play, each with its own SESSION_FIELDS
   loading: false,
   error: null,
 };
@@ -15,20 +353,83 @@ export const settlementSlice = createSlice({
   name: 'settlements',
   initialState,
   reducers: {
-    startNewSession: (state) => {
-      state.sessionId = Date.now().toString();
-      state.balances = {};
-      state.settlements = [];
-      state.gameLog = [];
-      state.games = [];
+    // The session in play, if anything was entered in it, stays open alongside the new one
+    startNewSession: (state, action) => {
+      parkActiveSession(state);
+      state.sessionId = createId(ID_PREFIXES.SESSION);
+      state.sessionStartedAt = new Date().toISOString();
+      if (action && action.payload && action.payload.currency) {
+        state.currency = action.payload.currency;
+      }
     },
+    // Makes another open session the one in play, parking the current one
+    switchSession: (state, action) => {
+      const { sessionId } = action.payload;
+      const target = state.openSessions.entities[sessionId];
+      if (!target || state.sessionId === sessionId) return;
+
+      parkActiveSession(state);
+      loadSession(state, current(target));
+      openSessionsAdapter.removeOne(state.openSessions, sessionId);
+    },
+    // Brings a completed session back into play to add or fix games; it stays
+    // in history as it was until completed again - see utils/sessionVersions
+    reopenSession: (state, action) => {
+      const { sessionId } = action.payload;
+      const session = state.sessions.entities[sessionId];
+      if (!session || state.sessionId === sessionId) return;
+
+      const parked = state.openSessions.entities[sessionId];
+      parkActiveSession(state);
+      if (parked) {
+        loadSession(state, current(parked));
+        openSessionsAdapter.removeOne(state.openSessions, sessionId);
+      } else {
+        // Its rounding is carried over again when it's completed again
+        shiftCarryOver(state, current(session), -1);
+        loadSession(state, restoreSessionState(current(session)));
+      }
+    },
+    // Throws away an open session and everything entered in it
+    discardSession: (state, action) => {
+      const { sessionId } = action.payload;
+      if (state.sessionId !== sessionId && !state.openSessions.entities[sessionId]) return;
+
+      abandonReopenedSession(state, sessionId);
+      if (state.sessionId === sessionId) {
+        state.sessionId = null;
+        clearSession(state);
+      } else {
+        openSessionsAdapter.removeOne(state.openSessions, sessionId);
+      }
+    },
+    // Balances set by hand aren't ledger changes, so undoing past them would lose
+    // them; they start the undo history afresh
     updatePlayerBalance: (state, action) => {
-      const { playerId, amount } = action.payload;
-      state.balances[playerId] = (state.balances[playerId] || 0) + amount;
+      const { playerId } = action.payload;
+      state.ledgerHistory = EMPTY_LEDGER_HISTORY;
+      const amount = asMinorUnits(action.payload.amount);
+      state.manualBalances[playerId] = (state.manualBalances[playerId] || 0) + amount;
     },
     setPlayerBalance: (state, action) => {
       const { playerId, amount } = action.payload;
-      state.balances[playerId] = amount;
+      state.ledgerHistory = EMPTY_LEDGER_HISTORY;
+      state.manualBalances[playerId] = getManualBalance(asMinorUnits(amount), getLedgerBalances(state), playerId);
+    },
+    // Replaces every balance with a balanced set and records which strategy changed them
+    applyBalanceAdjustment: (state, action) => {
+      const { balances, adjustment } = action.payload;
+      state.ledgerHistory = EMPTY_LEDGER_HISTORY;
+      const ledgerBalances = getLedgerBalances(state);
+      const manualBalances = {};
+      Object.keys({ ...ledgerBalances, ...balances }).forEach(playerId => {
+        manualBalances[playerId] = getManualBalance(balances[playerId] || 0, ledgerBalances, playerId);
+      });
+      state.manualBalances = manualBalances;
+      state.balanceAdjustments = [
+        ...(state.balanceAdjustments || []),
+        { ...adjustment, date: new Date().toISOString() }
+      ];
     },
     calculateSettlements: (state) => {
       // This will be calculated based on minimizing the number of transactions
@@ -37,25 +438,113 @@ export const settlementSlice = createSlice({
     saveSettlements: (state, action) => {
       state.settlements = action.payload;
     },
+    // Rounding result of the plan last saved with saveSettlements, or null when it wasn't rounded
+    saveSettlementRounding: (state, action) => {
+      state.rounding = action.payload;
+    },
+    // Rounding unit (major units) and who takes the leftover; null turns rounding off
+    setSettlementRounding: (state, action) => {
+      state.settlementRounding = action.payload;
+    },
+    // Deductions apply to the whole session and are also kept with the game they were set up for
+    setDeductions: (state, action) => {
+      const { deductions, gameId = null } = action.payload;
+      state.deductions = deductions;
+      
+      const game = gameId ? state.games.entities[gameId] : null;
+      if (game) {
+        game.deductions = deductions;
+      }
+    },
+    setSettlementMode: (state, action) => {
+      const { mode, bankerId = null } = action.payload;
+      state.settlementMode = mode;
+      state.bankerId = mode === SETTLEMENT_MODES.BANKER ? bankerId : null;
+    },
     completeSession: (state) => {
       if (state.sessionId) {
-        state.history.push({
+        // History keeps each player's net after fees; what the house took is kept apart
+        const deductions = state.deductions || [];
+        const gameLog = getGameLog(state);
+        const balances = combineBalances(state.manualBalances, getTransactionBalances(gameLog));
+        const { balances: netBalances, charges } = applyDeductions(balances, deductions);
+        const { [HOUSE_ID]: houseTake = 0, ...playerBalances } = netBalances;
+        const currency = state.currency || DEFAULT_CURRENCY;
+        const rounding = state.rounding && state.rounding.applied ? state.rounding : null;
+        
+        // A completed session keeps its games and log as they were played
+        const completed = {
           id: state.sessionId,
           date: new Date().toISOString(),
-          balances: { ...state.balances },
-          settlements: [...state.settlements],
-          games: [...state.games],
-          gameLog: [...state.gameLog]
-        });
+          currency,
+          ...(Object.keys(state.exchangeRates || {}).length > 0 ? {
+            exchangeRates: { ...state.exchangeRates }
+          } : {}),
+          balances: playerBalances,
+          ...(deductions.length > 0 ? {
+            grossBalances: balances,
+            deductions: [...deductions],
+            feeCharges: charges,
+            houseTake
+          } : {}),
+          settlements: state.settlements.map((settlement, index) =>
+            normalizeSettlement(settlement, state.sessionId, index)
+          ),
+          ...((state.balanceAdjustments || []).length > 0 ? {
+            balanceAdjustments: [...state.balanceAdjustments]
+          } : {}),
+          ...(rounding ? { rounding } : {}),
+          settlementMode: state.settlementMode || SETTLEMENT_MODES.MINIMAL,
+          bankerId: state.bankerId || null,
+          games: gameTable.selectAll(state.games).map(game =>
+            buildGameView(game, gameLog, state.currency, state.exchangeRates)
+          ),
+          gameLog,
+          ledgerEvents: [...(state.ledgerEvents || [])]
+        };
+        
+        // A reopened session completes as a new version of its history entry,
+        // keeping the payments already made against it
+        const previous = state.sessions.entities[state.sessionId];
+        if (previous && isSettledAgainst(previous.id, state.nettings, state.debtPayments)) {
+          // Nettings and debt payments point at its settlements, which stay as they were
+          const settlements = settleAmendment(current(previous).settlements, completed.settlements)
+            .map((settlement, index) => normalizeSettlement(settlement, state.sessionId, index));
+          sessionsAdapter.setOne(state.sessions, amendSession(current(previous), { ...completed, settlements }));
+        } else if (previous) {
+          const { settlements, strayPayments } = carryOverPayments(previous.settlements, completed.settlements);
+          sessionsAdapter.setOne(state.sessions, amendSession(current(previous), { ...completed, settlements }));
+          
+          if (!state.debtPayments) {
+            state.debtPayments = [];
+          }
+          strayPayments.forEach(({ from, to, payment }) => {
+            state.debtPayments.push({
+              id: createId(ID_PREFIXES.PAYMENT),
+              date: payment.date,
+              from,
+              to,
+              amount: payment.amount,
+              currency,
+              obligationKey: null,
+              note: payment.note
+                ? `${payment.note} (paid before the session was amended)`
+                : 'Paid before the session was amended'
+            });
+          });
+        } else {
+          sessionsAdapter.addOne(state.sessions, completed);
+        }
+        
+        // Rounding that carries over is owed back in the next session in the same currency
+        shiftCarryOver(state, completed, 1);
+        
         state.sessionId = null;
-        state.balances = {};
-        state.settlements = [];
-        state.gameLog = [];
-        state.games = [];
+        clearSession(state);
       }
     },
     setHistory: (state, action) => {
-      state.history = action.payload;
+      sessionsAdapter.setAll(state.sessions, action.payload.map(normalizeSessionSettlements));
     },
     setLoading: (state, action) => {
       state.loading = action.payload;
@@ -64,288 +553,667 @@ export const settlementSlice = createSlice({
       state.error = action.payload;
     },
     resetSession: (state) => {
-      state.balances = {};
-      state.settlements = [];
+      if (state.sessionId) abandonReopenedSession(state, state.sessionId);
       state.sessionId = null;
-      state.gameLog = [];
-      state.games = [];
+      clearSession(state);
+    },
+
+    // Puts right whatever checkLedgerIntegrity finds - see utils/ledgerIntegrity.
+    // Undo snapshots may hold the drift, so the undo history starts afresh
+    repairLedgerIntegrity: (state) => {
+      Object.assign(state, repairLedgerState(current(state)));
+      state.ledgerHistory = EMPTY_LEDGER_HISTORY;
+    },
+
+    // Puts the ledger back as it was before the last change
+    undoLedgerChange: (state) => {
+      const history = state.ledgerHistory || EMPTY_LEDGER_HISTORY;
+      if (!canUndo(history)) return;
+
+      const change = history.past[history.past.length - 1];
+      const undone = reverseLedgerChange(state, change, `Undo: ${change.label}`);
+      state.ledgerHistory = {
+        past: history.past.slice(0, -1),
+        future: [...history.future, undone]
+      };
+    },
+
+    // Makes the last undone change again
+    redoLedgerChange: (state) => {
+      const history = state.ledgerHistory || EMPTY_LEDGER_HISTORY;
+      if (!canRedo(history)) return;
+
+      const change = history.future[history.future.length - 1];
+      const redone = reverseLedgerChange(state, change, `Redo: ${change.label}`);
+      state.ledgerHistory = {
+        past: [...history.past, redone],
+        future: history.future.slice(0, -1)
+      };
     },
     
     // New reducers for game management
-    startNewGame: (state, action) => {
-      const { gameName, buyIn } = action.payload;
-      const gameId = Date.now().toString();
+    startNewGame: undoable('Start game', (state, action) => {
+      const { gameName, buyIn, chipSet, currency, type = GAME_TYPES.CASH, tournament = null } = action.payload;
+      const gameId = createId(ID_PREFIXES.GAME);
       
-      state.games.push({
+      gamesAdapter.addOne(state.games, {
         id: gameId,
         sessionId: state.sessionId,
-        name: gameName || `Game ${state.games.length + 1}`,
+        name: gameName || `Game ${state.games.ids.length + 1}`,
         startTime: new Date().toISOString(),
         endTime: null,
-        buyIn: buyIn || 0,
-        players: [], // Players who joined this specific game
-        transactions: [], // In-game transactions
+        buyIn: buyIn || 0, // In the game's currency
+        currency: currency || state.currency,
+        players: [], // Players who joined this specific game; their transactions are in the transactions table
         balances: {}, // New field to store the player balances for this game specifically
+        chipSet: chipSet || null, // Denominations and chips-per-unit ratio - see utils/chips
+        chipCount: null, // End-of-game chip count once players have cashed out by chips
+        knockouts: [], // Who knocked out whom, and the bounties paid - see utils/knockouts
+        type, // Cash game or tournament - see utils/tournaments
+        ...(type === GAME_TYPES.TOURNAMENT ? {
+          tournament: createTournament({ buyIn, ...tournament })
+        } : {}),
       });
-    },
+    }),
     
-    endGame: (state, action) => {
+    endGame: undoable('End game', (state, action) => {
       const { gameId } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
+      const game = state.games.entities[gameId];
       
-      if (gameIndex !== -1) {
-        state.games[gameIndex].endTime = new Date().toISOString();
+      if (game) {
+        game.endTime = new Date().toISOString();
       }
-    },
+    }),
     
-    addPlayerToGame: (state, action) => {
+    // `joinTime` is when they sat down, for a player who arrived before they were added
+    addPlayerToGame: undoable('Add player to game', (state, action) => {
       const { gameId, playerId, initialBuyIn } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
+      const game = state.games.entities[gameId];
       
-      if (gameIndex !== -1) {
+      if (game) {
         // Check if player is already in the game
-        if (!state.games[gameIndex].players.some(p => p.playerId === playerId)) {
-          state.games[gameIndex].players.push({
+        if (!game.players.some(p => p.playerId === playerId)) {
+          const joinTime = action.payload.joinTime || new Date().toISOString();
+          game.players.push({
             playerId,
-            joinTime: new Date().toISOString(),
-            initialBuyIn: initialBuyIn || state.games[gameIndex].buyIn,
-            currentStack: initialBuyIn || state.games[gameIndex].buyIn,
+            joinTime,
+            seatings: [{ joinTime, leaveTime: null }], // When they were at the table - see utils/seating
+            initialBuyIn: initialBuyIn || game.buyIn, // Their stack until a buy-in is recorded
           });
         }
       }
-    },
+    }),
 
-    updateTransactionAmount: (state, action) => {
-      const { transactionId, newAmount } = action.payload;
-      
-      // Find the transaction in the game log
-      const transactionIndex = state.gameLog.findIndex(t => t.id === transactionId);
-      
-      if (transactionIndex !== -1) {
-        const transaction = state.gameLog[transactionIndex];
-        const oldAmount = transaction.amount;
-        const playerId = transaction.playerId;
-        const gameId = transaction.gameId;
-        const type = transaction.type;
-        
-        // Calculate the difference between old and new amounts
-        const amountDiff = newAmount - oldAmount;
-        
-        // Update the amount in gameLog
-        state.gameLog[transactionIndex].amount = newAmount;
-        
-        // Update the transaction in the specific game if applicable
-        if (gameId) {
-          const gameIndex = state.games.findIndex(game => game.id === gameId);
-          if (gameIndex !== -1) {
-            const gameTransactionIndex = state.games[gameIndex].transactions.findIndex(t => t.id === transactionId);
-            if (gameTransactionIndex !== -1) {
-              state.games[gameIndex].transactions[gameTransactionIndex].amount = newAmount;
-            }
-            
-            // Update player's stack in the game
-            const playerIndex = state.games[gameIndex].players.findIndex(p => p.playerId === playerId);
-            if (playerIndex !== -1 && type === 'buy-in') {
-              // For buy-ins, increase the stack by the difference
-              state.games[gameIndex].players[playerIndex].currentStack += amountDiff;
-            }
-          }
-        }
-        
-        // Update the overall session balance
-        if (type === 'buy-in') {
-          // For buy-ins, updating amount means more/less was taken from player
-          state.balances[playerId] = (state.balances[playerId] || 0) - amountDiff;
-        } else if (type === 'cash-out') {
-          // For cash-outs, updating amount means more/less was given to player
-          state.balances[playerId] = (state.balances[playerId] || 0) + amountDiff;
-        }
+    // A player getting up from the table at `leftAt`, cashing out `amount` (in the game's currency)
+    recordPlayerLeaving: undoable('Record player leaving', (state, action) => {
+      const { gameId, playerId } = action.payload;
+      const game = state.games.entities[gameId];
+      const player = game && game.players.find(p => p.playerId === playerId);
+      if (!player || !isSeated(player) || game.endTime) return;
+
+      const leftAt = action.payload.leftAt || new Date().toISOString();
+      const amount = asMinorUnits(action.payload.amount);
+      player.seatings = getSeatings(player).map((seating, index, seatings) =>
+        index === seatings.length - 1 ? { ...seating, leaveTime: leftAt } : seating
+      );
+      if (amount > 0) {
+        addTransaction(state, {
+          type: 'cash-out',
+          playerId,
+          gameId,
+          amount,
+          currency: game.currency,
+          description: 'Left the table',
+          timestamp: leftAt,
+        });
       }
-    },
+    }),
+
+    // A player who left sitting back down at `joinTime`, buying back in for `buyIn` if given
+    reseatPlayer: undoable('Re-seat player', (state, action) => {
+      const { gameId, playerId } = action.payload;
+      const game = state.games.entities[gameId];
+      const player = game && game.players.find(p => p.playerId === playerId);
+      if (!player || isSeated(player) || game.endTime) return;
+
+      const joinTime = action.payload.joinTime || new Date().toISOString();
+      const buyIn = asMinorUnits(action.payload.buyIn);
+      player.seatings = [...getSeatings(player), { joinTime, leaveTime: null }];
+      if (buyIn > 0) {
+        addTransaction(state, {
+          type: 'buy-in',
+          playerId,
+          gameId,
+          amount: buyIn,
+          currency: game.currency,
+          description: 'Returned to the table',
+          timestamp: joinTime,
+        });
+      }
+    }),
+
+    // Amends a transaction's amount (in its own currency); `reason` is kept in its audit trail
+    updateTransactionAmount: undoable('Edit amount', (state, action) => {
+      const { transactionId, reason } = action.payload;
+      amendTransaction(state, transactionId, { amount: asMinorUnits(action.payload.newAmount) }, reason);
+    }),
     
-    recordTransaction: (state, action) => {
-      const { type, playerId, amount, gameId, description } = action.payload;
-      const transactionId = Date.now().toString();
-      
-      // Add to general game log
-      state.gameLog.push({
-        id: transactionId,
-        type, // 'buy-in', 'cash-out', 'loan', etc.
-        playerId,
-        amount,
-        timestamp: new Date().toISOString(),
-        gameId,
-        description,
-      });
-      
-      // Update game-specific transactions if gameId is provided
-      if (gameId) {
-        const gameIndex = state.games.findIndex(game => game.id === gameId);
-        if (gameIndex !== -1) {
-          state.games[gameIndex].transactions.push({
-            id: transactionId,
-            type,
+    // A payload with knockout: { eliminatedId } records playerId knocking that
+    // player out; the bounty it's worth is worked out here and paid as a cash-out.
+    // A buy-in with a lenderId is a loan: lenderId paid for it and is owed it back
+    recordTransaction: undoable(describeRecordedTransaction, (state, action) => {
+      const { type, playerId, gameId, currency, description, entryType, knockout, lenderId, carryForward } = action.payload;
+      const id = createId(ID_PREFIXES.TRANSACTION);
+
+      if (knockout) {
+        const game = state.games.entities[gameId];
+        if (!game || knockout.eliminatedId === playerId) return;
+
+        const { bounty, headIncrease } = calculateKnockout(game, getGameLog(state), knockout.eliminatedId);
+        game.knockouts = [...(game.knockouts || []), {
+          id: createId(ID_PREFIXES.KNOCKOUT),
+          eliminatorId: playerId,
+          eliminatedId: knockout.eliminatedId,
+          timestamp: new Date().toISOString(),
+          bounty,
+          headIncrease,
+          transactionId: bounty > 0 ? id : null
+        }];
+        if (bounty > 0) {
+          addTransaction(state, {
+            id,
+            type: 'cash-out',
             playerId,
-            amount,
-            timestamp: new Date().toISOString(),
+            gameId,
+            amount: bounty,
+            currency: game.currency,
             description,
+            entryType: ENTRY_TYPES.BOUNTY,
           });
-          
-          // Update player's stack in the game
-          const playerIndex = state.games[gameIndex].players.findIndex(p => p.playerId === playerId);
-          if (playerIndex !== -1) {
-            if (type === 'buy-in') {
-              state.games[gameIndex].players[playerIndex].currentStack += amount;
-            } else if (type === 'cash-out') {
-              state.games[gameIndex].players[playerIndex].currentStack -= amount;
-            }
-          }
         }
+        if (isPaidOut(game)) payOutTournament(state, game);
+        return;
       }
-      
-      // Update the overall session balance
-      if (type === 'buy-in') {
-        state.balances[playerId] = (state.balances[playerId] || 0) - amount;
-      } else if (type === 'cash-out') {
-        state.balances[playerId] = (state.balances[playerId] || 0) + amount;
+
+      // Buying in brings a player who left back to the table
+      const game = gameId ? state.games.entities[gameId] : null;
+      const player = game && game.players.find(p => p.playerId === playerId);
+      if (type === 'buy-in' && player && !isSeated(player)) {
+        player.seatings = [...getSeatings(player), { joinTime: new Date().toISOString(), leaveTime: null }];
+      }
+
+      addTransaction(state, {
+        id,
+        type,
+        playerId,
+        gameId,
+        amount: asMinorUnits(action.payload.amount),
+        currency,
+        description,
+        entryType,
+        ...(type === 'buy-in' && lenderId && lenderId !== playerId ? { lenderId, carryForward } : {}),
+      });
+    }),
+
+    // Changes who made a loan and whether it's carried forward; the amount is
+    // changed with updateTransactionAmount like any other buy-in
+    updateLoan: undoable('Edit loan', (state, action) => {
+      const { transactionId, lenderId, carryForward, reason } = action.payload;
+      const transaction = state.transactions.entities[transactionId];
+      if (!transaction || !transaction.lenderId || !lenderId || lenderId === transaction.playerId) return;
+
+      amendTransaction(state, transactionId, { lenderId, carryForward: !!carryForward }, reason);
+    }),
+
+    // Takes back a knockout, and the bounty it paid
+    deleteKnockout: undoable('Delete knockout', (state, action) => {
+      const { gameId, knockoutId } = action.payload;
+      const game = state.games.entities[gameId];
+      const knockout = game && (game.knockouts || []).find(k => k.id === knockoutId);
+      if (!knockout) return;
+
+      if (knockout.transactionId) {
+        removeTransaction(state, knockout.transactionId);
+      }
+      game.knockouts = game.knockouts.filter(k => k.id !== knockoutId);
+      if (isPaidOut(game)) payOutTournament(state, game);
+    }),
+
+    // Records finishing positions and knockouts, replacing any prizes paid out before
+    recordTournamentResults: undoable('Record results', (state, action) => {
+      const { gameId, positions, knockouts = {}, payoutTable = null } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!isTournament(game)) return;
+
+      game.tournament = { ...game.tournament, positions, knockouts, payoutTable };
+      payOutTournament(state, game);
+    }),
+
+    // Records a final-table deal (or clears it with deal: null); it pays out
+    // as soon as everyone who busted before the deal has a position
+    recordTournamentDeal: undoable('Record deal', (state, action) => {
+      const { gameId, deal } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!isTournament(game)) return;
+
+      game.tournament = { ...game.tournament, deal: deal || null };
+      payOutTournament(state, game);
+    }),
+
+    setGameChipSet: (state, action) => {
+      const { gameId, chipSet } = action.payload;
+      const game = state.games.entities[gameId];
+
+      if (game) {
+        game.chipSet = chipSet;
       }
     },
+
+    // Cashes everyone out from their end-of-game chip count and ends the game
+    cashOutChipCounts: undoable('Cash out chip count', (state, action) => {
+      const { gameId, counts, resolution, hostId } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!game) return;
+
+      const chipSet = getChipSet(game);
+      const result = resolveChipCounts({
+        counts,
+        chipSet,
+        // Chips are counted in the game's currency, whatever each buy-in was paid in
+        inPlay: getAmountInPlay(getGameTransactions(state, gameId), transaction =>
+          toGameCurrency(state, game, transaction.amount, transaction.currency)),
+        resolution,
+        hostId,
+        currency: game.currency || state.currency,
+      });
+      Object.entries(result.cashOuts).forEach(([playerId, amount]) => {
+        if (amount <= 0) return;
+        addTransaction(state, {
+          type: 'cash-out',
+          playerId,
+          gameId,
+          amount,
+          currency: game.currency,
+          description: `Chip count: ${result.chips[playerId]} chips`,
+        });
+      });
+
+      if (result.hostAdjustment !== 0) {
+        addTransaction(state, {
+          type: result.hostAdjustment > 0 ? 'cash-out' : 'buy-in',
+          playerId: hostId,
+          gameId,
+          amount: Math.abs(result.hostAdjustment),
+          currency: game.currency,
+          description: 'Chip count discrepancy',
+        });
+      }
+
+      game.chipCount = {
+        counts,
+        chips: result.chips,
+        discrepancy: result.discrepancy,
+        resolution: result.discrepancy !== 0 ? resolution : null,
+        hostId: result.hostAdjustment !== 0 ? hostId : null,
+        countedAt: new Date().toISOString(),
+      };
+      game.endTime = game.chipCount.countedAt;
+    }),
+
+    // Squares what's left on the table so the game can end: pays it out (or,
+    // when too much was cashed out, charges it back) as one of DISCREPANCY_RESOLUTIONS
+    balanceTable: undoable('Fix up table', (state, action) => {
+      const { gameId, resolution, hostId } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!game) return;
+
+      const inGameCurrency = transaction =>
+        toGameCurrency(state, game, transaction.amount, transaction.currency);
+      const transactions = getGameTransactions(state, gameId);
+      const totals = getPlayerTableTotals(transactions, inGameCurrency);
+      const cashOuts = {};
+      Object.entries(totals).forEach(([playerId, total]) => {
+        cashOuts[playerId] = total.cashOuts;
+      });
+      const adjustments = planTableFixUp({
+        inPlay: getAmountInPlay(transactions, inGameCurrency),
+        cashOuts,
+        resolution,
+        hostId,
+      });
+      Object.entries(adjustments).forEach(([playerId, amount]) => {
+        addTransaction(state, {
+          type: amount > 0 ? 'cash-out' : 'buy-in',
+          playerId,
+          gameId,
+          amount: Math.abs(amount),
+          currency: game.currency,
+          description: 'Table balance fix-up',
+        });
+      });
+    }),
     
-    deleteTransaction: (state, action) => {
-      const { transactionId } = action.payload;
-      
-      // Find the transaction in the game log
-      const transactionIndex = state.gameLog.findIndex(t => t.id === transactionId);
-      
-      if (transactionIndex !== -1) {
-        const transaction = state.gameLog[transactionIndex];
-        const { gameId, playerId, type, amount } = transaction;
-        
-        // Remove from general game log
-        state.gameLog.splice(transactionIndex, 1);
-        
-        // Remove from game-specific transactions if gameId is provided
-        if (gameId) {
-          const gameIndex = state.games.findIndex(game => game.id === gameId);
-          if (gameIndex !== -1) {
-            // Find and remove the transaction from game transactions
-            const gameTransactionIndex = state.games[gameIndex].transactions.findIndex(t => t.id === transactionId);
-            if (gameTransactionIndex !== -1) {
-              state.games[gameIndex].transactions.splice(gameTransactionIndex, 1);
-            }
-            
-            // Update player's stack in the game
-            const playerIndex = state.games[gameIndex].players.findIndex(p => p.playerId === playerId);
-            if (playerIndex !== -1) {
-              if (type === 'buy-in') {
-                // If deleting a buy-in, reduce the current stack
-                state.games[gameIndex].players[playerIndex].currentStack -= amount;
-              } else if (type === 'cash-out') {
-                // If deleting a cash-out, increase the current stack
-                state.games[gameIndex].players[playerIndex].currentStack += amount;
-              }
-            }
-          }
-        }
-        
-        // Update the overall session balance
-        if (type === 'buy-in') {
-          // If deleting a buy-in, add the amount back to the balance
-          state.balances[playerId] = (state.balances[playerId] || 0) + amount;
-        } else if (type === 'cash-out') {
-          // If deleting a cash-out, subtract the amount from the balance
-          state.balances[playerId] = (state.balances[playerId] || 0) - amount;
-        }
+    // Voids a transaction; it stays in the event stream with the optional `reason`
+    deleteTransaction: undoable('Delete transaction', (state, action) => {
+      const { transactionId, reason } = action.payload;
+      removeTransaction(state, transactionId, reason);
+    }),
+
+    // Sets the settlement currency and the rates into it; transactions are valued with them
+    // from then on. Balances entered by hand rather than through transactions are converted.
+    setExchangeRates: undoable('Change exchange rates', (state, action) => {
+      const previousCurrency = state.currency || DEFAULT_CURRENCY;
+      const currency = action.payload.currency || previousCurrency;
+      const rates = {};
+      Object.entries(action.payload.rates || {}).forEach(([code, rate]) => {
+        if (code !== currency && Number(rate) > 0) rates[code] = Number(rate);
+      });
+      const convertManual = amount =>
+        convertMoney(amount, previousCurrency, currency, currency, rates) ?? amount;
+
+      const manualBalances = {};
+      Object.entries(state.manualBalances).forEach(([playerId, balance]) => {
+        manualBalances[playerId] = convertManual(balance);
+      });
+
+      if (currency !== previousCurrency) {
+        state.deductions = (state.deductions || []).map(deduction => {
+          const converted = { ...deduction };
+          DEDUCTION_MONEY_FIELDS.forEach(field => {
+            if (typeof deduction[field] === 'number') converted[field] = convertManual(deduction[field]);
+          });
+          return converted;
+        });
+        // Settlements worked out in the old currency no longer apply
+        state.settlements = [];
+        state.rounding = null;
       }
-    },
+
+      state.currency = currency;
+      state.exchangeRates = rates;
+      state.manualBalances = manualBalances;
+
+      // Games from before the session had a currency were played in the old one
+      Object.values(state.games.entities).forEach(game => {
+        if (!game.currency) game.currency = previousCurrency;
+      });
+    }),
     
-    updateGameDetails: (state, action) => {
+    // Renames a game or changes its default buy-in; players still sitting on the
+    // old default, with nothing recorded yet, move to the new one
+    updateGameDetails: undoable('Edit game', (state, action) => {
       const { gameId, name, buyIn } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
-      
-      if (gameIndex !== -1) {
-        if (name) state.games[gameIndex].name = name;
-        if (buyIn !== undefined) state.games[gameIndex].buyIn = buyIn;
+      const game = state.games.entities[gameId];
+      if (!game) return;
+
+      if (name) game.name = name;
+      if (buyIn !== undefined) {
+        const previousBuyIn = game.buyIn;
+        const transactions = getGameTransactions(state, gameId);
+        game.buyIn = asMinorUnits(buyIn);
+        game.players.forEach(player => {
+          if (player.initialBuyIn === previousBuyIn && !transactions.some(t => t.playerId === player.playerId)) {
+            player.initialBuyIn = game.buyIn;
+          }
+        });
       }
-    },
+    }),
+
+    // Takes a player out of a game with everything they did in it: their buy-ins
+    // and cash-outs, knockouts they were part of (and the bounties paid for them),
+    // their finishing position and any balance entered for them. Loans they made
+    // to others stay as buy-ins the borrowers paid for themselves
+    removePlayerFromGame: undoable('Remove player from game', (state, action) => {
+      const { gameId, playerId } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!game || !game.players.some(p => p.playerId === playerId)) return;
+
+      const transactions = getGameTransactions(state, gameId);
+      transactions
+        .filter(transaction => transaction.playerId === playerId)
+        .forEach(transaction => removeTransaction(state, transaction.id, 'Player removed from game'));
+      transactions
+        .filter(transaction => transaction.lenderId === playerId)
+        .forEach(transaction => amendTransaction(state, transaction.id, { lenderId: null, carryForward: false }, 'Lender removed from game'));
+
+      (game.knockouts || [])
+        .filter(knockout => knockout.eliminatorId === playerId || knockout.eliminatedId === playerId)
+        .forEach(knockout => {
+          if (knockout.transactionId) removeTransaction(state, knockout.transactionId, 'Player removed from game');
+        });
+      game.knockouts = (game.knockouts || [])
+        .filter(knockout => knockout.eliminatorId !== playerId && knockout.eliminatedId !== playerId);
+
+      if (isTournament(game)) {
+        const { [playerId]: position, ...positions } = game.tournament.positions || {};
+        const { [playerId]: bounties, ...knockouts } = game.tournament.knockouts || {};
+        const { deal } = game.tournament;
+        game.tournament = {
+          ...game.tournament,
+          positions,
+          knockouts,
+          // A deal made with them in it no longer shares out what's left
+          deal: deal && deal.playerIds.includes(playerId) ? null : deal,
+        };
+      }
+
+      removeGameBalances(state, game, [playerId]);
+      game.players = game.players.filter(p => p.playerId !== playerId);
+      if (isPaidOut(game)) payOutTournament(state, game);
+    }),
     
-    updatePlayerStack: (state, action) => {
+    // Corrects a player's stack; the correction stays on top of later buy-ins and cash-outs
+    updatePlayerStack: undoable('Edit stack', (state, action) => {
       const { gameId, playerId, stack } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
+      const game = state.games.entities[gameId];
+      const player = game && game.players.find(p => p.playerId === playerId);
       
-      if (gameIndex !== -1) {
-        const playerIndex = state.games[gameIndex].players.findIndex(p => p.playerId === playerId);
-        if (playerIndex !== -1) {
-          state.games[gameIndex].players[playerIndex].currentStack = stack;
-        }
+      if (player) {
+        const stacks = getTransactionStacks(game, getGameTransactions(state, gameId), state.currency, state.exchangeRates);
+        player.stackAdjustment = getStackAdjustment(stack, player, stacks);
       }
-    },
+    }),
 
     // New reducer to update game balances
+    // Balances entered by hand for one game. They add to the session's as the
+    // difference from what was entered for the game before, so removeGameBalances
+    // can take them back off; like other balances set by hand they start the undo
+    // history afresh
     updateGameBalances: (state, action) => {
       const { gameId, balances } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
+      const game = state.games.entities[gameId];
       
-      if (gameIndex !== -1) {
+      if (game) {
         // Initialize balances object if it doesn't exist
-        if (!state.games[gameIndex].balances) {
-          state.games[gameIndex].balances = {};
+        if (!game.balances) {
+          game.balances = {};
         }
         
-        // Store the balances
+        state.ledgerHistory = EMPTY_LEDGER_HISTORY;
         Object.entries(balances).forEach(([playerId, balance]) => {
-          const numBalance = balance === '' || balance === '-' ? 0 : parseFloat(balance) || 0;
-          state.games[gameIndex].balances[playerId] = numBalance;
+          const amount = asMinorUnits(balance);
+          state.manualBalances[playerId] = (state.manualBalances[playerId] || 0) + amount - (game.balances[playerId] || 0);
+          game.balances[playerId] = amount;
         });
       }
     },
 
-    deleteGame: (state, action) => {
+    deleteGame: undoable('Delete game', (state, action) => {
       const { gameId } = action.payload;
+      const game = state.games.entities[gameId];
+      if (!game) return;
       
-      // Remove game from the games array
-      state.games = state.games.filter(game => game.id !== gameId);
+      // Balances entered for the game come off the session's with it
+      removeGameBalances(state, game, Object.keys(game.balances || {}));
       
-      // Also remove any transactions related to this game
-      state.gameLog = state.gameLog.filter(transaction => transaction.gameId !== gameId);
-    },
+      // Void any transactions related to this game
+      transactionTable.selectAll(state.transactions)
+        .filter(transaction => transaction.gameId === gameId)
+        .map(transaction => transaction.id)
+        .forEach(transactionId => removeTransaction(state, transactionId, 'Game deleted'));
+      
+      gamesAdapter.removeOne(state.games, gameId);
+    }),
 
     // New reducer to save settlements for a specific game
     saveGameSettlements: (state, action) => {
       const { gameId, settlements } = action.payload;
-      const gameIndex = state.games.findIndex(game => game.id === gameId);
+      const game = state.games.entities[gameId];
+      
+      if (game) {
+        game.settlements = settlements;
+      }
+    },
+
+    // Settlement rules are saved per group of players, keyed by getPlayerGroupKey
+    saveConstraintSet: (state, action) => {
+      const { groupKey, constraints } = action.payload;
+      
+      if (!state.constraintSets) {
+        state.constraintSets = {};
+      }
       
-      if (gameIndex !== -1) {
-        state.games[gameIndex].settlements = settlements;
+      state.constraintSets[groupKey] = constraints;
+    },
+
+    deleteConstraintSet: (state, action) => {
+      const { groupKey } = action.payload;
+      
+      if (state.constraintSets) {
+        delete state.constraintSets[groupKey];
+      }
+    },
+
+    // Records a full or partial payment against a settlement in history
+    recordSettlementPayment: (state, action) => {
+      const { sessionId, settlementId, amount, method = null, note = '' } = action.payload;
+      const session = state.sessions.entities[sessionId];
+      const settlement = session?.settlements.find(s => s.id === settlementId);
+      
+      if (settlement) {
+        if (!settlement.payments) {
+          settlement.payments = [];
+        }
+        
+        const date = action.payload.date || new Date().toISOString();
+        settlement.payments.push({
+          id: createId(ID_PREFIXES.PAYMENT),
+          amount: asMinorUnits(amount),
+          date,
+          method,
+          note
+        });
+        
+        // Paying off the rest closes the settlement
+        if (getAmountPaid(settlement) >= settlement.amount) {
+          settlement.status = SETTLEMENT_STATUS.COMPLETED;
+          settlement.statusChangedAt = date;
+        }
+      }
+    },
+
+    setSettlementStatus: (state, action) => {
+      const { sessionId, settlementId, status } = action.payload;
+      const session = state.sessions.entities[sessionId];
+      const settlement = session?.settlements.find(s => s.id === settlementId);
+      
+      if (settlement && Object.values(SETTLEMENT_STATUS).includes(status)) {
+        settlement.status = status;
+        settlement.statusChangedAt = new Date().toISOString();
+      }
+    },
+
+    // Records money changing hands for a debt carried over from a completed session
+    recordDebtPayment: (state, action) => {
+      const { from, to, amount, currency, obligationKey = null, note = '' } = action.payload;
+      
+      if (!state.debtPayments) {
+        state.debtPayments = [];
+      }
+      
+      state.debtPayments.push({
+        id: action.payload.id || createId(ID_PREFIXES.PAYMENT),
+        date: action.payload.date || new Date().toISOString(),
+        from,
+        to,
+        amount: asMinorUnits(amount),
+        currency: currency || DEFAULT_CURRENCY,
+        obligationKey,
+        note
+      });
+    },
+
+    // Stores a netting built by createNetting in utils/debtLedger
+    addNetting: (state, action) => {
+      if (!state.nettings) {
+        state.nettings = [];
       }
+      
+      state.nettings.push(action.payload);
+    },
+
+    // Replaces debt payments and nettings wholesale, e.g. when restoring a backup
+    setDebtLedger: (state, action) => {
+      const { debtPayments = [], nettings = [] } = action.payload;
+      state.debtPayments = debtPayments;
+      state.nettings = nettings;
     }
   }
 });
 
 export const {
   startNewSession,
+  switchSession,
+  discardSession,
+  reopenSession,
   updatePlayerBalance,
   setPlayerBalance,
+  applyBalanceAdjustment,
   calculateSettlements,
   saveSettlements,
+  saveSettlementRounding,
+  setSettlementRounding,
+  setSettlementMode,
+  setDeductions,
   completeSession,
   setHistory,
   setLoading,
   setError,
   resetSession,
+  repairLedgerIntegrity,
+  undoLedgerChange,
+  redoLedgerChange,
   // Game management actions
   startNewGame,
   endGame,
   addPlayerToGame,
+  recordPlayerLeaving,
+  reseatPlayer,
   recordTransaction,
+  recordTournamentResults,
+  recordTournamentDeal,
+  deleteKnockout,
+  setGameChipSet,
+  cashOutChipCounts,
+  balanceTable,
   deleteTransaction,
+  setExchangeRates,
   updateGameDetails,
+  removePlayerFromGame,
   updatePlayerStack,
   updateTransactionAmount,
+  updateLoan,
   // New actions
   updateGameBalances,
   deleteGame,
-  saveGameSettlements
+  saveGameSettlements,
+  saveConstraintSet,
+  deleteConstraintSet,
+  recordSettlementPayment,
+  setSettlementStatus,
+  recordDebtPayment,
+  addNetting,
+  setDebtLedger
 } = settlementSlice.actions;
 
 export default settlementSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,40 @@
+import {
+  calculatePlayerStats,
+  getHistoryCurrencies,
+  getPlayerPerformanceData,
+  getPlayerRankings
+} from '../analyticsUtils';
+
+const ANN = 'player_ann';
+const BEN = 'player_ben';
+
+const session = (id, date, currency, balances) => ({ id, date, currency, balances, settlements: [] });
+
+describe('analytics across currencies', () => {
+  const history = [
+    session('session_1', '2024-01-01T00:00:00.000Z', 'USD', { [ANN]: 5000, [BEN]: -5000 }),
+    session('session_2', '2024-01-08T00:00:00.000Z', 'JPY', { [ANN]: -3000, [BEN]: 3000 }),
+    session('session_3', '2024-01-15T00:00:00.000Z', 'USD', { [ANN]: -1000, [BEN]: 1000 }),
+  ];
+
+  it('lists the currencies sessions were settled in, most played first', () => {
+    expect(getHistoryCurrencies(history)).toEqual(['USD', 'JPY']);
+  });
+
+  it('totals only the sessions settled in the currency asked for', () => {
+    expect(calculatePlayerStats(ANN, history, 'USD')).toMatchObject({
+      totalSessions: 2,
+      netWinnings: 4000,
+      biggestLoss: -1000
+    });
+    expect(calculatePlayerStats(ANN, history, 'JPY')).toMatchObject({ totalSessions: 1, netWinnings: -3000 });
+    expect(getPlayerPerformanceData(ANN, history, 'USD').map(point => point.cumulativeBalance)).toEqual([5000, 4000]);
+  });
+
+  it('ranks players within one currency', () => {
+    const players = [{ id: ANN, name: 'Ann' }, { id: BEN, name: 'Ben' }];
+
+    expect(getPlayerRankings(players, history, 'USD').map(player => player.id)).toEqual([ANN, BEN]);
+    expect(getPlayerRankings(players, history, 'JPY').map(player => player.id)).toEqual([BEN, ANN]);
+  });
+});
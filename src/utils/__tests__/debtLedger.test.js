@@ -0,0 +1,72 @@
+import {
+  buildDebtLedger,
+  createNetting,
+  getSessionObligationKey,
+  reconcileLedger
+} from '../debtLedger';
+
+const ANN = 'player_ann';
+const BEN = 'player_ben';
+const CAL = 'player_cal';
+
+const session = (id, date, from, to, amount) => ({
+  id,
+  date,
+  currency: 'USD',
+  settlements: [{ id: `stl_${id}`, from, to, amount }]
+});
+
+const payment = (id, date, from, to, amount, obligationKey = null) => ({
+  id,
+  date,
+  from,
+  to,
+  amount,
+  currency: 'USD',
+  obligationKey
+});
+
+describe('reconciling a netted ledger', () => {
+  // Ben owes Ann 5000 and Ann owes Cal 5000, netted into Ben paying Cal
+  const history = [
+    session('session_1', '2024-01-01T00:00:00.000Z', BEN, ANN, 5000),
+    session('session_2', '2024-01-02T00:00:00.000Z', ANN, CAL, 5000),
+  ];
+  const netting = {
+    ...createNetting(buildDebtLedger(history), 'USD'),
+    date: '2024-02-01T00:00:00.000Z'
+  };
+
+  it('nets the two debts into one', () => {
+    expect(netting.settlements).toEqual([{ from: BEN, to: CAL, amount: 5000 }]);
+  });
+
+  it('matches after a payment towards a debt the netting took in', () => {
+    const payments = [
+      payment('pay_1', '2024-03-01T00:00:00.000Z', BEN, ANN, 2000, getSessionObligationKey('session_1', 0)),
+    ];
+    const ledger = buildDebtLedger(history, [netting], payments);
+
+    expect(ledger.credits).toEqual([expect.objectContaining({ id: 'pay_1', remaining: 2000 })]);
+    expect(ledger.positions.USD).toEqual({ [ANN]: -2000, [BEN]: -3000, [CAL]: 5000 });
+    expect(reconcileLedger(ledger)).toEqual({
+      matches: true,
+      gameByGame: ledger.positions,
+      netted: ledger.positions
+    });
+  });
+
+  it('matches after a payment towards the netted transfer', () => {
+    const payments = [payment('pay_1', '2024-03-01T00:00:00.000Z', BEN, CAL, 2000)];
+    const ledger = buildDebtLedger(history, [netting], payments);
+
+    expect(ledger.positions.USD).toEqual({ [BEN]: -3000, [CAL]: 3000 });
+    expect(reconcileLedger(ledger).matches).toBe(true);
+  });
+
+  it('does not match once a netted session is gone', () => {
+    const ledger = buildDebtLedger(history.slice(1), [netting], []);
+
+    expect(reconcileLedger(ledger).matches).toBe(false);
+  });
+});
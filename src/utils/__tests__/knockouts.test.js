@@ -0,0 +1,18 @@
+import { calculateKnockoutStats } from '../knockouts';
+import { ENTRY_TYPES } from '../tournaments';
+
+const ANN = 'player_ann';
+
+const bounty = (id, amount) => ({ id, type: 'cash-out', playerId: ANN, entryType: ENTRY_TYPES.BOUNTY, amount });
+
+describe('calculateKnockoutStats', () => {
+  it('keeps bounties won in different currencies apart', () => {
+    const history = [
+      { id: 'session_1', currency: 'USD', gameLog: [bounty('txn_1', 500), bounty('txn_2', 500)] },
+      { id: 'session_2', currency: 'EUR', gameLog: [bounty('txn_3', 1000)] },
+      { id: 'session_3', gameLog: [bounty('txn_4', 250)] },
+    ];
+
+    expect(calculateKnockoutStats(ANN, history).bountiesWon).toEqual({ USD: 1250, EUR: 1000 });
+  });
+});
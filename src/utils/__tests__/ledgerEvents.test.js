@@ -0,0 +1,35 @@
+import {
+  amendTransactionEvent,
+  createTransactionEvent,
+  replayLedgerEvents,
+  voidTransactionEvent
+} from '../ledgerEvents';
+
+const buyIn = (id, amount) => ({ id, type: 'buy-in', playerId: 'player_ann', gameId: 'game_1', amount });
+
+describe('ledger event IDs', () => {
+  it('never repeats an ID, even within the same millisecond', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    try {
+      const events = [
+        createTransactionEvent(buyIn('txn_a', 1000)),
+        createTransactionEvent(buyIn('txn_b', 2000)),
+      ];
+      // A stream rewound to the same length gets a new ID all the same
+      const rewound = [events[0], voidTransactionEvent('txn_a')];
+      const ids = [...events, ...rewound].map(event => event.id);
+
+      expect(new Set(ids).size).toBe(3);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  it('amends and voids the transaction they name', () => {
+    const created = [createTransactionEvent(buyIn('txn_a', 1000)), createTransactionEvent(buyIn('txn_b', 2000))];
+    const [first] = replayLedgerEvents(created);
+    const events = [...created, amendTransactionEvent(first, { amount: 1500 }), voidTransactionEvent('txn_b')];
+
+    expect(replayLedgerEvents(events)).toEqual([buyIn('txn_a', 1500)]);
+  });
+});
@@ -0,0 +1,94 @@
+import { calculateOptimalSettlements, calculateSettlementPlan, verifyBalances } from '../settlementCalculator';
+
+// What each player ends up with once every settlement has been paid
+const applySettlements = (balances, settlements) => {
+  const result = { ...balances };
+  settlements.forEach(({ from, to, amount }) => {
+    result[from] += amount;
+    result[to] -= amount;
+  });
+  return result;
+};
+
+describe('minimum transfers', () => {
+  // Ann and Ben's losses add up to Cal's win, and Dee's to Eve's
+  const balances = { ann: -1000, ben: -2000, cal: 3000, dee: -1500, eve: 1500 };
+
+  it('settles each zero-sum group on its own', () => {
+    const plan = calculateSettlementPlan(balances);
+
+    expect(plan.algorithm).toBe('exact');
+    expect(plan.groupCount).toBe(2);
+    expect(plan.settlements).toHaveLength(3);
+    expect(Object.values(applySettlements(balances, plan.settlements)).every(amount => amount === 0)).toBe(true);
+  });
+
+  it('takes more transfers when it falls back to greedy', () => {
+    const plan = calculateSettlementPlan(balances, { exactMaxPlayers: 4 });
+
+    expect(plan.algorithm).toBe('greedy');
+    expect(plan.settlements).toHaveLength(4);
+  });
+});
+
+describe('zero-sum settlements', () => {
+  // Odd cents from many rebuys, summing to exactly zero
+  const balances = { ann: 3333, ben: -1667, cal: -1, dee: 2501, eve: -4166 };
+
+  it.each([
+    ['exact', {}],
+    ['greedy', { exactMaxPlayers: 1 }],
+  ])('pays everyone exactly what they are owed with the %s solver', (algorithm, options) => {
+    const plan = calculateSettlementPlan(balances, options);
+
+    expect(plan.algorithm).toBe(algorithm);
+    expect(plan.settlements.every(({ amount }) => Number.isInteger(amount) && amount > 0)).toBe(true);
+    expect(Object.values(applySettlements(balances, plan.settlements)).every(amount => amount === 0)).toBe(true);
+  });
+
+  it('has no tolerance for a single minor unit', () => {
+    expect(verifyBalances(balances)).toBe(true);
+    expect(verifyBalances({ ...balances, cal: 0 })).toBe(false);
+  });
+});
+
+describe('constrained settlements', () => {
+  it('settles around a forbidden pair', () => {
+    const balances = { ann: -1000, ben: -2000, cal: 3000, dee: -1500, eve: 1500 };
+    const plan = calculateSettlementPlan(balances, { constraints: { forbiddenPairs: [['dee', 'eve']] } });
+
+    expect(plan.feasible).toBe(true);
+    expect(plan.settlements.some(({ from, to }) => from === 'dee' && to === 'eve')).toBe(false);
+    expect(Object.values(applySettlements(balances, plan.settlements)).every(amount => amount === 0)).toBe(true);
+  });
+
+  it('says why no plan follows the rules', () => {
+    const balances = { ann: -1000, ben: 1000 };
+    const constraints = { forbiddenPairs: [['ann', 'ben']] };
+
+    expect(calculateSettlementPlan(balances, { constraints })).toMatchObject({
+      feasible: false,
+      settlements: [],
+      reason: { code: 'no-counterparty' }
+    });
+    expect(calculateOptimalSettlements(balances, { constraints })).toEqual([]);
+  });
+
+  it('does not solve exactly above the player limit, however high the setting', () => {
+    // 21 players the constrained search would settle exactly in no time
+    const balances = { loser_a: -500, loser_b: -500, big_winner: 1000 };
+    for (let i = 0; i < 9; i++) {
+      balances[`loser_${i}`] = -1000;
+      balances[`winner_${i}`] = 1000;
+    }
+
+    const plan = calculateSettlementPlan(balances, {
+      exactMaxPlayers: 30,
+      constraints: { forbiddenPairs: [['loser_0', 'big_winner']] }
+    });
+
+    expect(plan.feasible).toBe(true);
+    expect(plan.algorithm).toBe('greedy');
+    expect(Object.values(applySettlements(balances, plan.settlements)).every(amount => amount === 0)).toBe(true);
+  });
+});
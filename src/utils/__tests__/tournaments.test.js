@@ -0,0 +1,38 @@
+import { ENTRY_TYPES, GAME_TYPES, calculatePrizePool, createTournament } from '../tournaments';
+
+const ANN = 'player_ann';
+const BEN = 'player_ben';
+
+const entry = (id, playerId, entryType, amount) => ({
+  id,
+  type: 'buy-in',
+  gameId: 'game_1',
+  playerId,
+  entryType,
+  amount
+});
+
+const game = (tournament) => ({ id: 'game_1', type: GAME_TYPES.TOURNAMENT, tournament });
+
+describe('calculatePrizePool', () => {
+  it('adds up what each entry was recorded for', () => {
+    const pool = calculatePrizePool(game(createTournament({ buyIn: 2000, rebuy: 2000, addOn: 1000, bounty: 500 })), [
+      entry('txn_1', ANN, ENTRY_TYPES.BUY_IN, 2000),
+      // Let in at a discount
+      entry('txn_2', BEN, ENTRY_TYPES.BUY_IN, 1500),
+      entry('txn_3', BEN, ENTRY_TYPES.ADD_ON, 1000),
+    ]);
+
+    expect(pool).toMatchObject({ buyIns: 2, addOns: 1, collected: 4500, bountyPool: 1000, prizePool: 3500 });
+  });
+
+  it('never puts more aside for a bounty than the entry paid', () => {
+    const pool = calculatePrizePool(game(createTournament({ buyIn: 2000, rebuy: 200, bounty: 500 })), [
+      entry('txn_1', ANN, ENTRY_TYPES.BUY_IN, 2000),
+      entry('txn_2', ANN, ENTRY_TYPES.REBUY, 200),
+    ]);
+
+    expect(pool.bountyPool).toBe(700);
+    expect(pool.prizePool).toBe(1500);
+  });
+});
@@ -1,19 +1,61 @@
 /**
  * Analytics Utility Module for Poker Settlement App
  * 
- * Provides functions for analyzing player performance and session history
+ * Provides functions for analyzing player performance and session history.
+ * All amounts are integer minor units, as stored in the session history.
+ * Session balances are each player's net after rake, fees and tips; what
+ * was charged is kept in session.feeCharges (see utils/deductions).
+ *
+ * Sessions are settled in their own currency with their own exchange rates,
+ * so there is no rate to add one session's money to another's. Anything that
+ * totals money is worked out for one currency at a time, from the sessions
+ * settled in it (see getHistoryCurrencies).
  */
 
+import { getTransactionValue } from './exchangeRates';
+import { DEFAULT_CURRENCY } from './money';
+import { ENTRY_TYPES, getFinishingPositions, isTournament } from './tournaments';
+import { countKnockouts } from './knockouts';
+import { getGameDuration, getTimeAtTable, toHours } from './seating';
+
+// Total a player was charged in rake, fees and tips for one session
+const getSessionFees = (session, playerId) => {
+  return (session.feeCharges || [])
+    .filter(charge => charge.playerId === playerId)
+    .reduce((sum, charge) => sum + charge.amount, 0);
+};
+
+// Sessions settled in one currency
+const inCurrency = (history, currency) => {
+  return history.filter(session => (session.currency || DEFAULT_CURRENCY) === currency);
+};
+
+/**
+ * Currencies sessions in the history were settled in, most played first
+ * 
+ * @param {Array} history - Array of session history objects
+ * @returns {Array<string>} - Currency codes
+ */
+export const getHistoryCurrencies = (history) => {
+  const counts = {};
+  history.forEach(session => {
+    const currency = session.currency || DEFAULT_CURRENCY;
+    counts[currency] = (counts[currency] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+};
+
 /**
  * Calculates overall stats for a player
  * 
  * @param {string} playerId - The player's ID
  * @param {Array} history - Array of session history objects
+ * @param {string} currency - Only sessions settled in this currency count
  * @returns {Object} - Player statistics
  */
-export const calculatePlayerStats = (playerId, history) => {
+export const calculatePlayerStats = (playerId, history, currency = DEFAULT_CURRENCY) => {
     // Filter sessions where this player participated
-    const playerSessions = history.filter(session => 
+    const playerSessions = inCurrency(history, currency).filter(session => 
       session.balances && session.balances[playerId] !== undefined
     );
     
@@ -30,6 +72,7 @@ export const calculatePlayerStats = (playerId, history) => {
         netWinnings: 0,
         winStreak: 0,
         currentStreak: 0,
+        feesPaid: 0,
         lastSessionBalance: null,
         lastSessionDate: null
       };
@@ -45,9 +88,11 @@ export const calculatePlayerStats = (playerId, history) => {
     let currentStreak = 0;
     let maxStreak = 0;
     let streakType = null; // 'win' or 'loss'
+    let feesPaid = 0;
     
     playerSessions.forEach(session => {
       const balance = parseFloat(session.balances[playerId]) || 0;
+      feesPaid += getSessionFees(session, playerId);
       
       if (balance > 0) {
         winCount++;
@@ -101,7 +146,7 @@ export const calculatePlayerStats = (playerId, history) => {
     
     // Calculate win rate and average winnings
     const winRate = playerSessions.length > 0 ? (winCount / playerSessions.length) * 100 : 0;
-    const avgWinnings = winCount > 0 ? totalWinnings / winCount : 0;
+    const avgWinnings = winCount > 0 ? Math.round(totalWinnings / winCount) : 0;
     
     return {
       totalSessions: playerSessions.length,
@@ -115,21 +160,122 @@ export const calculatePlayerStats = (playerId, history) => {
       netWinnings,
       winStreak: maxStreak,
       currentStreak: streakType === 'win' ? currentStreak : -currentStreak, // Negative for loss streak
+      feesPaid,
       lastSessionBalance,
       lastSessionDate
     };
   };
   
+  /**
+   * Calculates a player's tournament record: how often they finished in the
+   * money and what they got back for what they paid in. Costs and winnings
+   * are what the entries and prizes were worth in the session's currency.
+   * 
+   * @param {string} playerId - The player's ID
+   * @param {Array} history - Array of session history objects
+   * @param {string} currency - Only sessions settled in this currency count
+   * @returns {Object} - { tournaments, cashes, itmRate, totalCost, totalWon, profit, roi }
+   */
+  export const calculateTournamentStats = (playerId, history, currency = DEFAULT_CURRENCY) => {
+    let tournaments = 0;
+    let cashes = 0;
+    let totalCost = 0;
+    let totalWon = 0;
+    
+    inCurrency(history, currency).forEach(session => {
+      (session.games || []).filter(isTournament).forEach(game => {
+        const transactions = (session.gameLog || []).filter(transaction =>
+          transaction.gameId === game.id && transaction.playerId === playerId
+        );
+        const entries = transactions.filter(transaction => transaction.type === 'buy-in');
+        if (entries.length === 0) return;
+        
+        tournaments++;
+        totalCost += entries.reduce((sum, transaction) => sum + getTransactionValue(transaction), 0);
+        totalWon += transactions
+          .filter(transaction =>
+            transaction.entryType === ENTRY_TYPES.PAYOUT || transaction.entryType === ENTRY_TYPES.BOUNTY
+          )
+          .reduce((sum, transaction) => sum + getTransactionValue(transaction), 0);
+        
+        const position = getFinishingPositions(game.tournament)[playerId];
+        if (position && position <= (game.tournament.paidPlaces || 0)) {
+          cashes++;
+        }
+      });
+    });
+    
+    return {
+      tournaments,
+      cashes,
+      itmRate: tournaments > 0 ? Math.round((cashes / tournaments) * 10000) / 100 : 0,
+      totalCost,
+      totalWon,
+      profit: totalWon - totalCost,
+      roi: totalCost > 0 ? Math.round(((totalWon - totalCost) / totalCost) * 10000) / 100 : 0
+    };
+  };
+  
+  /**
+   * Calculates how long a player spends at the table and what they make per
+   * hour there, from when they sat down and got up in each game (see
+   * utils/seating). Players who arrived late or left early only count the
+   * time they were seated.
+   * 
+   * @param {string} playerId - The player's ID
+   * @param {Array} history - Array of session history objects
+   * @param {string} currency - Only sessions settled in this currency count
+   * @returns {Object} - { gamesTimed, timePlayed, averageTime, hourlyRate } with times in milliseconds
+   */
+  export const calculateTimeStats = (playerId, history, currency = DEFAULT_CURRENCY) => {
+    let gamesTimed = 0;
+    let timePlayed = 0;
+    let net = 0;
+    
+    inCurrency(history, currency).forEach(session => {
+      (session.games || []).forEach(game => {
+        const gamePlayer = (game.players || []).find(p => p.playerId === playerId);
+        if (!gamePlayer || !game.startTime) return;
+        
+        // Games still running when the session closed end with it
+        const time = getTimeAtTable(gamePlayer, game, new Date(session.date));
+        if (time <= 0) return;
+        
+        const transactions = (session.gameLog || []).filter(transaction =>
+          transaction.gameId === game.id && transaction.playerId === playerId
+        );
+        const gameNet = transactions.length > 0
+          ? transactions.reduce((sum, transaction) => {
+              const value = getTransactionValue(transaction);
+              return sum + (transaction.type === 'cash-out' ? value : -value);
+            }, 0)
+          : Math.round(Number((game.balances || {})[playerId])) || 0;
+        
+        gamesTimed++;
+        timePlayed += time;
+        net += gameNet;
+      });
+    });
+    
+    return {
+      gamesTimed,
+      timePlayed,
+      averageTime: gamesTimed > 0 ? Math.round(timePlayed / gamesTimed) : 0,
+      hourlyRate: timePlayed > 0 ? Math.round(net / toHours(timePlayed)) : 0
+    };
+  };
+  
   /**
    * Gets an array of players ranked by net winnings
    * 
    * @param {Array} players - Array of player objects
    * @param {Array} history - Array of session history objects
+   * @param {string} currency - Only sessions settled in this currency count
    * @returns {Array} - Players sorted by net winnings (highest first)
    */
-  export const getPlayerRankings = (players, history) => {
+  export const getPlayerRankings = (players, history, currency = DEFAULT_CURRENCY) => {
     return players.map(player => {
-      const stats = calculatePlayerStats(player.id, history);
+      const stats = calculatePlayerStats(player.id, history, currency);
       return {
         ...player,
         stats
@@ -142,13 +288,14 @@ export const calculatePlayerStats = (playerId, history) => {
    * 
    * @param {string} playerId - The player's ID
    * @param {Array} history - Array of session history objects
+   * @param {string} currency - Only sessions settled in this currency count
    * @returns {Array} - Monthly performance data
    */
-  export const getMonthlyPerformance = (playerId, history) => {
+  export const getMonthlyPerformance = (playerId, history, currency = DEFAULT_CURRENCY) => {
     const monthlyData = {};
     
     // Filter sessions where this player participated
-    const playerSessions = history.filter(session => 
+    const playerSessions = inCurrency(history, currency).filter(session => 
       session.balances && session.balances[playerId] !== undefined
     );
     
@@ -189,7 +336,8 @@ export const calculatePlayerStats = (playerId, history) => {
   };
   
   /**
-   * Calculate head-to-head stats between two players
+   * Calculate head-to-head stats between two players, including how often
+   * each knocked the other out
    * 
    * @param {string} player1Id - First player's ID
    * @param {string} player2Id - Second player's ID
@@ -209,7 +357,9 @@ export const calculatePlayerStats = (playerId, history) => {
         sharedSessions: 0,
         player1Wins: 0,
         player2Wins: 0,
-        draws: 0
+        draws: 0,
+        player1Knockouts: 0,
+        player2Knockouts: 0
       };
     }
     
@@ -234,24 +384,47 @@ export const calculatePlayerStats = (playerId, history) => {
       sharedSessions: sharedSessions.length,
       player1Wins,
       player2Wins,
-      draws
+      draws,
+      player1Knockouts: countKnockouts(player1Id, player2Id, sharedSessions),
+      player2Knockouts: countKnockouts(player2Id, player1Id, sharedSessions)
     };
   };
   
+  /**
+   * How long a session ran, from its first game starting to its last ending.
+   * Games still running when the session closed end with it.
+   * 
+   * @param {Object} session - Session history object
+   * @returns {number} - Milliseconds, 0 when none of its games were timed
+   */
+  export const getSessionDuration = (session) => {
+    const timedGames = (session.games || []).filter(game => game.startTime);
+    if (timedGames.length === 0) return 0;
+    
+    const start = Math.min(...timedGames.map(game => new Date(game.startTime).getTime()));
+    const end = Math.max(...timedGames.map(game =>
+      new Date(game.startTime).getTime() + getGameDuration(game, new Date(session.date))
+    ));
+    return end - start;
+  };
+  
   /**
    * Calculate session statistics
    * 
    * @param {Array} history - Array of session history objects
    * @param {Array} players - Array of player objects
+   * @param {string} currency - Only sessions settled in this currency count
    * @returns {Object} - Session statistics
    */
-  export const getSessionStats = (history, players) => {
-    if (history.length === 0) {
+  export const getSessionStats = (history, players, currency = DEFAULT_CURRENCY) => {
+    const sessions = inCurrency(history, currency);
+    if (sessions.length === 0) {
       return {
         totalSessions: 0,
         averagePlayersPerSession: 0,
         averageTransactionsPerSession: 0,
         avgSettlementAmount: 0,
+        averageSessionDuration: 0,
         topPlayers: []
       };
     }
@@ -259,8 +432,16 @@ export const calculatePlayerStats = (playerId, history) => {
     let totalPlayers = 0;
     let totalTransactions = 0;
     let totalSettlementAmount = 0;
+    let totalDuration = 0;
+    let timedSessions = 0;
     
-    history.forEach(session => {
+    sessions.forEach(session => {
+      const duration = getSessionDuration(session);
+      if (duration > 0) {
+        totalDuration += duration;
+        timedSessions++;
+      }
+      
       const playerCount = session.balances ? Object.keys(session.balances).length : 0;
       totalPlayers += playerCount;
       
@@ -277,7 +458,7 @@ export const calculatePlayerStats = (playerId, history) => {
     // Get top players by appearances
     const playerAppearances = {};
     
-    history.forEach(session => {
+    sessions.forEach(session => {
       if (session.balances) {
         Object.keys(session.balances).forEach(playerId => {
           playerAppearances[playerId] = (playerAppearances[playerId] || 0) + 1;
@@ -292,17 +473,18 @@ export const calculatePlayerStats = (playerId, history) => {
           id: playerId,
           name: player ? player.name : 'Unknown Player',
           appearances,
-          attendanceRate: (appearances / history.length) * 100
+          attendanceRate: (appearances / sessions.length) * 100
         };
       })
       .sort((a, b) => b.appearances - a.appearances)
       .slice(0, 5);
     
     return {
-      totalSessions: history.length,
-      averagePlayersPerSession: history.length > 0 ? totalPlayers / history.length : 0,
-      averageTransactionsPerSession: history.length > 0 ? totalTransactions / history.length : 0,
+      totalSessions: sessions.length,
+      averagePlayersPerSession: sessions.length > 0 ? totalPlayers / sessions.length : 0,
+      averageTransactionsPerSession: sessions.length > 0 ? totalTransactions / sessions.length : 0,
       avgSettlementAmount: totalTransactions > 0 ? totalSettlementAmount / totalTransactions : 0,
+      averageSessionDuration: timedSessions > 0 ? Math.round(totalDuration / timedSessions) : 0,
       topPlayers
     };
   };
@@ -312,11 +494,12 @@ export const calculatePlayerStats = (playerId, history) => {
    * 
    * @param {string} playerId - The player's ID
    * @param {Array} history - Array of session history objects
+   * @param {string} currency - Only sessions settled in this currency count
    * @returns {Array} - Data points for a performance chart
    */
-  export const getPlayerPerformanceData = (playerId, history) => {
+  export const getPlayerPerformanceData = (playerId, history, currency = DEFAULT_CURRENCY) => {
     // Filter sessions where this player participated
-    const playerSessions = history.filter(session => 
+    const playerSessions = inCurrency(history, currency).filter(session => 
       session.balances && session.balances[playerId] !== undefined
     );
     
@@ -341,10 +524,14 @@ export const calculatePlayerStats = (playerId, history) => {
   };
   
   export default {
+    getHistoryCurrencies,
     calculatePlayerStats,
+    calculateTournamentStats,
+    calculateTimeStats,
     getPlayerRankings,
     getMonthlyPerformance,
     getHeadToHeadStats,
+    getSessionDuration,
     getSessionStats,
     getPlayerPerformanceData
   };
\ No newline at end of file
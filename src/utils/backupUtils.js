@@ -4,22 +4,28 @@ import * as Sharing from 'expo-sharing';
 import * as DocumentPicker from 'expo-document-picker';
 import { store } from '../store';
 import { setPlayers } from '../store/playerSlice';
-import { setHistory } from '../store/settlementSlice';
+import { setHistory, setDebtLedger } from '../store/settlementSlice';
 import { savePlayers, saveHistory } from '../api/storage';
+import { migrateHistoryToMinorUnits, rekeyStoredData } from '../store/migrations';
+import { selectAllPlayers, selectSessions } from '../store/selectors';
 
 export const BackupUtils = {
   // Create a backup of all app data
   createBackup: async () => {
     try {
-      const { players } = store.getState().players;
-      const { history } = store.getState().settlements;
+      const state = store.getState();
+      const players = selectAllPlayers(state);
+      const history = selectSessions(state);
+      const { debtPayments = [], nettings = [] } = state.settlements;
       
       const backupData = {
         appVersion: '1.0.0',
         createdAt: new Date().toISOString(),
         data: {
           players,
-          history
+          history,
+          debtPayments,
+          nettings
         }
       };
       
@@ -66,19 +72,28 @@ export const BackupUtils = {
         return { success: false, error: 'Invalid backup file format' };
       }
       
+      // Older backups store amounts as float dollars, and IDs from before they were re-keyed
+      const { players, history, debtPayments, nettings } = rekeyStoredData({
+        players: backupData.data.players,
+        history: migrateHistoryToMinorUnits(backupData.data.history),
+        debtPayments: backupData.data.debtPayments || [],
+        nettings: backupData.data.nettings || []
+      });
+      
       // Restore the data
-      store.dispatch(setPlayers(backupData.data.players));
-      store.dispatch(setHistory(backupData.data.history));
+      store.dispatch(setPlayers(players));
+      store.dispatch(setHistory(history));
+      store.dispatch(setDebtLedger({ debtPayments, nettings }));
       
       // Persist the restored data
-      await savePlayers(backupData.data.players);
-      await saveHistory(backupData.data.history);
+      await savePlayers(players);
+      await saveHistory(history);
       
       return { 
         success: true, 
         message: 'Data restored successfully',
-        playersCount: backupData.data.players.length,
-        historyCount: backupData.data.history.length
+        playersCount: players.length,
+        historyCount: history.length
       };
     } catch (error) {
       console.error('Error restoring backup:', error);
@@ -91,6 +106,7 @@ export const BackupUtils = {
     try {
       store.dispatch(setPlayers([]));
       store.dispatch(setHistory([]));
+      store.dispatch(setDebtLedger({}));
       
       await savePlayers([]);
       await saveHistory([]);
@@ -0,0 +1,202 @@
+/**
+ * Balance Adjustments Module
+ *
+ * When the balances entered for a session don't sum to zero, someone has to
+ * absorb the difference before the session can be settled. Each strategy
+ * picks who that is:
+ *
+ *   even          - one equal share per player with a result
+ *   proportional  - by the size of each player's result, win or lose
+ *   winners       - only the winners, by what they won
+ *   host          - one named player takes all of it
+ *   lastEntered   - the players whose numbers were entered last
+ *   unaccounted   - nobody; the difference is kept as its own named line
+ *                   (UNACCOUNTED_ID) that settles like a player
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { allocateMoney, sumMoney } from './money';
+
+// Balance line holding a difference nobody has accepted
+export const UNACCOUNTED_ID = 'unaccounted';
+export const UNACCOUNTED_NAME = 'Unaccounted';
+
+export const ADJUSTMENT_STRATEGIES = {
+  EVEN: 'even',
+  PROPORTIONAL: 'proportional',
+  WINNERS: 'winners',
+  HOST: 'host',
+  LAST_ENTERED: 'lastEntered',
+  UNACCOUNTED: 'unaccounted'
+};
+
+export const ADJUSTMENT_STRATEGY_LABELS = {
+  [ADJUSTMENT_STRATEGIES.EVEN]: 'Split evenly',
+  [ADJUSTMENT_STRATEGIES.PROPORTIONAL]: 'Proportional to results',
+  [ADJUSTMENT_STRATEGIES.WINNERS]: 'Winners only',
+  [ADJUSTMENT_STRATEGIES.HOST]: 'Charge the host',
+  [ADJUSTMENT_STRATEGIES.LAST_ENTERED]: 'Last entered',
+  [ADJUSTMENT_STRATEGIES.UNACCOUNTED]: 'Leave as unaccounted'
+};
+
+/**
+ * Whether an ID is the unaccounted line rather than a real player
+ *
+ * @param {string} id - Player or line ID
+ * @returns {boolean} - True for the unaccounted line
+ */
+export const isUnaccounted = (id) => id === UNACCOUNTED_ID;
+
+// Who absorbs the imbalance under a strategy, as allocation weights
+const getWeights = (strategy, balances, options) => {
+  const weights = {};
+  const playerIds = Object.keys(balances).filter(id => !isUnaccounted(id));
+
+  switch (strategy) {
+    case ADJUSTMENT_STRATEGIES.EVEN:
+      playerIds.forEach(id => {
+        if (balances[id] !== 0) weights[id] = 1;
+      });
+      return Object.keys(weights).length > 0 ? { weights } : { reason: 'noBalances' };
+
+    case ADJUSTMENT_STRATEGIES.PROPORTIONAL:
+      playerIds.forEach(id => {
+        if (balances[id] !== 0) weights[id] = Math.abs(balances[id]);
+      });
+      return Object.keys(weights).length > 0 ? { weights } : { reason: 'noBalances' };
+
+    case ADJUSTMENT_STRATEGIES.WINNERS:
+      playerIds.forEach(id => {
+        if (balances[id] > 0) weights[id] = balances[id];
+      });
+      return Object.keys(weights).length > 0 ? { weights } : { reason: 'noWinners' };
+
+    case ADJUSTMENT_STRATEGIES.HOST:
+      if (!options.hostId) return { reason: 'noHost' };
+      weights[options.hostId] = 1;
+      return { weights };
+
+    case ADJUSTMENT_STRATEGIES.LAST_ENTERED: {
+      // Most recent first, each player once
+      const recent = [];
+      [...(options.entryOrder || [])].reverse().forEach(id => {
+        if (id in balances && !recent.includes(id)) recent.push(id);
+      });
+      recent.slice(0, Math.max(1, options.lastEnteredCount || 1)).forEach(id => {
+        weights[id] = 1;
+      });
+      return Object.keys(weights).length > 0 ? { weights } : { reason: 'noEntryOrder' };
+    }
+
+    default:
+      return { reason: 'unknownStrategy' };
+  }
+};
+
+/**
+ * Works out how a strategy would bring a set of balances to zero
+ *
+ * @param {Object} balances - { playerId: amount } that may not sum to zero
+ * @param {Object} options
+ * @param {string} options.strategy - One of ADJUSTMENT_STRATEGIES
+ * @param {string} options.hostId - Player charged by the host strategy
+ * @param {Array<string>} options.entryOrder - Player IDs in the order their numbers were entered
+ * @param {number} options.lastEnteredCount - How many of the last entered players share it
+ * @returns {Object} - {
+ *   strategy,
+ *   imbalance: what the balances summed to,
+ *   feasible: whether the strategy can be applied,
+ *   reason: why not, when it can't ('noBalances', 'noWinners', 'noHost', 'noEntryOrder'),
+ *   balances: adjusted balances summing to zero (a copy of the input when not feasible),
+ *   adjustments: { id: amount added to that balance }
+ * }
+ */
+export const planBalanceAdjustment = (balances, options = {}) => {
+  const strategy = options.strategy || ADJUSTMENT_STRATEGIES.EVEN;
+  const validBalances = {};
+
+  Object.entries(balances).forEach(([id, value]) => {
+    validBalances[id] = Math.round(Number(value)) || 0;
+  });
+
+  const imbalance = sumMoney(Object.values(validBalances));
+  const plan = { strategy, imbalance, feasible: true, reason: null, balances: validBalances, adjustments: {} };
+
+  if (imbalance === 0) return plan;
+
+  if (strategy === ADJUSTMENT_STRATEGIES.UNACCOUNTED) {
+    plan.adjustments = { [UNACCOUNTED_ID]: -imbalance };
+    plan.balances = { ...validBalances, [UNACCOUNTED_ID]: (validBalances[UNACCOUNTED_ID] || 0) - imbalance };
+    return plan;
+  }
+
+  const { weights, reason } = getWeights(strategy, validBalances, options);
+  if (!weights) {
+    return { ...plan, feasible: false, reason };
+  }
+
+  // Leftover minor units go to the players in the order they appear
+  const corrections = allocateMoney(imbalance, weights, Object.keys(weights));
+  const adjustedBalances = { ...validBalances };
+
+  Object.keys(weights).forEach(id => {
+    const correction = corrections[id] || 0;
+    if (correction === 0) return;
+    adjustedBalances[id] = (adjustedBalances[id] || 0) - correction;
+    plan.adjustments[id] = -correction;
+  });
+
+  return { ...plan, balances: adjustedBalances };
+};
+
+/**
+ * Explains why a strategy can't be applied
+ *
+ * @param {string} reason - Reason from planBalanceAdjustment
+ * @returns {string} - Human-readable explanation
+ */
+export const describeAdjustmentProblem = (reason) => {
+  switch (reason) {
+    case 'noBalances':
+      return 'Enter at least one player balance first.';
+    case 'noWinners':
+      return 'Nobody has a winning balance to adjust.';
+    case 'noHost':
+      return 'Choose the host who takes the difference.';
+    case 'noEntryOrder':
+      return 'No balances have been entered on this screen yet.';
+    default:
+      return 'This strategy can\'t be applied.';
+  }
+};
+
+/**
+ * One-line summary of a recorded adjustment, for history and sharing
+ *
+ * @param {Object} adjustment - { strategy, imbalance, adjustments }
+ * @param {Function} getName - Maps a player ID to a display name
+ * @param {Function} format - Formats minor units as money
+ * @returns {string} - e.g. "$5.00 over zero · Alice -$3.00, Bob -$2.00"
+ */
+export const describeBalanceAdjustment = (adjustment, getName, format) => {
+  const imbalance = adjustment.imbalance || 0;
+  const changes = Object.entries(adjustment.adjustments || {})
+    .map(([id, amount]) => `${getName(id)} ${amount > 0 ? '+' : '-'}${format(Math.abs(amount))}`);
+
+  return [
+    `${format(Math.abs(imbalance))} ${imbalance > 0 ? 'over' : 'under'} zero`,
+    ...(changes.length > 0 ? [changes.join(', ')] : [])
+  ].join(' · ');
+};
+
+export default {
+  UNACCOUNTED_ID,
+  UNACCOUNTED_NAME,
+  ADJUSTMENT_STRATEGIES,
+  ADJUSTMENT_STRATEGY_LABELS,
+  isUnaccounted,
+  planBalanceAdjustment,
+  describeAdjustmentProblem,
+  describeBalanceAdjustment
+};
@@ -0,0 +1,113 @@
+/**
+ * Cash-Outs Module
+ *
+ * Keeps cash-outs honest against the money on the table. Everything bought
+ * into a game has to leave it again as cash-outs before the game can end:
+ *
+ *   on the table = buy-ins - cash-outs
+ *
+ * A new cash-out can never take more than is on the table. When the game is
+ * over and money is still left (or more was paid out than came in, after an
+ * edit), planTableFixUp works out the adjustments that square it, resolved
+ * the same two ways as a chip count discrepancy (see utils/chips):
+ *
+ *   proportional - spread across everyone who cashed out, by what they took
+ *   host         - one player takes the whole difference
+ *
+ * All amounts are integer minor units in the game's currency (see utils/money).
+ */
+
+import { allocateMoney, sumMoney } from './money';
+import { DISCREPANCY_RESOLUTIONS, getAmountInPlay } from './chips';
+
+/**
+ * What each player has put on and taken off the table
+ *
+ * @param {Array} transactions - Game transactions
+ * @param {Function} getAmount - Reads a transaction's amount, e.g. converted into the game's currency
+ * @returns {Object} - { playerId: { buyIns, cashOuts, cashOutCount } }
+ */
+export const getPlayerTableTotals = (transactions = [], getAmount = transaction => transaction.amount) => {
+  const totals = {};
+  transactions.forEach(transaction => {
+    if (transaction.type !== 'buy-in' && transaction.type !== 'cash-out') return;
+    if (!totals[transaction.playerId]) {
+      totals[transaction.playerId] = { buyIns: 0, cashOuts: 0, cashOutCount: 0 };
+    }
+    const total = totals[transaction.playerId];
+    if (transaction.type === 'buy-in') {
+      total.buyIns += getAmount(transaction);
+    } else {
+      total.cashOuts += getAmount(transaction);
+      total.cashOutCount += 1;
+    }
+  });
+  return totals;
+};
+
+/**
+ * Checks new cash-outs against what's on the table
+ *
+ * @param {number} inPlay - Money on the table, see getAmountInPlay
+ * @param {Array<number>} amounts - Cash-outs about to be recorded
+ * @returns {Object} - { total, remaining: left on the table afterwards, exceeds: whether they take too much }
+ */
+export const checkCashOuts = (inPlay, amounts = []) => {
+  const total = sumMoney(amounts.map(amount => amount || 0));
+  const remaining = inPlay - total;
+  return { total, remaining, exceeds: remaining < 0 };
+};
+
+/**
+ * Whether a game's table balances, i.e. every buy-in has been cashed out
+ *
+ * @param {Array} transactions - Game transactions
+ * @param {Function} getAmount - Reads a transaction's amount, see getAmountInPlay
+ * @returns {boolean} - True when nothing is left on the table
+ */
+export const isTableBalanced = (transactions = [], getAmount) => {
+  return getAmountInPlay(transactions, getAmount) === 0;
+};
+
+/**
+ * Adjustments that clear what's left on the table
+ *
+ * @param {Object} options
+ * @param {number} options.inPlay - Money still on the table; negative when more was paid out than bought in
+ * @param {Object} options.cashOuts - { playerId: amount already cashed out }, the weights for a proportional fix-up
+ * @param {string} options.resolution - One of DISCREPANCY_RESOLUTIONS
+ * @param {string} options.hostId - Player who takes the difference when resolving to the host
+ * @returns {Object} - { playerId: adjustment } summing to inPlay; positive is paid out, negative paid in.
+ *   Empty when the resolution can't be applied.
+ */
+export const planTableFixUp = ({
+  inPlay,
+  cashOuts = {},
+  resolution = DISCREPANCY_RESOLUTIONS.PROPORTIONAL,
+  hostId = null
+}) => {
+  if (!inPlay) return {};
+
+  if (resolution === DISCREPANCY_RESOLUTIONS.HOST) {
+    return hostId ? { [hostId]: inPlay } : {};
+  }
+
+  const weights = {};
+  Object.entries(cashOuts).forEach(([playerId, amount]) => {
+    if (amount > 0) weights[playerId] = amount;
+  });
+  if (Object.keys(weights).length === 0) return {};
+
+  const adjustments = allocateMoney(inPlay, weights);
+  Object.keys(adjustments).forEach(playerId => {
+    if (adjustments[playerId] === 0) delete adjustments[playerId];
+  });
+  return adjustments;
+};
+
+export default {
+  getPlayerTableTotals,
+  checkCashOuts,
+  isTableBalanced,
+  planTableFixUp
+};
@@ -0,0 +1,243 @@
+/**
+ * Cash Rounding Module
+ *
+ * Settling in cash is easier when every transfer is a round amount. Rather
+ * than rounding transfers after the fact, each balance is rounded to the
+ * chosen unit (e.g. $1, $5 or 0.50) before the plan is worked out; when
+ * every balance is a multiple of the unit, so is every transfer.
+ *
+ * The cents that rounding moves have to land somewhere:
+ *
+ *   player     - one chosen player takes them all
+ *   host       - the host (the banker, or whoever collects the fees) takes them
+ *   carryOver  - everyone is rounded to the nearest unit and what they gained
+ *                or lost is remembered, so the next session rounds in their
+ *                favour (or against them) and it evens out over time
+ *
+ * A carry-over balance is what a player is still owed from earlier rounding:
+ * positive when rounding has short-changed them so far.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { sumMoney, toMinorUnits } from './money';
+import { isHouse } from './deductions';
+import { isUnaccounted } from './balanceAdjustments';
+
+export const ROUNDING_TARGETS = {
+  PLAYER: 'player',
+  HOST: 'host',
+  CARRY_OVER: 'carryOver'
+};
+
+export const ROUNDING_TARGET_LABELS = {
+  [ROUNDING_TARGETS.PLAYER]: 'A chosen player',
+  [ROUNDING_TARGETS.HOST]: 'The host',
+  [ROUNDING_TARGETS.CARRY_OVER]: 'Carry over to next session'
+};
+
+// Units offered for rounding, in major units of the currency
+export const ROUNDING_UNIT_OPTIONS = [0.5, 1, 5, 10];
+
+/**
+ * A rounding unit in minor units, e.g. 5 -> 500 for USD
+ *
+ * @param {number} unit - Unit in major units
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Integer minor units; at least 1
+ */
+export const getRoundingUnit = (unit, currency) => {
+  return Math.max(1, toMinorUnits(unit, currency));
+};
+
+/**
+ * Rounds an amount to the nearest multiple of a unit, halves away from zero
+ *
+ * @param {number} amount - Integer minor units
+ * @param {number} unit - Unit in minor units
+ * @returns {number} - Rounded amount
+ */
+export const roundToUnit = (amount, unit) => {
+  const rounded = Math.round(Math.abs(amount) / unit) * unit;
+  return amount < 0 ? -rounded : rounded;
+};
+
+// Only players who played carry rounding between sessions; the house and the unaccounted
+// line settle like players but have nothing to carry
+const carriesOver = (id, balances) => !isHouse(id) && !isUnaccounted(id) && balances[id] !== 0;
+
+/**
+ * Rounds every balance to the unit and decides who takes the leftover cents
+ *
+ * @param {Object} balances - { playerId: amount } summing to zero
+ * @param {Object} options
+ * @param {number} options.unit - Rounding unit in minor units
+ * @param {string} options.remainderTo - One of ROUNDING_TARGETS
+ * @param {string} options.targetId - Player taking the remainder for the player and host targets
+ * @param {Object} options.carryOver - { playerId: amount still owed } for the carry-over target
+ * @returns {Object} - {
+ *   applied: whether anything was rounded,
+ *   reason: why not ('noTarget'), when it wasn't,
+ *   unit, remainderTo, targetId,
+ *   balances: rounded balances summing to zero,
+ *   adjustments: { id: amount rounding added to that balance },
+ *   carryOver: { playerId: new carry-over } for everyone rounded, carry-over target only
+ * }
+ */
+export const roundBalances = (balances, options = {}) => {
+  const { unit = 1, remainderTo = ROUNDING_TARGETS.CARRY_OVER, targetId = null, carryOver = {} } = options;
+  const validBalances = {};
+  Object.entries(balances).forEach(([id, value]) => {
+    validBalances[id] = Math.round(Number(value)) || 0;
+  });
+
+  const result = {
+    applied: false,
+    reason: null,
+    unit,
+    remainderTo,
+    targetId: remainderTo === ROUNDING_TARGETS.CARRY_OVER ? null : targetId,
+    balances: validBalances,
+    adjustments: {},
+    carryOver: null
+  };
+
+  if (unit <= 1) return result;
+
+  const rounded = {};
+
+  if (remainderTo === ROUNDING_TARGETS.CARRY_OVER) {
+    const newCarryOver = {};
+    const ids = Object.keys(validBalances);
+
+    // What each player is owed this time, including what earlier rounding owes them
+    const carrying = ids.filter(id => carriesOver(id, validBalances));
+    ids.forEach(id => {
+      const owed = validBalances[id] + (carrying.includes(id) ? Math.round(Number(carryOver[id])) || 0 : 0);
+      rounded[id] = roundToUnit(owed, unit);
+      newCarryOver[id] = owed - rounded[id];
+    });
+
+    // Rounding everyone to the nearest unit can leave the total a few units off zero;
+    // nudge the players rounding has favoured most so far
+    const nudgeable = carrying.length > 0 ? carrying : ids;
+    let excess = sumMoney(Object.values(rounded));
+    while (excess !== 0 && nudgeable.length > 0) {
+      const step = excess > 0 ? -unit : unit;
+      const [id] = [...nudgeable].sort((a, b) =>
+        step < 0 ? newCarryOver[a] - newCarryOver[b] : newCarryOver[b] - newCarryOver[a]
+      );
+      rounded[id] += step;
+      newCarryOver[id] -= step;
+      excess += step;
+    }
+
+    result.carryOver = {};
+    carrying.forEach(id => {
+      result.carryOver[id] = newCarryOver[id];
+    });
+  } else {
+    if (!targetId) {
+      return { ...result, reason: 'noTarget' };
+    }
+
+    // Everyone else rounds to the nearest unit and the target takes up the difference,
+    // which leaves them on a multiple of the unit too
+    Object.keys(validBalances).forEach(id => {
+      if (id !== targetId) rounded[id] = roundToUnit(validBalances[id], unit);
+    });
+    rounded[targetId] = -sumMoney(Object.values(rounded));
+  }
+
+  Object.keys(rounded).forEach(id => {
+    const adjustment = rounded[id] - (validBalances[id] || 0);
+    if (adjustment !== 0) result.adjustments[id] = adjustment;
+  });
+
+  return { ...result, applied: true, balances: rounded };
+};
+
+/**
+ * Folds a session's new carry-over into the running per-player totals
+ *
+ * @param {Object} totals - { playerId: amount } carried so far
+ * @param {Object} sessionCarryOver - { playerId: amount } from roundBalances
+ * @returns {Object} - Updated totals; players back on zero are dropped
+ */
+export const mergeCarryOver = (totals = {}, sessionCarryOver = {}) => {
+  const merged = { ...totals, ...sessionCarryOver };
+  Object.keys(merged).forEach(id => {
+    if (merged[id] === 0) delete merged[id];
+  });
+  return merged;
+};
+
+/**
+ * What one session's rounding added to the running carry-over totals. A
+ * player's carry-over moves by whatever rounding took off their balance.
+ *
+ * @param {Object} rounding - Result of roundBalances, as kept with the session
+ * @returns {Object} - { playerId: amount }, empty when nothing carried over
+ */
+export const getCarryOverContribution = (rounding) => {
+  const contribution = {};
+  if (!rounding || !rounding.applied || !rounding.carryOver) return contribution;
+
+  Object.keys(rounding.carryOver).forEach(id => {
+    const amount = -((rounding.adjustments || {})[id] || 0);
+    if (amount !== 0) contribution[id] = amount;
+  });
+  return contribution;
+};
+
+/**
+ * Adds a session's contribution to the running totals, or takes it back out
+ * with a sign of -1 when the session is reopened
+ *
+ * @param {Object} totals - { playerId: amount } carried so far
+ * @param {Object} contribution - { playerId: amount } from getCarryOverContribution
+ * @param {number} sign - 1 to add, -1 to remove
+ * @returns {Object} - Updated totals; players back on zero are dropped
+ */
+export const adjustCarryOver = (totals = {}, contribution = {}, sign = 1) => {
+  const adjusted = { ...totals };
+  Object.entries(contribution).forEach(([id, amount]) => {
+    adjusted[id] = (adjusted[id] || 0) + sign * amount;
+    if (adjusted[id] === 0) delete adjusted[id];
+  });
+  return adjusted;
+};
+
+/**
+ * One-line description of how a plan was rounded
+ *
+ * @param {Object} rounding - Result of roundBalances
+ * @param {Function} getName - Maps a player ID to a display name
+ * @param {Function} format - Formats minor units as money
+ * @returns {string} - e.g. "Rounded to $5.00 · Sam covers the odd $0.37"
+ */
+export const describeRounding = (rounding, getName, format) => {
+  if (!rounding || !rounding.applied) return '';
+  const lead = `Rounded to ${format(rounding.unit)}`;
+
+  if (rounding.remainderTo === ROUNDING_TARGETS.CARRY_OVER) {
+    return `${lead} · the difference carries over to next session`;
+  }
+
+  const taken = rounding.adjustments[rounding.targetId] || 0;
+  if (taken === 0) return lead;
+  return `${lead} · ${getName(rounding.targetId)} ${taken > 0 ? 'gains' : 'covers'} the odd ${format(Math.abs(taken))}`;
+};
+
+export default {
+  ROUNDING_TARGETS,
+  ROUNDING_TARGET_LABELS,
+  ROUNDING_UNIT_OPTIONS,
+  getRoundingUnit,
+  roundToUnit,
+  roundBalances,
+  mergeCarryOver,
+  getCarryOverContribution,
+  adjustCarryOver,
+  describeRounding
+};
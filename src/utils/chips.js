@@ -0,0 +1,169 @@
+/**
+ * Chips Module
+ *
+ * Converts end-of-game chip counts into cash-outs. Each game can define a
+ * chip set:
+ *
+ *   { chipsPerUnit, denominations: [{ id, label, value, color }] }
+ *
+ * where a denomination's value is in chips and chipsPerUnit is how many chips
+ * one major unit of the currency buys (e.g. 100 chips per $1).
+ *
+ * The chips on the table at the end of a game should be worth exactly what
+ * was bought in and not yet cashed out. When the count disagrees, the
+ * discrepancy is resolved either by scaling every cash-out proportionally or
+ * by charging the difference to the host.
+ *
+ * All money amounts are integer minor units (see utils/money).
+ */
+
+import { DEFAULT_CURRENCY, allocateMoney, sumMoney, toMajorUnits, toMinorUnits } from './money';
+
+export const DEFAULT_DENOMINATIONS = [
+  { id: 'white', label: 'White', value: 1, color: '#ECF0F1' },
+  { id: 'red', label: 'Red', value: 5, color: '#E74C3C' },
+  { id: 'green', label: 'Green', value: 25, color: '#2ECC71' },
+  { id: 'black', label: 'Black', value: 100, color: '#2C3E50' }
+];
+
+export const DEFAULT_CHIP_SET = {
+  chipsPerUnit: 1,
+  denominations: DEFAULT_DENOMINATIONS
+};
+
+export const DISCREPANCY_RESOLUTIONS = {
+  PROPORTIONAL: 'proportional', // Scale every cash-out so they add up to what is on the table
+  HOST: 'host' // Pay out the count as-is and the host absorbs the difference
+};
+
+/**
+ * The chip set a game uses, falling back to the default set
+ *
+ * @param {Object} game - Game object
+ * @returns {Object} - Chip set { chipsPerUnit, denominations }
+ */
+export const getChipSet = (game) => {
+  const chipSet = game && game.chipSet;
+  if (!chipSet || !chipSet.denominations || chipSet.denominations.length === 0) {
+    return DEFAULT_CHIP_SET;
+  }
+  return chipSet;
+};
+
+/**
+ * Total chips in a count by denomination
+ *
+ * @param {Object} counts - { denominationId: number of chips }
+ * @param {Array} denominations - Chip set denominations
+ * @returns {number} - Total value in chips
+ */
+export const countChips = (counts = {}, denominations = []) => {
+  return denominations.reduce(
+    (total, denomination) => total + (parseInt(counts[denomination.id], 10) || 0) * denomination.value,
+    0
+  );
+};
+
+/**
+ * Converts chips to money
+ *
+ * @param {number} chips - Value in chips
+ * @param {Object} chipSet - Chip set
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Integer minor units
+ */
+export const chipsToMoney = (chips, chipSet, currency = DEFAULT_CURRENCY) => {
+  const chipsPerUnit = Number(chipSet.chipsPerUnit) || 1;
+  return toMinorUnits(chips / chipsPerUnit, currency);
+};
+
+/**
+ * Converts money to chips
+ *
+ * @param {number} amount - Integer minor units
+ * @param {Object} chipSet - Chip set
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Value in chips, rounded to two decimal places
+ */
+export const moneyToChips = (amount, chipSet, currency = DEFAULT_CURRENCY) => {
+  const chipsPerUnit = Number(chipSet.chipsPerUnit) || 1;
+  return Math.round(toMajorUnits(amount, currency) * chipsPerUnit * 100) / 100;
+};
+
+/**
+ * Money still on the table in a game: buy-ins less cash-outs already paid
+ *
+ * @param {Array} transactions - Game transactions
+ * @param {Function} getAmount - Reads a transaction's amount, e.g. converted into the game's currency
+ * @returns {number} - Integer minor units
+ */
+export const getAmountInPlay = (transactions = [], getAmount = transaction => transaction.amount) => {
+  return sumMoney(transactions.map(transaction => {
+    if (transaction.type === 'buy-in') return getAmount(transaction);
+    if (transaction.type === 'cash-out') return -getAmount(transaction);
+    return 0;
+  }));
+};
+
+/**
+ * Works out each player's cash-out from their chip count
+ *
+ * @param {Object} options
+ * @param {Object} options.counts - { playerId: { denominationId: number of chips } }
+ * @param {Object} options.chipSet - Chip set the counts use
+ * @param {number} options.inPlay - Money on the table, see getAmountInPlay
+ * @param {string} options.resolution - One of DISCREPANCY_RESOLUTIONS
+ * @param {string} options.hostId - Player charged when resolving to the host
+ * @param {string} options.currency - ISO currency code
+ * @returns {Object} - {
+ *   chips: { playerId: chips counted },
+ *   counted: { playerId: money counted },
+ *   totalCounted: money counted across all players,
+ *   discrepancy: totalCounted - inPlay (positive when chips appeared),
+ *   cashOuts: { playerId: amount to cash out },
+ *   hostAdjustment: amount added to the host's result (negative when charged)
+ * }
+ */
+export const resolveChipCounts = ({
+  counts = {},
+  chipSet = DEFAULT_CHIP_SET,
+  inPlay = 0,
+  resolution = DISCREPANCY_RESOLUTIONS.PROPORTIONAL,
+  hostId = null,
+  currency = DEFAULT_CURRENCY
+}) => {
+  const chips = {};
+  const counted = {};
+
+  Object.keys(counts).forEach(playerId => {
+    chips[playerId] = countChips(counts[playerId], chipSet.denominations);
+    counted[playerId] = chipsToMoney(chips[playerId], chipSet, currency);
+  });
+
+  const totalCounted = sumMoney(Object.values(counted));
+  const discrepancy = totalCounted - inPlay;
+  let cashOuts = { ...counted };
+  let hostAdjustment = 0;
+
+  if (discrepancy !== 0) {
+    if (resolution === DISCREPANCY_RESOLUTIONS.PROPORTIONAL && totalCounted > 0) {
+      cashOuts = allocateMoney(inPlay, counted);
+    } else if (resolution === DISCREPANCY_RESOLUTIONS.HOST && hostId) {
+      hostAdjustment = -discrepancy;
+    }
+  }
+
+  return { chips, counted, totalCounted, discrepancy, cashOuts, hostAdjustment };
+};
+
+export default {
+  DEFAULT_DENOMINATIONS,
+  DEFAULT_CHIP_SET,
+  DISCREPANCY_RESOLUTIONS,
+  getChipSet,
+  countChips,
+  chipsToMoney,
+  moneyToChips,
+  getAmountInPlay,
+  resolveChipCounts
+};
@@ -0,0 +1,322 @@
+/**
+ * Debt Ledger Module
+ *
+ * Tracks what is still owed across every completed session. Each settlement
+ * in history is an obligation, less whatever was paid against it directly
+ * (see utils/settlementPayments). Payments recorded outside a session pay
+ * obligations off, oldest first, and a netting ("settle everything") closes a set of open obligations
+ * and replaces them with the smallest set of transfers that leaves everyone
+ * in the same position.
+ *
+ * Payments and nettings are replayed in date order, so the ledger can always
+ * be rebuilt from history plus those two lists.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { DEFAULT_CURRENCY, sumMoney } from './money';
+import { calculateOptimalSettlements } from './settlementCalculator';
+import { SETTLEMENT_STATUS, getRemainingAmount } from './settlementPayments';
+import { ID_PREFIXES, createId } from './ids';
+
+/**
+ * Key of the obligation created by a settlement in a history session
+ *
+ * @param {string} sessionId - History session ID
+ * @param {number} index - Index of the settlement in the session
+ * @returns {string} - Obligation key
+ */
+export const getSessionObligationKey = (sessionId, index) => `session:${sessionId}:${index}`;
+
+/**
+ * Key of the obligation created by a transfer in a netting
+ *
+ * @param {string} nettingId - Netting ID
+ * @param {number} index - Index of the transfer in the netting
+ * @returns {string} - Obligation key
+ */
+export const getNettingObligationKey = (nettingId, index) => `netting:${nettingId}:${index}`;
+
+// Adds `amount` owed by `from` to `to` onto a { currency: { playerId: amount } } map
+const addToPositions = (positions, currency, from, to, amount) => {
+  if (!positions[currency]) positions[currency] = {};
+  const byPlayer = positions[currency];
+  byPlayer[from] = (byPlayer[from] || 0) - amount;
+  byPlayer[to] = (byPlayer[to] || 0) + amount;
+};
+
+// Drops players whose position is zero so positions compare cleanly
+const withoutZeros = (positions) => {
+  const result = {};
+  Object.entries(positions).forEach(([currency, byPlayer]) => {
+    const nonZero = {};
+    Object.entries(byPlayer).forEach(([playerId, amount]) => {
+      if (amount !== 0) nonZero[playerId] = amount;
+    });
+    if (Object.keys(nonZero).length > 0) result[currency] = nonZero;
+  });
+  return result;
+};
+
+/**
+ * Builds the cross-session debt ledger
+ *
+ * @param {Array} history - Completed sessions from settlementSlice.history
+ * @param {Array} nettings - [{ id, date, currency, obligationKeys, paymentIds, settlements }]
+ * @param {Array} payments - [{ id, date, from, to, amount, currency, obligationKey, note }]
+ * @returns {Object} - {
+ *   obligations: [{ key, source, sourceId, settlementId, date, currency, from, to, amount, paid, outstanding, nettedInto }],
+ *   credits: payments (with `remaining`) that were larger than anything they could pay off,
+ *   positions: { currency: { playerId: amount } } - what each player is still owed (negative = owes)
+ * }
+ */
+export const buildDebtLedger = (history = [], nettings = [], payments = []) => {
+  const obligations = [];
+  const byKey = {};
+
+  const addObligation = (obligation) => {
+    const outstanding = obligation.outstanding ?? obligation.amount;
+    const entry = {
+      ...obligation,
+      paid: obligation.amount - outstanding,
+      outstanding,
+      nettedInto: null
+    };
+    obligations.push(entry);
+    byKey[entry.key] = entry;
+  };
+
+  [...history]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(session => {
+      (session.settlements || []).forEach((settlement, index) => {
+        if (!(settlement.amount > 0) || settlement.status === SETTLEMENT_STATUS.CANCELLED) return;
+        addObligation({
+          key: getSessionObligationKey(session.id, index),
+          source: 'session',
+          sourceId: session.id,
+          settlementId: settlement.id,
+          date: session.date,
+          currency: session.currency || DEFAULT_CURRENCY,
+          from: settlement.from,
+          to: settlement.to,
+          amount: settlement.amount,
+          outstanding: getRemainingAmount(settlement)
+        });
+      });
+    });
+
+  const credits = [];
+  const creditsById = {};
+
+  // Pay `amount` off one obligation, returning what's left of the amount
+  const payOff = (obligation, amount) => {
+    const applied = Math.min(amount, obligation.outstanding);
+    obligation.paid += applied;
+    obligation.outstanding -= applied;
+    return amount - applied;
+  };
+
+  const applyPayment = (payment) => {
+    const currency = payment.currency || DEFAULT_CURRENCY;
+    let remaining = payment.amount;
+
+    // A payment against a specific obligation goes there first
+    const target = payment.obligationKey ? byKey[payment.obligationKey] : null;
+    if (target && !target.nettedInto) {
+      remaining = payOff(target, remaining);
+    }
+
+    // Anything left pays off the oldest open debts between the same two players
+    obligations
+      .filter(obligation =>
+        !obligation.nettedInto &&
+        obligation.outstanding > 0 &&
+        obligation.from === payment.from &&
+        obligation.to === payment.to &&
+        obligation.currency === currency
+      )
+      .forEach(obligation => {
+        if (remaining > 0) remaining = payOff(obligation, remaining);
+      });
+
+    if (remaining > 0) {
+      const credit = { ...payment, currency, remaining };
+      credits.push(credit);
+      creditsById[payment.id] = credit;
+    }
+  };
+
+  const applyNetting = (netting) => {
+    (netting.obligationKeys || []).forEach(key => {
+      const obligation = byKey[key];
+      if (obligation && !obligation.nettedInto) {
+        obligation.nettedInto = netting.id;
+      }
+    });
+
+    (netting.paymentIds || []).forEach(id => {
+      if (creditsById[id]) creditsById[id].nettedInto = netting.id;
+    });
+
+    (netting.settlements || []).forEach((settlement, index) => {
+      addObligation({
+        key: getNettingObligationKey(netting.id, index),
+        source: 'netting',
+        sourceId: netting.id,
+        date: netting.date,
+        currency: netting.currency || DEFAULT_CURRENCY,
+        from: settlement.from,
+        to: settlement.to,
+        amount: settlement.amount
+      });
+    });
+  };
+
+  // Replay payments and nettings in the order they happened
+  const events = [
+    ...payments.map(payment => ({ date: payment.date, apply: () => applyPayment(payment) })),
+    ...nettings.map(netting => ({ date: netting.date, apply: () => applyNetting(netting) }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  events.forEach(event => event.apply());
+
+  const positions = {};
+  obligations.forEach(obligation => {
+    if (!obligation.nettedInto && obligation.outstanding > 0) {
+      addToPositions(positions, obligation.currency, obligation.from, obligation.to, obligation.outstanding);
+    }
+  });
+  credits.forEach(credit => {
+    // Overpaying leaves the payee owing the payer
+    if (!credit.nettedInto) {
+      addToPositions(positions, credit.currency, credit.to, credit.from, credit.remaining);
+    }
+  });
+
+  return {
+    obligations,
+    credits,
+    positions: withoutZeros(positions)
+  };
+};
+
+/**
+ * Looks up obligations by key
+ *
+ * @param {Object} ledger - Ledger from buildDebtLedger
+ * @returns {Object} - { key: obligation }
+ */
+export const indexObligations = (ledger) => {
+  const byKey = {};
+  ledger.obligations.forEach(obligation => {
+    byKey[obligation.key] = obligation;
+  });
+  return byKey;
+};
+
+/**
+ * Status of a single obligation for display
+ *
+ * @param {Object} obligation - Obligation from the ledger
+ * @returns {string} - 'netted', 'paid', 'partial' or 'open'
+ */
+export const getObligationStatus = (obligation) => {
+  if (!obligation) return 'open';
+  if (obligation.nettedInto) return 'netted';
+  if (obligation.outstanding === 0) return 'paid';
+  if (obligation.paid > 0) return 'partial';
+  return 'open';
+};
+
+/**
+ * Builds the netting that would settle everything still open in one currency
+ *
+ * @param {Object} ledger - Ledger from buildDebtLedger
+ * @param {string} currency - Currency to settle
+ * @returns {Object} - Netting record ready for settlementSlice.addNetting
+ */
+export const createNetting = (ledger, currency = DEFAULT_CURRENCY) => {
+  const positions = ledger.positions[currency] || {};
+
+  return {
+    id: createId(ID_PREFIXES.NETTING),
+    date: new Date().toISOString(),
+    currency,
+    obligationKeys: ledger.obligations
+      .filter(obligation =>
+        obligation.currency === currency &&
+        !obligation.nettedInto &&
+        obligation.outstanding > 0
+      )
+      .map(obligation => obligation.key),
+    paymentIds: ledger.credits
+      .filter(credit => credit.currency === currency && !credit.nettedInto)
+      .map(credit => credit.id),
+    settlements: calculateOptimalSettlements(positions)
+  };
+};
+
+/**
+ * Checks that the game-by-game view and the netted view agree. Both are read
+ * off the same ledger: the game-by-game position of a player is what is left
+ * on every session settlement they were part of, netted or not, less what
+ * they paid towards netted transfers and any payment that overpaid a debt;
+ * the netted position is what the ledger says is still open. Netting must
+ * never change either.
+ *
+ * @param {Object} ledger - Ledger from buildDebtLedger
+ * @returns {Object} - { matches, gameByGame, netted } positions by currency
+ */
+export const reconcileLedger = (ledger) => {
+  const gameByGame = {};
+
+  ledger.obligations.forEach(obligation => {
+    if (obligation.source === 'session') {
+      addToPositions(gameByGame, obligation.currency, obligation.from, obligation.to, obligation.outstanding);
+    } else if (obligation.paid > 0) {
+      // A payment moves money the other way, so it reduces what the payer owes
+      addToPositions(gameByGame, obligation.currency, obligation.to, obligation.from, obligation.paid);
+    }
+  });
+
+  ledger.credits.forEach(credit => {
+    addToPositions(gameByGame, credit.currency, credit.to, credit.from, credit.remaining);
+  });
+
+  const expected = withoutZeros(gameByGame);
+  const actual = ledger.positions;
+
+  const currencies = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+  const matches = [...currencies].every(currency => {
+    const a = expected[currency] || {};
+    const b = actual[currency] || {};
+    const playerIds = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...playerIds].every(playerId => (a[playerId] || 0) === (b[playerId] || 0));
+  });
+
+  return { matches, gameByGame: expected, netted: actual };
+};
+
+/**
+ * Total still outstanding in one currency
+ *
+ * @param {Object} ledger - Ledger from buildDebtLedger
+ * @param {string} currency - Currency to total
+ * @returns {number} - Sum of everything owed, in minor units
+ */
+export const getTotalOutstanding = (ledger, currency = DEFAULT_CURRENCY) => {
+  const positions = ledger.positions[currency] || {};
+  return sumMoney(Object.values(positions).filter(amount => amount > 0));
+};
+
+export default {
+  getSessionObligationKey,
+  getNettingObligationKey,
+  buildDebtLedger,
+  indexObligations,
+  getObligationStatus,
+  createNetting,
+  reconcileLedger,
+  getTotalOutstanding
+};
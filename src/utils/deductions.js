@@ -0,0 +1,158 @@
+/**
+ * Deductions Module
+ *
+ * Takes rake, fees and tips off the table before players are settled. Each
+ * deduction charges some players and pays the total to a payee: either a
+ * host who is one of the players, or the house pseudo-player (HOUSE_ID).
+ * The payee is never charged for their own deduction, and neither the house
+ * nor an unaccounted line (see utils/balanceAdjustments) is ever charged.
+ *
+ * Deductions are applied in list order, so a tip configured after the rake
+ * is split across what the winners have left once the rake is taken.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { allocateMoney, sumMoney } from './money';
+import { isUnaccounted } from './balanceAdjustments';
+
+// Settlement lines payable to the house use this in place of a player ID
+export const HOUSE_ID = 'house';
+export const HOUSE_NAME = 'House';
+
+export const DEDUCTION_TYPES = {
+  POT_PERCENT: 'potPercent', // { percent, cap } of the pot, taken from winners
+  PER_PLAYER: 'perPlayer', // { amount } from every player
+  HOURLY: 'hourly', // { rate, hours } seat fee from every player
+  WINNER_TIP: 'winnerTip' // { amount } split across winners by what they won
+};
+
+export const DEDUCTION_LABELS = {
+  [DEDUCTION_TYPES.POT_PERCENT]: 'Rake',
+  [DEDUCTION_TYPES.PER_PLAYER]: 'Flat Fee',
+  [DEDUCTION_TYPES.HOURLY]: 'Seat Fee',
+  [DEDUCTION_TYPES.WINNER_TIP]: 'Dealer Tip'
+};
+
+/**
+ * Whether an ID refers to the house rather than a real player
+ *
+ * @param {string} id - Player or payee ID
+ * @returns {boolean} - True for the house pseudo-player
+ */
+export const isHouse = (id) => id === HOUSE_ID;
+
+// What one deduction charges each player, given balances after earlier deductions
+const getCharges = (deduction, balances, pot) => {
+  const playerIds = Object.keys(balances)
+    .filter(id => id !== deduction.payee && !isHouse(id) && !isUnaccounted(id));
+  const winnings = {};
+  playerIds.forEach(id => {
+    if (balances[id] > 0) winnings[id] = balances[id];
+  });
+  const totalWinnings = sumMoney(Object.values(winnings));
+
+  switch (deduction.type) {
+    case DEDUCTION_TYPES.POT_PERCENT: {
+      let total = Math.round((pot * (Number(deduction.percent) || 0)) / 100);
+      if (deduction.cap > 0) total = Math.min(total, deduction.cap);
+      // Rake comes out of the pots players won, so it can't exceed the winnings
+      return allocateMoney(Math.min(total, totalWinnings), winnings);
+    }
+
+    case DEDUCTION_TYPES.WINNER_TIP:
+      return allocateMoney(Math.min(deduction.amount || 0, totalWinnings), winnings);
+
+    case DEDUCTION_TYPES.PER_PLAYER:
+    case DEDUCTION_TYPES.HOURLY: {
+      const amount = deduction.type === DEDUCTION_TYPES.HOURLY
+        ? Math.round((deduction.rate || 0) * (Number(deduction.hours) || 0))
+        : deduction.amount || 0;
+      const charges = {};
+      playerIds.forEach(id => {
+        charges[id] = amount;
+      });
+      return charges;
+    }
+
+    default:
+      return {};
+  }
+};
+
+/**
+ * Applies deductions to a set of balances
+ *
+ * @param {Object} balances - { playerId: amount } summing to zero
+ * @param {Array} deductions - [{ id, type, label, payee, percent, cap, amount, rate, hours }]
+ * @returns {Object} - {
+ *   balances: balances after deductions, including payees (and HOUSE_ID when used),
+ *   charges: [{ deductionId, label, payee, playerId, amount }],
+ *   totals: { deductionId: amount collected },
+ *   fees: { playerId: total charged }
+ * }
+ */
+export const applyDeductions = (balances, deductions = []) => {
+  const adjusted = { ...balances };
+  const charges = [];
+  const totals = {};
+  const fees = {};
+
+  // Balances only tell us what changed hands, so the pot is what the winners took
+  const pot = sumMoney(Object.entries(balances)
+    .filter(([id, amount]) => amount > 0 && !isUnaccounted(id))
+    .map(([, amount]) => amount));
+
+  deductions.forEach(deduction => {
+    const payee = deduction.payee || HOUSE_ID;
+    const label = deduction.label || DEDUCTION_LABELS[deduction.type] || 'Fee';
+    let collected = 0;
+
+    Object.entries(getCharges({ ...deduction, payee }, adjusted, pot)).forEach(([playerId, amount]) => {
+      if (!(amount > 0)) return;
+      adjusted[playerId] -= amount;
+      fees[playerId] = (fees[playerId] || 0) + amount;
+      collected += amount;
+      charges.push({ deductionId: deduction.id, label, payee, playerId, amount });
+    });
+
+    if (collected > 0) {
+      adjusted[payee] = (adjusted[payee] || 0) + collected;
+    }
+    totals[deduction.id] = collected;
+  });
+
+  return { balances: adjusted, charges, totals, fees };
+};
+
+/**
+ * Short description of how a deduction is worked out, for editors and summaries
+ *
+ * @param {Object} deduction - Deduction config
+ * @param {Function} format - Formats minor units as money
+ * @returns {string} - e.g. "5% of pot, max $10.00"
+ */
+export const describeDeduction = (deduction, format) => {
+  switch (deduction.type) {
+    case DEDUCTION_TYPES.POT_PERCENT:
+      return `${deduction.percent || 0}% of pot${deduction.cap > 0 ? `, max ${format(deduction.cap)}` : ''}`;
+    case DEDUCTION_TYPES.PER_PLAYER:
+      return `${format(deduction.amount || 0)} per player`;
+    case DEDUCTION_TYPES.HOURLY:
+      return `${format(deduction.rate || 0)}/hr × ${deduction.hours || 0}h per player`;
+    case DEDUCTION_TYPES.WINNER_TIP:
+      return `${format(deduction.amount || 0)} split across winners`;
+    default:
+      return '';
+  }
+};
+
+export default {
+  HOUSE_ID,
+  HOUSE_NAME,
+  DEDUCTION_TYPES,
+  DEDUCTION_LABELS,
+  isHouse,
+  applyDeductions,
+  describeDeduction
+};
@@ -0,0 +1,214 @@
+/**
+ * Exchange Rates Module
+ *
+ * A session settles in one currency, but games and individual buy-ins can be
+ * in others (one player brings euros, another dollars). Each session keeps a
+ * manually entered rate table:
+ *
+ *   { EUR: 1.08, GBP: 1.27 }
+ *
+ * meaning one major unit of EUR is worth 1.08 major units of the settlement
+ * currency. The settlement currency itself is always 1 and isn't stored.
+ *
+ * Transactions keep the amount that changed hands in their own currency and
+ * carry a settledAmount in the settlement currency, which is what balances
+ * and settlements are built from. A transaction whose currency has no rate
+ * yet has a settledAmount of null and counts for nothing until one is set.
+ *
+ * All money amounts are integer minor units (see utils/money).
+ */
+
+import { DEFAULT_CURRENCY, formatMoney, toMajorUnits, toMinorUnits } from './money';
+
+/**
+ * Rate from a currency into the settlement currency
+ *
+ * @param {string} code - ISO currency code
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @param {Object} rates - Session rate table
+ * @returns {number|null} - Rate, or null when none has been entered
+ */
+export const getExchangeRate = (code, settlementCurrency, rates = {}) => {
+  if (!code || code === settlementCurrency) return 1;
+  const rate = Number(rates[code]);
+  return rate > 0 ? rate : null;
+};
+
+/**
+ * Converts an amount between two currencies through the settlement currency
+ *
+ * @param {number} amount - Integer minor units in fromCode
+ * @param {string} fromCode - Currency the amount is in
+ * @param {string} toCode - Currency to convert to
+ * @param {string} settlementCurrency - Currency the rates are quoted against
+ * @param {Object} rates - Session rate table
+ * @returns {number|null} - Integer minor units in toCode, or null when a rate is missing
+ */
+export const convertMoney = (amount, fromCode, toCode, settlementCurrency, rates = {}) => {
+  const from = fromCode || settlementCurrency;
+  const to = toCode || settlementCurrency;
+  if (from === to) return amount;
+
+  const fromRate = getExchangeRate(from, settlementCurrency, rates);
+  const toRate = getExchangeRate(to, settlementCurrency, rates);
+  if (fromRate === null || toRate === null) return null;
+
+  return toMinorUnits(toMajorUnits(amount, from) * fromRate / toRate, to);
+};
+
+/**
+ * What a transaction is worth in the settlement currency. Transactions from
+ * before multi-currency sessions have no settledAmount and are already in it.
+ *
+ * @param {Object} transaction - Game log transaction
+ * @returns {number} - Integer minor units, 0 while the rate is missing
+ */
+export const getTransactionValue = (transaction) => {
+  if (transaction.settledAmount === undefined) return transaction.amount;
+  return transaction.settledAmount === null ? 0 : transaction.settledAmount;
+};
+
+/**
+ * Whether a transaction is still waiting for an exchange rate
+ *
+ * @param {Object} transaction - Game log transaction
+ * @returns {boolean} - True when it can't be converted yet
+ */
+export const isAwaitingRate = (transaction) => transaction.settledAmount === null;
+
+/**
+ * Every currency money was put in or taken out in during a session
+ *
+ * @param {Object} session - { currency, games, gameLog }
+ * @returns {Array<string>} - Currency codes, settlement currency first
+ */
+export const getSessionCurrencies = ({ currency = DEFAULT_CURRENCY, games = [], gameLog = [] }) => {
+  const codes = [currency];
+  [...games, ...gameLog].forEach(item => {
+    if (item.currency && !codes.includes(item.currency)) codes.push(item.currency);
+  });
+  return codes;
+};
+
+/**
+ * Currencies in use that still have no rate
+ *
+ * @param {Array<string>} codes - Currency codes in use
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @param {Object} rates - Session rate table
+ * @returns {Array<string>} - Codes that can't be converted yet
+ */
+export const getMissingRates = (codes, settlementCurrency, rates = {}) => {
+  return codes.filter(code => getExchangeRate(code, settlementCurrency, rates) === null);
+};
+
+/**
+ * Re-quotes a rate table against a different settlement currency, so that
+ * switching currency doesn't mean entering every rate again
+ *
+ * @param {Object} rates - Rates quoted against fromCurrency
+ * @param {string} fromCurrency - Current settlement currency
+ * @param {string} toCurrency - New settlement currency; must have a rate in the table
+ * @returns {Object|null} - Rates quoted against toCurrency, or null without a rate for it
+ */
+export const rebaseExchangeRates = (rates, fromCurrency, toCurrency) => {
+  if (fromCurrency === toCurrency) return { ...rates };
+  const base = getExchangeRate(toCurrency, fromCurrency, rates);
+  if (base === null) return null;
+
+  // Rates are typed in by hand, so keep the re-quoted ones to sensible precision
+  const requote = rate => Number((rate / base).toPrecision(6));
+  const rebased = { [fromCurrency]: requote(1) };
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (code !== toCurrency && Number(rate) > 0) rebased[code] = requote(Number(rate));
+  });
+  return rebased;
+};
+
+/**
+ * The currency each player mostly played in, for showing what a settlement
+ * amount is in their money. Players who only used the settlement currency
+ * are left out.
+ *
+ * @param {Array} transactions - Game log transactions
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @returns {Object} - { playerId: currency code }
+ */
+export const getPlayerCurrencies = (transactions = [], settlementCurrency) => {
+  const totals = {};
+  transactions.forEach(transaction => {
+    const code = transaction.currency || settlementCurrency;
+    totals[transaction.playerId] = totals[transaction.playerId] || {};
+    totals[transaction.playerId][code] = (totals[transaction.playerId][code] || 0) + Math.abs(getTransactionValue(transaction));
+  });
+
+  const currencies = {};
+  Object.entries(totals).forEach(([playerId, byCurrency]) => {
+    const [code] = Object.entries(byCurrency).sort((a, b) => b[1] - a[1])[0];
+    if (code !== settlementCurrency) currencies[playerId] = code;
+  });
+  return currencies;
+};
+
+/**
+ * An amount in its own currency with its settlement-currency value alongside
+ *
+ * @param {number} amount - Integer minor units in code
+ * @param {string} code - Currency the amount is in
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @param {Object} rates - Session rate table
+ * @returns {string} - e.g. "€50.00 (≈ $54.00)", or just "$54.00" in the settlement currency
+ */
+export const formatWithConversion = (amount, code, settlementCurrency, rates = {}) => {
+  const original = formatMoney(amount, code || settlementCurrency);
+  if (!code || code === settlementCurrency) return original;
+
+  const converted = convertMoney(amount, code, settlementCurrency, settlementCurrency, rates);
+  return converted === null
+    ? `${original} (no ${code} rate)`
+    : `${original} (≈ ${formatMoney(converted, settlementCurrency)})`;
+};
+
+/**
+ * A settlement-currency amount with what it comes to in a player's own currency
+ *
+ * @param {number} amount - Integer minor units in the settlement currency
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @param {string} playerCurrency - Currency the player played in, if different
+ * @param {Object} rates - Session rate table
+ * @returns {string} - e.g. "$54.00 (≈ €50.00)", or just "$54.00" without a rate
+ */
+export const formatWithPlayerCurrency = (amount, settlementCurrency, playerCurrency, rates = {}) => {
+  const settled = formatMoney(amount, settlementCurrency);
+  if (!playerCurrency || playerCurrency === settlementCurrency) return settled;
+
+  const local = convertMoney(amount, settlementCurrency, playerCurrency, settlementCurrency, rates);
+  return local === null ? settled : `${settled} (≈ ${formatMoney(local, playerCurrency)})`;
+};
+
+/**
+ * A rate table as text, for the ledger and shared summaries
+ *
+ * @param {Object} rates - Session rate table
+ * @param {string} settlementCurrency - Currency the session settles in
+ * @returns {Array<string>} - e.g. ["1 EUR = 1.08 USD"]
+ */
+export const describeExchangeRates = (rates = {}, settlementCurrency) => {
+  return Object.entries(rates)
+    .filter(([code, rate]) => code !== settlementCurrency && Number(rate) > 0)
+    .map(([code, rate]) => `1 ${code} = ${Number(rate)} ${settlementCurrency}`);
+};
+
+export default {
+  getExchangeRate,
+  convertMoney,
+  getTransactionValue,
+  isAwaitingRate,
+  getSessionCurrencies,
+  getMissingRates,
+  rebaseExchangeRates,
+  getPlayerCurrencies,
+  formatWithConversion,
+  formatWithPlayerCurrency,
+  describeExchangeRates
+};
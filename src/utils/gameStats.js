@@ -0,0 +1,120 @@
+/**
+ * Game Stats Module
+ *
+ * Per-player totals and an overall summary for one game's ledger. Totals are
+ * in the settlement currency. A game settled from balances alone, with no
+ * transactions, is summed from its balances instead: a loss counts as money
+ * put in and a win as money taken out.
+ */
+
+import { getTransactionValue, isAwaitingRate } from './exchangeRates';
+
+const emptyStats = () => ({
+  buyIns: 0,
+  buyInCount: 0,
+  cashOuts: 0,
+  cashOutCount: 0,
+  net: 0
+});
+
+/**
+ * Each player's buy-ins, cash-outs and net for a game
+ *
+ * @param {Object} game - The game, or null for transactions outside any game
+ * @param {Array} transactions - Its valued transactions
+ * @returns {Object} - { playerId: { buyIns, buyInCount, cashOuts, cashOutCount, net } }
+ */
+export const getPlayerStats = (game, transactions = []) => {
+  const playerStats = {};
+
+  // Everyone who joined the game is listed, transactions or not
+  ((game && game.players) || []).forEach(player => {
+    playerStats[player.playerId] = emptyStats();
+  });
+
+  if (transactions.length > 0) {
+    transactions.forEach(transaction => {
+      const { playerId, type } = transaction;
+      if (!playerStats[playerId]) playerStats[playerId] = emptyStats();
+
+      // What the transaction is worth in the settlement currency
+      const amount = getTransactionValue(transaction);
+
+      if (type === 'buy-in') {
+        playerStats[playerId].buyIns += amount;
+        playerStats[playerId].buyInCount += 1;
+        playerStats[playerId].net -= amount;
+      } else if (type === 'cash-out') {
+        playerStats[playerId].cashOuts += amount;
+        playerStats[playerId].cashOutCount += 1;
+        playerStats[playerId].net += amount;
+      }
+    });
+  } else if (game && game.balances) {
+    Object.entries(game.balances).forEach(([playerId, balance]) => {
+      if (!playerStats[playerId]) playerStats[playerId] = emptyStats();
+      playerStats[playerId].net = Math.round(Number(balance)) || 0;
+    });
+  }
+
+  return playerStats;
+};
+
+/**
+ * Totals for a whole game
+ *
+ * @param {Object} game - The game, or null for transactions outside any game
+ * @param {Array} transactions - Its valued transactions
+ * @param {string} currency - Settlement currency
+ * @returns {Object} - { totalBuyIns, totalCashOuts, moneyInPlay, transactionCount,
+ *   playersWithTransactions, buyInAmounts, awaitingRateCount, defaultBuyIn }
+ */
+export const getGameSummary = (game, transactions = [], currency) => {
+  const gameCurrency = (game && game.currency) || currency;
+  let totalBuyIns = 0;
+  let totalCashOuts = 0;
+  const uniquePlayers = new Set();
+  const buyInAmounts = new Map(); // Distinct buy-ins by currency and amount
+
+  if (transactions.length > 0) {
+    transactions.forEach(transaction => {
+      uniquePlayers.add(transaction.playerId);
+      if (transaction.type === 'buy-in') {
+        const code = transaction.currency || currency;
+        totalBuyIns += getTransactionValue(transaction);
+        buyInAmounts.set(`${code}-${transaction.amount}`, { amount: transaction.amount, currency: code });
+      } else if (transaction.type === 'cash-out') {
+        totalCashOuts += getTransactionValue(transaction);
+      }
+    });
+  } else if (game && game.balances) {
+    Object.entries(game.balances).forEach(([playerId, balance]) => {
+      const amount = Math.round(Number(balance)) || 0;
+      uniquePlayers.add(playerId);
+      if (amount < 0) totalBuyIns += Math.abs(amount);
+      else if (amount > 0) totalCashOuts += amount;
+    });
+  }
+
+  // With nothing bought in yet, the game's default buy-in is the one to show
+  const defaultBuyIn = (game && game.buyIn) || 0;
+  if (buyInAmounts.size === 0 && defaultBuyIn > 0) {
+    buyInAmounts.set(`${gameCurrency}-${defaultBuyIn}`, { amount: defaultBuyIn, currency: gameCurrency });
+  }
+
+  return {
+    totalBuyIns,
+    totalCashOuts,
+    moneyInPlay: totalBuyIns - totalCashOuts,
+    transactionCount: transactions.length,
+    playersWithTransactions: uniquePlayers.size,
+    buyInAmounts: Array.from(buyInAmounts.values()),
+    awaitingRateCount: transactions.filter(isAwaitingRate).length,
+    defaultBuyIn
+  };
+};
+
+export default {
+  getPlayerStats,
+  getGameSummary
+};
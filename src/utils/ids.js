@@ -0,0 +1,73 @@
+/**
+ * IDs Module
+ *
+ * Unique IDs for players, sessions, games, transactions and the other records
+ * the app keeps. IDs used to be Date.now().toString(), which records made in
+ * the same millisecond - a batch buy-in, say - ended up sharing. An ID now
+ * combines the time, a counter for IDs made within the same millisecond and a
+ * random part, behind a prefix naming what it identifies:
+ *
+ *   txn_lq2k8x3c-0-4f9a2k
+ *
+ * IDs are opaque strings: nothing should read a time or an order out of them.
+ */
+
+export const ID_PREFIXES = {
+  PLAYER: 'player',
+  SESSION: 'session',
+  GAME: 'game',
+  TRANSACTION: 'txn',
+  KNOCKOUT: 'ko',
+  BUY_IN: 'buyin',
+  PAYMENT: 'pay',
+  NETTING: 'net',
+  EVENT: 'evt'
+};
+
+let lastTime = 0;
+let sequence = 0;
+
+/**
+ * A new ID, different from every other one this app makes
+ *
+ * @param {string} prefix - One of ID_PREFIXES
+ * @returns {string} - e.g. "game_lq2k8x3c-0-4f9a2k"
+ */
+export const createId = (prefix) => {
+  const now = Date.now();
+  sequence = now === lastTime ? sequence + 1 : 0;
+  lastTime = now;
+
+  const random = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+  const id = `${now.toString(36)}-${sequence.toString(36)}-${random}`;
+  return prefix ? `${prefix}_${id}` : id;
+};
+
+/**
+ * Whether an ID was made the old way, from the time alone, and may be shared
+ *
+ * @param {string} id - ID to check
+ * @returns {boolean}
+ */
+export const isLegacyId = (id) => typeof id === 'string' && /^\d+(-\d+)?$/.test(id);
+
+/**
+ * The ID a record made the old way goes by from now on. It's worked out from
+ * the old ID rather than made afresh, so every stored copy of a record - the
+ * persisted store, the separate player and history copies, a backup - is
+ * re-keyed to the same ID whenever it's read.
+ *
+ * @param {string} prefix - One of ID_PREFIXES
+ * @param {string} legacyId - The old ID
+ * @param {number} occurrence - Which of the records sharing the old ID this is, from 0
+ * @returns {string} - e.g. "txn_legacy-1718040000000.1"
+ */
+export const fromLegacyId = (prefix, legacyId, occurrence = 0) =>
+  `${prefix}_legacy-${legacyId}${occurrence > 0 ? `.${occurrence}` : ''}`;
+
+export default {
+  ID_PREFIXES,
+  createId,
+  isLegacyId,
+  fromLegacyId
+};
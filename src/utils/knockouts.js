@@ -0,0 +1,164 @@
+/**
+ * Knockouts Module
+ *
+ * Tracks who knocked out whom in a game, as it happens. In a tournament with
+ * a bounty, a knockout also pays the eliminator the bounty on the busted
+ * player's head:
+ *
+ *   fixed        - the whole bounty, the same for every player
+ *   progressive  - (PKO) half of it; the other half goes onto the
+ *                  eliminator's own head, so bounties grow as players win them
+ *
+ * Knockouts are kept on the game, oldest first:
+ *
+ *   game.knockouts = [{
+ *     id, eliminatorId, eliminatedId, timestamp,
+ *     bounty,          // paid to the eliminator, in the game's currency
+ *     headIncrease,    // added to the eliminator's bounty (progressive only)
+ *     transactionId    // the BOUNTY cash-out that paid it, or null when nothing was paid
+ *   }]
+ *
+ * Bounties paid this way are ledger entries like any cash-out, tagged with
+ * ENTRY_TYPES.BOUNTY, so they reach balances and history on their own.
+ * game.tournament.knockouts holds counts typed in with the results instead,
+ * for knockouts nobody tracked during the game.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { getTransactionValue } from './exchangeRates';
+import { DEFAULT_CURRENCY, sumMoney } from './money';
+import { BOUNTY_TYPES, ENTRY_TYPES, isTournament } from './tournaments';
+
+/**
+ * Knockouts recorded in a game
+ *
+ * @param {Object} game - Game from the session or history
+ * @returns {Array} - Knockouts, oldest first
+ */
+export const getKnockouts = (game) => (game && game.knockouts) || [];
+
+/**
+ * What's on a player's head right now
+ *
+ * @param {Object} game - Game the player is in
+ * @param {Array} transactions - Game log transactions
+ * @param {string} playerId - Player whose bounty to look up
+ * @returns {number} - Bounty, 0 when the game has none
+ */
+export const getBountyOnHead = (game, transactions, playerId) => {
+  const tournament = isTournament(game) ? game.tournament : null;
+  const bounty = (tournament && tournament.bounty) || 0;
+  if (bounty <= 0) return 0;
+  if (tournament.bountyType !== BOUNTY_TYPES.PROGRESSIVE) return bounty;
+
+  // A rebuy comes back with a fresh bounty; what was won before it was lost with the bust
+  const lastEntry = transactions
+    .filter(transaction =>
+      transaction.gameId === game.id &&
+      transaction.playerId === playerId &&
+      transaction.type === 'buy-in' &&
+      transaction.entryType !== ENTRY_TYPES.ADD_ON
+    )
+    .reduce((latest, transaction) => (transaction.timestamp > latest ? transaction.timestamp : latest), '');
+
+  return bounty + sumMoney(getKnockouts(game)
+    .filter(knockout => knockout.eliminatorId === playerId && knockout.timestamp >= lastEntry)
+    .map(knockout => knockout.headIncrease || 0));
+};
+
+/**
+ * What a knockout pays out now
+ *
+ * @param {Object} game - Game the knockout happened in
+ * @param {Array} transactions - Game log transactions
+ * @param {string} eliminatedId - Player knocked out
+ * @returns {Object} - { bounty: paid to the eliminator, headIncrease: added to their head }
+ */
+export const calculateKnockout = (game, transactions, eliminatedId) => {
+  const head = getBountyOnHead(game, transactions, eliminatedId);
+  if (game.tournament && game.tournament.bountyType === BOUNTY_TYPES.PROGRESSIVE) {
+    // The odd cent goes in the eliminator's pocket
+    const bounty = Math.ceil(head / 2);
+    return { bounty, headIncrease: head - bounty };
+  }
+  return { bounty: head, headIncrease: 0 };
+};
+
+// Every knockout in the history's games
+const getHistoryKnockouts = (history) => {
+  const knockouts = [];
+  history.forEach(session => {
+    (session.games || []).forEach(game => knockouts.push(...getKnockouts(game)));
+  });
+  return knockouts;
+};
+
+/**
+ * A player's knockout record across sessions
+ *
+ * @param {string} playerId - The player's ID
+ * @param {Array} history - Array of session history objects
+ * @returns {Object} - {
+ *   knockouts: players they knocked out,
+ *   eliminations: times they were knocked out,
+ *   bountiesWon: { currency: amount } - what their bounties were worth, kept
+ *     apart by session currency since sessions don't share exchange rates,
+ *   favoriteVictim, nemesis: { playerId, count } or null
+ * }
+ */
+export const calculateKnockoutStats = (playerId, history) => {
+  const knockouts = getHistoryKnockouts(history);
+  const victims = {};
+  const hunters = {};
+  const bountiesWon = {};
+  history.forEach(session => {
+    const currency = session.currency || DEFAULT_CURRENCY;
+    (session.gameLog || [])
+      .filter(transaction => transaction.playerId === playerId && transaction.entryType === ENTRY_TYPES.BOUNTY)
+      .forEach(transaction => {
+        bountiesWon[currency] = (bountiesWon[currency] || 0) + (Math.round(getTransactionValue(transaction)) || 0);
+      });
+  });
+
+  knockouts.forEach(knockout => {
+    if (knockout.eliminatorId === playerId) {
+      victims[knockout.eliminatedId] = (victims[knockout.eliminatedId] || 0) + 1;
+    } else if (knockout.eliminatedId === playerId) {
+      hunters[knockout.eliminatorId] = (hunters[knockout.eliminatorId] || 0) + 1;
+    }
+  });
+
+  const mostOften = (counts) => Object.entries(counts)
+    .reduce((best, [id, count]) => (!best || count > best.count ? { playerId: id, count } : best), null);
+
+  return {
+    knockouts: Object.values(victims).reduce((sum, count) => sum + count, 0),
+    eliminations: Object.values(hunters).reduce((sum, count) => sum + count, 0),
+    bountiesWon,
+    favoriteVictim: mostOften(victims),
+    nemesis: mostOften(hunters)
+  };
+};
+
+/**
+ * How often one player has knocked out another
+ *
+ * @param {string} eliminatorId - Player doing the knocking out
+ * @param {string} eliminatedId - Player knocked out
+ * @param {Array} history - Array of session history objects
+ * @returns {number} - Knockouts
+ */
+export const countKnockouts = (eliminatorId, eliminatedId, history) => {
+  return getHistoryKnockouts(history).filter(knockout =>
+    knockout.eliminatorId === eliminatorId && knockout.eliminatedId === eliminatedId
+  ).length;
+};
+
+export default {
+  getKnockouts,
+  getBountyOnHead,
+  calculateKnockout,
+  calculateKnockoutStats,
+  countKnockouts
+};
@@ -0,0 +1,243 @@
+/**
+ * Ledger Events Module
+ *
+ * The game ledger is stored as an append-only stream of events. Transactions
+ * are never edited in place: the session's gameLog, each game's transactions,
+ * stacks and balances are all derived by replaying the stream.
+ *
+ *   create - a buy-in or cash-out was recorded   { transaction }
+ *   amend  - some of its fields were changed     { changes, previous, reason }
+ *   void    - it was taken back                   { reason }
+ *   restore - a voided one was put back           { transaction, reason }
+ *
+ * Every event also has { id, kind, transactionId, timestamp }. The events for
+ * one transaction are its audit trail; `reason` is whatever the person making
+ * the change gave, or null. Undoing a change doesn't take its events out of
+ * the stream either: it adds the events that reverse them, see
+ * invertLedgerEvent.
+ */
+
+import { ID_PREFIXES, createId } from './ids';
+
+export const LEDGER_EVENT_KINDS = {
+  CREATE: 'create',
+  AMEND: 'amend',
+  VOID: 'void',
+  RESTORE: 'restore'
+};
+
+// Transaction fields an amend event can change
+export const AMENDABLE_FIELDS = ['amount', 'lenderId', 'carryForward'];
+
+/**
+ * Event recording a new transaction
+ *
+ * @param {Object} transaction - The transaction as recorded, with its id and timestamp
+ * @returns {Object} - create event
+ */
+export const createTransactionEvent = (transaction) => ({
+  id: createId(ID_PREFIXES.EVENT),
+  kind: LEDGER_EVENT_KINDS.CREATE,
+  transactionId: transaction.id,
+  timestamp: transaction.timestamp || new Date().toISOString(),
+  transaction: { ...transaction }
+});
+
+/**
+ * Event changing fields of a transaction
+ *
+ * @param {Object} transaction - The transaction as it stands, see replayLedgerEvents
+ * @param {Object} changes - New values for any of AMENDABLE_FIELDS
+ * @param {string} reason - Why it changed, optional
+ * @returns {Object|null} - amend event, or null when nothing would change
+ */
+export const amendTransactionEvent = (transaction, changes, reason = null) => {
+  const changed = {};
+  const previous = {};
+  AMENDABLE_FIELDS.forEach(field => {
+    if (changes[field] === undefined || changes[field] === transaction[field]) return;
+    changed[field] = changes[field];
+    previous[field] = transaction[field] === undefined ? null : transaction[field];
+  });
+  if (Object.keys(changed).length === 0) return null;
+
+  return {
+    id: createId(ID_PREFIXES.EVENT),
+    kind: LEDGER_EVENT_KINDS.AMEND,
+    transactionId: transaction.id,
+    timestamp: new Date().toISOString(),
+    changes: changed,
+    previous,
+    reason: reason || null
+  };
+};
+
+/**
+ * Event taking a transaction back
+ *
+ * @param {string} transactionId - Transaction being voided
+ * @param {string} reason - Why, optional
+ * @returns {Object} - void event
+ */
+export const voidTransactionEvent = (transactionId, reason = null) => ({
+  id: createId(ID_PREFIXES.EVENT),
+  kind: LEDGER_EVENT_KINDS.VOID,
+  transactionId,
+  timestamp: new Date().toISOString(),
+  reason: reason || null
+});
+
+/**
+ * Event putting a voided transaction back
+ *
+ * @param {Object} transaction - The transaction as it stood when it was voided
+ * @param {string} reason - Why, optional
+ * @returns {Object} - restore event
+ */
+export const restoreTransactionEvent = (transaction, reason = null) => ({
+  id: createId(ID_PREFIXES.EVENT),
+  kind: LEDGER_EVENT_KINDS.RESTORE,
+  transactionId: transaction.id,
+  timestamp: new Date().toISOString(),
+  transaction: { ...transaction },
+  reason: reason || null
+});
+
+// A transaction as it stood just before the given event, from the events before it
+const getTransactionBefore = (events, event) => {
+  let transaction = null;
+  for (const earlier of events) {
+    if (earlier.id === event.id) break;
+    if (earlier.transactionId !== event.transactionId) continue;
+    if (earlier.kind === LEDGER_EVENT_KINDS.CREATE || earlier.kind === LEDGER_EVENT_KINDS.RESTORE) {
+      transaction = { ...earlier.transaction };
+    } else if (earlier.kind === LEDGER_EVENT_KINDS.AMEND && transaction) {
+      transaction = { ...transaction, ...earlier.changes };
+    }
+  }
+  return transaction;
+};
+
+/**
+ * The event that reverses another: a void for a create or restore, a restore
+ * for a void, and an amend changing the fields back for an amend
+ *
+ * @param {Array} events - Stream holding the event
+ * @param {Object} event - Event to reverse
+ * @param {string} reason - Why, optional
+ * @returns {Object|null} - Reversing event, or null when there's nothing to put back
+ */
+export const invertLedgerEvent = (events, event, reason = null) => {
+  if (event.kind === LEDGER_EVENT_KINDS.CREATE || event.kind === LEDGER_EVENT_KINDS.RESTORE) {
+    return voidTransactionEvent(event.transactionId, reason);
+  }
+  if (event.kind === LEDGER_EVENT_KINDS.AMEND) {
+    return {
+      id: createId(ID_PREFIXES.EVENT),
+      kind: LEDGER_EVENT_KINDS.AMEND,
+      transactionId: event.transactionId,
+      timestamp: new Date().toISOString(),
+      changes: { ...event.previous },
+      previous: { ...event.changes },
+      reason: reason || null
+    };
+  }
+  const transaction = getTransactionBefore(events, event);
+  return transaction ? restoreTransactionEvent(transaction, reason) : null;
+};
+
+/**
+ * The transactions as they stand after every event
+ *
+ * @param {Array} events - Ledger event stream
+ * @returns {Array} - Transactions in the order they were recorded, amended, without voided ones
+ */
+export const replayLedgerEvents = (events = []) => {
+  const transactions = new Map();
+  events.forEach(event => {
+    if (event.kind === LEDGER_EVENT_KINDS.CREATE || event.kind === LEDGER_EVENT_KINDS.RESTORE) {
+      transactions.set(event.transactionId, { ...event.transaction });
+    } else if (event.kind === LEDGER_EVENT_KINDS.AMEND) {
+      const transaction = transactions.get(event.transactionId);
+      if (transaction) transactions.set(event.transactionId, { ...transaction, ...event.changes });
+    } else if (event.kind === LEDGER_EVENT_KINDS.VOID) {
+      transactions.delete(event.transactionId);
+    }
+  });
+  return [...transactions.values()];
+};
+
+/**
+ * Transactions that were voided, as they stood when they were
+ *
+ * @param {Array} events - Ledger event stream
+ * @returns {Array} - Transactions with voidedAt and voidReason, in the order they were voided;
+ *   ones put back since aren't included
+ */
+export const getVoidedTransactions = (events = []) => {
+  const transactions = new Map();
+  let voided = [];
+  events.forEach(event => {
+    if (event.kind === LEDGER_EVENT_KINDS.CREATE) {
+      transactions.set(event.transactionId, { ...event.transaction });
+    } else if (event.kind === LEDGER_EVENT_KINDS.RESTORE) {
+      voided = voided.filter(transaction => transaction.id !== event.transactionId);
+      transactions.set(event.transactionId, { ...event.transaction });
+    } else if (event.kind === LEDGER_EVENT_KINDS.AMEND) {
+      const transaction = transactions.get(event.transactionId);
+      if (transaction) transactions.set(event.transactionId, { ...transaction, ...event.changes });
+    } else if (event.kind === LEDGER_EVENT_KINDS.VOID && transactions.has(event.transactionId)) {
+      voided.push({ ...transactions.get(event.transactionId), voidedAt: event.timestamp, voidReason: event.reason });
+      transactions.delete(event.transactionId);
+    }
+  });
+  return voided;
+};
+
+/**
+ * A transaction's audit trail
+ *
+ * @param {Array} events - Ledger event stream
+ * @param {string} transactionId - Transaction to look up
+ * @returns {Array} - Its events, oldest first
+ */
+export const getTransactionEvents = (events = [], transactionId) => {
+  return events.filter(event => event.transactionId === transactionId);
+};
+
+/**
+ * Whether a transaction has been changed since it was recorded
+ *
+ * @param {Array} events - Ledger event stream
+ * @param {string} transactionId - Transaction to look up
+ * @returns {boolean}
+ */
+export const isAmended = (events = [], transactionId) => {
+  return events.some(event => event.transactionId === transactionId && event.kind === LEDGER_EVENT_KINDS.AMEND);
+};
+
+/**
+ * A stream that recreates a ledger recorded before there were events, one
+ * create event per transaction
+ *
+ * @param {Array} transactions - Existing gameLog
+ * @returns {Array} - Ledger event stream
+ */
+export const eventsFromTransactions = (transactions = []) => {
+  return transactions.map(({ settledAmount, ...recorded }) => createTransactionEvent(recorded));
+};
+
+export default {
+  LEDGER_EVENT_KINDS,
+  AMENDABLE_FIELDS,
+  createTransactionEvent,
+  amendTransactionEvent,
+  voidTransactionEvent,
+  restoreTransactionEvent,
+  invertLedgerEvent,
+  replayLedgerEvents,
+  getVoidedTransactions,
+  getTransactionEvents,
+  isAmended,
+  eventsFromTransactions
+};
@@ -0,0 +1,166 @@
+/**
+ * Ledger History Module
+ *
+ * Undo and redo for everything that changes the game ledger: recording,
+ * editing and deleting transactions, adding players, starting and ending
+ * games. Each such change keeps the ledger events it added and, for the rest
+ * of the ledger, only what it changed as it was before:
+ *
+ *   ledgerHistory = {
+ *     past:   [{ id, label, timestamp, events, changes }],  // oldest first, undone from the end
+ *     future: [{ id, label, timestamp, events, changes }]   // most recently undone last
+ *   }
+ *
+ *   changes = { currency?, exchangeRates?, manualBalances?,      // whole values
+ *               games?: { entities: { id: game or null }, ids? } }  // just the games changed
+ *
+ * The event stream is append-only (see utils/ledgerEvents), so undoing never
+ * takes events out of it: it adds the events that reverse the change's
+ * `events` and puts `changes` back. The undone change moves to `future` with
+ * the reversing events and what they replaced; redoing reverses those in
+ * turn. A new change clears `future`. Only the last LEDGER_HISTORY_LIMIT
+ * changes are kept, and only what they changed, so the persisted state stays
+ * small.
+ */
+
+import { createId } from './ids';
+
+// Most changes that can be undone
+export const LEDGER_HISTORY_LIMIT = 20;
+
+// Settlement state an undo puts back as it was: the games table and what balances and values
+// are worked out with. Transactions follow from the event stream
+export const LEDGER_FIELDS = ['games', 'manualBalances', 'currency', 'exchangeRates'];
+
+// LEDGER_FIELDS kept as entity tables, where only the records that changed are kept
+const TABLE_FIELDS = ['games'];
+
+export const EMPTY_LEDGER_HISTORY = { past: [], future: [] };
+
+const sameIds = (a, b) => a.length === b.length && a.every((id, index) => id === b[index]);
+
+/**
+ * What differs between two versions of the ledger, as it was in the first.
+ * Records are compared by reference, which is enough for immutable state.
+ *
+ * @param {Object} before - LEDGER_FIELDS before
+ * @param {Object} after - LEDGER_FIELDS after
+ * @returns {Object} - changes, see the module comment; empty when nothing differs
+ */
+export const diffLedger = (before, after) => {
+  const changes = {};
+  LEDGER_FIELDS.forEach(field => {
+    if (before[field] === after[field]) return;
+    if (!TABLE_FIELDS.includes(field)) {
+      changes[field] = before[field];
+      return;
+    }
+
+    const entities = {};
+    new Set([...before[field].ids, ...after[field].ids]).forEach(id => {
+      const record = before[field].entities[id];
+      if (record !== after[field].entities[id]) entities[id] = record || null;
+    });
+    const reordered = !sameIds(before[field].ids, after[field].ids);
+    if (Object.keys(entities).length > 0 || reordered) {
+      changes[field] = { entities, ...(reordered ? { ids: before[field].ids } : {}) };
+    }
+  });
+  return changes;
+};
+
+/**
+ * The ledger with changes put back
+ *
+ * @param {Object} ledger - LEDGER_FIELDS as they are
+ * @param {Object} changes - From diffLedger
+ * @returns {Object} - The LEDGER_FIELDS that changes covers, with their values put back
+ */
+export const applyLedgerChanges = (ledger, changes) => {
+  const fields = {};
+  Object.entries(changes).forEach(([field, change]) => {
+    if (!TABLE_FIELDS.includes(field)) {
+      fields[field] = change;
+      return;
+    }
+
+    const entities = { ...ledger[field].entities };
+    Object.entries(change.entities).forEach(([id, record]) => {
+      if (record) {
+        entities[id] = record;
+      } else {
+        delete entities[id];
+      }
+    });
+    fields[field] = { ...ledger[field], ids: change.ids || ledger[field].ids, entities };
+  });
+  return fields;
+};
+
+/**
+ * Adds a change that can be undone, forgetting anything that was undone before it
+ *
+ * @param {Object} history - Current ledger history
+ * @param {string} label - What the change did, e.g. "Delete transaction"
+ * @param {Array} events - Ledger events the change added
+ * @param {Object} changes - Rest of the ledger before the change, see diffLedger
+ * @param {number} limit - Most changes to keep
+ * @returns {Object} - New ledger history
+ */
+export const pushLedgerChange = (history, label, events, changes, limit = LEDGER_HISTORY_LIMIT) => {
+  const past = (history && history.past) || [];
+  const timestamp = new Date().toISOString();
+  return {
+    past: [...past, { id: createId(), label, timestamp, events, changes }].slice(-limit),
+    future: []
+  };
+};
+
+/**
+ * Whether there's a change to undo
+ *
+ * @param {Object} history - Ledger history
+ * @returns {boolean}
+ */
+export const canUndo = (history) => !!history && (history.past || []).length > 0;
+
+/**
+ * Whether there's an undone change to redo
+ *
+ * @param {Object} history - Ledger history
+ * @returns {boolean}
+ */
+export const canRedo = (history) => !!history && (history.future || []).length > 0;
+
+/**
+ * What undo would take back
+ *
+ * @param {Object} history - Ledger history
+ * @returns {string|null} - Label of the last change, or null
+ */
+export const getUndoLabel = (history) => {
+  return canUndo(history) ? history.past[history.past.length - 1].label : null;
+};
+
+/**
+ * What redo would put back
+ *
+ * @param {Object} history - Ledger history
+ * @returns {string|null} - Label of the last undone change, or null
+ */
+export const getRedoLabel = (history) => {
+  return canRedo(history) ? history.future[history.future.length - 1].label : null;
+};
+
+export default {
+  LEDGER_HISTORY_LIMIT,
+  LEDGER_FIELDS,
+  EMPTY_LEDGER_HISTORY,
+  diffLedger,
+  applyLedgerChanges,
+  pushLedgerChange,
+  canUndo,
+  canRedo,
+  getUndoLabel,
+  getRedoLabel
+};
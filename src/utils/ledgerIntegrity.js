@@ -0,0 +1,224 @@
+/**
+ * Ledger Integrity Module
+ *
+ * Checks persisted settlement state for records that have drifted out of step
+ * with each other, and repairs them. Balances and stacks are worked out from
+ * the tables (see utils/ledgerViews), so drift can only be in what's stored:
+ *
+ *   table-index          - an entity table's ids and entities disagree
+ *   transaction-drift    - the transactions table isn't what the event stream replays to
+ *   orphaned-transaction - a transaction belongs to a game that no longer exists
+ *   player-not-in-game   - a player has transactions in a game they aren't listed in
+ *   stale-knockout       - a knockout's bounty transaction no longer exists
+ *   session-game-drift   - a completed game's transactions differ from its session's log
+ *
+ * Repairs take the event stream as the record of what happened: the tables
+ * are replayed from it, and anything it no longer supports is voided (through
+ * a new event, so it stays in the audit trail) or dropped.
+ */
+
+import { replayLedgerEvents, voidTransactionEvent } from './ledgerEvents';
+
+export const INTEGRITY_ISSUES = {
+  TABLE_INDEX: 'table-index',
+  TRANSACTION_DRIFT: 'transaction-drift',
+  ORPHANED_TRANSACTION: 'orphaned-transaction',
+  PLAYER_NOT_IN_GAME: 'player-not-in-game',
+  STALE_KNOCKOUT: 'stale-knockout',
+  SESSION_GAME_DRIFT: 'session-game-drift'
+};
+
+// Entity tables in the settlement state
+const TABLES = ['games', 'transactions', 'sessions'];
+
+const EMPTY_TABLE = { ids: [], entities: {} };
+
+const tableRecords = (table = EMPTY_TABLE) =>
+  (table.ids || []).map(id => (table.entities || {})[id]).filter(Boolean);
+
+// What identifies a transaction's effect, for comparing two copies of it
+const fingerprint = (transaction) => JSON.stringify([
+  transaction.id,
+  transaction.type,
+  transaction.playerId,
+  transaction.amount,
+  transaction.currency || null,
+  transaction.lenderId || null
+]);
+
+// A completed game's transactions as its session's log has them
+const getSessionGameTransactions = (session, gameId) =>
+  (session.gameLog || [])
+    .filter(transaction => transaction.gameId === gameId)
+    .map(({ gameId: omitted, ...transaction }) => transaction);
+
+const sameTransactions = (a = [], b = []) =>
+  a.map(fingerprint).sort().join('|') === b.map(fingerprint).sort().join('|');
+
+/**
+ * Everything that has drifted in the settlement state
+ *
+ * @param {Object} settlements - Settlement state as persisted
+ * @returns {Array} - [{ type, message, ...ids of what it concerns }], empty when all is well
+ */
+export const checkLedgerIntegrity = (settlements) => {
+  const issues = [];
+  if (!settlements) return issues;
+
+  TABLES.forEach(name => {
+    const table = settlements[name] || EMPTY_TABLE;
+    const ids = table.ids || [];
+    const entityIds = Object.keys(table.entities || {});
+    const listed = new Set(ids);
+    if (ids.length !== listed.size || entityIds.length !== listed.size || entityIds.some(id => !listed.has(id))) {
+      issues.push({ type: INTEGRITY_ISSUES.TABLE_INDEX, table: name, message: `The ${name} table's index is out of step with its records` });
+    }
+  });
+
+  const stored = new Map(tableRecords(settlements.transactions).map(t => [t.id, t]));
+  const replayed = replayLedgerEvents(settlements.ledgerEvents || []);
+  const replayedIds = new Set(replayed.map(t => t.id));
+  replayed.forEach(transaction => {
+    const current = stored.get(transaction.id);
+    if (!current || JSON.stringify(current) !== JSON.stringify(transaction)) {
+      issues.push({
+        type: INTEGRITY_ISSUES.TRANSACTION_DRIFT,
+        transactionId: transaction.id,
+        message: current ? 'A transaction differs from its recorded history' : 'A recorded transaction is missing'
+      });
+    }
+  });
+  stored.forEach((transaction, id) => {
+    if (!replayedIds.has(id)) {
+      issues.push({ type: INTEGRITY_ISSUES.TRANSACTION_DRIFT, transactionId: id, message: 'A transaction has no recorded history' });
+    }
+  });
+
+  const games = (settlements.games && settlements.games.entities) || {};
+  replayed.forEach(transaction => {
+    if (!transaction.gameId) return;
+    const game = games[transaction.gameId];
+    if (!game) {
+      issues.push({
+        type: INTEGRITY_ISSUES.ORPHANED_TRANSACTION,
+        transactionId: transaction.id,
+        gameId: transaction.gameId,
+        message: 'A transaction belongs to a game that no longer exists'
+      });
+    } else if (!(game.players || []).some(p => p.playerId === transaction.playerId)) {
+      issues.push({
+        type: INTEGRITY_ISSUES.PLAYER_NOT_IN_GAME,
+        transactionId: transaction.id,
+        gameId: game.id,
+        playerId: transaction.playerId,
+        message: 'A player has transactions in a game they aren\'t listed in'
+      });
+    }
+  });
+
+  Object.values(games).forEach(game => {
+    (game.knockouts || []).forEach(knockout => {
+      if (knockout.transactionId && !replayedIds.has(knockout.transactionId)) {
+        issues.push({
+          type: INTEGRITY_ISSUES.STALE_KNOCKOUT,
+          gameId: game.id,
+          knockoutId: knockout.id,
+          message: 'A knockout\'s bounty no longer exists'
+        });
+      }
+    });
+  });
+
+  tableRecords(settlements.sessions).forEach(session => {
+    (session.games || []).forEach(game => {
+      if (!sameTransactions(game.transactions, getSessionGameTransactions(session, game.id))) {
+        issues.push({
+          type: INTEGRITY_ISSUES.SESSION_GAME_DRIFT,
+          sessionId: session.id,
+          gameId: game.id,
+          message: 'A completed game\'s transactions differ from its session\'s log'
+        });
+      }
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * The settlement state with everything checkLedgerIntegrity finds put right
+ *
+ * @param {Object} settlements - Settlement state as persisted
+ * @returns {Object} - Repaired settlement state
+ */
+export const repairLedgerState = (settlements) => {
+  const repaired = { ...settlements };
+
+  // Tables list exactly the records they hold
+  TABLES.forEach(name => {
+    const table = settlements[name] || EMPTY_TABLE;
+    const entities = table.entities || {};
+    const ids = [...new Set([...(table.ids || []), ...Object.keys(entities)])].filter(id => entities[id]);
+    repaired[name] = { ...table, ids, entities: { ...entities } };
+  });
+
+  // Transactions whose game is gone are voided, then the table is replayed
+  let events = settlements.ledgerEvents || [];
+  const games = repaired.games.entities;
+  replayLedgerEvents(events)
+    .filter(transaction => transaction.gameId && !games[transaction.gameId])
+    .forEach(transaction => {
+      events = [...events, voidTransactionEvent(transaction.id, 'Game no longer exists')];
+    });
+  const transactions = replayLedgerEvents(events);
+  const transactionIds = new Set(transactions.map(t => t.id));
+  repaired.ledgerEvents = events;
+  repaired.transactions = {
+    ...repaired.transactions,
+    ids: transactions.map(t => t.id),
+    entities: Object.fromEntries(transactions.map(t => [t.id, t]))
+  };
+
+  // Players with transactions join the games they played in; knockouts whose bounty is gone go
+  repaired.games.ids.forEach(gameId => {
+    const game = games[gameId];
+    const players = [...(game.players || [])];
+    transactions
+      .filter(transaction => transaction.gameId === gameId)
+      .forEach(transaction => {
+        if (players.some(p => p.playerId === transaction.playerId)) return;
+        players.push({
+          playerId: transaction.playerId,
+          joinTime: transaction.timestamp,
+          initialBuyIn: game.buyIn || 0
+        });
+      });
+    games[gameId] = {
+      ...game,
+      players,
+      ...(game.knockouts ? {
+        knockouts: game.knockouts.filter(k => !k.transactionId || transactionIds.has(k.transactionId))
+      } : {})
+    };
+  });
+
+  // Completed games that drifted take their transactions from their session's log
+  repaired.sessions.ids.forEach(sessionId => {
+    const session = repaired.sessions.entities[sessionId];
+    repaired.sessions.entities[sessionId] = {
+      ...session,
+      games: (session.games || []).map(game => {
+        const logged = getSessionGameTransactions(session, game.id);
+        return sameTransactions(game.transactions, logged) ? game : { ...game, transactions: logged };
+      })
+    };
+  });
+
+  return repaired;
+};
+
+export default {
+  INTEGRITY_ISSUES,
+  checkLedgerIntegrity,
+  repairLedgerState
+};
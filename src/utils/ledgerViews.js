@@ -0,0 +1,164 @@
+/**
+ * Ledger Views Module
+ *
+ * The settlement store keeps games, transactions and completed sessions in
+ * separate entity tables (see store/selectors), with one copy of every
+ * transaction. Everything that used to be stored alongside them and kept in
+ * step by hand is worked out from the tables instead:
+ *
+ *   transaction value = its amount in the settlement currency
+ *   balance           = manual balance + cash-outs - buy-ins
+ *   stack             = buy-ins - cash-outs in the game's currency
+ *                       (the initial buy-in before any are recorded)
+ *                       + stack adjustment
+ *
+ * A manual balance is whatever was entered by hand on top of the
+ * transactions; a stack adjustment is whatever a stack was corrected by on
+ * top of them. All amounts are integer minor units.
+ */
+
+import { convertMoney, getTransactionValue } from './exchangeRates';
+
+// Which way a transaction moves a balance
+const getSign = (transaction) => {
+  if (transaction.type === 'buy-in') return -1;
+  if (transaction.type === 'cash-out') return 1;
+  return 0;
+};
+
+/**
+ * Transactions with what each is worth in the settlement currency
+ *
+ * @param {Array} transactions - Transactions as stored, each in its own currency
+ * @param {string} currency - Settlement currency
+ * @param {Object} exchangeRates - Rates into the settlement currency
+ * @returns {Array} - Transactions with currency and settledAmount (null until a rate is entered)
+ */
+export const valueTransactions = (transactions = [], currency, exchangeRates = {}) => {
+  return transactions.map(transaction => {
+    const transactionCurrency = transaction.currency || currency;
+    return {
+      ...transaction,
+      currency: transactionCurrency,
+      settledAmount: convertMoney(transaction.amount, transactionCurrency, currency, currency, exchangeRates),
+    };
+  });
+};
+
+/**
+ * What transactions add to each player's balance
+ *
+ * @param {Array} transactions - Valued transactions, see valueTransactions
+ * @returns {Object} - { playerId: cash-outs - buy-ins }
+ */
+export const getTransactionBalances = (transactions = []) => {
+  const balances = {};
+  transactions.forEach(transaction => {
+    const { playerId } = transaction;
+    balances[playerId] = (balances[playerId] || 0) + getSign(transaction) * getTransactionValue(transaction);
+  });
+  return balances;
+};
+
+/**
+ * Balances as they stand: manual balances plus what transactions add
+ *
+ * @param {Object} manualBalances - { playerId: amount entered by hand }
+ * @param {Object} transactionBalances - See getTransactionBalances
+ * @returns {Object} - { playerId: balance }
+ */
+export const combineBalances = (manualBalances = {}, transactionBalances = {}) => {
+  const balances = { ...manualBalances };
+  Object.entries(transactionBalances).forEach(([playerId, amount]) => {
+    balances[playerId] = (balances[playerId] || 0) + amount;
+  });
+  return balances;
+};
+
+/**
+ * The manual balance that brings a player's balance to a given total
+ *
+ * @param {number} balance - Balance wanted
+ * @param {Object} transactionBalances - See getTransactionBalances
+ * @param {string} playerId - Player whose balance it is
+ * @returns {number} - Manual balance
+ */
+export const getManualBalance = (balance, transactionBalances = {}, playerId) => {
+  return balance - (transactionBalances[playerId] || 0);
+};
+
+/**
+ * What a game's transactions add to each player's stack
+ *
+ * @param {Object} game - Game entity
+ * @param {Array} transactions - The game's transactions
+ * @param {string} currency - Settlement currency
+ * @param {Object} exchangeRates - Rates into the settlement currency
+ * @returns {Object} - { playerId: buy-ins - cash-outs in the game's currency }
+ */
+export const getTransactionStacks = (game, transactions = [], currency, exchangeRates = {}) => {
+  const stacks = {};
+  transactions.forEach(transaction => {
+    const amount = convertMoney(
+      transaction.amount,
+      transaction.currency || currency,
+      game.currency || currency,
+      currency,
+      exchangeRates
+    ) || 0;
+    stacks[transaction.playerId] = (stacks[transaction.playerId] || 0) - getSign(transaction) * amount;
+  });
+  return stacks;
+};
+
+// A player's stack from the transactions alone
+const getPlayerStack = (player, transactionStacks) => {
+  return player.playerId in transactionStacks
+    ? transactionStacks[player.playerId]
+    : player.initialBuyIn || 0;
+};
+
+/**
+ * The stack adjustment that brings a player's stack to a given amount
+ *
+ * @param {number} stack - Stack wanted
+ * @param {Object} player - The game's player record
+ * @param {Object} transactionStacks - See getTransactionStacks
+ * @returns {number} - Stack adjustment
+ */
+export const getStackAdjustment = (stack, player, transactionStacks = {}) => {
+  return stack - getPlayerStack(player, transactionStacks);
+};
+
+/**
+ * A game as screens read it, with its transactions and each player's current stack
+ *
+ * @param {Object} game - Game entity
+ * @param {Array} transactions - Valued transactions of the whole session
+ * @param {string} currency - Settlement currency
+ * @param {Object} exchangeRates - Rates into the settlement currency
+ * @returns {Object} - Game with transactions (without gameId) and players with currentStack
+ */
+export const buildGameView = (game, transactions = [], currency, exchangeRates = {}) => {
+  const gameTransactions = transactions.filter(transaction => transaction.gameId === game.id);
+  const stacks = getTransactionStacks(game, gameTransactions, currency, exchangeRates);
+
+  return {
+    ...game,
+    transactions: gameTransactions.map(({ gameId, ...transaction }) => transaction),
+    players: (game.players || []).map(player => ({
+      ...player,
+      currentStack: getPlayerStack(player, stacks) + (player.stackAdjustment || 0),
+    })),
+  };
+};
+
+export default {
+  valueTransactions,
+  getTransactionBalances,
+  combineBalances,
+  getManualBalance,
+  getTransactionStacks,
+  getStackAdjustment,
+  buildGameView
+};
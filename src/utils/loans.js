@@ -0,0 +1,88 @@
+/**
+ * Loans Module
+ *
+ * One player can lend another the money for a buy-in during a game ("Alex
+ * lent Jordan $50 for a rebuy"). A loan is recorded as the borrower's buy-in,
+ * tagged with who paid for it:
+ *
+ *   { type: 'buy-in', playerId: borrower, lenderId, carryForward, ... }
+ *
+ * so it counts toward the borrower's buy-ins, stack and balance like any other
+ * buy-in, and leaves the lender's balance alone. What's owed goes straight
+ * back to the lender: the settlement plan repays every loan first and nets
+ * everything else afterwards (see calculateSettlementPlan in
+ * utils/settlementCalculator). A loan flagged carryForward isn't repaid on the
+ * night; it stays in the plan as a debt to be paid later.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { getTransactionValue } from './exchangeRates';
+import { sumMoney } from './money';
+
+/**
+ * Whether a transaction is a loan from another player
+ *
+ * @param {Object} transaction - Game log transaction
+ * @returns {boolean} - True for a buy-in someone else paid for
+ */
+export const isLoan = (transaction) => {
+  return !!transaction && transaction.type === 'buy-in' && !!transaction.lenderId;
+};
+
+/**
+ * Loans among a list of transactions
+ *
+ * @param {Array} transactions - Game log transactions
+ * @param {string} gameId - Only loans in this game, when given
+ * @returns {Array} - Loan transactions
+ */
+export const getLoans = (transactions = [], gameId = null) => {
+  return transactions.filter(transaction =>
+    isLoan(transaction) && (!gameId || transaction.gameId === gameId)
+  );
+};
+
+/**
+ * What the borrowers owe their lenders, one transfer per borrower, lender
+ * and carry-forward flag
+ *
+ * @param {Array} transactions - Game log transactions
+ * @returns {Array} - Transfers { from: borrower, to: lender, amount, carryForward } in the settlement currency
+ */
+export const getLoanTransfers = (transactions = []) => {
+  const transfers = {};
+  getLoans(transactions).forEach(loan => {
+    const carryForward = !!loan.carryForward;
+    const key = `${loan.playerId}:${loan.lenderId}:${carryForward}`;
+    if (!transfers[key]) {
+      transfers[key] = { from: loan.playerId, to: loan.lenderId, amount: 0, carryForward };
+    }
+    transfers[key].amount = sumMoney([transfers[key].amount, getTransactionValue(loan)]);
+  });
+  return Object.values(transfers).filter(transfer => transfer.amount > 0);
+};
+
+/**
+ * Balances once loan transfers are made (or, with sign -1, before they were)
+ *
+ * @param {Object} balances - { playerId: balance }
+ * @param {Array} transfers - From getLoanTransfers
+ * @param {number} sign - 1 to apply the transfers, -1 to take them back
+ * @returns {Object} - New balances object
+ */
+export const applyLoanTransfers = (balances, transfers = [], sign = 1) => {
+  const adjusted = { ...balances };
+  transfers.forEach(({ from, to, amount }) => {
+    adjusted[from] = (Math.round(Number(adjusted[from])) || 0) + sign * amount;
+    adjusted[to] = (Math.round(Number(adjusted[to])) || 0) - sign * amount;
+  });
+  return adjusted;
+};
+
+export default {
+  isLoan,
+  getLoans,
+  getLoanTransfers,
+  applyLoanTransfers
+};
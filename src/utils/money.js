@@ -0,0 +1,271 @@
+/**
+ * Money Utility Module
+ *
+ * Every amount in the app is stored as an integer number of minor units
+ * (cents for USD) so that repeated buy-ins and settlements never drift by
+ * fractions of a cent. This module converts between user input, minor units
+ * and display strings, and splits amounts without losing remainders.
+ */
+
+// Supported currencies with their display symbol and number of minor-unit digits
+export const CURRENCIES = {
+  USD: { code: 'USD', symbol: '$', exponent: 2 },
+  EUR: { code: 'EUR', symbol: '€', exponent: 2 },
+  GBP: { code: 'GBP', symbol: '£', exponent: 2 },
+  CAD: { code: 'CAD', symbol: 'CA$', exponent: 2 },
+  AUD: { code: 'AUD', symbol: 'A$', exponent: 2 },
+  INR: { code: 'INR', symbol: '₹', exponent: 2 },
+  JPY: { code: 'JPY', symbol: '¥', exponent: 0 },
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Looks up a currency definition, falling back to the default currency
+ *
+ * @param {string} code - ISO currency code
+ * @returns {Object} - { code, symbol, exponent }
+ */
+export const getCurrency = (code = DEFAULT_CURRENCY) => {
+  return CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+};
+
+/**
+ * Number of minor units in one major unit (100 for USD, 1 for JPY)
+ *
+ * @param {string} code - ISO currency code
+ * @returns {number} - Scale factor
+ */
+export const getMinorUnitScale = (code = DEFAULT_CURRENCY) => {
+  return 10 ** getCurrency(code).exponent;
+};
+
+/**
+ * Converts a major-unit number (e.g. 12.34 dollars) to integer minor units.
+ * Only meant for legacy float data; user input should go through parseMoney.
+ *
+ * @param {number|string} amount - Amount in major units
+ * @param {string} code - ISO currency code
+ * @returns {number} - Integer minor units
+ */
+export const toMinorUnits = (amount, code = DEFAULT_CURRENCY) => {
+  const numAmount = parseFloat(amount) || 0;
+  return Math.round(numAmount * getMinorUnitScale(code));
+};
+
+/**
+ * Converts integer minor units to a major-unit number for charts and arithmetic
+ * that has to leave the money domain
+ *
+ * @param {number} minorUnits - Integer minor units
+ * @param {string} code - ISO currency code
+ * @returns {number} - Amount in major units
+ */
+export const toMajorUnits = (minorUnits, code = DEFAULT_CURRENCY) => {
+  return (minorUnits || 0) / getMinorUnitScale(code);
+};
+
+/**
+ * Parses user input into integer minor units without going through floats.
+ * Accepts an optional sign, thousands separators and a '.' decimal point.
+ * Extra decimal digits are rounded half away from zero.
+ *
+ * @param {string|number} input - Text typed by the user
+ * @param {string} code - ISO currency code
+ * @returns {number|null} - Integer minor units, or null if the input isn't a number
+ */
+export const parseMoney = (input, code = DEFAULT_CURRENCY) => {
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? toMinorUnits(input, code) : null;
+  }
+
+  const cleaned = String(input).trim().replace(/[\s,]/g, '');
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(cleaned);
+
+  if (!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const { exponent } = getCurrency(code);
+
+  const kept = fraction.slice(0, exponent).padEnd(exponent, '0');
+  const roundUp = fraction.length > exponent && fraction.charAt(exponent) >= '5';
+
+  const minorUnits = parseInt(`${whole || '0'}${kept}`, 10) + (roundUp ? 1 : 0);
+  return sign === '-' && minorUnits !== 0 ? -minorUnits : minorUnits;
+};
+
+/**
+ * Formats minor units as a plain decimal string without a currency symbol,
+ * suitable for pre-filling a text input
+ *
+ * @param {number} minorUnits - Integer minor units
+ * @param {string} code - ISO currency code
+ * @returns {string} - e.g. "12.34"
+ */
+export const formatMoneyInput = (minorUnits, code = DEFAULT_CURRENCY) => {
+  const { exponent } = getCurrency(code);
+  const value = Math.abs(Math.round(minorUnits || 0));
+  const sign = minorUnits < 0 ? '-' : '';
+
+  if (exponent === 0) {
+    return `${sign}${value}`;
+  }
+
+  const digits = String(value).padStart(exponent + 1, '0');
+  return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+/**
+ * Formats minor units for display
+ *
+ * @param {number} minorUnits - Integer minor units
+ * @param {string} code - ISO currency code
+ * @param {Object} options - Formatting options
+ * @param {boolean} options.showSign - Prefix positive amounts with '+'
+ * @param {boolean} options.absolute - Drop the sign entirely
+ * @param {boolean} options.wholeUnits - Round to whole major units
+ * @returns {string} - e.g. "$12.34", "-$5.00", "+$7.50"
+ */
+export const formatMoney = (minorUnits, code = DEFAULT_CURRENCY, options = {}) => {
+  const { showSign = false, absolute = false, wholeUnits = false } = options;
+  const { symbol } = getCurrency(code);
+  const value = Math.round(minorUnits || 0);
+
+  let digits;
+  if (wholeUnits) {
+    digits = String(Math.round(Math.abs(value) / getMinorUnitScale(code)));
+  } else {
+    digits = formatMoneyInput(Math.abs(value), code);
+  }
+
+  let sign = '';
+  if (!absolute) {
+    if (value < 0) sign = '-';
+    else if (value > 0 && showSign) sign = '+';
+  }
+
+  return `${sign}${symbol}${digits}`;
+};
+
+/**
+ * Adds up a list of minor-unit amounts
+ *
+ * @param {Array<number>} amounts - Integer minor units
+ * @returns {number} - Integer total
+ */
+export const sumMoney = (amounts) => {
+  return amounts.reduce((total, amount) => total + (Math.round(amount) || 0), 0);
+};
+
+/**
+ * Splits an amount across recipients in proportion to their weights without
+ * losing any minor units. Each recipient first gets the floor of their exact
+ * share; the leftover units go one at a time to the recipients with the
+ * largest fractional remainders, ties broken by `remainderOrder` and then by
+ * the order of `weights`.
+ *
+ * @param {number} total - Integer minor units to split (may be negative)
+ * @param {Object} weights - { id: weight } with non-negative weights
+ * @param {Array<string>} remainderOrder - IDs that should receive leftover units first
+ * @returns {Object} - { id: minor units } summing exactly to total
+ */
+export const allocateMoney = (total, weights, remainderOrder = []) => {
+  const ids = Object.keys(weights);
+  const result = {};
+
+  if (ids.length === 0) return result;
+
+  const totalWeight = ids.reduce((sum, id) => sum + Math.max(0, weights[id] || 0), 0);
+  const direction = total < 0 ? -1 : 1;
+  const magnitude = Math.abs(Math.round(total));
+
+  // With no usable weights, split evenly
+  const weightOf = (id) => (totalWeight > 0 ? Math.max(0, weights[id] || 0) : 1);
+  const weightSum = totalWeight > 0 ? totalWeight : ids.length;
+
+  const shares = ids.map((id, position) => {
+    const exact = (magnitude * weightOf(id)) / weightSum;
+    const floor = Math.floor(exact);
+    const priority = remainderOrder.indexOf(id);
+    return {
+      id,
+      floor,
+      fraction: exact - floor,
+      priority: priority === -1 ? remainderOrder.length + position : priority,
+    };
+  });
+
+  let leftover = magnitude - shares.reduce((sum, share) => sum + share.floor, 0);
+
+  const ranked = [...shares].sort((a, b) => {
+    if (Math.abs(b.fraction - a.fraction) > 1e-9) return b.fraction - a.fraction;
+    return a.priority - b.priority;
+  });
+
+  ranked.forEach(share => {
+    result[share.id] = share.floor;
+  });
+
+  for (let i = 0; leftover > 0; i = (i + 1) % ranked.length) {
+    if (weightOf(ranked[i].id) > 0) {
+      result[ranked[i].id] += 1;
+      leftover--;
+    }
+  }
+
+  ids.forEach(id => {
+    result[id] = direction * result[id] || 0;
+  });
+
+  return result;
+};
+
+/**
+ * Splits an amount evenly across a list of IDs, giving leftover minor units
+ * to the first IDs in the list
+ *
+ * @param {number} total - Integer minor units
+ * @param {Array<string>} ids - Recipient IDs in remainder priority order
+ * @returns {Object} - { id: minor units } summing exactly to total
+ */
+export const splitEvenly = (total, ids) => {
+  const weights = {};
+  ids.forEach(id => {
+    weights[id] = 1;
+  });
+  return allocateMoney(total, weights, ids);
+};
+
+/**
+ * Converts a balances-like object from legacy major-unit floats to minor units
+ *
+ * @param {Object} values - { id: amount in major units }
+ * @param {string} code - ISO currency code
+ * @returns {Object} - { id: integer minor units }
+ */
+export const mapToMinorUnits = (values, code = DEFAULT_CURRENCY) => {
+  const result = {};
+  Object.entries(values || {}).forEach(([id, amount]) => {
+    result[id] = toMinorUnits(amount, code);
+  });
+  return result;
+};
+
+export default {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getMinorUnitScale,
+  toMinorUnits,
+  toMajorUnits,
+  parseMoney,
+  formatMoneyInput,
+  formatMoney,
+  sumMoney,
+  allocateMoney,
+  splitEvenly,
+  mapToMinorUnits
+};
@@ -0,0 +1,145 @@
+/**
+ * Seating Module
+ *
+ * When each player was at the table in a game. A game's player record keeps
+ * every time they sat down and got up:
+ *
+ *   seatings: [{ joinTime, leaveTime }]   // leaveTime is null while they're seated
+ *
+ * A player who leaves and comes back gets a second seating. Records from
+ * before seatings were kept have a joinTime only, and count as seated from
+ * then until the game ended. Times are ISO strings; durations are milliseconds.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * A player's seatings in a game, oldest first
+ *
+ * @param {Object} player - The game's player record
+ * @returns {Array} - [{ joinTime, leaveTime }]
+ */
+export const getSeatings = (player) => {
+  if (player && player.seatings && player.seatings.length > 0) return player.seatings;
+  return [{ joinTime: (player && player.joinTime) || null, leaveTime: null }];
+};
+
+/**
+ * Whether a player is at the table now
+ *
+ * @param {Object} player - The game's player record
+ * @returns {boolean}
+ */
+export const isSeated = (player) => {
+  const seatings = getSeatings(player);
+  return !seatings[seatings.length - 1].leaveTime;
+};
+
+/**
+ * When a player last got up from the table
+ *
+ * @param {Object} player - The game's player record
+ * @returns {string|null} - ISO time, or null while they're seated
+ */
+export const getLeaveTime = (player) => {
+  const seatings = getSeatings(player);
+  return seatings[seatings.length - 1].leaveTime || null;
+};
+
+/**
+ * How long a player spent at the table
+ *
+ * @param {Object} player - The game's player record
+ * @param {Object} game - The game, for when it started and ended
+ * @param {Date} now - Where seatings still open end while the game is running
+ * @returns {number} - Milliseconds
+ */
+export const getTimeAtTable = (player, game, now = new Date()) => {
+  const gameEnd = game && game.endTime ? new Date(game.endTime) : now;
+  return getSeatings(player).reduce((total, seating) => {
+    const start = new Date(seating.joinTime || (game && game.startTime) || gameEnd);
+    const end = seating.leaveTime ? new Date(seating.leaveTime) : gameEnd;
+    return total + Math.max(0, end - start);
+  }, 0);
+};
+
+/**
+ * How long a game has run
+ *
+ * @param {Object} game - The game
+ * @param {Date} now - Where a running game ends
+ * @returns {number} - Milliseconds
+ */
+export const getGameDuration = (game, now = new Date()) => {
+  if (!game || !game.startTime) return 0;
+  const end = game.endTime ? new Date(game.endTime) : now;
+  return Math.max(0, end - new Date(game.startTime));
+};
+
+/**
+ * A time typed as "HH:MM" (24-hour) on the day of a reference time. Times
+ * earlier than the reference are taken to be after midnight, for games that
+ * run late.
+ *
+ * @param {string} text - Time as typed, e.g. "21:30"
+ * @param {string} reference - ISO time the typed time comes after, e.g. the game's start
+ * @returns {string|null} - ISO time, or null when the text isn't a time
+ */
+export const parseTimeOfDay = (text, reference) => {
+  const match = String(text || '').trim().match(/^(\d{1,2})[:.](\d{2})$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  const start = reference ? new Date(reference) : new Date();
+  const time = new Date(start);
+  time.setHours(hours, minutes, 0, 0);
+  if (time < start && start - time > MINUTE) time.setDate(time.getDate() + 1);
+  return time.toISOString();
+};
+
+/**
+ * A time as "HH:MM" (24-hour), the form parseTimeOfDay reads
+ *
+ * @param {string|Date} time - Time to show
+ * @returns {string}
+ */
+export const formatTimeOfDay = (time) => {
+  const date = new Date(time);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+/**
+ * A duration for display, e.g. "2h 15m" or "45m"
+ *
+ * @param {number} duration - Milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (duration) => {
+  const minutes = Math.round(Math.max(0, duration) / MINUTE);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+};
+
+/**
+ * Milliseconds as hours, for hourly rates
+ *
+ * @param {number} duration - Milliseconds
+ * @returns {number}
+ */
+export const toHours = (duration) => duration / HOUR;
+
+export default {
+  getSeatings,
+  isSeated,
+  getLeaveTime,
+  getTimeAtTable,
+  getGameDuration,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  formatDuration,
+  toHours
+};
@@ -0,0 +1,224 @@
+/**
+ * Session Versions Module
+ *
+ * A completed session can be reopened to add or fix games - a forgotten rebuy,
+ * a wrong cash-out - and completed again. The history entry keeps its ID, so
+ * debts and payments against it still find it, and each completion becomes a
+ * new version with the ones before it kept alongside:
+ *
+ *   { id, version, amendedAt, previousVersions: [{ ...session as it was, version, replacedAt }] }
+ *
+ * Payments already recorded against the old settlements move to the new
+ * settlement between the same two players. A payment whose pair no longer
+ * owes anything still happened, so it becomes a debt payment instead (see
+ * utils/debtLedger).
+ *
+ * Nettings and debt payments find a session's debts by their place in its
+ * settlements. Once either has used them, the old settlements stay exactly as
+ * they were and what the amendment changed is owed through new settlements
+ * after them. All amounts are integer minor units.
+ */
+
+import { SETTLEMENT_MODES, calculateOptimalSettlements } from './settlementCalculator';
+import { SETTLEMENT_STATUS } from './settlementPayments';
+import { getSessionObligationKey } from './debtLedger';
+import { eventsFromTransactions, replayLedgerEvents } from './ledgerEvents';
+import {
+  getManualBalance,
+  getStackAdjustment,
+  getTransactionBalances,
+  getTransactionStacks,
+  valueTransactions
+} from './ledgerViews';
+
+const toTable = (records) => ({
+  ids: records.map(record => record.id),
+  entities: Object.fromEntries(records.map(record => [record.id, record]))
+});
+
+/**
+ * Which version of a session this is; sessions from before versions were kept are the first
+ *
+ * @param {Object} session - History session
+ * @returns {number}
+ */
+export const getSessionVersion = (session) => (session && session.version) || 1;
+
+/**
+ * A completed session as the settlement state of a session in play, so its
+ * games can be edited again. Balances entered by hand come back as the
+ * difference between the saved balances and what the transactions add.
+ *
+ * @param {Object} session - History session
+ * @returns {Object} - The session fields of settlement state (see settlementSlice's SESSION_FIELDS)
+ */
+export const restoreSessionState = (session) => {
+  const currency = session.currency;
+  const exchangeRates = session.exchangeRates || {};
+  const ledgerEvents = session.ledgerEvents || eventsFromTransactions(session.gameLog || []);
+  const transactions = replayLedgerEvents(ledgerEvents);
+  const gameLog = valueTransactions(transactions, currency, exchangeRates);
+
+  // Balances before fees, which is what the session settled from
+  const balances = session.grossBalances || session.balances || {};
+  const transactionBalances = getTransactionBalances(gameLog);
+  const manualBalances = {};
+  Object.entries(balances).forEach(([playerId, balance]) => {
+    const manual = getManualBalance(balance, transactionBalances, playerId);
+    if (manual !== 0 || !(playerId in transactionBalances)) manualBalances[playerId] = manual;
+  });
+
+  // Games were saved with their transactions and stacks; the stacks go back to adjustments
+  const games = (session.games || []).map(({ transactions: saved, ...game }) => {
+    const stacks = getTransactionStacks(
+      game,
+      gameLog.filter(transaction => transaction.gameId === game.id),
+      currency,
+      exchangeRates
+    );
+    return {
+      ...game,
+      players: (game.players || []).map(({ currentStack, ...player }) => {
+        if (player.stackAdjustment !== undefined || currentStack === undefined) return player;
+        const stackAdjustment = getStackAdjustment(currentStack, player, stacks);
+        return stackAdjustment === 0 ? player : { ...player, stackAdjustment };
+      })
+    };
+  });
+  const startTimes = games.map(game => game.startTime).filter(Boolean).sort();
+
+  return {
+    sessionId: session.id,
+    sessionStartedAt: startTimes[0] || session.date,
+    currency,
+    exchangeRates,
+    manualBalances,
+    // Settlements are worked out afresh; payments move across when it's completed again
+    settlements: (session.settlements || []).map(
+      ({ id, status, statusChangedAt, payments, ...settlement }) => settlement
+    ),
+    settlementMode: session.settlementMode || SETTLEMENT_MODES.MINIMAL,
+    bankerId: session.bankerId || null,
+    rounding: session.rounding || null,
+    deductions: session.deductions || [],
+    balanceAdjustments: session.balanceAdjustments || [],
+    ledgerEvents,
+    transactions: toTable(transactions),
+    games: toTable(games),
+  };
+};
+
+/**
+ * Moves payments and statuses from a session's old settlements onto its new
+ * ones, matching them by who pays whom. A status only carries over while the
+ * amount is unchanged; a settlement whose amount changed is pending again,
+ * with its payments counting towards the new amount.
+ *
+ * @param {Array} previousSettlements - Settlements of the version being replaced
+ * @param {Array} settlements - Settlements the session completed with this time
+ * @returns {Object} - { settlements, strayPayments: [{ from, to, payment }] } - strayPayments
+ *   were made between players who no longer owe each other anything
+ */
+export const carryOverPayments = (previousSettlements = [], settlements = []) => {
+  const unmatched = previousSettlements.filter(settlement =>
+    (settlement.payments || []).length > 0 ||
+    (settlement.status && settlement.status !== SETTLEMENT_STATUS.PENDING)
+  );
+
+  const carried = settlements.map(settlement => {
+    const index = unmatched.findIndex(old => old.from === settlement.from && old.to === settlement.to);
+    if (index === -1) return settlement;
+
+    const [old] = unmatched.splice(index, 1);
+    const keepsStatus = old.amount === settlement.amount && old.status;
+    return {
+      ...settlement,
+      status: keepsStatus ? old.status : SETTLEMENT_STATUS.PENDING,
+      ...(keepsStatus && old.statusChangedAt ? { statusChangedAt: old.statusChangedAt } : {}),
+      payments: [...(old.payments || [])]
+    };
+  });
+
+  const strayPayments = unmatched.flatMap(old =>
+    (old.payments || []).map(payment => ({ from: old.from, to: old.to, payment }))
+  );
+
+  return { settlements: carried, strayPayments };
+};
+
+/**
+ * Whether anything outside a session has been settled against its debts: a
+ * netting that took them in, or a debt payment made towards one of them
+ *
+ * @param {string} sessionId - History session ID
+ * @param {Array} nettings - Nettings, see utils/debtLedger
+ * @param {Array} debtPayments - Debt payments, see utils/debtLedger
+ * @returns {boolean}
+ */
+export const isSettledAgainst = (sessionId, nettings = [], debtPayments = []) => {
+  const prefix = getSessionObligationKey(sessionId, '');
+  return nettings.some(netting => (netting.obligationKeys || []).some(key => key.startsWith(prefix))) ||
+    debtPayments.some(payment => (payment.obligationKey || '').startsWith(prefix));
+};
+
+/**
+ * Settlements for an amended session that has been settled against (see
+ * isSettledAgainst): the old settlements as they were, then whatever settles
+ * the difference between what they and the new ones say is owed. A cancelled
+ * settlement owes nothing, so it doesn't count towards the difference.
+ *
+ * @param {Array} previousSettlements - Settlements of the version being replaced
+ * @param {Array} settlements - Settlements the session completed with this time
+ * @returns {Array} - Settlements; the added ones are marked `amendment`
+ */
+export const settleAmendment = (previousSettlements = [], settlements = []) => {
+  const difference = {};
+  const addOwed = (list, sign) => list.forEach(({ from, to, amount, status }) => {
+    if (status === SETTLEMENT_STATUS.CANCELLED) return;
+    difference[from] = (difference[from] || 0) - sign * amount;
+    difference[to] = (difference[to] || 0) + sign * amount;
+  });
+  addOwed(settlements, 1);
+  addOwed(previousSettlements, -1);
+  Object.keys(difference).forEach(playerId => {
+    if (difference[playerId] === 0) delete difference[playerId];
+  });
+
+  return [
+    ...previousSettlements,
+    ...calculateOptimalSettlements(difference).map(settlement => ({ ...settlement, amendment: true }))
+  ];
+};
+
+/**
+ * The history entry for a reopened session completed again: the new version,
+ * still dated when the session was played, with the one it replaces kept in
+ * previousVersions
+ *
+ * @param {Object} previous - History session being replaced
+ * @param {Object} completed - History session as just completed
+ * @param {string} amendedAt - ISO time of the new completion
+ * @returns {Object} - History session
+ */
+export const amendSession = (previous, completed, amendedAt = new Date().toISOString()) => {
+  const { previousVersions = [], ...replaced } = previous;
+  return {
+    ...completed,
+    date: previous.date,
+    version: getSessionVersion(previous) + 1,
+    amendedAt,
+    previousVersions: [
+      ...previousVersions,
+      { ...replaced, version: getSessionVersion(previous), replacedAt: amendedAt }
+    ]
+  };
+};
+
+export default {
+  getSessionVersion,
+  restoreSessionState,
+  carryOverPayments,
+  isSettledAgainst,
+  settleAmendment,
+  amendSession
+};
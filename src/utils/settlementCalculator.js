@@ -4,40 +4,58 @@
  * This module provides functions for calculating optimal settlement transactions
  * between players after a poker game. The goal is to minimize the number of 
  * transactions needed to settle all debts.
+ *
+ * All amounts are integer minor units (see utils/money), so balances either
+ * sum to exactly zero or they don't - there is no rounding tolerance.
  */
 
+import { sumMoney } from './money';
+import { hasConstraints, solveWithConstraints } from './settlementConstraints';
+import { planBalanceAdjustment } from './balanceAdjustments';
+import { roundBalances } from './cashRounding';
+import { applyLoanTransfers } from './loans';
+
+// Above this many non-zero balances the exact solver is skipped in favour of greedy
+export const DEFAULT_EXACT_MAX_PLAYERS = 15;
+
+// Hard ceiling for the exact solver - its tables grow as 2^n
+const EXACT_PLAYER_LIMIT = 20;
+
+// How a plan routes money: fewest transfers overall, or everyone through one banker
+export const SETTLEMENT_MODES = {
+  MINIMAL: 'minimal',
+  BANKER: 'banker',
+};
+
 /**
- * Calculates the minimum number of transactions needed to settle balances
- * 
+ * Converts a balances object into an array of { id, amount } pairs,
+ * skipping players whose balance is effectively zero
+ *
  * @param {Object} balances - Object with player IDs as keys and their balance as values
+ * @returns {Array} - Array of { id, amount } with non-zero amounts
+ */
+const toActiveBalances = (balances) => {
+  return Object.entries(balances)
+    .map(([id, amount]) => ({ id, amount: Math.round(Number(amount)) || 0 }))
+    .filter(player => player.amount !== 0);
+};
+
+/**
+ * Settles a group of players by repeatedly matching the biggest debtor with the
+ * biggest creditor. For a zero-sum group of n players this never needs more
+ * than n - 1 transfers.
+ *
+ * @param {Array} group - Array of { id, amount } pairs
  * @returns {Array} - Array of settlement transactions { from, to, amount }
  */
-export const calculateOptimalSettlements = (balances) => {
-  // Convert balances to array of {id, amount} pairs
-  const balanceArray = Object.entries(balances).map(([id, amount]) => ({ 
-    id, 
-    amount: parseFloat(amount) || 0 
-  }));
-  
-  // Skip players with zero balance
-  const activeBalances = balanceArray.filter(player => Math.abs(player.amount) > 0.01);
-  
-  // If there are no non-zero balances, return empty array
-  if (activeBalances.length === 0) {
-    return [];
-  }
-  
-  // Verify that balances sum to zero (within floating point tolerance)
-  if (!verifyBalances(balances)) {
-    console.warn('Settlement calculation: Balances do not sum to zero');
-    // Proceed anyway - the calling function should handle this validation
-  }
-  
+const settleGreedily = (group) => {
   // Separate players who need to pay (negative balance) and receive (positive balance)
-  const debtors = activeBalances.filter(player => player.amount < 0)
+  const debtors = group.filter(player => player.amount < 0)
+    .map(player => ({ ...player }))
     .sort((a, b) => a.amount - b.amount); // Sort by amount (ascending/most negative first)
   
-  const creditors = activeBalances.filter(player => player.amount > 0)
+  const creditors = group.filter(player => player.amount > 0)
+    .map(player => ({ ...player }))
     .sort((a, b) => b.amount - a.amount); // Sort by amount (descending/highest positive first)
   
   const settlements = [];
@@ -50,91 +68,394 @@ export const calculateOptimalSettlements = (balances) => {
     // Calculate how much can be settled in this transaction
     const amount = Math.min(Math.abs(debtor.amount), creditor.amount);
     
-    // Round the amount to 2 decimal places to avoid floating point errors
-    const roundedAmount = Math.round(amount * 100) / 100;
-    
     // Add the settlement transaction
     settlements.push({
       from: debtor.id,
       to: creditor.id,
-      amount: roundedAmount
+      amount
     });
     
     // Update balances
-    debtor.amount = Math.round((debtor.amount + roundedAmount) * 100) / 100;
-    creditor.amount = Math.round((creditor.amount - roundedAmount) * 100) / 100;
+    debtor.amount += amount;
+    creditor.amount -= amount;
     
-    // Remove players with zero balance (using a small tolerance for floating point errors)
-    if (Math.abs(debtor.amount) < 0.01) debtors.shift();
-    if (Math.abs(creditor.amount) < 0.01) creditors.shift();
+    // Remove players who are fully settled
+    if (debtor.amount === 0) debtors.shift();
+    if (creditor.amount === 0) creditors.shift();
   }
   
   return settlements;
 };
 
 /**
- * Verifies that the total balance sums to zero (or very close to zero due to floating point precision)
- * 
+ * Splits players into the largest possible number of disjoint zero-sum groups.
+ *
+ * Settling a zero-sum group of k players takes k - 1 transfers, so a partition
+ * into g groups takes n - g transfers overall; maximising g minimises transfers.
+ * Uses a dynamic program over subsets, so it is exponential in the player count.
+ *
+ * @param {Array} players - Array of { id, amount } pairs that sum to zero
+ * @returns {Array} - Array of groups, each an array of { id, amount }
+ */
+export const partitionIntoZeroSumGroups = (players) => {
+  const n = players.length;
+  if (n === 0) return [];
+  
+  const fullMask = (1 << n) - 1;
+  const cents = players.map(player => player.amount);
+  
+  // sums[mask] = total of the balances in mask (in minor units)
+  const sums = new Float64Array(fullMask + 1);
+  for (let mask = 1; mask <= fullMask; mask++) {
+    const lowestBit = mask & -mask;
+    const index = 31 - Math.clz32(lowestBit);
+    sums[mask] = sums[mask ^ lowestBit] + cents[index];
+  }
+  
+  // groups[mask] = most zero-sum groups obtainable by peeling players off mask one at a time
+  const groups = new Int8Array(fullMask + 1);
+  for (let mask = 1; mask <= fullMask; mask++) {
+    let best = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        const candidate = groups[mask ^ (1 << i)];
+        if (candidate > best) best = candidate;
+      }
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+  
+  // Walk back down from the full set; every zero-sum mask on the path closes a group
+  const result = [];
+  let mask = fullMask;
+  let groupMask = fullMask;
+  
+  while (mask !== 0) {
+    const bonus = sums[mask] === 0 ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+      const bit = 1 << i;
+      if ((mask & bit) && groups[mask ^ bit] + bonus === groups[mask]) {
+        mask ^= bit;
+        break;
+      }
+    }
+    
+    if (mask === 0 || sums[mask] === 0) {
+      const closed = groupMask ^ mask;
+      result.push(players.filter((_, i) => closed & (1 << i)));
+      groupMask = mask;
+    }
+  }
+  
+  return result;
+};
+
+/**
+ * Routes every balance through a single banker who holds the cash box.
+ * Everyone who owes pays the banker and the banker pays everyone who is owed,
+ * collecting before paying out. What the banker takes in minus what they pay
+ * out equals the banker's own balance, so their net result is unchanged.
+ *
  * @param {Object} balances - Object with player IDs as keys and their balance as values
- * @returns {boolean} - Whether the balances are valid
+ * @param {string} bankerId - ID of the player acting as banker
+ * @returns {Array} - Array of settlement transactions { from, to, amount }
  */
-export const verifyBalances = (balances) => {
-  const sum = Object.values(balances)
-    .filter(value => !isNaN(parseFloat(value)))
-    .reduce((acc, val) => acc + (parseFloat(val) || 0), 0);
+export const calculateBankerSettlements = (balances, bankerId) => {
+  const others = toActiveBalances(balances).filter(player => player.id !== bankerId);
+  
+  const collections = others
+    .filter(player => player.amount < 0)
+    .map(player => ({ from: player.id, to: bankerId, amount: -player.amount }));
+  
+  const payouts = others
+    .filter(player => player.amount > 0)
+    .map(player => ({ from: bankerId, to: player.id, amount: player.amount }));
   
-  return Math.abs(sum) < 0.01; // Allow for small floating point errors
+  return [...collections, ...payouts];
 };
 
 /**
- * Suggest balanced adjustments for a set of player balances that don't sum to zero
- * 
+ * Replays a list of transfers against the balances they settle, recording
+ * what each player still had to pay or receive after every step
+ *
  * @param {Object} balances - Object with player IDs as keys and their balance as values
- * @returns {Object} - Object with suggested adjusted balances
+ * @param {Array} settlements - Transfers { from, to, amount } in the order they are made
+ * @param {Object} context - How the transfers were produced
+ * @param {string} context.algorithm - Plan algorithm, see calculateSettlementPlan
+ * @param {Array} context.groups - Zero-sum groups of player IDs the exact solver settled separately
+ * @param {string} context.bankerId - Banker the transfers were routed through, in banker mode
+ * @param {boolean} context.constrained - Whether settlement rules shaped the transfers
+ * @returns {Object} - {
+ *   algorithm,
+ *   groups: [[playerId]] or null,
+ *   constrained,
+ *   initial: { playerId: balance },
+ *   steps: [{ from, to, amount, kind, carryForward?, groupIndex, fromBefore, toBefore, fromAfter, toAfter, remaining }],
+ *   final: { playerId: balance left once every transfer is made },
+ *   settled: whether everyone ends on zero
+ * }
  */
-export const suggestBalancedAdjustments = (balances) => {
-  // Convert to numbers and filter out empty values
-  const validBalances = {};
-  let activePlayerCount = 0;
-  
-  Object.entries(balances).forEach(([id, value]) => {
-    if (value !== '' && value !== '-' && !isNaN(parseFloat(value))) {
-      validBalances[id] = parseFloat(value);
-      activePlayerCount++;
-    } else {
-      validBalances[id] = 0;
+export const buildSettlementTrace = (balances, settlements, context = {}) => {
+  const { algorithm = null, groups = null, bankerId = null, constrained = false } = context;
+  const initial = {};
+  toActiveBalances(balances).forEach(player => {
+    initial[player.id] = player.amount;
+  });
+  
+  const remaining = { ...initial };
+  const findGroup = (id) => (groups ? groups.findIndex(group => group.includes(id)) : -1);
+  
+  const steps = settlements.map(settlement => {
+    const { from, to, amount } = settlement;
+    const fromBefore = remaining[from] || 0;
+    const toBefore = remaining[to] || 0;
+    remaining[from] = fromBefore + amount;
+    remaining[to] = toBefore - amount;
+    
+    // 'loan' repays a loan between players; 'collect'/'payout' go to or from the banker;
+    // 'rule' transfers were shaped by settlement rules
+    let kind = 'match';
+    if (settlement.loan) {
+      kind = 'loan';
+    } else if (algorithm === 'banker') {
+      kind = to === bankerId ? 'collect' : 'payout';
+    } else if (constrained) {
+      kind = 'rule';
     }
+    
+    return {
+      from,
+      to,
+      amount,
+      kind,
+      ...(settlement.carryForward ? { carryForward: true } : {}),
+      groupIndex: findGroup(from),
+      fromBefore,
+      toBefore,
+      fromAfter: remaining[from],
+      toAfter: remaining[to],
+      remaining: { ...remaining }
+    };
   });
   
-  // If no valid balances, return original
-  if (activePlayerCount === 0) {
-    return balances;
+  return {
+    algorithm,
+    groups,
+    constrained,
+    initial,
+    steps,
+    final: remaining,
+    settled: Object.values(remaining).every(amount => amount === 0)
+  };
+};
+
+/**
+ * Calculates a settlement plan and reports how it was produced
+ *
+ * Up to `exactMaxPlayers` non-zero balances the plan is provably minimal: players
+ * are split into as many zero-sum groups as possible and each group is settled
+ * separately. Larger tables, or balances that don't sum to zero, use the greedy
+ * biggest-debtor/biggest-creditor matching instead.
+ *
+ * When `constraints` are given the plan follows them (see utils/settlementConstraints).
+ * If no plan can, `feasible` is false, `settlements` is empty and `reason`
+ * says why.
+ *
+ * In banker mode every balance goes through `bankerId` instead (see
+ * calculateBankerSettlements) and constraints are not applied.
+ *
+ * With `rounding` every balance is first rounded to the unit so that every
+ * transfer is a round amount (see utils/cashRounding); `rounding` in the
+ * result says where the leftover went. Unbalanced balances aren't rounded.
+ *
+ * `loans` (see getLoanTransfers in utils/loans) are repaid straight to the
+ * lender before anything else: they come first in `settlements`, marked
+ * `loan: true`, and the rest of the plan settles what's left once they're
+ * made. Rounding and settlement rules only apply to the rest.
+ *
+ * @param {Object} balances - Object with player IDs as keys and their balance as values
+ * @param {Object} options - Calculation options
+ * @param {number} options.exactMaxPlayers - Largest player count solved exactly
+ * @param {Object} options.constraints - Forbidden/preferred/required pairs, payment methods and transfer limits
+ * @param {string} options.mode - One of SETTLEMENT_MODES
+ * @param {string} options.bankerId - Player every balance is routed through in banker mode
+ * @param {boolean} options.trace - Also return a step-by-step trace, see buildSettlementTrace
+ * @param {Object} options.rounding - { unit, remainderTo, targetId, carryOver }, see roundBalances
+ * @param {Array} options.loans - Loan repayments { from, to, amount, carryForward }
+ * @returns {Object} - { settlements, algorithm: 'exact'|'greedy'|'banker'|'none', groupCount, feasible, reason, rounding?, trace? }
+ */
+export const calculateSettlementPlan = (balances, options = {}) => {
+  const loans = options.loans || [];
+  const netBalances = loans.length > 0 ? applyLoanTransfers(balances, loans) : balances;
+  const rounding = options.rounding && verifyBalances(netBalances)
+    ? roundBalances(netBalances, options.rounding)
+    : null;
+  const settledBalances = rounding && rounding.applied ? rounding.balances : netBalances;
+  
+  const { groups, ...solved } = solveSettlementPlan(settledBalances, options);
+  if (solved.feasible && loans.length > 0) {
+    solved.settlements = [
+      ...loans.map(({ from, to, amount, carryForward }) => ({
+        from,
+        to,
+        amount,
+        loan: true,
+        ...(carryForward ? { carryForward: true } : {})
+      })),
+      ...solved.settlements
+    ];
   }
+  const plan = options.rounding ? { ...solved, rounding } : solved;
+  if (!options.trace) return plan;
+  
+  return {
+    ...plan,
+    // Traced from before the loans were repaid, so their steps show too
+    trace: buildSettlementTrace(applyLoanTransfers(settledBalances, loans, -1), plan.settlements, {
+      algorithm: plan.algorithm,
+      groups: groups || null,
+      bankerId: plan.algorithm === 'banker' ? options.bankerId : null,
+      constrained: hasConstraints(options.constraints)
+    })
+  };
+};
+
+/**
+ * Works out the plan for calculateSettlementPlan. Exact plans also carry the
+ * zero-sum groups they were split into, for tracing.
+ *
+ * @param {Object} balances - Object with player IDs as keys and their balance as values
+ * @param {Object} options - Calculation options, see calculateSettlementPlan
+ * @returns {Object} - Plan as returned by calculateSettlementPlan, plus `groups` for exact plans
+ */
+const solveSettlementPlan = (balances, options) => {
+  const {
+    exactMaxPlayers = DEFAULT_EXACT_MAX_PLAYERS,
+    constraints = null,
+    mode = SETTLEMENT_MODES.MINIMAL,
+    bankerId = null
+  } = options;
+  const activeBalances = toActiveBalances(balances);
   
-  // Calculate current sum
-  const sum = Object.values(validBalances).reduce((acc, val) => acc + val, 0);
+  // If there are no non-zero balances, nothing needs to change hands
+  if (activeBalances.length === 0) {
+    return { settlements: [], algorithm: 'none', groupCount: 0, feasible: true, reason: null };
+  }
   
-  // If sum is already very close to zero, no adjustment needed
-  if (Math.abs(sum) < 0.01) {
-    return balances;
+  // Verify that balances sum to zero
+  const isBalanced = verifyBalances(balances);
+  if (!isBalanced) {
+    console.warn('Settlement calculation: Balances do not sum to zero');
+    // Proceed anyway - the calling function should handle this validation
   }
   
-  // Calculate correction per player
-  const correction = sum / activePlayerCount;
+  if (mode === SETTLEMENT_MODES.BANKER && bankerId) {
+    return {
+      settlements: calculateBankerSettlements(balances, bankerId),
+      algorithm: 'banker',
+      groupCount: 1,
+      feasible: true,
+      reason: null
+    };
+  }
   
-  // Create adjusted balances
-  const adjustedBalances = {};
+  const canSolveExactly = activeBalances.length <= Math.min(exactMaxPlayers, EXACT_PLAYER_LIMIT);
   
-  Object.entries(validBalances).forEach(([id, value]) => {
-    if (value !== 0) {
-      // Only adjust non-zero values, round to 2 decimal places
-      adjustedBalances[id] = Math.round((value - correction) * 100) / 100;
-    } else {
-      adjustedBalances[id] = value;
+  if (hasConstraints(constraints)) {
+    if (!isBalanced) {
+      return {
+        settlements: [],
+        algorithm: 'none',
+        groupCount: 0,
+        feasible: false,
+        reason: { code: 'unbalanced', playerIds: [] }
+      };
     }
-  });
+    
+    // The unconstrained minimum is a lower bound, so the search can start there
+    const minTransfers = canSolveExactly
+      ? activeBalances.length - partitionIntoZeroSumGroups(activeBalances).length
+      : 1;
+    const plan = solveWithConstraints(activeBalances, constraints, {
+      exact: canSolveExactly,
+      minTransfers
+    });
+    
+    return {
+      ...plan,
+      // A plan with no cycles settles n players in n - groups transfers
+      groupCount: plan.feasible ? activeBalances.length - plan.settlements.length : 0
+    };
+  }
+  
+  if (isBalanced && canSolveExactly) {
+    const groups = partitionIntoZeroSumGroups(activeBalances);
+    return {
+      settlements: groups.flatMap(settleGreedily),
+      algorithm: 'exact',
+      groupCount: groups.length,
+      feasible: true,
+      reason: null,
+      groups: groups.map(group => group.map(player => player.id))
+    };
+  }
+  
+  return {
+    settlements: settleGreedily(activeBalances),
+    algorithm: 'greedy',
+    groupCount: 1,
+    feasible: true,
+    reason: null
+  };
+};
+
+/**
+ * Calculates the minimum number of transactions needed to settle balances
+ * 
+ * Returns an empty array if `options.constraints` can't be met; use
+ * calculateSettlementPlan to find out why. With `options.trace` it returns
+ * { settlements, trace } instead, so callers can explain the plan.
+ *
+ * Pass `options.rounding` to round every transfer to a cash unit such as
+ * $1, $5 or 0.50; use calculateSettlementPlan to see where the leftover went.
+ * 
+ * @param {Object} balances - Object with player IDs as keys and their balance as values
+ * @param {Object} options - Calculation options, see calculateSettlementPlan
+ * @returns {Array|Object} - Array of settlement transactions { from, to, amount, method? }, or { settlements, trace }
+ */
+export const calculateOptimalSettlements = (balances, options = {}) => {
+  const plan = calculateSettlementPlan(balances, options);
+  return options.trace ? { settlements: plan.settlements, trace: plan.trace } : plan.settlements;
+};
+
+/**
+ * Verifies that the total balance sums to exactly zero
+ * 
+ * @param {Object} balances - Object with player IDs as keys and their balance (minor units) as values
+ * @returns {boolean} - Whether the balances are valid
+ */
+export const verifyBalances = (balances) => {
+  const values = Object.values(balances)
+    .map(value => Number(value))
+    .filter(value => !isNaN(value));
   
-  return adjustedBalances;
+  return sumMoney(values) === 0;
+};
+
+/**
+ * Suggest balanced adjustments for a set of player balances that don't sum to zero
+ * 
+ * By default the imbalance is spread across every player with a non-zero
+ * balance in proportion to one share each; pass a strategy to choose who
+ * absorbs it instead (see utils/balanceAdjustments). Balances a strategy
+ * can't adjust come back as a copy, unchanged apart from rounding.
+ * 
+ * @param {Object} balances - Object with player IDs as keys and their balance (minor units) as values
+ * @param {Object} options - Strategy options, see planBalanceAdjustment
+ * @returns {Object} - Object with suggested adjusted balances
+ */
+export const suggestBalancedAdjustments = (balances, options = {}) => {
+  return planBalanceAdjustment(balances, options).balances;
 };
 
 /**
@@ -144,7 +465,7 @@ export const suggestBalancedAdjustments = (balances) => {
  * @returns {number} - Total amount being transferred
  */
 export const calculateTotalSettlementAmount = (settlements) => {
-  return settlements.reduce((total, settlement) => total + settlement.amount, 0);
+  return sumMoney(settlements.map(settlement => settlement.amount));
 };
 
 /**
@@ -163,7 +484,7 @@ export const getBalanceStats = (balances) => {
   
   Object.entries(balances).forEach(([id, amount]) => {
     // Convert to number
-    const numAmount = parseFloat(amount) || 0;
+    const numAmount = Number(amount) || 0;
     
     if (numAmount > 0) {
       winners++;
@@ -197,7 +518,7 @@ export const getBalanceStats = (balances) => {
 export const validateBalancesForSettlement = (balances) => {
   // Check if we have at least 2 players with non-zero balances
   const nonZeroPlayers = Object.values(balances)
-    .filter(value => typeof value === 'number' && Math.abs(value) > 0.01)
+    .filter(value => typeof value === 'number' && value !== 0)
     .length;
   
   if (nonZeroPlayers < 2) {
@@ -219,7 +540,12 @@ export const validateBalancesForSettlement = (balances) => {
 };
 
 export default {
+  SETTLEMENT_MODES,
   calculateOptimalSettlements,
+  calculateSettlementPlan,
+  calculateBankerSettlements,
+  buildSettlementTrace,
+  partitionIntoZeroSumGroups,
   verifyBalances,
   suggestBalancedAdjustments,
   calculateTotalSettlementAmount,
@@ -0,0 +1,410 @@
+/**
+ * Settlement Constraints Module
+ *
+ * Lets a group put rules on who settles with whom and searches for the
+ * smallest set of transfers that follows them. A constraint set looks like:
+ *
+ *   {
+ *     forbiddenPairs: [[a, b]],          // a and b never pay each other, in either direction
+ *     preferredPairs: [[a, b]],          // pair a and b up when it costs no extra transfer
+ *     requiredPairs: [[from, to]],       // from pays to whenever from owes and to is owed
+ *     paymentMethods: { id: ['cash'] },  // methods a player can use; missing means any
+ *     maxTransfersPerPlayer: 2,          // null for no limit
+ *   }
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+// Payment methods players can pick from in the constraints editor
+export const PAYMENT_METHODS = {
+  cash: { id: 'cash', label: 'Cash' },
+  venmo: { id: 'venmo', label: 'Venmo' },
+  paypal: { id: 'paypal', label: 'PayPal' },
+  zelle: { id: 'zelle', label: 'Zelle' },
+  bank: { id: 'bank', label: 'Bank Transfer' },
+};
+
+export const EMPTY_CONSTRAINTS = {
+  forbiddenPairs: [],
+  preferredPairs: [],
+  requiredPairs: [],
+  paymentMethods: {},
+  maxTransfersPerPlayer: null,
+};
+
+// Search nodes to visit before giving up on a provably minimal plan
+const DEFAULT_SEARCH_BUDGET = 100000;
+
+// Order-independent key for a pair of player IDs
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Fills in missing fields and drops malformed entries, so a constraint set
+ * loaded from storage can be used as-is
+ *
+ * @param {Object} constraints - Possibly partial constraint set
+ * @returns {Object} - Complete constraint set
+ */
+export const normalizeConstraints = (constraints) => {
+  const source = constraints || {};
+
+  const toPairs = (list) => (Array.isArray(list) ? list : [])
+    .filter(pair => Array.isArray(pair) && pair.length === 2 && pair[0] && pair[1] && pair[0] !== pair[1]);
+
+  const paymentMethods = {};
+  Object.entries(source.paymentMethods || {}).forEach(([playerId, methods]) => {
+    if (Array.isArray(methods) && methods.length > 0) {
+      paymentMethods[playerId] = [...methods];
+    }
+  });
+
+  const limit = Number(source.maxTransfersPerPlayer);
+
+  return {
+    forbiddenPairs: toPairs(source.forbiddenPairs),
+    preferredPairs: toPairs(source.preferredPairs),
+    requiredPairs: toPairs(source.requiredPairs),
+    paymentMethods,
+    maxTransfersPerPlayer: Number.isInteger(limit) && limit > 0 ? limit : null,
+  };
+};
+
+/**
+ * Whether a constraint set contains any rule at all
+ *
+ * @param {Object} constraints - Constraint set
+ * @returns {boolean} - True if at least one rule is set
+ */
+export const hasConstraints = (constraints) => {
+  const rules = normalizeConstraints(constraints);
+  return rules.forbiddenPairs.length > 0 ||
+    rules.preferredPairs.length > 0 ||
+    rules.requiredPairs.length > 0 ||
+    Object.keys(rules.paymentMethods).length > 0 ||
+    rules.maxTransfersPerPlayer !== null;
+};
+
+/**
+ * Builds the key constraint sets are saved under, so the same group of
+ * players gets the same rules back regardless of list order
+ *
+ * @param {Array<string>} playerIds - IDs of the players in the group
+ * @returns {string} - Stable group key
+ */
+export const getPlayerGroupKey = (playerIds) => {
+  return [...new Set(playerIds)].sort().join(',');
+};
+
+// Methods both players can use; null means neither has restricted theirs
+const getSharedMethods = (rules, fromId, toId) => {
+  const fromMethods = rules.paymentMethods[fromId];
+  const toMethods = rules.paymentMethods[toId];
+
+  if (!fromMethods && !toMethods) return null;
+  if (!fromMethods) return toMethods;
+  if (!toMethods) return fromMethods;
+  return fromMethods.filter(method => toMethods.includes(method));
+};
+
+/**
+ * Looks for a rule that makes settling impossible before any searching is done,
+ * so the reason given to the user names the players involved
+ */
+const findObviousConflict = (players, edges, required, limit) => {
+  for (const { from, to } of required) {
+    if (!edges[from][to]) {
+      return { code: 'required-pair-blocked', playerIds: [players[from].id, players[to].id] };
+    }
+  }
+
+  for (let i = 0; i < players.length; i++) {
+    const owed = Math.abs(players[i].amount);
+    const reachable = players
+      .map((other, j) => (edges[i][j] || edges[j][i] ? Math.abs(other.amount) : 0))
+      .filter(amount => amount > 0)
+      .sort((a, b) => b - a);
+
+    if (reachable.length === 0) {
+      return { code: 'no-counterparty', playerIds: [players[i].id] };
+    }
+
+    if (reachable.reduce((sum, amount) => sum + amount, 0) < owed) {
+      return { code: 'not-enough-counterparties', playerIds: [players[i].id] };
+    }
+
+    const requiredCount = required.filter(pair => pair.from === i || pair.to === i).length;
+    const withinLimit = reachable.slice(0, limit).reduce((sum, amount) => sum + amount, 0);
+
+    if (withinLimit < owed || requiredCount > limit) {
+      return { code: 'transfer-limit', playerIds: [players[i].id], limit };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Settles biggest debtor first, paying required and preferred partners before
+ * anyone else. Used when the exact search is skipped or runs out of budget.
+ * Returns null if it paints itself into a corner.
+ */
+const settleGreedilyWithin = (players, edges, required, limit) => {
+  const balance = players.map(player => player.amount);
+  const degree = players.map(() => 0);
+  const transfers = [];
+
+  const transfer = (i, j) => {
+    const amount = Math.min(-balance[i], balance[j]);
+    balance[i] += amount;
+    balance[j] -= amount;
+    degree[i]++;
+    degree[j]++;
+    transfers.push({ i, j, amount });
+  };
+
+  for (const { from, to } of required) {
+    if (balance[from] < 0 && balance[to] > 0 && degree[from] < limit && degree[to] < limit) {
+      transfer(from, to);
+    } else {
+      return null;
+    }
+  }
+
+  for (;;) {
+    let debtor = -1;
+    balance.forEach((amount, i) => {
+      if (amount < 0 && (debtor === -1 || amount < balance[debtor])) debtor = i;
+    });
+
+    if (debtor === -1) return transfers;
+    if (degree[debtor] >= limit) return null;
+
+    let creditor = -1;
+    balance.forEach((amount, j) => {
+      if (amount <= 0 || !edges[debtor][j] || degree[j] >= limit) return;
+      if (creditor === -1) {
+        creditor = j;
+        return;
+      }
+      const preferredNow = edges[debtor][j].preferred;
+      const preferredBest = edges[debtor][creditor].preferred;
+      if ((preferredNow && !preferredBest) || (preferredNow === preferredBest && amount > balance[creditor])) {
+        creditor = j;
+      }
+    });
+
+    if (creditor === -1) return null;
+    transfer(debtor, creditor);
+  }
+};
+
+/**
+ * Finds the smallest set of transfers that settles the players while
+ * following every rule in the constraint set.
+ *
+ * Any valid plan can be reduced to a forest of transfers, and a forest can
+ * always be built by repeatedly settling one player in full with a single
+ * transfer. The search tries those moves with iterative deepening, so the
+ * first plan it finds uses the fewest transfers. Required pairs are tried
+ * first and preferred pairs next, so among equally short plans the ones that
+ * use them are found first.
+ *
+ * @param {Array} players - Array of { id, amount } with non-zero amounts summing to zero
+ * @param {Object} constraints - Constraint set, see the module comment
+ * @param {Object} options - Search options
+ * @param {boolean} options.exact - Search for a minimal plan (false goes straight to greedy)
+ * @param {number} options.searchBudget - Search nodes to visit before falling back to greedy
+ * @param {number} options.minTransfers - Known lower bound, e.g. the unconstrained minimum
+ * @returns {Object} - { settlements, algorithm: 'exact'|'greedy'|'none', feasible, reason }
+ */
+export const solveWithConstraints = (players, constraints, options = {}) => {
+  const { exact = true, searchBudget = DEFAULT_SEARCH_BUDGET, minTransfers = 1 } = options;
+  const rules = normalizeConstraints(constraints);
+  const n = players.length;
+  const limit = rules.maxTransfersPerPlayer || n;
+
+  const forbidden = new Set(rules.forbiddenPairs.map(([a, b]) => pairKey(a, b)));
+  const preferred = new Set(rules.preferredPairs.map(([a, b]) => pairKey(a, b)));
+
+  // edges[i][j] describes players[i] paying players[j], or is null if that transfer isn't allowed
+  const edges = players.map(from => players.map(to => {
+    if (from.amount >= 0 || to.amount <= 0) return null;
+    if (forbidden.has(pairKey(from.id, to.id))) return null;
+
+    const methods = getSharedMethods(rules, from.id, to.id);
+    if (methods !== null && methods.length === 0) return null;
+
+    return { methods, preferred: preferred.has(pairKey(from.id, to.id)) };
+  }));
+
+  // Required pairs only apply when the payer owes and the payee is owed tonight
+  const indexOf = {};
+  players.forEach((player, i) => {
+    indexOf[player.id] = i;
+  });
+  const required = rules.requiredPairs
+    .filter(([from, to]) => indexOf[from] !== undefined && indexOf[to] !== undefined)
+    .map(([from, to]) => ({ from: indexOf[from], to: indexOf[to] }))
+    .filter(({ from, to }) => players[from].amount < 0 && players[to].amount > 0);
+
+  const toSettlements = (transfers) => transfers.map(({ i, j, amount }) => {
+    const { methods } = edges[i][j];
+    return {
+      from: players[i].id,
+      to: players[j].id,
+      amount,
+      ...(methods ? { method: methods[0] } : {})
+    };
+  });
+
+  if (n === 0) {
+    return { settlements: [], algorithm: 'none', feasible: true, reason: null };
+  }
+
+  const conflict = findObviousConflict(players, edges, required, limit);
+  if (conflict) {
+    return { settlements: [], algorithm: 'none', feasible: false, reason: conflict };
+  }
+
+  if (exact) {
+    const balance = players.map(player => player.amount);
+    const degree = players.map(() => 0);
+    const path = [];
+    const allRequired = (1 << required.length) - 1;
+    // State key -> largest number of remaining transfers it is known to fail with
+    const failedAt = new Map();
+    let nodes = 0;
+    let exhausted = false;
+
+    const search = (remaining, satisfied) => {
+      if (++nodes > searchBudget) {
+        exhausted = true;
+        return false;
+      }
+
+      let debtors = 0;
+      let creditors = 0;
+      for (let i = 0; i < n; i++) {
+        if (balance[i] === 0) continue;
+        if (degree[i] >= limit) return false;
+        if (balance[i] < 0) debtors++;
+        else creditors++;
+      }
+
+      if (debtors === 0 && creditors === 0) {
+        return satisfied === allRequired;
+      }
+
+      // Every remaining debtor and creditor needs at least one more transfer
+      if (Math.max(debtors, creditors) > remaining) return false;
+
+      // A required pair can't be met once either side is already settled
+      for (let k = 0; k < required.length; k++) {
+        if (!(satisfied & (1 << k)) && (balance[required[k].from] === 0 || balance[required[k].to] === 0)) {
+          return false;
+        }
+      }
+
+      const key = `${balance.join(',')}/${degree.join(',')}/${satisfied}`;
+      if ((failedAt.get(key) ?? -1) >= remaining) return false;
+
+      const moves = [];
+      for (let i = 0; i < n; i++) {
+        if (balance[i] >= 0) continue;
+        for (let j = 0; j < n; j++) {
+          if (balance[j] <= 0 || !edges[i][j]) continue;
+
+          const amount = Math.min(-balance[i], balance[j]);
+          const requiredIndex = required.findIndex(pair => pair.from === i && pair.to === j);
+          const score = (requiredIndex !== -1 && !(satisfied & (1 << requiredIndex)) ? 4 : 0) +
+            (-balance[i] === balance[j] ? 2 : 0) +
+            (edges[i][j].preferred ? 1 : 0);
+
+          moves.push({ i, j, amount, requiredIndex, score });
+        }
+      }
+      moves.sort((a, b) => b.score - a.score || b.amount - a.amount);
+
+      for (const move of moves) {
+        const { i, j, amount, requiredIndex } = move;
+        balance[i] += amount;
+        balance[j] -= amount;
+        degree[i]++;
+        degree[j]++;
+        path.push(move);
+
+        const nextSatisfied = requiredIndex === -1 ? satisfied : satisfied | (1 << requiredIndex);
+        if (search(remaining - 1, nextSatisfied)) return true;
+
+        path.pop();
+        balance[i] -= amount;
+        balance[j] += amount;
+        degree[i]--;
+        degree[j]--;
+
+        if (exhausted) return false;
+      }
+
+      failedAt.set(key, remaining);
+      return false;
+    };
+
+    for (let depth = Math.max(1, minTransfers); depth < n && !exhausted; depth++) {
+      if (search(depth, 0)) {
+        return { settlements: toSettlements(path), algorithm: 'exact', feasible: true, reason: null };
+      }
+    }
+
+    if (!exhausted) {
+      return { settlements: [], algorithm: 'none', feasible: false, reason: { code: 'unsatisfiable', playerIds: [] } };
+    }
+  }
+
+  const transfers = settleGreedilyWithin(players, edges, required, limit);
+  if (transfers) {
+    return { settlements: toSettlements(transfers), algorithm: 'greedy', feasible: true, reason: null };
+  }
+
+  return { settlements: [], algorithm: 'none', feasible: false, reason: { code: 'search-limit', playerIds: [] } };
+};
+
+/**
+ * Turns the reason from an infeasible plan into a sentence for the user
+ *
+ * @param {Object} reason - { code, playerIds, limit } as returned by solveWithConstraints
+ * @param {Function} getPlayerName - Maps a player ID to a display name
+ * @returns {string} - Explanation of why no plan exists
+ */
+export const describeConstraintConflict = (reason, getPlayerName = id => id) => {
+  if (!reason) return '';
+
+  const [first, second] = (reason.playerIds || []).map(getPlayerName);
+
+  switch (reason.code) {
+    case 'unbalanced':
+      return 'Balances must sum to zero before settlement rules can be applied.';
+    case 'required-pair-blocked':
+      return `${first} must pay ${second}, but that pair is forbidden or they share no payment method.`;
+    case 'no-counterparty':
+      return `${first} has nobody they are allowed to settle with. Check the forbidden pairs and payment methods.`;
+    case 'not-enough-counterparties':
+      return `The players ${first} is allowed to settle with can't cover their whole balance.`;
+    case 'transfer-limit':
+      return `${first} can't settle within ${reason.limit} transfer${reason.limit === 1 ? '' : 's'}.`;
+    case 'search-limit':
+      return 'There are too many players to check every plan against these rules. Try relaxing some of them.';
+    case 'unsatisfiable':
+    default:
+      return 'No settlement plan satisfies all of the rules. Try relaxing some of them.';
+  }
+};
+
+export default {
+  PAYMENT_METHODS,
+  EMPTY_CONSTRAINTS,
+  normalizeConstraints,
+  hasConstraints,
+  getPlayerGroupKey,
+  solveWithConstraints,
+  describeConstraintConflict
+};
@@ -0,0 +1,170 @@
+/**
+ * Settlement Explanation Module
+ *
+ * Answers "why am I paying Sam and not Alex?" by laying a settlement plan out
+ * step by step: what each player bought in and cashed out, the net that left
+ * them with, and how each transfer moves everyone towards zero.
+ *
+ * The step-by-step part comes from buildSettlementTrace in
+ * utils/settlementCalculator; this module adds the per-player ledger and the
+ * wording shared by the Explain panels and sharingUtils.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { sumMoney } from './money';
+import { getTransactionValue } from './exchangeRates';
+import { buildSettlementTrace } from './settlementCalculator';
+
+const ALGORITHM_DESCRIPTIONS = {
+  exact: 'Players were split into the most groups whose results cancel out, and each group was settled on its own. That gives the fewest possible transfers.',
+  greedy: 'Whoever owed the most paid whoever was owed the most, repeating until everyone was square.',
+  banker: 'Everyone who lost paid the banker, and the banker paid everyone who won.',
+  none: 'Everyone broke even, so no money needs to change hands.'
+};
+
+/**
+ * Builds everything the Explain panel shows for a settlement plan
+ *
+ * @param {Object} options
+ * @param {Object} options.balances - { playerId: net result } as entered or recorded
+ * @param {Object} options.settledBalances - Balances after fees; defaults to balances
+ * @param {Object} options.rounding - Cash rounding from calculateSettlementPlan, if the plan was rounded
+ * @param {Array} options.settlements - Transfers { from, to, amount } in plan order
+ * @param {Object} options.trace - Trace from calculateSettlementPlan; rebuilt from the transfers when missing
+ * @param {Array} options.transactions - Buy-in and cash-out transactions behind the balances, if any;
+ *   totalled at what they're worth in the settlement currency
+ * @returns {Object} - {
+ *   algorithm,
+ *   rows: [{ id, buyIns, buyInCount, cashOuts, cashOutCount, net, fees, rounding, pays, receives, final }],
+ *   trace
+ * }
+ */
+export const buildSettlementExplanation = ({
+  balances = {},
+  settledBalances = balances,
+  settlements = [],
+  trace = null,
+  rounding = null,
+  transactions = []
+}) => {
+  const adjustments = rounding && rounding.applied ? rounding.adjustments : {};
+  const planTrace = trace || buildSettlementTrace(
+    rounding && rounding.applied ? rounding.balances : settledBalances,
+    settlements
+  );
+  const rows = {};
+
+  const getRow = (id) => {
+    if (!rows[id]) {
+      rows[id] = {
+        id,
+        buyIns: 0,
+        buyInCount: 0,
+        cashOuts: 0,
+        cashOutCount: 0,
+        net: Math.round(Number(balances[id])) || 0,
+        fees: 0,
+        rounding: adjustments[id] || 0,
+        pays: 0,
+        receives: 0,
+        final: 0
+      };
+    }
+    return rows[id];
+  };
+
+  transactions.forEach(transaction => {
+    const row = getRow(transaction.playerId);
+    if (transaction.type === 'buy-in') {
+      row.buyIns += getTransactionValue(transaction);
+      row.buyInCount += 1;
+    } else if (transaction.type === 'cash-out') {
+      row.cashOuts += getTransactionValue(transaction);
+      row.cashOutCount += 1;
+    }
+  });
+
+  Object.keys(balances).forEach(getRow);
+  Object.keys(settledBalances).forEach(id => {
+    const row = getRow(id);
+    // Whatever the settled balance lost against the entered one went on fees
+    row.fees = row.net - (Math.round(Number(settledBalances[id])) || 0);
+  });
+
+  settlements.forEach(settlement => {
+    getRow(settlement.from).pays += settlement.amount;
+    getRow(settlement.to).receives += settlement.amount;
+  });
+
+  Object.values(rows).forEach(row => {
+    row.final = row.net - row.fees + row.rounding + row.pays - row.receives;
+  });
+
+  return {
+    algorithm: planTrace.algorithm,
+    rows: Object.values(rows)
+      .filter(row => row.net !== 0 || row.buyInCount > 0 || row.cashOutCount > 0 || row.rounding || row.pays || row.receives)
+      .sort((a, b) => a.net - b.net),
+    trace: planTrace
+  };
+};
+
+/**
+ * How the plan was worked out, in a sentence or two
+ *
+ * @param {string} algorithm - Plan algorithm from the trace
+ * @param {boolean} constrained - Whether settlement rules shaped the plan
+ * @returns {string} - Description, or '' when the algorithm isn't known
+ */
+export const describeAlgorithm = (algorithm, constrained = false) => {
+  const description = ALGORITHM_DESCRIPTIONS[algorithm] || '';
+  return constrained && algorithm !== 'banker'
+    ? `${description} Your settlement rules decided who could pay whom.`.trim()
+    : description;
+};
+
+/**
+ * One step of a trace as a sentence
+ *
+ * @param {Object} step - Trace step
+ * @param {Function} getName - Maps a player ID to a display name
+ * @param {Function} format - Formats minor units as money
+ * @returns {string} - e.g. "Alex pays Sam $20.00. Alex still owes $5.00; Sam is square."
+ */
+export const describeStep = (step, getName, format) => {
+  const from = getName(step.from);
+  const to = getName(step.to);
+  const describeLeft = (name, amount) => {
+    if (amount === 0) return `${name} is square`;
+    return amount < 0 ? `${name} still owes ${format(-amount)}` : `${name} is still owed ${format(amount)}`;
+  };
+
+  let lead = `${from} pays ${to} ${format(step.amount)}`;
+  if (step.kind === 'collect') lead = `${from} pays the banker, ${to}, ${format(step.amount)}`;
+  if (step.kind === 'payout') lead = `The banker, ${from}, pays ${to} ${format(step.amount)}`;
+  if (step.kind === 'loan') {
+    lead = step.carryForward
+      ? `${from} owes ${to} ${format(step.amount)} for a loan, carried forward to be paid later`
+      : `${from} repays ${to} ${format(step.amount)} lent during the game`;
+  }
+
+  return `${lead}. ${describeLeft(from, step.fromAfter)}; ${describeLeft(to, step.toAfter)}.`;
+};
+
+/**
+ * Total moved by every transfer in an explanation
+ *
+ * @param {Object} explanation - From buildSettlementExplanation
+ * @returns {number} - Total amount transferred
+ */
+export const getTotalMoved = (explanation) => {
+  return sumMoney(explanation.trace.steps.map(step => step.amount));
+};
+
+export default {
+  buildSettlementExplanation,
+  describeAlgorithm,
+  describeStep,
+  getTotalMoved
+};
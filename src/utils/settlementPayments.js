@@ -0,0 +1,107 @@
+/**
+ * Settlement Payments Module
+ *
+ * Every settlement saved in history carries a stable ID, a status and the
+ * payments made against it:
+ *
+ *   { id, from, to, amount, status, statusChangedAt, payments: [{ id, amount, date, method, note }] }
+ *
+ * A settlement marked completed owes nothing even if the payments recorded
+ * against it add up to less than its amount (e.g. it was settled in person).
+ * A cancelled settlement is dropped from everything that is owed.
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { sumMoney } from './money';
+
+export const SETTLEMENT_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Stable ID for the settlement at `index` in a session
+ *
+ * @param {string} sessionId - Session ID
+ * @param {number} index - Index of the settlement in the session
+ * @returns {string} - Settlement ID
+ */
+export const getSettlementId = (sessionId, index) => `${sessionId}-${index}`;
+
+/**
+ * Fills in the ID, status and payments list on a settlement that predates them
+ *
+ * @param {Object} settlement - Settlement { from, to, amount }
+ * @param {string} sessionId - ID of the session it belongs to
+ * @param {number} index - Index of the settlement in the session
+ * @returns {Object} - Settlement with id, status and payments
+ */
+export const normalizeSettlement = (settlement, sessionId, index) => ({
+  ...settlement,
+  id: settlement.id || getSettlementId(sessionId, index),
+  status: settlement.status || SETTLEMENT_STATUS.PENDING,
+  payments: settlement.payments || []
+});
+
+/**
+ * Normalizes every settlement in a history session, see normalizeSettlement
+ *
+ * @param {Object} session - History session
+ * @returns {Object} - Session whose settlements all have IDs and statuses
+ */
+export const normalizeSessionSettlements = (session) => {
+  if (!session) return session;
+
+  return {
+    ...session,
+    settlements: (session.settlements || []).map((settlement, index) =>
+      normalizeSettlement(settlement, session.id, index)
+    )
+  };
+};
+
+/**
+ * Total recorded against a settlement
+ *
+ * @param {Object} settlement - Settlement with payments
+ * @returns {number} - Amount paid so far
+ */
+export const getAmountPaid = (settlement) => {
+  return sumMoney((settlement.payments || []).map(payment => payment.amount));
+};
+
+/**
+ * What is still owed on a settlement
+ *
+ * @param {Object} settlement - Settlement with status and payments
+ * @returns {number} - Remaining balance, never negative
+ */
+export const getRemainingAmount = (settlement) => {
+  if (settlement.status === SETTLEMENT_STATUS.COMPLETED ||
+      settlement.status === SETTLEMENT_STATUS.CANCELLED) {
+    return 0;
+  }
+  return Math.max(0, settlement.amount - getAmountPaid(settlement));
+};
+
+/**
+ * Whether a session still has money waiting to change hands
+ *
+ * @param {Object} session - History session
+ * @returns {boolean} - True when every settlement is paid or cancelled
+ */
+export const isSessionFullyPaid = (session) => {
+  return (session.settlements || []).every(settlement => getRemainingAmount(settlement) === 0);
+};
+
+export default {
+  SETTLEMENT_STATUS,
+  getSettlementId,
+  normalizeSettlement,
+  normalizeSessionSettlements,
+  getAmountPaid,
+  getRemainingAmount,
+  isSessionFullyPaid
+};
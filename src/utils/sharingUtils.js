@@ -1,9 +1,15 @@
 import { Share } from 'react-native';
-import * as Sharing from 'expo-sharing';
 import * as FileSystem from 'expo-file-system';
 import * as MailComposer from 'expo-mail-composer';
 import * as Print from 'expo-print';
 import * as Linking from 'expo-linking';
+import { formatMoney, sumMoney } from './money';
+import { SETTLEMENT_MODES } from './settlementCalculator';
+import { HOUSE_NAME, describeDeduction, isHouse } from './deductions';
+import { UNACCOUNTED_NAME, isUnaccounted } from './balanceAdjustments';
+import { describeAlgorithm, describeStep } from './settlementExplanation';
+import { convertMoney, describeExchangeRates, getPlayerCurrencies } from './exchangeRates';
+import { describeRounding } from './cashRounding';
 
 /**
  * Sharing Utilities for Poker Settlement App
@@ -11,6 +17,88 @@ import * as Linking from 'expo-linking';
  * Provides functions for sharing settlement data through various channels
  */
 
+/**
+ * Describes how a session's settlements were routed
+ * 
+ * @param {Object} session - Session data object
+ * @param {Array} players - Array of player objects for name lookup
+ * @returns {string} - e.g. "Minimal transfers" or "Via banker (Sam)"
+ */
+export const describeSettlementMode = (session, players) => {
+  if (session.settlementMode === SETTLEMENT_MODES.BANKER && session.bankerId) {
+    const banker = players.find(p => p.id === session.bankerId);
+    return `Via banker (${banker ? banker.name : 'Unknown Player'})`;
+  }
+  
+  return 'Minimal transfers';
+};
+
+// Name of a player, or of the house when fees are payable to it
+const getPartyName = (players, partyId) => {
+  if (isHouse(partyId)) return HOUSE_NAME;
+  if (isUnaccounted(partyId)) return UNACCOUNTED_NAME;
+  const player = players.find(p => p.id === partyId);
+  return player ? player.name : 'Unknown Player';
+};
+
+/**
+ * Lists a multi-currency session's settlement currency and exchange rates
+ * 
+ * @param {Object} session - Session data object
+ * @returns {Array<string>} - e.g. ["Settled in USD", "1 EUR = 1.08 USD"]; empty for single-currency sessions
+ */
+export const describeSessionCurrencies = (session) => {
+  const rates = describeExchangeRates(session.exchangeRates, session.currency);
+  return rates.length > 0 ? [`Settled in ${session.currency}`, ...rates] : [];
+};
+
+/**
+ * Describes how a session's transfers were rounded to cash amounts
+ * 
+ * @param {Object} session - Session data object
+ * @param {Array} players - Array of player objects for name lookup
+ * @returns {string} - e.g. "Rounded to $5.00 · Sam covers the odd $0.37"; empty when not rounded
+ */
+export const describeSessionRounding = (session, players) => {
+  return describeRounding(
+    session.rounding,
+    partyId => getPartyName(players, partyId),
+    amount => formatMoney(amount, session.currency)
+  );
+};
+
+// Builds a formatter for what a settlement-currency amount comes to in a player's own currency
+const getPlayerAmountFormatter = (session) => {
+  const playerCurrencies = getPlayerCurrencies(session.gameLog, session.currency);
+  
+  return (playerId, amount, options = {}) => {
+    const code = playerCurrencies[playerId];
+    const local = code
+      ? convertMoney(amount, session.currency, code, session.currency, session.exchangeRates)
+      : null;
+    return local === null ? '' : ` (≈ ${formatMoney(local, code, options)})`;
+  };
+};
+
+/**
+ * Lists the rake, fees and tips taken from a session before it was settled
+ * 
+ * @param {Object} session - Session data object
+ * @param {Array} players - Array of player objects for name lookup
+ * @returns {Array} - [{ label, detail, amount }] in the order they were applied
+ */
+export const describeSessionFees = (session, players) => {
+  const format = amount => formatMoney(amount, session.currency);
+  
+  return (session.deductions || []).map(deduction => ({
+    label: deduction.label,
+    detail: `${describeDeduction(deduction, format)}, to ${getPartyName(players, deduction.payee)}`,
+    amount: sumMoney((session.feeCharges || [])
+      .filter(charge => charge.deductionId === deduction.id)
+      .map(charge => charge.amount))
+  }));
+};
+
 /**
  * Format session data as plain text for sharing
  * 
@@ -21,27 +109,45 @@ import * as Linking from 'expo-linking';
 export const formatSessionAsText = (session, players) => {
   const date = new Date(session.date).toLocaleDateString();
   let message = `📊 Poker Settlement: ${date} 📊\n\n`;
+  const inPlayerCurrency = getPlayerAmountFormatter(session);
+  
+  // Format the currencies money changed hands in
+  const currencies = describeSessionCurrencies(session);
+  if (currencies.length > 0) {
+    message += `💱 CURRENCIES:\n${currencies.join('\n')}\n\n`;
+  }
   
   // Format balances
   message += '💰 FINAL BALANCES:\n';
   Object.entries(session.balances).forEach(([playerId, balance]) => {
-    const player = players.find(p => p.id === playerId);
-    const playerName = player ? player.name : 'Unknown Player';
-    const numBalance = parseFloat(balance) || 0;
-    const prefix = numBalance >= 0 ? '+' : '';
-    message += `${playerName}: ${prefix}$${numBalance.toFixed(2)}\n`;
+    const playerName = getPartyName(players, playerId);
+    const numBalance = Math.round(Number(balance)) || 0;
+    const prefix = numBalance === 0 ? '+' : '';
+    message += `${playerName}: ${prefix}${formatMoney(numBalance, session.currency, { showSign: true })}${inPlayerCurrency(playerId, numBalance, { showSign: true })}\n`;
   });
   
+  // Format fees taken before settling
+  const fees = describeSessionFees(session, players);
+  if (fees.length > 0) {
+    message += '\n🏠 RAKE & FEES (balances are after fees):\n';
+    fees.forEach(fee => {
+      message += `${fee.label} (${fee.detail}): ${formatMoney(fee.amount, session.currency)}\n`;
+    });
+  }
+  
   // Format settlements
   message += '\n💸 SETTLEMENTS:\n';
+  message += `Mode: ${describeSettlementMode(session, players)}\n`;
+  const rounding = describeSessionRounding(session, players);
+  if (rounding) {
+    message += `${rounding}\n`;
+  }
   if (session.settlements && session.settlements.length > 0) {
     session.settlements.forEach((settlement, index) => {
-      const fromPlayer = players.find(p => p.id === settlement.from);
-      const toPlayer = players.find(p => p.id === settlement.to);
-      const fromName = fromPlayer ? fromPlayer.name : 'Unknown Player';
-      const toName = toPlayer ? toPlayer.name : 'Unknown Player';
+      const fromName = getPartyName(players, settlement.from);
+      const toName = getPartyName(players, settlement.to);
       
-      message += `${index + 1}. ${fromName} pays ${toName} $${settlement.amount.toFixed(2)}\n`;
+      message += `${index + 1}. ${fromName} pays ${toName} ${formatMoney(settlement.amount, session.currency)}${inPlayerCurrency(settlement.from, settlement.amount)}\n`;
     });
   } else {
     message += 'No settlements needed\n';
@@ -61,6 +167,8 @@ export const formatSessionAsText = (session, players) => {
  */
 export const formatSessionAsHtml = (session, players) => {
   const date = new Date(session.date).toLocaleDateString();
+  const inPlayerCurrency = getPlayerAmountFormatter(session);
+  const currencies = describeSessionCurrencies(session);
   
   return `
     <!DOCTYPE html>
@@ -124,6 +232,11 @@ export const formatSessionAsHtml = (session, players) => {
           line-height: 24px;
           margin-right: 10px;
         }
+        .settlement-mode {
+          color: #7F8C8D;
+          font-size: 14px;
+          margin-bottom: 5px;
+        }
         .footer {
           margin-top: 30px;
           text-align: center;
@@ -138,36 +251,53 @@ export const formatSessionAsHtml = (session, players) => {
         <div class="subtitle">${date}</div>
       </div>
       
+      ${currencies.length > 0 ? `
+        <div class="section">
+          <div class="section-title">Currencies</div>
+          ${currencies.map(line => `<div class="settlement-mode">${line}</div>`).join('')}
+        </div>
+      ` : ''}
+      
       <div class="section">
         <div class="section-title">Final Balances</div>
         ${Object.entries(session.balances).map(([playerId, balance]) => {
-          const player = players.find(p => p.id === playerId);
-          const playerName = player ? player.name : 'Unknown Player';
-          const numBalance = parseFloat(balance) || 0;
-          const prefix = numBalance > 0 ? '+' : '';
+          const playerName = getPartyName(players, playerId);
+          const numBalance = Math.round(Number(balance)) || 0;
           const colorClass = numBalance > 0 ? 'positive' : numBalance < 0 ? 'negative' : 'neutral';
           
           return `
             <div class="balance-row">
-              ${playerName}: <span class="${colorClass}">${prefix}$${numBalance.toFixed(2)}</span>
+              ${playerName}: <span class="${colorClass}">${formatMoney(numBalance, session.currency, { showSign: true })}</span><span class="neutral">${inPlayerCurrency(playerId, numBalance, { showSign: true })}</span>
             </div>
           `;
         }).join('')}
       </div>
       
+      ${describeSessionFees(session, players).length > 0 ? `
+        <div class="section">
+          <div class="section-title">Rake &amp; Fees</div>
+          <div class="settlement-mode">Balances above are after fees</div>
+          ${describeSessionFees(session, players).map(fee => `
+            <div class="balance-row">
+              ${fee.label} <span class="neutral">(${fee.detail})</span>: <strong>${formatMoney(fee.amount, session.currency)}</strong>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
       <div class="section">
         <div class="section-title">Settlements</div>
+        <div class="settlement-mode">${describeSettlementMode(session, players)}</div>
+        ${describeSessionRounding(session, players) ? `<div class="settlement-mode">${describeSessionRounding(session, players)}</div>` : ''}
         ${session.settlements && session.settlements.length > 0 
           ? session.settlements.map((settlement, index) => {
-              const fromPlayer = players.find(p => p.id === settlement.from);
-              const toPlayer = players.find(p => p.id === settlement.to);
-              const fromName = fromPlayer ? fromPlayer.name : 'Unknown Player';
-              const toName = toPlayer ? toPlayer.name : 'Unknown Player';
+              const fromName = getPartyName(players, settlement.from);
+              const toName = getPartyName(players, settlement.to);
               
               return `
                 <div class="settlement-row">
                   <span class="settlement-number">${index + 1}</span>
-                  ${fromName} pays ${toName} <strong>$${settlement.amount.toFixed(2)}</strong>
+                  ${fromName} pays ${toName} <strong>${formatMoney(settlement.amount, session.currency)}</strong><span class="neutral">${inPlayerCurrency(settlement.from, settlement.amount)}</span>
                 </div>
               `;
             }).join('')
@@ -183,6 +313,74 @@ export const formatSessionAsHtml = (session, players) => {
   `;
 };
 
+/**
+ * Format a settlement explanation as plain text for sharing
+ * 
+ * @param {Object} explanation - From buildSettlementExplanation
+ * @param {Array} players - Array of player objects for name lookup
+ * @param {string} currency - ISO currency code the amounts are in
+ * @returns {string} - Formatted text
+ */
+export const formatExplanationAsText = (explanation, players, currency) => {
+  const format = amount => formatMoney(amount, currency);
+  const getName = partyId => getPartyName(players, partyId);
+  let message = '🧾 HOW THE SETTLEMENT WAS WORKED OUT\n\n';
+  
+  const algorithm = describeAlgorithm(explanation.algorithm, explanation.trace.constrained);
+  if (algorithm) {
+    message += `${algorithm}\n\n`;
+  }
+  
+  message += '👤 PLAYERS:\n';
+  explanation.rows.forEach(row => {
+    const parts = [];
+    if (row.buyInCount > 0) parts.push(`bought in ${format(row.buyIns)}`);
+    if (row.cashOutCount > 0) parts.push(`cashed out ${format(row.cashOuts)}`);
+    parts.push(`net ${formatMoney(row.net, currency, { showSign: true })}`);
+    if (row.fees !== 0) parts.push(`fees ${format(row.fees)}`);
+    if (row.rounding !== 0) parts.push(`rounding ${formatMoney(row.rounding, currency, { showSign: true })}`);
+    if (row.pays > 0) parts.push(`pays ${format(row.pays)}`);
+    if (row.receives > 0) parts.push(`receives ${format(row.receives)}`);
+    message += `${getName(row.id)}: ${parts.join(', ')}\n`;
+  });
+  
+  message += '\n🔁 STEP BY STEP:\n';
+  if (explanation.trace.steps.length > 0) {
+    explanation.trace.steps.forEach((step, index) => {
+      message += `${index + 1}. ${describeStep(step, getName, format)}\n`;
+    });
+  } else {
+    message += 'No transfers needed - everyone is square!\n';
+  }
+  
+  if (explanation.trace.settled) {
+    message += '\n✅ Everyone ends on zero.\n';
+  }
+  
+  return message;
+};
+
+/**
+ * Share a settlement explanation via native share sheet
+ * 
+ * @param {Object} explanation - From buildSettlementExplanation
+ * @param {Array} players - Array of player objects for name lookup
+ * @param {string} currency - ISO currency code the amounts are in
+ */
+export const shareExplanation = async (explanation, players, currency) => {
+  try {
+    const result = await Share.share({
+      message: formatExplanationAsText(explanation, players, currency),
+      title: 'How the settlement was worked out',
+    });
+    
+    return { success: true, result };
+  } catch (error) {
+    console.error('Error sharing explanation:', error);
+    return { success: false, error };
+  }
+};
+
 /**
  * Share session via native share sheet
  * 
@@ -272,7 +470,6 @@ export const generatePdf = async (session, players) => {
     });
     
     // Copy to a more accessible location with a better filename
-    const fileInfo = await FileSystem.getInfoAsync(uri);
     const newUri = `${FileSystem.documentDirectory}poker-settlement-${date}.pdf`;
     await FileSystem.copyAsync({
       from: uri,
@@ -344,9 +541,15 @@ export const createShareableImage = async (session, players) => {
 };
 
 export default {
+  describeSettlementMode,
+  describeSessionRounding,
+  describeSessionCurrencies,
+  describeSessionFees,
   formatSessionAsText,
   formatSessionAsHtml,
+  formatExplanationAsText,
   shareSession,
+  shareExplanation,
   emailSession,
   generatePdf,
   shareViaWhatsApp,
@@ -0,0 +1,193 @@
+/**
+ * Tournament Deals Module
+ *
+ * When a final table agrees to stop playing, the money still to be paid is
+ * split between the players left by their stacks. Three ways are offered:
+ *
+ *   icm           - Independent Chip Model: each player's share of every
+ *                   remaining prize is the chance their stack finishes in
+ *                   that place (Malmuth-Harville)
+ *   chipChop      - everyone locks in the smallest remaining prize and the
+ *                   rest is split in proportion to chips
+ *   saveForFirst  - an amount is taken off first prize and played for; the
+ *                   rest is split by ICM
+ *
+ * A recorded deal lives on the tournament as game.tournament.deal:
+ *
+ *   { method, playerIds, stacks, amounts, saved, winnerId }
+ *
+ * and pays places 1 to playerIds.length instead of the payout table (see
+ * calculateTournamentResults in utils/tournaments).
+ *
+ * All money amounts are integer minor units (see utils/money).
+ */
+
+import { allocateMoney, sumMoney } from './money';
+
+export const DEAL_METHODS = {
+  ICM: 'icm',
+  CHIP_CHOP: 'chipChop',
+  SAVE_FOR_FIRST: 'saveForFirst'
+};
+
+export const DEAL_METHOD_LABELS = {
+  [DEAL_METHODS.ICM]: 'ICM',
+  [DEAL_METHODS.CHIP_CHOP]: 'Chip chop',
+  [DEAL_METHODS.SAVE_FOR_FIRST]: 'Save for 1st'
+};
+
+// ICM looks at every finishing order, which grows factorially with the table
+export const MAX_DEAL_PLAYERS = 9;
+
+/**
+ * The prizes still to be paid to the players left, first place first
+ *
+ * @param {Array<number>} payouts - Prize by place for the whole tournament
+ * @param {number} playerCount - Players still in
+ * @returns {Array<number>} - One prize per player left; places the table doesn't pay are 0
+ */
+export const getDealPrizes = (payouts, playerCount) => {
+  return Array.from({ length: playerCount }, (_, index) => payouts[index] || 0);
+};
+
+// Players with chips, and the chips they have
+const getActiveStacks = (stacks) => {
+  const active = {};
+  Object.entries(stacks).forEach(([playerId, chips]) => {
+    const count = Number(chips) || 0;
+    if (count > 0) active[playerId] = count;
+  });
+  return active;
+};
+
+/**
+ * ICM equity of every stack
+ *
+ * @param {Object} stacks - { playerId: chips }
+ * @param {Array<number>} prizes - Remaining prizes, first place first
+ * @returns {Object} - { playerId: minor units } summing exactly to the prizes
+ */
+export const calculateIcmEquity = (stacks, prizes) => {
+  const active = getActiveStacks(stacks);
+  const ids = Object.keys(active);
+  const equity = {};
+  ids.forEach(id => {
+    equity[id] = 0;
+  });
+  if (ids.length === 0) return equity;
+
+  const places = Math.min(prizes.length, ids.length);
+
+  // Chance of each finishing order, one place at a time
+  const walk = (remaining, place, probability) => {
+    const chips = remaining.reduce((sum, id) => sum + active[id], 0);
+    remaining.forEach(id => {
+      const chance = probability * active[id] / chips;
+      equity[id] += chance * prizes[place];
+      if (place + 1 < places) {
+        walk(remaining.filter(other => other !== id), place + 1, chance);
+      }
+    });
+  };
+  walk(ids, 0, 1);
+
+  return allocateMoney(sumMoney(prizes.slice(0, places)), equity, ids);
+};
+
+/**
+ * Chip-chop split: everyone locks in the smallest remaining prize, and what's
+ * left over is shared in proportion to chips
+ *
+ * @param {Object} stacks - { playerId: chips }
+ * @param {Array<number>} prizes - Remaining prizes, first place first
+ * @returns {Object} - { playerId: minor units } summing exactly to the prizes
+ */
+export const calculateChipChop = (stacks, prizes) => {
+  const active = getActiveStacks(stacks);
+  const ids = Object.keys(active);
+  if (ids.length === 0) return {};
+
+  const paid = prizes.slice(0, ids.length);
+  const floor = Math.min(...paid);
+  const shared = allocateMoney(sumMoney(paid) - floor * ids.length, active, ids);
+
+  const amounts = {};
+  ids.forEach(id => {
+    amounts[id] = floor + shared[id];
+  });
+  return amounts;
+};
+
+/**
+ * Works out a deal
+ *
+ * @param {Object} options
+ * @param {string} options.method - One of DEAL_METHODS
+ * @param {Object} options.stacks - { playerId: chips } for the players left
+ * @param {Array<number>} options.prizes - Remaining prizes, see getDealPrizes
+ * @param {number} options.save - Amount played for with saveForFirst
+ * @returns {Object} - { method, amounts: { playerId: guaranteed amount }, saved }
+ */
+export const calculateDeal = ({ method, stacks, prizes, save = 0 }) => {
+  if (method === DEAL_METHODS.CHIP_CHOP) {
+    return { method, amounts: calculateChipChop(stacks, prizes), saved: 0 };
+  }
+
+  if (method === DEAL_METHODS.SAVE_FOR_FIRST) {
+    // Never save so much that first prize drops below second
+    const saved = Math.max(0, Math.min(Math.round(save) || 0, prizes[0] - (prizes[1] || 0)));
+    const reduced = [prizes[0] - saved, ...prizes.slice(1)];
+    return { method, amounts: calculateIcmEquity(stacks, reduced), saved };
+  }
+
+  return { method, amounts: calculateIcmEquity(stacks, prizes), saved: 0 };
+};
+
+/**
+ * Finishing positions implied by a deal: whoever won what was saved is first,
+ * everyone else follows by stack size
+ *
+ * @param {Object} deal - Recorded deal
+ * @returns {Object} - { playerId: position }
+ */
+export const getDealPositions = (deal) => {
+  const order = [...deal.playerIds].sort((a, b) => {
+    if (a === deal.winnerId) return -1;
+    if (b === deal.winnerId) return 1;
+    return (Number(deal.stacks[b]) || 0) - (Number(deal.stacks[a]) || 0);
+  });
+  const positions = {};
+  order.forEach((playerId, index) => {
+    positions[playerId] = index + 1;
+  });
+  return positions;
+};
+
+/**
+ * What a deal pays each player, including what was saved for the winner
+ *
+ * @param {Object} deal - Recorded deal
+ * @returns {Object} - { playerId: minor units }
+ */
+export const getDealPayouts = (deal) => {
+  const payouts = {};
+  deal.playerIds.forEach(playerId => {
+    payouts[playerId] = deal.amounts[playerId] || 0;
+  });
+  if (deal.saved > 0 && deal.winnerId) {
+    payouts[deal.winnerId] += deal.saved;
+  }
+  return payouts;
+};
+
+export default {
+  DEAL_METHODS,
+  DEAL_METHOD_LABELS,
+  MAX_DEAL_PLAYERS,
+  getDealPrizes,
+  calculateIcmEquity,
+  calculateChipChop,
+  calculateDeal,
+  getDealPositions,
+  getDealPayouts
+};
@@ -0,0 +1,406 @@
+/**
+ * Tournaments Module
+ *
+ * A tournament game doesn't get its results from cash-outs. Players pay a
+ * fixed buy-in, and may rebuy or take an add-on; those entries make up the
+ * prize pool, which is paid out by finishing position from a payout table.
+ * A tournament can also carry a bounty: part of every buy-in and rebuy that
+ * goes to whoever knocks that player out, either whole or, for progressive
+ * bounties, half now and half onto the eliminator's head (see utils/knockouts).
+ *
+ * Entries are recorded as buy-in transactions tagged with an entryType, and
+ * prizes as cash-out transactions tagged PAYOUT, so tournament results feed
+ * the session balances, settlement engine and history like any cash game.
+ *
+ * The tournament structure lives on the game:
+ *
+ *   game.type = 'tournament'
+ *   game.tournament = {
+ *     buyIn, rebuy, addOn, bounty,   // per entry, in the game's currency
+ *     bountyType,                    // BOUNTY_TYPES, see utils/knockouts
+ *     payoutTable,                   // custom percentages by place, or null for the built-in tables
+ *     positions: { playerId: finishing position },
+ *     knockouts: { playerId: bounties collected },   // ones not tracked in game.knockouts
+ *     deal,                          // final-table deal, see utils/tournamentDeals
+ *     paidPlaces                     // places paid when the results were recorded
+ *   }
+ *
+ * All amounts are integer minor units (see utils/money).
+ */
+
+import { allocateMoney, formatMoney, sumMoney } from './money';
+import { getDealPayouts, getDealPositions, getDealPrizes } from './tournamentDeals';
+
+export const GAME_TYPES = {
+  CASH: 'cash',
+  TOURNAMENT: 'tournament'
+};
+
+export const ENTRY_TYPES = {
+  BUY_IN: 'buy-in',
+  REBUY: 'rebuy',
+  ADD_ON: 'add-on',
+  PAYOUT: 'payout',
+  BOUNTY: 'bounty'
+};
+
+export const ENTRY_TYPE_LABELS = {
+  [ENTRY_TYPES.BUY_IN]: 'Buy-in',
+  [ENTRY_TYPES.REBUY]: 'Rebuy',
+  [ENTRY_TYPES.ADD_ON]: 'Add-on',
+  [ENTRY_TYPES.PAYOUT]: 'Prize',
+  [ENTRY_TYPES.BOUNTY]: 'Bounty'
+};
+
+export const BOUNTY_TYPES = {
+  FIXED: 'fixed',
+  PROGRESSIVE: 'progressive'
+};
+
+export const BOUNTY_TYPE_LABELS = {
+  [BOUNTY_TYPES.FIXED]: 'Fixed',
+  [BOUNTY_TYPES.PROGRESSIVE]: 'Progressive (PKO)'
+};
+
+// Built-in payout percentages by place, for up to `maxEntrants` entrants
+export const DEFAULT_PAYOUT_TABLES = [
+  { maxEntrants: 3, percentages: [100] },
+  { maxEntrants: 6, percentages: [65, 35] },
+  { maxEntrants: 10, percentages: [50, 30, 20] },
+  { maxEntrants: 20, percentages: [45, 27, 18, 10] },
+  { maxEntrants: 30, percentages: [40, 25, 16, 11, 8] },
+  { maxEntrants: Infinity, percentages: [35, 22, 15, 11, 9, 8] }
+];
+
+/**
+ * Whether a game is a tournament
+ *
+ * @param {Object} game - Game from the session
+ * @returns {boolean} - True for tournament games
+ */
+export const isTournament = (game) => !!game && game.type === GAME_TYPES.TOURNAMENT;
+
+/**
+ * A tournament structure with nothing recorded yet
+ *
+ * @param {Object} structure - { buyIn, rebuy, addOn, bounty } in minor units; 0 turns an option off,
+ *   and bountyType from BOUNTY_TYPES
+ * @returns {Object} - Tournament settings for game.tournament
+ */
+export const createTournament = ({ buyIn = 0, rebuy = 0, addOn = 0, bounty = 0, bountyType = BOUNTY_TYPES.FIXED } = {}) => ({
+  buyIn,
+  rebuy,
+  addOn,
+  bounty: Math.min(bounty, buyIn),
+  bountyType,
+  payoutTable: null,
+  positions: {},
+  knockouts: {},
+  deal: null,
+  paidPlaces: 0
+});
+
+/**
+ * What one entry of a type costs
+ *
+ * @param {Object} tournament - game.tournament
+ * @param {string} entryType - One of ENTRY_TYPES
+ * @returns {number} - Integer minor units, 0 when the option is off
+ */
+export const getEntryAmount = (tournament, entryType) => {
+  if (!tournament) return 0;
+  if (entryType === ENTRY_TYPES.REBUY) return tournament.rebuy || 0;
+  if (entryType === ENTRY_TYPES.ADD_ON) return tournament.addOn || 0;
+  return tournament.buyIn || 0;
+};
+
+/**
+ * Entry types a tournament offers, in the order they happen
+ *
+ * @param {Object} tournament - game.tournament
+ * @returns {Array<string>} - ENTRY_TYPES with a price set
+ */
+export const getAvailableEntryTypes = (tournament) => {
+  return [ENTRY_TYPES.BUY_IN, ENTRY_TYPES.REBUY, ENTRY_TYPES.ADD_ON]
+    .filter(entryType => getEntryAmount(tournament, entryType) > 0);
+};
+
+/**
+ * Built-in payout percentages for a field size
+ *
+ * @param {number} entrantCount - Number of players who entered
+ * @returns {Array<number>} - Percentages by place, first place first
+ */
+export const getDefaultPayoutTable = (entrantCount) => {
+  const table = DEFAULT_PAYOUT_TABLES.find(option => entrantCount <= option.maxEntrants);
+  // Never pay more places than there are players
+  return table.percentages.slice(0, Math.max(1, entrantCount));
+};
+
+/**
+ * Reads a custom payout table typed as "50, 30, 20"
+ *
+ * @param {string} text - Percentages by place separated by commas or spaces
+ * @returns {Array<number>|null} - Percentages, or null when something isn't a number
+ */
+export const parsePayoutTable = (text) => {
+  const parts = String(text || '').split(/[\s,;]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  const percentages = parts.map(part => Number(part.replace('%', '')));
+  return percentages.every(value => Number.isFinite(value)) ? percentages : null;
+};
+
+/**
+ * Checks a payout table can be used
+ *
+ * @param {Array<number>} percentages - Percentages by place
+ * @returns {string|null} - What's wrong with it, or null when it's fine
+ */
+export const validatePayoutTable = (percentages) => {
+  if (!Array.isArray(percentages) || percentages.length === 0) {
+    return 'Enter at least one percentage.';
+  }
+  if (percentages.some(value => !(value > 0))) {
+    return 'Every paid place needs a percentage above zero.';
+  }
+  const total = percentages.reduce((sum, value) => sum + value, 0);
+  if (Math.abs(total - 100) > 0.001) {
+    return `Percentages add up to ${Math.round(total * 100) / 100}%, not 100%.`;
+  }
+  return null;
+};
+
+// Entry transactions of one tournament; payouts are left out
+const getEntries = (game, transactions) => {
+  return transactions.filter(transaction =>
+    transaction.gameId === game.id &&
+    transaction.type === 'buy-in' &&
+    transaction.entryType !== ENTRY_TYPES.PAYOUT
+  );
+};
+
+/**
+ * Adds up a tournament's entries into a prize pool. Amounts are what each
+ * entry was recorded for, so an entry whose price was edited, or changed in
+ * the structure after it was made, counts for what was paid. A buy-in or
+ * rebuy puts the bounty aside, but never more than the entry itself.
+ *
+ * @param {Object} game - Tournament game
+ * @param {Array} transactions - Game log transactions
+ * @returns {Object} - {
+ *   entrants: player IDs who bought in,
+ *   buyIns, rebuys, addOns: entry counts,
+ *   collected: everything paid in,
+ *   bountyPool: the part set aside for knockouts,
+ *   prizePool: the part paid out by finishing position
+ * }
+ */
+export const calculatePrizePool = (game, transactions = []) => {
+  const tournament = game.tournament || createTournament();
+  const entries = getEntries(game, transactions);
+  const entryTypeOf = entry => entry.entryType || ENTRY_TYPES.BUY_IN;
+  const countOf = entryType => entries.filter(entry => entryTypeOf(entry) === entryType).length;
+
+  const buyIns = countOf(ENTRY_TYPES.BUY_IN);
+  const rebuys = countOf(ENTRY_TYPES.REBUY);
+  const addOns = countOf(ENTRY_TYPES.ADD_ON);
+  const collected = sumMoney(entries.map(entry => entry.amount));
+  const bountyPool = sumMoney(entries
+    .filter(entry => entryTypeOf(entry) !== ENTRY_TYPES.ADD_ON)
+    .map(entry => Math.min(tournament.bounty || 0, entry.amount || 0)));
+
+  return {
+    entrants: [...new Set(entries.map(entry => entry.playerId))],
+    buyIns,
+    rebuys,
+    addOns,
+    collected,
+    bountyPool,
+    prizePool: collected - bountyPool
+  };
+};
+
+/**
+ * The payout table a tournament uses
+ *
+ * @param {Object} tournament - game.tournament
+ * @param {number} entrantCount - Number of players who entered
+ * @returns {Array<number>} - Percentages by place
+ */
+export const getPayoutTable = (tournament, entrantCount) => {
+  return tournament && tournament.payoutTable
+    ? tournament.payoutTable
+    : getDefaultPayoutTable(entrantCount);
+};
+
+/**
+ * Splits a prize pool by a payout table without losing a cent; odd cents go
+ * to the higher places
+ *
+ * @param {number} prizePool - Integer minor units
+ * @param {Array<number>} percentages - Percentages by place
+ * @returns {Array<number>} - Prize by place, first place first
+ */
+export const calculatePayouts = (prizePool, percentages) => {
+  const weights = {};
+  percentages.forEach((percentage, index) => {
+    weights[index + 1] = percentage;
+  });
+  const byPlace = allocateMoney(prizePool, weights, Object.keys(weights));
+  return percentages.map((_, index) => byPlace[index + 1]);
+};
+
+/**
+ * Where everyone finished; players in a final-table deal take the places the
+ * deal implies, whatever was typed for them
+ *
+ * @param {Object} tournament - game.tournament
+ * @returns {Object} - { playerId: position }
+ */
+export const getFinishingPositions = (tournament) => {
+  const positions = { ...((tournament && tournament.positions) || {}) };
+  if (tournament && tournament.deal) {
+    tournament.deal.playerIds.forEach(playerId => delete positions[playerId]);
+    Object.assign(positions, getDealPositions(tournament.deal));
+  }
+  return positions;
+};
+
+/**
+ * Works out what every player wins from their finishing position and knockouts.
+ * When the final table made a deal, the deal pays the places its players
+ * would have taken and only the players who busted before it need positions.
+ *
+ * @param {Object} game - Tournament game with positions, knockouts and any deal in game.tournament
+ * @param {Array} transactions - Game log transactions
+ * @returns {Object} - {
+ *   pool: from calculatePrizePool,
+ *   payoutTable, payouts: prize by place,
+ *   winnings: { playerId: { position, prize, bounties, total, deal } },
+ *   problems: what stops the results being recorded, empty when they can be
+ * }
+ */
+export const calculateTournamentResults = (game, transactions = []) => {
+  const tournament = game.tournament || createTournament();
+  const pool = calculatePrizePool(game, transactions);
+  const payoutTable = getPayoutTable(tournament, pool.entrants.length);
+  const payouts = calculatePayouts(pool.prizePool, payoutTable);
+  const deal = tournament.deal || null;
+  const dealPlaces = deal ? deal.playerIds.length : 0;
+  const knockouts = tournament.knockouts || {};
+  const positions = getFinishingPositions(tournament);
+  const problems = [];
+
+  const tableProblem = validatePayoutTable(payoutTable);
+  if (tableProblem) problems.push(tableProblem);
+
+  if (deal) {
+    const owed = sumMoney(getDealPrizes(payouts, dealPlaces));
+    const shared = sumMoney(Object.values(getDealPayouts({ ...deal, winnerId: deal.winnerId || deal.playerIds[0] })));
+    if (!tableProblem && shared !== owed) {
+      problems.push(`The deal shares out ${formatMoney(shared, game.currency)} but places 1 to ${dealPlaces} now pay ${formatMoney(owed, game.currency)}. Work the deal out again.`);
+    }
+    if (deal.saved > 0 && !deal.winnerId) {
+      problems.push('Pick who won the amount saved for first in the deal.');
+    }
+  }
+
+  // Every paid place needs exactly one player
+  const byPosition = {};
+  Object.entries(positions).forEach(([playerId, position]) => {
+    if (!position) return;
+    if (byPosition[position]) {
+      problems.push(`More than one player finished in place ${position}.`);
+    }
+    byPosition[position] = playerId;
+  });
+  const unfilled = payouts.map((_, index) => index + 1).filter(place => !byPosition[place]);
+  if (unfilled.length > 0) {
+    problems.push(`Enter who finished in place${unfilled.length === 1 ? '' : 's'} ${unfilled.join(', ')}.`);
+  }
+
+  // Each buy-in and rebuy puts one bounty on the table; the winner keeps any nobody
+  // collected. Knockouts tracked during the game were paid as they happened.
+  const bounty = tournament.bounty || 0;
+  const tracked = game.knockouts || [];
+  const trackedBounties = sumMoney(tracked.map(knockout => knockout.bounty || 0));
+  const knockoutCount = sumMoney(Object.values(knockouts));
+  if (bounty > 0 && tracked.length + knockoutCount > pool.buyIns + pool.rebuys) {
+    problems.push(`${tracked.length + knockoutCount} knockouts recorded, but only ${pool.buyIns + pool.rebuys} bounties were bought.`);
+  }
+
+  const winnings = {};
+  const getWinnings = (playerId) => {
+    if (!winnings[playerId]) {
+      winnings[playerId] = {
+        position: positions[playerId] || null,
+        prize: 0,
+        bounties: 0,
+        total: 0,
+        deal: !!deal && deal.playerIds.includes(playerId)
+      };
+    }
+    return winnings[playerId];
+  };
+
+  pool.entrants.forEach(getWinnings);
+  payouts.forEach((prize, index) => {
+    const playerId = byPosition[index + 1];
+    if (playerId && index >= dealPlaces) getWinnings(playerId).prize += prize;
+  });
+  if (deal) {
+    Object.entries(getDealPayouts(deal)).forEach(([playerId, amount]) => {
+      getWinnings(playerId).prize += amount;
+    });
+  }
+  if (bounty > 0) {
+    Object.entries(knockouts).forEach(([playerId, count]) => {
+      if (count > 0) getWinnings(playerId).bounties += count * bounty;
+    });
+    const unclaimed = pool.bountyPool - trackedBounties - knockoutCount * bounty;
+    if (unclaimed > 0 && byPosition[1]) {
+      getWinnings(byPosition[1]).bounties += unclaimed;
+    }
+  }
+
+  Object.values(winnings).forEach(entry => {
+    entry.total = entry.prize + entry.bounties;
+  });
+
+  return { pool, payoutTable, payouts, winnings, problems };
+};
+
+/**
+ * Ordinal for a finishing position
+ *
+ * @param {number} position - 1, 2, 3...
+ * @returns {string} - "1st", "2nd", "3rd"...
+ */
+export const formatPosition = (position) => {
+  const tens = position % 100;
+  if (tens >= 11 && tens <= 13) return `${position}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[position % 10] || 'th';
+  return `${position}${suffix}`;
+};
+
+export default {
+  GAME_TYPES,
+  ENTRY_TYPES,
+  ENTRY_TYPE_LABELS,
+  BOUNTY_TYPES,
+  BOUNTY_TYPE_LABELS,
+  DEFAULT_PAYOUT_TABLES,
+  isTournament,
+  createTournament,
+  getEntryAmount,
+  getAvailableEntryTypes,
+  getDefaultPayoutTable,
+  parsePayoutTable,
+  validatePayoutTable,
+  calculatePrizePool,
+  getPayoutTable,
+  calculatePayouts,
+  getFinishingPositions,
+  calculateTournamentResults,
+  formatPosition
+};
@@ -1,3 +1,5 @@
+import { DEFAULT_CURRENCY, formatMoney, parseMoney, sumMoney } from './money';
+
 /**
  * Validation Utility Module
  * 
@@ -65,9 +67,10 @@ export const validatePlayerName = (name, existingPlayers = [], currentPlayerId =
    * Validates a player balance input
    * 
    * @param {string|number} balance - The balance input to validate
+   * @param {string} currency - ISO currency code
    * @returns {Object} - { isValid: boolean, message: string, formattedValue: number|string }
    */
-  export const validateBalance = (balance) => {
+  export const validateBalance = (balance, currency = DEFAULT_CURRENCY) => {
     // Special case for empty or dash inputs (user is typing)
     if (balance === '' || balance === '-') {
       return {
@@ -77,10 +80,10 @@ export const validatePlayerName = (name, existingPlayers = [], currentPlayerId =
       };
     }
     
-    // Convert to number and check if it's a valid number
-    const numValue = parseFloat(balance);
+    // Convert to minor units and check if it's a valid number
+    const formattedValue = parseMoney(balance, currency);
     
-    if (isNaN(numValue)) {
+    if (formattedValue === null) {
       return {
         isValid: false,
         message: 'Please enter a valid number',
@@ -88,9 +91,6 @@ export const validatePlayerName = (name, existingPlayers = [], currentPlayerId =
       };
     }
     
-    // Limit decimal places to 2
-    const formattedValue = Math.round(numValue * 100) / 100;
-    
     return {
       isValid: true,
       message: '',
@@ -101,43 +101,43 @@ export const validatePlayerName = (name, existingPlayers = [], currentPlayerId =
   /**
    * Validates an entire set of player balances
    * 
-   * @param {Object} balances - Object with player IDs as keys and balances as values
+   * @param {Object} balances - Object with player IDs as keys and balance inputs as values
+   * @param {string} currency - ISO currency code
    * @returns {Object} - { isValid: boolean, message: string, totalBalance: number }
    */
-  export const validateBalances = (balances) => {
-    // Convert all values to numbers, filtering out invalid inputs
+  export const validateBalances = (balances, currency = DEFAULT_CURRENCY) => {
+    // Convert all values to minor units, filtering out invalid inputs
     const numericBalances = Object.entries(balances)
       .filter(([_, value]) => value !== '' && value !== '-')
-      .map(([_, value]) => parseFloat(value) || 0);
+      .map(([_, value]) => parseMoney(value, currency) || 0);
     
     // Calculate sum of all balances
-    const totalBalance = numericBalances.reduce((sum, value) => sum + value, 0);
-    const roundedTotal = Math.round(totalBalance * 100) / 100; // Round to 2 decimal places
+    const totalBalance = sumMoney(numericBalances);
     
-    // Check if balances sum to zero (with small tolerance for floating point errors)
-    if (Math.abs(roundedTotal) > 0.01) {
+    // Check if balances sum to zero
+    if (totalBalance !== 0) {
       return {
         isValid: false,
-        message: `Balances must sum to zero (current sum: ${roundedTotal.toFixed(2)})`,
-        totalBalance: roundedTotal
+        message: `Balances must sum to zero (current sum: ${formatMoney(totalBalance, currency)})`,
+        totalBalance
       };
     }
     
     // Check if we have at least 2 non-zero balances
-    const nonZeroCount = numericBalances.filter(value => Math.abs(value) > 0.01).length;
+    const nonZeroCount = numericBalances.filter(value => value !== 0).length;
     
     if (nonZeroCount < 2) {
       return {
         isValid: false,
         message: 'At least 2 players must have non-zero balances',
-        totalBalance: roundedTotal
+        totalBalance
       };
     }
     
     return {
       isValid: true,
       message: '',
-      totalBalance: roundedTotal
+      totalBalance
     };
   };
   
@@ -179,20 +179,17 @@ export const validatePlayerName = (name, existingPlayers = [], currentPlayerId =
   /**
    * Formats a currency value
    * 
-   * @param {number} value - The value to format
+   * @param {number} value - The value to format, in minor units
    * @param {boolean} showSign - Whether to show + sign for positive values
+   * @param {string} currency - ISO currency code
    * @returns {string} - Formatted currency string
    */
-  export const formatCurrency = (value, showSign = false) => {
+  export const formatCurrency = (value, showSign = false, currency = DEFAULT_CURRENCY) => {
     if (value === undefined || value === null || isNaN(value)) {
-      return '$0.00';
+      return formatMoney(0, currency);
     }
     
-    const numValue = parseFloat(value);
-    const isPositive = numValue > 0;
-    const sign = isPositive && showSign ? '+' : '';
-    
-    return `${sign}$${Math.abs(numValue).toFixed(2)}`;
+    return formatMoney(Number(value), currency, { showSign, absolute: value < 0 });
   };
   
   /**